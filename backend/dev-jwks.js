@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+// Stand-in DIMO key set for local development and tests
+//
+//   node dev-jwks.js init                      # writes tmp/dev-jwks/{private.pem,jwks.json}
+//   node dev-jwks.js mint <tokenId>            # prints a vehicle JWT signed with the dev key
+//   node dev-jwks.js mint                      # prints a user JWT (no token_id claim)
+//   node dev-jwks.js mint - <walletAddress>    # prints a user JWT for a wallet address
+//
+// Point the backend at the key set with DIMO_JWKS_FILE=tmp/dev-jwks/jwks.json. One key signs both
+// token kinds; like DIMO's, user and vehicle JWTs have different issuers.
+//
+// Tests import initKeySet and mintJwt with a key directory of their own.
+
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+export const DEV_KEY_DIR = path.join(__dirname, 'tmp', 'dev-jwks')
+const KID = 'dev-key'
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url')
+}
+
+/**
+ * Write a new key pair: private.pem and the public jwks.json
+ * @param {string} [keyDir]
+ * @returns {string} Path of jwks.json
+ */
+export function initKeySet(keyDir = DEV_KEY_DIR) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+  fs.mkdirSync(keyDir, { recursive: true })
+  fs.writeFileSync(path.join(keyDir, 'private.pem'), privateKey.export({ type: 'pkcs8', format: 'pem' }))
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }
+  const jwksPath = path.join(keyDir, 'jwks.json')
+  fs.writeFileSync(jwksPath, JSON.stringify({ keys: [jwk] }, null, 2))
+  return jwksPath
+}
+
+/**
+ * Sign a user JWT, or a vehicle JWT when a token ID is given
+ * @param {Object} [options]
+ * @param {string} [options.keyDir]
+ * @param {string|number} [options.tokenId] - Vehicle token ID
+ * @param {string} [options.walletAddress] - `ethereum_address` claim of a user JWT
+ * @param {Object} [options.claims] - Claims added to (or replacing) the defaults, e.g. `exp`
+ * @returns {string} Compact JWT
+ */
+export function mintJwt({ keyDir = DEV_KEY_DIR, tokenId, walletAddress, claims = {} } = {}) {
+  const now = Math.floor(Date.now() / 1000)
+  const payload = tokenId
+    ? {
+      iss: process.env.DIMO_VEHICLE_JWT_ISSUER ?? 'https://auth-roles-rights.dimo.zone',
+      sub: 'dev-user',
+      aud: ['dimo.zone'],
+      token_id: Number(tokenId),
+      privilege_ids: [1],
+    }
+    : {
+      iss: process.env.DIMO_JWT_ISSUER ?? 'https://auth.dimo.zone',
+      sub: 'dev-user',
+      ...(walletAddress ? { ethereum_address: walletAddress } : {}),
+    }
+  Object.assign(payload, { iat: now, exp: now + 3600 }, claims)
+
+  const signingInput = `${encode({ alg: 'RS256', typ: 'JWT', kid: KID })}.${encode(payload)}`
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), fs.readFileSync(path.join(keyDir, 'private.pem')))
+  return `${signingInput}.${signature.toString('base64url')}`
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const [command, tokenId, walletAddress] = process.argv.slice(2)
+  switch (command) {
+    case 'init':
+      console.log('✅ Dev key set written to', initKeySet())
+      break
+    case 'mint':
+      if (!fs.existsSync(path.join(DEV_KEY_DIR, 'private.pem'))) {
+        console.error('❌ No dev key found. Run: node dev-jwks.js init')
+        process.exit(1)
+      }
+      console.log(mintJwt({ tokenId: tokenId === '-' ? undefined : tokenId, walletAddress }))
+      break
+    default:
+      console.error('Usage: node dev-jwks.js init | mint [tokenId|-] [walletAddress]')
+      process.exit(1)
+  }
+}
@@ -37,6 +37,8 @@ try {
   console.log('   - DIMO_CLIENT_ID: Your DIMO client ID')
   console.log('   - DIMO_API_KEY: Your DIMO API key')
   console.log('   - DIMO_REDIRECT_URI: Your redirect URI')
+  console.log('   - CONFIG_ENCRYPTION_KEY: Key for the stored DIMO credentials (openssl rand -base64 32)')
+  console.log('   - CONFIG_SETUP_TOKEN: Secret for adding the first credentials profile on the /config page')
   console.log('   - OPENAI_API_KEY: Your OpenAI API key (optional for AI features)')
   console.log('\n🚀 After updating .env, restart the server with: npm start')
   
@@ -0,0 +1,190 @@
+import fs from 'fs/promises'
+import path from 'path'
+import crypto from 'crypto'
+import { fileURLToPath } from 'url'
+import { OpenAIService } from './openai-service.js'
+import { MAINTENANCE_EXTRACTION_SCHEMA, parseModelJson } from './ai-schemas.js'
+
+/**
+ * AI providers
+ *
+ * An AI provider implements:
+ *   extractMaintenanceInfo(documentPath) -> { success, content, raw }     (extract document)
+ *   enrichUpcomingServices({ plan, ... }) -> { success, content, model }  (generate plan notes)
+ *   processPrompt(prompt, model?, maxTokens?) -> { success, content }     (free prompt)
+ *   processImageWithPromptAndModel(imagePath, prompt, model?) -> { success, content }
+ *   processPDFWithPromptAndModel(pdfPath, prompt, model?) -> { success, content }
+ *   name, isConfigured
+ *
+ * Failures are returned as `{ success: false, error }` rather than thrown. Extraction and plan
+ * notes are validated against the schemas in ai-schemas.js; output that is still invalid after
+ * a repair attempt fails with the validation errors in `details`.
+ * AI_PROVIDER selects the implementation: openai (default), openai-compatible or stub.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+export const DEFAULT_STUB_FIXTURES_DIR = path.join(path.dirname(__dirname), 'fixtures', 'ai')
+
+/**
+ * Provider for local servers with an OpenAI-compatible chat completions API (Ollama, LM Studio, vLLM, ...)
+ *
+ * These servers have no Files or Responses API, so PDFs cannot be sent; images go through chat completions.
+ */
+export class OpenAICompatibleService extends OpenAIService {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseURL - API base URL, e.g. http://localhost:11434/v1
+   * @param {string} [options.apiKey] - API key, if the server requires one
+   * @param {Object} options.models - Models per task ({ vision, document, text, plan })
+   * @param {boolean} [options.structuredOutputs] - Whether the server accepts JSON schema response formats
+   */
+  constructor({ baseURL, apiKey, models, structuredOutputs = false }) {
+    // The SDK requires a key even when the server ignores it
+    super(baseURL ? apiKey || 'not-needed' : null, { baseURL, models, structuredOutputs })
+    this.name = 'openai-compatible'
+    this.baseURL = baseURL
+  }
+
+  notConfigured() {
+    return {
+      success: false,
+      error: 'OpenAI-compatible AI provider not configured. Please set AI_BASE_URL environment variable.'
+    }
+  }
+
+  async processPDFWithPromptAndModel() {
+    return {
+      success: false,
+      error: 'PDF documents are not supported by the openai-compatible AI provider. Upload a photo or scan of the invoice instead.'
+    }
+  }
+}
+
+/**
+ * Deterministic offline provider that answers from fixture files
+ *
+ * Fixtures (in AI_STUB_FIXTURES_DIR):
+ *   extract-maintenance.json           extraction result for any document
+ *   extract-maintenance/<sha256>.json  extraction result for a document with this SHA-256
+ *   upcoming-notes.json                { "<service rule id>": "note" } added to plan entries with that service
+ *   prompt.txt                         answer to free prompts and image/PDF prompts
+ */
+export class StubAIService {
+  constructor({ fixturesDir = DEFAULT_STUB_FIXTURES_DIR } = {}) {
+    this.name = 'stub'
+    this.fixturesDir = fixturesDir
+  }
+
+  get isConfigured() {
+    return true
+  }
+
+  async readFixture(name) {
+    try {
+      return await fs.readFile(path.join(this.fixturesDir, name), 'utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT') return null
+      throw error
+    }
+  }
+
+  async answer(name) {
+    try {
+      const content = await this.readFixture(name)
+      if (content == null) {
+        return { success: false, error: `AI stub fixture ${name} not found in ${this.fixturesDir}` }
+      }
+      return { success: true, content, usage: null }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
+  async processPrompt() {
+    return await this.answer('prompt.txt')
+  }
+
+  async processImageWithPromptAndModel() {
+    return await this.answer('prompt.txt')
+  }
+
+  async processPDFWithPromptAndModel() {
+    return await this.answer('prompt.txt')
+  }
+
+  // Fixtures are validated like model output, so an invalid fixture exercises the error path
+  async extractMaintenanceInfo(documentPath) {
+    let fixture
+    try {
+      const hash = crypto.createHash('sha256').update(await fs.readFile(documentPath)).digest('hex')
+      const specific = await this.readFixture(path.join('extract-maintenance', `${hash}.json`))
+      fixture = specific != null ? { success: true, content: specific } : await this.answer('extract-maintenance.json')
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+    if (!fixture.success) return fixture
+
+    const { value, errors } = parseModelJson(fixture.content, MAINTENANCE_EXTRACTION_SCHEMA)
+    if (errors.length > 0) {
+      return { success: false, error: 'AI output did not match the maintenance_extraction schema', details: errors, raw: fixture.content }
+    }
+    return { success: true, content: value, raw: fixture.content, usage: null, attempts: 1, model: 'stub' }
+  }
+
+  async enrichUpcomingServices({ plan }) {
+    const fixture = await this.answer('upcoming-notes.json')
+    if (!fixture.success) return fixture
+
+    let notesByService
+    try {
+      notesByService = JSON.parse(fixture.content)
+    } catch (error) {
+      return { success: false, error: `Invalid upcoming-notes.json fixture: ${error.message}` }
+    }
+
+    const notes = []
+    for (const entry of plan) {
+      const item = (entry.items || []).find(i => Object.hasOwn(notesByService, i.id))
+      if (item) notes.push({ mileage: entry.mileage, note: notesByService[item.id] })
+    }
+    return { success: true, content: { notes }, model: 'stub' }
+  }
+}
+
+/**
+ * Models per task from AI_MODEL (all tasks) and AI_MODEL_VISION / _DOCUMENT / _TEXT / _PLAN
+ */
+function modelsFromEnv(env) {
+  const models = {}
+  for (const task of ['vision', 'document', 'text', 'plan']) {
+    const model = env[`AI_MODEL_${task.toUpperCase()}`] || env.AI_MODEL
+    if (model) models[task] = model
+  }
+  return models
+}
+
+// Factory function to create the AI provider selected by AI_PROVIDER
+export function createAIService(env = process.env) {
+  const provider = env.AI_PROVIDER || 'openai'
+  switch (provider) {
+    case 'openai':
+      return new OpenAIService(env.OPENAI_API_KEY, { models: modelsFromEnv(env) })
+    case 'openai-compatible': {
+      const models = modelsFromEnv(env)
+      // There is no sensible default model for a local server (PDFs are not sent, so no document model)
+      if (env.AI_BASE_URL && !['vision', 'text', 'plan'].every(task => models[task])) {
+        throw new Error('AI_PROVIDER=openai-compatible requires AI_MODEL (or AI_MODEL_VISION, AI_MODEL_TEXT and AI_MODEL_PLAN)')
+      }
+      return new OpenAICompatibleService({
+        baseURL: env.AI_BASE_URL,
+        apiKey: env.AI_API_KEY,
+        models,
+        structuredOutputs: env.AI_STRUCTURED_OUTPUTS === 'true',
+      })
+    }
+    case 'stub':
+      return new StubAIService({ fixturesDir: env.AI_STUB_FIXTURES_DIR || DEFAULT_STUB_FIXTURES_DIR })
+    default:
+      throw new Error(`Unsupported AI_PROVIDER "${provider}" (expected openai, openai-compatible or stub)`)
+  }
+}
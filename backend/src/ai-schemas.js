@@ -0,0 +1,160 @@
+/**
+ * JSON schemas for AI outputs, and validation of model responses against them
+ *
+ * The schemas follow the subset accepted by OpenAI structured outputs in strict mode
+ * (every property required, no additional properties, null via type unions), so the
+ * same object is sent to the provider and used to validate the answer.
+ *
+ * Usage:
+ *   import { MAINTENANCE_EXTRACTION_SCHEMA, parseModelJson, validateSchema } from './ai-schemas.js'
+ *   const { value, errors } = parseModelJson(outputText, MAINTENANCE_EXTRACTION_SCHEMA)
+ */
+
+const nullable = (type, extra = {}) => ({ type: [type, 'null'], ...extra })
+
+// One service visit: a single invoice or repair order
+export const MAINTENANCE_VISIT_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['date', 'shopName', 'serviceType', 'description', 'parts', 'lineItems', 'laborCost', 'partsCost', 'totalCost', 'mileage', 'nextService', 'notes'],
+  properties: {
+    date: nullable('string', { pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'Service date as YYYY-MM-DD' }),
+    shopName: nullable('string', { description: 'Name of the shop or dealer that did the work' }),
+    serviceType: nullable('string', { description: 'Short name of the service performed' }),
+    description: nullable('string', { description: 'Detailed description of the work done' }),
+    parts: { type: 'array', items: { type: 'string' }, description: 'Names of parts replaced' },
+    lineItems: {
+      type: 'array',
+      description: 'Every part and labor line of the invoice, in order',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['type', 'description', 'quantity', 'unitPrice', 'partNumber'],
+        properties: {
+          type: { type: 'string', enum: ['part', 'labor'] },
+          description: { type: 'string' },
+          quantity: nullable('number', { minimum: 0 }),
+          unitPrice: nullable('number', { minimum: 0, description: 'USD, no currency symbol' }),
+          partNumber: nullable('string'),
+        },
+      },
+    },
+    laborCost: nullable('number', { minimum: 0, description: 'USD, no currency symbol' }),
+    partsCost: nullable('number', { minimum: 0, description: 'USD, no currency symbol' }),
+    totalCost: nullable('number', { minimum: 0, description: 'USD, no currency symbol' }),
+    mileage: nullable('integer', { minimum: 0, description: 'Odometer in miles at the time of service' }),
+    nextService: nullable('string', { description: 'Recommended next service' }),
+    notes: nullable('string'),
+  },
+}
+
+// A document may hold several visits (a shop emailing a vehicle's history as one PDF)
+export const MAINTENANCE_EXTRACTION_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['visits'],
+  properties: {
+    visits: {
+      type: 'array',
+      items: MAINTENANCE_VISIT_SCHEMA,
+      description: 'One entry per distinct service visit, in document order; pages of the same invoice are one visit',
+    },
+  },
+}
+
+export const UPCOMING_NOTES_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['notes'],
+  properties: {
+    notes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['mileage', 'note'],
+        properties: {
+          mileage: { type: 'integer', description: 'One of the plan mileages' },
+          note: { type: 'string', maxLength: 200 },
+        },
+      },
+    },
+  },
+}
+
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number'
+  return typeof value
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value)
+  return actual === type || (type === 'number' && actual === 'integer')
+}
+
+/**
+ * Validate a value against a schema (the strict-mode subset used above)
+ * @param {Object} schema - JSON schema
+ * @param {*} value - Value to check
+ * @param {string} [at] - Path of the value, used in messages
+ * @returns {string[]} Validation errors, empty when valid
+ */
+export function validateSchema(schema, value, at = '$') {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+  if (!types.some(type => matchesType(value, type))) {
+    return [`${at} must be ${types.join(' or ')}`]
+  }
+  if (value === null) return []
+
+  const errors = []
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of ${schema.enum.join(', ')}`)
+  }
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} must match ${schema.pattern}`)
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${at} must be at most ${schema.maxLength} characters`)
+  }
+  if (typeof value === 'number' && schema.minimum != null && value < schema.minimum) {
+    errors.push(`${at} must be at least ${schema.minimum}`)
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${at}[${i}]`)))
+  }
+  if (typeOf(value) === 'object' && schema.properties) {
+    for (const key of schema.required || []) {
+      if (!Object.hasOwn(value, key)) errors.push(`${at}.${key} is required`)
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (Object.hasOwn(schema.properties, key)) {
+        errors.push(...validateSchema(schema.properties[key], item, `${at}.${key}`))
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key} is not allowed`)
+      }
+    }
+  }
+  return errors
+}
+
+/**
+ * Parse model output as JSON and validate it
+ * Markdown code fences around the JSON are tolerated; anything else is an error to repair.
+ * @param {string} text - Model output
+ * @param {Object} schema - JSON schema
+ * @returns {{value: *, errors: string[]}} Parsed value (null when not JSON) and errors
+ */
+export function parseModelJson(text, schema) {
+  const cleaned = String(text ?? '').trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/```\s*$/, '')
+    .trim()
+
+  let value
+  try {
+    value = JSON.parse(cleaned)
+  } catch (error) {
+    return { value: null, errors: [`Output is not valid JSON: ${error.message}`] }
+  }
+  return { value, errors: validateSchema(schema, value) }
+}
@@ -0,0 +1,291 @@
+/**
+ * AI usage ledger (vehicle_maintenance.ai_usage) and monthly budget caps
+ *
+ * Every call to the AI provider made through a metered provider is recorded with its endpoint,
+ * model, token counts, cost, vehicle and user. Before a call, the spend of the current calendar
+ * month (UTC) is checked against the configured caps; calls over budget are rejected with
+ * `{ success: false, error, budgetExceeded: true }` like any other provider failure.
+ *
+ * The caps are soft: a call's cost is only known once the model answered, and calls running at
+ * the same time all pass the check before any of them is recorded. Spend can therefore end above a
+ * cap by the cost of the calls in flight when it was reached (about one call per concurrent request
+ * or document job), and no further calls are made that month.
+ *
+ * Usage:
+ *   import { createAIUsageLedger } from './ai-usage.js'
+ *   const aiUsage = createAIUsageLedger(pool, process.env)
+ *   const ai = aiUsage.meter(aiService, { endpoint: '/api/ai/process-image', tokenId, userId })
+ *   const result = await ai.processImageWithPromptAndModel(path, prompt)
+ */
+
+// USD per million tokens; model names match by prefix, so dated snapshots use their family's price
+export const DEFAULT_AI_MODEL_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+}
+
+// Provider methods that reach the model (see ai-providers.js)
+const METERED_OPERATIONS = [
+  'extractMaintenanceInfo',
+  'enrichUpcomingServices',
+  'processPrompt',
+  'processImageWithPromptAndModel',
+  'processPDFWithPromptAndModel',
+]
+
+/**
+ * Token counts of a provider response in either OpenAI format (chat completions or Responses API)
+ * @param {Object|null} usage
+ * @returns {{ inputTokens: number, outputTokens: number }}
+ */
+export function normalizeUsage(usage) {
+  return {
+    inputTokens: usage?.inputTokens ?? usage?.prompt_tokens ?? usage?.input_tokens ?? 0,
+    outputTokens: usage?.outputTokens ?? usage?.completion_tokens ?? usage?.output_tokens ?? 0,
+  }
+}
+
+/**
+ * Sum of two usages (for requests that took several model calls)
+ * @returns {{ inputTokens: number, outputTokens: number }}
+ */
+export function addUsage(a, b) {
+  const x = normalizeUsage(a)
+  const y = normalizeUsage(b)
+  return { inputTokens: x.inputTokens + y.inputTokens, outputTokens: x.outputTokens + y.outputTokens }
+}
+
+/**
+ * Price of a model: the entry with the longest name the model starts with
+ * @returns {Object|null} `{ input, output }` in USD per million tokens, or null when the model has no price
+ */
+export function modelPrice(model, prices = DEFAULT_AI_MODEL_PRICES) {
+  const name = Object.keys(prices)
+    .filter(prefix => String(model || '').startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0]
+  return name ? prices[name] : null
+}
+
+/**
+ * Cost of a call in USD
+ * @returns {number|null} null when the model has no price
+ */
+export function computeCost(model, { inputTokens, outputTokens }, prices = DEFAULT_AI_MODEL_PRICES) {
+  const price = modelPrice(model, prices)
+  if (!price) return null
+  return Math.round((inputTokens * price.input + outputTokens * price.output)) / 1e6
+}
+
+function monthStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+}
+
+export class AIUsageLedger {
+  /**
+   * @param {Object} options
+   * @param {Object} options.pool - pg Pool
+   * @param {Object} [options.prices] - USD per million tokens by model prefix ({ model: { input, output } })
+   * @param {number|null} [options.monthlyBudgetUsd] - Cap on the spend of all vehicles per calendar month
+   * @param {number|null} [options.vehicleMonthlyBudgetUsd] - Cap on the spend of a single vehicle per calendar month
+   */
+  constructor({ pool, prices = DEFAULT_AI_MODEL_PRICES, monthlyBudgetUsd = null, vehicleMonthlyBudgetUsd = null }) {
+    this.pool = pool
+    this.prices = prices
+    this.monthlyBudgetUsd = monthlyBudgetUsd
+    this.vehicleMonthlyBudgetUsd = vehicleMonthlyBudgetUsd
+    this.unpricedModels = new Set()
+  }
+
+  /**
+   * Record one provider call
+   * @param {Object} entry - `{ endpoint, operation, provider, model, usage, tokenId, userId, success }`
+   */
+  async record({ endpoint, operation, provider, model, usage, tokenId = null, userId = null, success }) {
+    const tokens = normalizeUsage(usage)
+    const cost = computeCost(model, tokens, this.prices)
+    if (cost == null && model && (tokens.inputTokens || tokens.outputTokens) && !this.unpricedModels.has(model)) {
+      this.unpricedModels.add(model)
+      console.warn(`⚠️  No price for AI model ${model}; its calls are not counted against the budget (see AI_MODEL_PRICES)`)
+    }
+    await this.pool.query(
+      `INSERT INTO vehicle_maintenance.ai_usage
+       (endpoint, operation, provider, model, input_tokens, output_tokens, cost_usd, token_id, user_id, success)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [endpoint, operation, provider, model || null, tokens.inputTokens, tokens.outputTokens, cost, tokenId, userId, success]
+    )
+  }
+
+  /**
+   * Spend of the current month, overall and for a vehicle
+   * @param {number|null} [tokenId]
+   * @returns {Promise<{ totalUsd: number, vehicleUsd: number|null }>}
+   */
+  async monthSpend(tokenId = null) {
+    const { rows } = await this.pool.query(
+      `SELECT COALESCE(SUM(cost_usd), 0) as "totalUsd",
+              COALESCE(SUM(CASE WHEN token_id = $2 THEN cost_usd ELSE 0 END), 0) as "vehicleUsd"
+         FROM vehicle_maintenance.ai_usage
+        WHERE created_at >= $1`,
+      [monthStart(), tokenId]
+    )
+    const usd = (v) => Math.round(Number(v) * 1e6) / 1e6
+    return { totalUsd: usd(rows[0].totalUsd), vehicleUsd: tokenId != null ? usd(rows[0].vehicleUsd) : null }
+  }
+
+  /**
+   * Check the monthly caps before a call
+   * @param {number|null} [tokenId] - Vehicle the call is made for
+   * @returns {Promise<string|null>} Why the call is not allowed, or null
+   */
+  async budgetError(tokenId = null) {
+    if (this.monthlyBudgetUsd == null && this.vehicleMonthlyBudgetUsd == null) return null
+    const spend = await this.monthSpend(tokenId)
+    if (this.monthlyBudgetUsd != null && spend.totalUsd >= this.monthlyBudgetUsd) {
+      return `Monthly AI budget of $${this.monthlyBudgetUsd.toFixed(2)} is used up`
+    }
+    if (tokenId != null && this.vehicleMonthlyBudgetUsd != null && spend.vehicleUsd >= this.vehicleMonthlyBudgetUsd) {
+      return `Monthly AI budget of $${this.vehicleMonthlyBudgetUsd.toFixed(2)} for vehicle ${tokenId} is used up`
+    }
+    return null
+  }
+
+  /**
+   * Provider wrapper that checks the budget before and records usage after every model call
+   * @param {Object} provider - AI provider (see ai-providers.js)
+   * @param {Object} context
+   * @param {string} context.endpoint - Route or job the calls are made for
+   * @param {number} [context.tokenId] - Vehicle token ID
+   * @param {string} [context.userId] - Wallet address or subject of the requesting user
+   * @returns {Object} Provider with the same interface
+   */
+  meter(provider, { endpoint, tokenId = null, userId = null }) {
+    const metered = {
+      name: provider.name,
+      isConfigured: provider.isConfigured,
+    }
+    for (const operation of METERED_OPERATIONS) {
+      metered[operation] = async (...args) => {
+        // A provider that is not configured answers without calling a model
+        if (!provider.isConfigured) return await provider[operation](...args)
+
+        const budgetError = await this.budgetError(tokenId)
+        if (budgetError) {
+          return { success: false, error: budgetError, budgetExceeded: true }
+        }
+
+        const result = await provider[operation](...args)
+        try {
+          await this.record({
+            endpoint,
+            operation,
+            provider: provider.name,
+            model: result.model,
+            usage: result.usage,
+            tokenId,
+            userId,
+            success: Boolean(result.success),
+          })
+        } catch (error) {
+          // The answer is still useful; losing a ledger row must not fail the request
+          console.error('Failed to record AI usage:', error)
+        }
+        return result
+      }
+    }
+    return metered
+  }
+
+  /**
+   * Spend per day and per vehicle in a date range
+   * @param {Object} range
+   * @param {string} range.from - First day (YYYY-MM-DD, UTC)
+   * @param {string} range.to - Last day (YYYY-MM-DD, UTC)
+   * @returns {Promise<Object>} `{ from, to, totals, byDay, byVehicle, budgets }`
+   */
+  async summary({ from, to }) {
+    const start = new Date(`${from}T00:00:00Z`)
+    const end = new Date(new Date(`${to}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000)
+    // One row per day and vehicle; the totals per day and per vehicle are added up from those
+    const { rows } = await this.pool.query(
+      `SELECT to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD') as day, token_id as "tokenId",
+              COUNT(*) as calls,
+              SUM(CASE WHEN success THEN 0 ELSE 1 END) as "failedCalls",
+              SUM(input_tokens) as "inputTokens",
+              SUM(output_tokens) as "outputTokens",
+              COALESCE(SUM(cost_usd), 0) as "costUsd",
+              SUM(CASE WHEN cost_usd IS NULL THEN 1 ELSE 0 END) as "unpricedCalls"
+         FROM vehicle_maintenance.ai_usage
+        WHERE created_at >= $1 AND created_at < $2
+        GROUP BY to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD'), token_id
+        ORDER BY day, "tokenId"`,
+      [start, end]
+    )
+
+    const empty = () => ({ calls: 0, failedCalls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, unpricedCalls: 0 })
+    // COUNT and SUM of integers come back from pg as strings
+    const add = (bucket, row) => {
+      bucket.calls += Number(row.calls)
+      bucket.failedCalls += Number(row.failedCalls)
+      bucket.inputTokens += Number(row.inputTokens)
+      bucket.outputTokens += Number(row.outputTokens)
+      bucket.unpricedCalls += Number(row.unpricedCalls)
+      bucket.costUsd = Math.round((bucket.costUsd + Number(row.costUsd)) * 1e6) / 1e6
+    }
+
+    const totals = empty()
+    const byDay = new Map()
+    const byVehicle = new Map()
+    for (const row of rows) {
+      const { day } = row
+      if (!byDay.has(day)) byDay.set(day, { day, ...empty() })
+      if (!byVehicle.has(row.tokenId)) byVehicle.set(row.tokenId, { tokenId: row.tokenId, ...empty() })
+      add(totals, row)
+      add(byDay.get(day), row)
+      add(byVehicle.get(row.tokenId), row)
+    }
+
+    const spend = await this.monthSpend()
+    return {
+      from,
+      to,
+      totals,
+      byDay: [...byDay.values()],
+      byVehicle: [...byVehicle.values()].sort((a, b) => b.costUsd - a.costUsd),
+      budgets: {
+        monthlyUsd: this.monthlyBudgetUsd,
+        vehicleMonthlyUsd: this.vehicleMonthlyBudgetUsd,
+        spentThisMonthUsd: spend.totalUsd,
+      },
+    }
+  }
+}
+
+function parseBudget(value, name) {
+  if (value == null || value === '') return null
+  const budget = Number(value)
+  if (!Number.isFinite(budget) || budget < 0) {
+    throw new Error(`${name} must be an amount in USD, got "${value}"`)
+  }
+  return budget
+}
+
+// Factory function to create the ledger from AI_MONTHLY_BUDGET_USD, AI_VEHICLE_MONTHLY_BUDGET_USD and AI_MODEL_PRICES
+export function createAIUsageLedger(pool, env = process.env) {
+  let prices = DEFAULT_AI_MODEL_PRICES
+  if (env.AI_MODEL_PRICES) {
+    try {
+      prices = { ...DEFAULT_AI_MODEL_PRICES, ...JSON.parse(env.AI_MODEL_PRICES) }
+    } catch (error) {
+      throw new Error(`AI_MODEL_PRICES must be JSON like {"gpt-4o": {"input": 2.5, "output": 10}}: ${error.message}`)
+    }
+  }
+  return new AIUsageLedger({
+    pool,
+    prices,
+    monthlyBudgetUsd: parseBudget(env.AI_MONTHLY_BUDGET_USD, 'AI_MONTHLY_BUDGET_USD'),
+    vehicleMonthlyBudgetUsd: parseBudget(env.AI_VEHICLE_MONTHLY_BUDGET_USD, 'AI_VEHICLE_MONTHLY_BUDGET_USD'),
+  })
+}
@@ -0,0 +1,358 @@
+import fs from 'fs/promises'
+import crypto from 'crypto'
+
+/**
+ * DIMO developer credentials (vehicle_maintenance.app_credentials), encrypted at rest
+ *
+ * The API key is encrypted with AES-256-GCM under CONFIG_ENCRYPTION_KEY before it reaches the
+ * database and is only decrypted for the server's own calls to DIMO. The client ID and redirect
+ * URI are public (the browser needs them for the DIMO login) and are stored as they are.
+ *
+ * Credentials are kept as named profiles (e.g. staging and production DIMO apps in one deployment).
+ * Requests select a profile themselves or through the user's stored choice; all others use the
+ * default profile (DEFAULT_CONFIG_PROFILE, or the oldest profile when that one does not exist).
+ *
+ * Usage:
+ *   import { createCredentialStore } from './credentials.js'
+ *   const credentials = createCredentialStore(pool, process.env)
+ *   const config = await credentials.load('production') // { name, clientId, redirectUri, apiKey } or null
+ */
+
+export const DEFAULT_PROFILE = 'default'
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/
+const CIPHER = 'aes-256-gcm'
+const CIPHERTEXT_VERSION = 'v1'
+
+export const CREDENTIAL_STATUS_COLUMNS = `name, client_id as "clientId", redirect_uri as "redirectUri",
+  updated_by as "updatedBy", created_at as "createdAt", updated_at as "updatedAt"`
+
+/**
+ * Masked form of a secret for display: only the last 4 characters of longer secrets are kept
+ * @param {string} secret
+ * @returns {string}
+ */
+export function maskSecret(secret) {
+  const value = String(secret || '')
+  return value.length >= 12 ? `••••••••${value.slice(-4)}` : '••••••••'
+}
+
+/**
+ * Validate a profile name (lowercase letters, digits, `-` and `_`, at most 40 characters)
+ * @returns {{ values: Object, errors: string[] }}
+ */
+export function validateProfileName(name) {
+  if (typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name)) {
+    return { values: {}, errors: ['Profile names are 1-40 lowercase letters, digits, "-" or "_", starting with a letter or digit'] }
+  }
+  return { values: { name }, errors: [] }
+}
+
+/**
+ * Validate credentials sent by a client
+ * @param {Object} body - `{ clientId, apiKey, redirectUri }`
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Fields may be omitted (rotation keeps their stored value)
+ * @returns {{ values: Object, errors: string[] }}
+ */
+export function validateCredentials(body, { partial = false } = {}) {
+  const values = {}
+  const errors = []
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { values, errors: ['Request body must be a JSON object'] }
+  }
+
+  for (const field of ['clientId', 'apiKey', 'redirectUri']) {
+    const value = body[field]
+    if (value == null || value === '') {
+      if (!partial && field !== 'redirectUri') errors.push(`${field} is required`)
+      continue
+    }
+    if (typeof value !== 'string' || value.trim() === '') {
+      errors.push(`${field} must be a non-empty string`)
+    } else {
+      values[field] = value.trim()
+    }
+  }
+
+  if (values.redirectUri && !/^https?:\/\/[^\s]+$/.test(values.redirectUri)) {
+    errors.push('redirectUri must be an http(s) URL')
+  }
+  if (partial && errors.length === 0 && Object.keys(values).length === 0) {
+    errors.push('Provide at least one of clientId, apiKey or redirectUri')
+  }
+
+  return { values, errors }
+}
+
+/**
+ * Read an AES-256 key given as 64 hex characters or as base64 of 32 bytes
+ * @returns {Buffer}
+ */
+export function parseEncryptionKey(value) {
+  const text = String(value).trim()
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64')
+  if (key.length !== 32) {
+    throw new Error('CONFIG_ENCRYPTION_KEY must be 32 bytes as base64 or hex (generate one with `openssl rand -base64 32`)')
+  }
+  return key
+}
+
+/**
+ * Encrypt a secret; the result is `v1:<iv>:<auth tag>:<ciphertext>` in base64
+ * @param {string} plaintext
+ * @param {Buffer} key
+ * @param {string} context - Bound to the ciphertext as associated data (the profile name)
+ */
+export function encryptSecret(plaintext, key, context) {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv(CIPHER, key, iv)
+  cipher.setAAD(Buffer.from(context))
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()])
+  return [CIPHERTEXT_VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => typeof part === 'string' ? part : part.toString('base64'))
+    .join(':')
+}
+
+/**
+ * Decrypt a secret written by encryptSecret
+ * @throws {Error} When the value was encrypted under another key or context, or was modified
+ */
+export function decryptSecret(value, key, context) {
+  const [version, iv, tag, ciphertext] = String(value).split(':')
+  if (version !== CIPHERTEXT_VERSION || !ciphertext) {
+    throw new Error('Unsupported encrypted credential format')
+  }
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(iv, 'base64'))
+  decipher.setAAD(Buffer.from(context))
+  decipher.setAuthTag(Buffer.from(tag, 'base64'))
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8')
+}
+
+export class CredentialStore {
+  /**
+   * @param {Object} options
+   * @param {Object} options.pool - pg Pool
+   * @param {Buffer|null} options.key - AES-256 key; without one, credentials can be neither saved nor read
+   * @param {string} [options.defaultProfile] - Profile used when a request does not select one
+   */
+  constructor({ pool, key, defaultProfile = DEFAULT_PROFILE }) {
+    this.pool = pool
+    this.key = key
+    this.defaultProfile = defaultProfile
+  }
+
+  get canEncrypt() {
+    return Boolean(this.key)
+  }
+
+  requireKey() {
+    if (!this.key) {
+      throw new Error('CONFIG_ENCRYPTION_KEY is not set; DIMO credentials cannot be stored or read')
+    }
+  }
+
+  /**
+   * All profiles without their API keys, oldest first
+   * @returns {Promise<Object[]>} `[{ name, clientId, redirectUri, updatedBy, createdAt, updatedAt }]`
+   */
+  async list() {
+    const { rows } = await this.pool.query(
+      `SELECT ${CREDENTIAL_STATUS_COLUMNS} FROM vehicle_maintenance.app_credentials ORDER BY created_at, name`
+    )
+    return rows
+  }
+
+  /**
+   * Profile used when none is selected: the configured default, or else the oldest profile
+   * @returns {Promise<string|null>} null when no profile is stored
+   */
+  async resolveDefaultProfile() {
+    const { rows } = await this.pool.query(
+      `SELECT name FROM vehicle_maintenance.app_credentials
+        ORDER BY CASE WHEN name = $1 THEN 0 ELSE 1 END, created_at, name
+        LIMIT 1`,
+      [this.defaultProfile]
+    )
+    return rows[0]?.name || null
+  }
+
+  /**
+   * Profile a request runs with: the one it names, else the user's stored choice, else the default
+   * @param {Object} [request]
+   * @param {string|null} [request.requested] - Profile named by the request (X-Config-Profile)
+   * @param {string|null} [request.userId] - Wallet address or subject of the requesting user
+   * @returns {Promise<string|null>} null when no profile is stored
+   */
+  async resolveProfile({ requested = null, userId = null } = {}) {
+    if (requested) return requested
+    const selected = userId ? await this.userProfile(userId) : null
+    return selected || await this.resolveDefaultProfile()
+  }
+
+  /**
+   * Stored credentials of a profile without the API key (nothing is decrypted)
+   * @param {string} name - Profile name
+   * @returns {Promise<Object|null>} `{ name, clientId, redirectUri, updatedBy, createdAt, updatedAt }`
+   */
+  async status(name) {
+    const { rows } = await this.pool.query(
+      `SELECT ${CREDENTIAL_STATUS_COLUMNS} FROM vehicle_maintenance.app_credentials WHERE name = $1`,
+      [name]
+    )
+    return rows[0] || null
+  }
+
+  /**
+   * Stored credentials of a profile with the decrypted API key, for calls to DIMO only
+   * @param {string} name - Profile name
+   * @returns {Promise<Object|null>} `{ name, clientId, redirectUri, apiKey }`
+   */
+  async load(name) {
+    const { rows } = await this.pool.query(
+      `SELECT name, client_id as "clientId", redirect_uri as "redirectUri", api_key_encrypted as "apiKeyEncrypted"
+         FROM vehicle_maintenance.app_credentials WHERE name = $1`,
+      [name]
+    )
+    if (!rows[0]) return null
+    this.requireKey()
+
+    const { apiKeyEncrypted, ...config } = rows[0]
+    try {
+      return { ...config, apiKey: decryptSecret(apiKeyEncrypted, this.key, name) }
+    } catch (error) {
+      throw new Error(`DIMO credentials of profile "${name}" cannot be decrypted with CONFIG_ENCRYPTION_KEY: ${error.message}`)
+    }
+  }
+
+  /**
+   * Store a new profile; an existing profile of the same name is left alone
+   * @param {string} name - Profile name
+   * @param {Object} config - `{ clientId, apiKey, redirectUri }`
+   * @param {string|null} [updatedBy] - Who stored it
+   * @returns {Promise<Object|null>} Status of the new profile, or null when the name is taken
+   */
+  async create(name, { clientId, apiKey, redirectUri }, updatedBy = null) {
+    this.requireKey()
+    const { rows } = await this.pool.query(
+      `INSERT INTO vehicle_maintenance.app_credentials (name, client_id, redirect_uri, api_key_encrypted, updated_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (name) DO NOTHING
+       RETURNING ${CREDENTIAL_STATUS_COLUMNS}`,
+      [name, clientId, redirectUri, encryptSecret(apiKey, this.key, name), updatedBy]
+    )
+    return rows[0] || null
+  }
+
+  /**
+   * Replace some or all of the credentials of a profile (key rotation)
+   * @param {string} name - Profile name
+   * @param {Object} changes - `{ clientId, apiKey, redirectUri }`; omitted fields keep their value
+   * @param {string|null} [updatedBy] - Who rotated them
+   * @returns {Promise<Object|null>} Status of the updated profile, or null when it does not exist
+   */
+  async update(name, { clientId, apiKey, redirectUri }, updatedBy = null) {
+    this.requireKey()
+    const { rows } = await this.pool.query(
+      `UPDATE vehicle_maintenance.app_credentials
+          SET client_id = COALESCE($2, client_id),
+              redirect_uri = COALESCE($3, redirect_uri),
+              api_key_encrypted = COALESCE($4, api_key_encrypted),
+              updated_by = $5,
+              updated_at = NOW()
+        WHERE name = $1
+        RETURNING ${CREDENTIAL_STATUS_COLUMNS}`,
+      [
+        name,
+        clientId ?? null,
+        redirectUri ?? null,
+        apiKey ? encryptSecret(apiKey, this.key, name) : null,
+        updatedBy,
+      ]
+    )
+    return rows[0] || null
+  }
+
+  /**
+   * Delete a profile (users who selected it fall back to the default)
+   * @param {string} name - Profile name
+   * @returns {Promise<boolean>} false when it does not exist
+   */
+  async remove(name) {
+    const { rowCount } = await this.pool.query(
+      'DELETE FROM vehicle_maintenance.app_credentials WHERE name = $1',
+      [name]
+    )
+    return rowCount > 0
+  }
+
+  /**
+   * Profile a user selected for their requests
+   * @param {string} userId - Wallet address or subject of the user
+   * @returns {Promise<string|null>} null when the user has not selected one (or it was deleted)
+   */
+  async userProfile(userId) {
+    const { rows } = await this.pool.query(
+      `SELECT p.profile
+         FROM vehicle_maintenance.user_config_profiles p
+         JOIN vehicle_maintenance.app_credentials c ON c.name = p.profile
+        WHERE p.user_id = $1`,
+      [userId]
+    )
+    return rows[0]?.profile || null
+  }
+
+  /**
+   * Select the profile used for a user's requests that do not name one
+   * @param {string} userId - Wallet address or subject of the user
+   * @param {string} name - Profile name (must exist)
+   */
+  async setUserProfile(userId, name) {
+    await this.pool.query(
+      `INSERT INTO vehicle_maintenance.user_config_profiles (user_id, profile)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id) DO UPDATE SET profile = EXCLUDED.profile, updated_at = NOW()`,
+      [userId, name]
+    )
+  }
+
+  /**
+   * Move credentials from the plain-text app-config.json of earlier versions into the default profile
+   * The file is deleted once its credentials are stored encrypted (or the profile already existed).
+   * @param {string} filePath
+   * @returns {Promise<boolean>} Whether a file was imported
+   */
+  async importLegacyFile(filePath) {
+    let config
+    try {
+      config = JSON.parse(await fs.readFile(filePath, 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') return false
+      throw new Error(`Failed to read ${filePath}: ${error.message}`)
+    }
+    if (!this.canEncrypt) {
+      console.warn(`⚠️  ${filePath} holds DIMO credentials in plain text; set CONFIG_ENCRYPTION_KEY to move them into the database`)
+      return false
+    }
+
+    if (config?.clientId && config?.apiKey) {
+      const created = await this.create(this.defaultProfile, config, 'app-config.json')
+      if (!created) {
+        console.warn(`⚠️  Profile "${this.defaultProfile}" already exists; discarding the credentials in ${filePath}`)
+      }
+    }
+    await fs.unlink(filePath)
+    return true
+  }
+}
+
+// Factory function to create the credential store from CONFIG_ENCRYPTION_KEY and DEFAULT_CONFIG_PROFILE
+export function createCredentialStore(pool, env = process.env) {
+  const key = env.CONFIG_ENCRYPTION_KEY ? parseEncryptionKey(env.CONFIG_ENCRYPTION_KEY) : null
+  const defaultProfile = env.DEFAULT_CONFIG_PROFILE || DEFAULT_PROFILE
+  const { errors } = validateProfileName(defaultProfile)
+  if (errors.length > 0) {
+    throw new Error(`DEFAULT_CONFIG_PROFILE: ${errors.join('; ')}`)
+  }
+  return new CredentialStore({ pool, key, defaultProfile })
+}
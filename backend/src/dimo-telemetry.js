@@ -0,0 +1,183 @@
+import { parseServiceDate } from './maintenance-records.js'
+import { tokenCacheKey } from './token-cache.js'
+
+// Odometer history granularities mapped to DIMO telemetry intervals
+// Intervals are fixed durations counted from the start of the range, so `monthly` buckets are
+// 30 days long and drift from calendar months.
+export const ODOMETER_GRANULARITIES = {
+  daily: '24h',
+  weekly: '168h',
+  monthly: '720h',
+}
+
+// Vehicle JWT privileges requested for telemetry (1: non-location history)
+const TELEMETRY_PRIVILEGES = [1]
+
+// Preset ranges accepted as ?range=, in days
+export const ODOMETER_RANGES = {
+  '30d': 30,
+  '90d': 90,
+  '1y': 365,
+  '2y': 730,
+  '4y': 1461,
+}
+
+const MAX_ODOMETER_DAYS = 5 * 366
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Parse odometer history query parameters
+ * Either `range` (a preset) or `from`/`to` (YYYY-MM-DD) select the window; `to` defaults to today
+ * @param {Object} query - req.query ({ range, from, to, granularity })
+ * @returns {{values: Object, errors: string[]}} { from, to, granularity, interval } and validation errors
+ */
+export function parseOdometerQuery(query = {}) {
+  const errors = []
+  const today = new Date().toISOString().slice(0, 10)
+  const isDate = (v) => typeof v === 'string' && v.length === 10 && parseServiceDate(v) === v
+
+  const granularity = query.granularity || 'monthly'
+  if (!Object.hasOwn(ODOMETER_GRANULARITIES, granularity)) {
+    errors.push(`granularity must be one of ${Object.keys(ODOMETER_GRANULARITIES).join(', ')}`)
+  }
+
+  let to = today
+  if (query.to !== undefined) {
+    if (isDate(query.to)) to = query.to
+    else errors.push('to must be a date in YYYY-MM-DD format')
+  }
+
+  let from
+  if (query.from !== undefined) {
+    if (query.range !== undefined) errors.push('Use either range or from, not both')
+    if (isDate(query.from)) from = query.from
+    else errors.push('from must be a date in YYYY-MM-DD format')
+  } else {
+    const range = query.range || '1y'
+    if (Object.hasOwn(ODOMETER_RANGES, range)) {
+      from = new Date(Date.parse(`${to}T00:00:00Z`) - ODOMETER_RANGES[range] * DAY_MS).toISOString().slice(0, 10)
+    } else {
+      errors.push(`range must be one of ${Object.keys(ODOMETER_RANGES).join(', ')}`)
+    }
+  }
+
+  if (from && to && errors.length === 0) {
+    if (from > to) errors.push('from must not be after to')
+    else if ((Date.parse(to) - Date.parse(from)) / DAY_MS > MAX_ODOMETER_DAYS) errors.push('The range can span at most 5 years')
+  }
+
+  return { values: { from, to, granularity, interval: ODOMETER_GRANULARITIES[granularity] }, errors }
+}
+
+/**
+ * DIMO telemetry access on behalf of the app
+ *
+ * Vehicle JWTs are obtained by exchanging the app's developer JWT, so only
+ * vehicles that shared telemetry with the app can be queried.
+ */
+export class DimoTelemetryService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.dimo - DIMO SDK instance
+   * @param {Function} options.loadConfig - Resolves the credentials of a profile ({ clientId, redirectUri, apiKey })
+   * @param {Object} [options.tokenCache] - TokenCache for developer and vehicle JWTs (see token-cache.js)
+   */
+  constructor({ dimo, loadConfig, tokenCache = null }) {
+    this.dimo = dimo
+    this.loadConfig = loadConfig
+    this.tokenCache = tokenCache
+  }
+
+  cached(key, kind, create) {
+    return this.tokenCache ? this.tokenCache.get(key, kind, create) : create()
+  }
+
+  /**
+   * Get a vehicle JWT (as SDK auth headers) for a token ID
+   * Developer and vehicle JWTs are reused from the token cache until shortly before they expire.
+   * @param {number} tokenId - Vehicle token ID
+   * @param {Object} [options]
+   * @param {string} [options.profile] - Configuration profile whose developer credentials are used
+   * @param {Object} [options.config] - Credentials the caller already loaded (instead of `profile`)
+   * @param {boolean} [options.refresh] - Drop the cached vehicle JWT first (e.g. after DIMO rejected it)
+   * @returns {Promise<Object>} `{ headers: { Authorization } }`
+   */
+  async getVehicleJwt(tokenId, { profile, config: loaded, refresh = false } = {}) {
+    const config = loaded || await this.loadConfig(profile)
+    if (!config) {
+      throw new Error('No configuration found. Please configure the app first.')
+    }
+    const id = parseInt(tokenId, 10)
+    const key = tokenCacheKey(config.clientId, 'vehicle', id, TELEMETRY_PRIVILEGES)
+    if (refresh && this.tokenCache) {
+      await this.tokenCache.invalidate(key)
+    }
+
+    return await this.cached(key, 'vehicle', async () => {
+      const developerJwt = await this.cached(tokenCacheKey(config.clientId, 'developer'), 'developer', () =>
+        this.dimo.auth.getDeveloperJwt({
+          client_id: config.clientId,
+          domain: config.redirectUri,
+          private_key: config.apiKey,
+        })
+      )
+
+      return await this.dimo.tokenexchange.exchange({
+        ...developerJwt,
+        privileges: TELEMETRY_PRIVILEGES,
+        tokenId: id
+      })
+    })
+  }
+
+  /**
+   * Drop the cached JWTs of a developer app (after its credentials changed)
+   * @param {string} clientId
+   * @returns {Promise<number>} Number of tokens dropped
+   */
+  async invalidateTokens(clientId) {
+    return this.tokenCache ? await this.tokenCache.invalidate(tokenCacheKey(clientId)) : 0
+  }
+
+  /**
+   * Query max odometer readings (km) per interval
+   * @param {number} tokenId - Vehicle token ID
+   * @param {Object} range
+   * @param {string} range.from - Start date (YYYY-MM-DD)
+   * @param {string} range.to - End date (YYYY-MM-DD, inclusive)
+   * @param {string} range.interval - Aggregation interval, e.g. "24h"
+   * @param {string} [range.profile] - Configuration profile whose developer credentials are used
+   * @param {Object} [range.config] - Credentials the caller already loaded (instead of `profile`)
+   * @returns {Promise<Object>} `{ vin, signals: [{ timestamp, powertrainTransmissionTravelledDistance }] }`
+   */
+  async getOdometerSignals(tokenId, { from, to, interval, profile, config }) {
+    const vehicleJwt = await this.getVehicleJwt(tokenId, { profile, config })
+    const id = parseInt(tokenId, 10)
+
+    const result = await this.dimo.telemetry.query({
+      ...vehicleJwt,
+      query: `
+        {
+          vinVCLatest(tokenId: ${id}) {
+            vin
+          }
+          signals(tokenId: ${id}, interval: "${interval}", from: "${from}T00:00:00Z", to: "${to}T23:59:59Z") {
+            powertrainTransmissionTravelledDistance (agg: MAX)
+            timestamp
+          }
+        }
+      `
+    })
+
+    return {
+      vin: result?.data?.vinVCLatest?.vin || null,
+      signals: result?.data?.signals || [],
+      raw: result,
+    }
+  }
+}
+
+// Factory function to create the telemetry service
+export function createDimoTelemetryService(options) {
+  return new DimoTelemetryService(options)
+}
@@ -0,0 +1,302 @@
+/**
+ * Postgres-backed queue for uploaded maintenance documents (vehicle_maintenance.document_jobs)
+ *
+ * Uploads are moved to document storage and stored as queued jobs, and answered immediately;
+ * workers in this process claim jobs with FOR UPDATE SKIP LOCKED, run the handler and record
+ * progress, so the client can poll the job instead of waiting on the upload. A job only refers
+ * to its document by storage key, so several server instances can share the table as long as
+ * they share the document storage (e.g. DOCUMENT_STORAGE_DIR on a shared volume).
+ *
+ * The handler receives `(job, reportProgress, complete)` and returns `{ success, draftIds, source }` or
+ * `{ success: false, error, details, retryable }`. Thrown errors are retried, so the handler must
+ * leave the stored document in place until the job succeeded. A handler that saves its results
+ * calls `complete(client, { draftIds, source })` in the transaction that saves them: the job is
+ * marked succeeded in the same transaction, or `complete` throws a DocumentJobLostError (rolling
+ * the results back) when the lock timed out and another worker took the job over, so a job's
+ * drafts are never saved twice. `onFailed(job)` is called once a job failed for good, e.g. to
+ * remove its document.
+ *
+ * Usage:
+ *   import { createDocumentJobQueue } from './document-jobs.js'
+ *   const queue = createDocumentJobQueue({ pool, handler, onFailed, concurrency: 2 })
+ *   queue.start()
+ *   const job = await queue.enqueue({ tokenId, documentKey, documentName, documentMime })
+ */
+
+export const DOCUMENT_JOB_COLUMNS = `id, token_id as "tokenId", status, stage, progress, attempts,
+              max_attempts as "maxAttempts", run_at as "runAt", document_name as "documentName",
+              source, draft_ids as "draftIds", error, details, created_at as "createdAt", updated_at as "updatedAt"`
+
+// Finished jobs are kept this long so a reopened page can still show what happened
+const FINISHED_JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000
+const PURGE_INTERVAL_MS = 60 * 60 * 1000
+
+// The worker running an attempt no longer holds its job (see DocumentJobQueue.complete)
+export class DocumentJobLostError extends Error {
+  constructor(jobId) {
+    super(`Document job ${jobId} was taken over by another worker`)
+    this.name = 'DocumentJobLostError'
+  }
+}
+
+/**
+ * Map a document_jobs row to API shape
+ * @param {Object} row - Row selected with DOCUMENT_JOB_COLUMNS
+ * @returns {Object} API job
+ */
+export function normalizeDocumentJob(row) {
+  return {
+    id: row.id,
+    tokenId: row.tokenId,
+    status: row.status,
+    stage: row.stage,
+    progress: row.progress,
+    attempts: row.attempts,
+    maxAttempts: row.maxAttempts,
+    // When a queued job that already failed will be tried again
+    nextAttemptAt: row.status === 'queued' && row.attempts > 0 ? row.runAt : null,
+    documentName: row.documentName,
+    source: row.source,
+    draftIds: row.draftIds || [],
+    error: row.error,
+    details: row.details,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt,
+  }
+}
+
+export class DocumentJobQueue {
+  /**
+   * @param {Object} options
+   * @param {Object} options.pool - pg Pool
+   * @param {Function} options.handler - Processes a claimed job (see module comment)
+   * @param {Function} [options.onFailed] - Called with a job that failed for good
+   * @param {number} [options.concurrency] - Jobs processed at the same time by this process
+   * @param {number} [options.maxAttempts] - Attempts before a job fails for good
+   * @param {number} [options.retryDelayMs] - Delay before the first retry; doubled for each further attempt
+   * @param {number} [options.pollIntervalMs] - How often idle workers look for jobs
+   * @param {number} [options.lockTimeoutMs] - After this long a processing job is considered abandoned (crashed worker)
+   * @param {number} [options.purgeIntervalMs] - How often finished jobs past their retention are deleted
+   */
+  constructor({
+    pool,
+    handler,
+    onFailed = async () => {},
+    concurrency = 2,
+    maxAttempts = 3,
+    retryDelayMs = 10_000,
+    pollIntervalMs = 2000,
+    lockTimeoutMs = 10 * 60 * 1000,
+    purgeIntervalMs = PURGE_INTERVAL_MS,
+  }) {
+    this.pool = pool
+    this.handler = handler
+    this.onFailed = onFailed
+    this.concurrency = concurrency
+    this.maxAttempts = maxAttempts
+    this.retryDelayMs = retryDelayMs
+    this.pollIntervalMs = pollIntervalMs
+    this.lockTimeoutMs = lockTimeoutMs
+    this.purgeIntervalMs = purgeIntervalMs
+    this.active = 0
+    this.timer = null
+    this.purgeTimer = null
+    this.polling = false
+  }
+
+  /**
+   * Queue an uploaded document
+   * @param {Object} job
+   * @param {number} job.tokenId - Vehicle token ID
+   * @param {string} job.documentKey - Document storage key of the upload; the job owns it from now on
+   * @param {string} job.documentName - Original file name
+   * @param {string} job.documentMime - MIME type
+   * @param {string} [job.requestedBy] - User who uploaded the document
+   * @returns {Promise<Object>} API job
+   */
+  async enqueue({ tokenId, documentKey, documentName, documentMime, requestedBy = null }) {
+    const { rows } = await this.pool.query(
+      `INSERT INTO vehicle_maintenance.document_jobs
+       (token_id, document_key, document_name, document_mime, requested_by, max_attempts, stage)
+       VALUES ($1, $2, $3, $4, $5, $6, 'queued')
+       RETURNING ${DOCUMENT_JOB_COLUMNS}`,
+      [tokenId, documentKey, documentName, documentMime, requestedBy, this.maxAttempts]
+    )
+    this.poll()
+    return normalizeDocumentJob(rows[0])
+  }
+
+  start() {
+    if (this.timer) return
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs)
+    this.timer.unref?.()
+    const purge = () => this.purgeFinished().catch(error => console.error('Failed to purge finished document jobs:', error))
+    this.purgeTimer = setInterval(purge, this.purgeIntervalMs)
+    this.purgeTimer.unref?.()
+    purge()
+    this.poll()
+  }
+
+  stop() {
+    clearInterval(this.timer)
+    clearInterval(this.purgeTimer)
+    this.timer = null
+    this.purgeTimer = null
+  }
+
+  /**
+   * Claim jobs until every worker slot is busy or the queue is empty
+   */
+  async poll() {
+    if (this.polling) return
+    this.polling = true
+    try {
+      while (this.active < this.concurrency) {
+        const job = await this.claim()
+        if (!job) break
+        this.active++
+        this.run(job).finally(() => {
+          this.active--
+          this.poll()
+        })
+      }
+    } catch (error) {
+      console.error('Failed to claim document job:', error)
+    } finally {
+      this.polling = false
+    }
+  }
+
+  /**
+   * Lock the next due job (or one abandoned by a crashed worker) and count the attempt
+   * `lockedAt` is the lock's timestamp as text, so it compares exactly (JS dates drop microseconds).
+   * @returns {Promise<Object|null>} Job row including document_key, requested_by and lockedAt, or null when there is nothing to do
+   */
+  async claim() {
+    const { rows } = await this.pool.query(
+      `UPDATE vehicle_maintenance.document_jobs
+          SET status = 'processing', stage = 'starting', progress = 5, attempts = attempts + 1,
+              locked_at = NOW(), updated_at = NOW()
+        WHERE id = (
+          SELECT id FROM vehicle_maintenance.document_jobs
+           WHERE (status = 'queued' AND run_at <= NOW())
+              OR (status = 'processing' AND locked_at < $1)
+           ORDER BY run_at, id
+           LIMIT 1
+           FOR UPDATE SKIP LOCKED
+        )
+        RETURNING ${DOCUMENT_JOB_COLUMNS}, document_key as "documentKey", document_mime as "documentMime",
+                  requested_by as "requestedBy", locked_at::text as "lockedAt"`,
+      [new Date(Date.now() - this.lockTimeoutMs)]
+    )
+    return rows[0] || null
+  }
+
+  /**
+   * Record progress of a running attempt; this also renews its lock, so a slow extraction is not
+   * taken for an abandoned one
+   */
+  async reportProgress(job, progress, stage) {
+    try {
+      const { rows } = await this.pool.query(
+        `UPDATE vehicle_maintenance.document_jobs
+            SET progress = $4, stage = $5, locked_at = NOW(), updated_at = NOW()
+          WHERE id = $1 AND status = 'processing' AND attempts = $2 AND locked_at = $3::timestamptz
+          RETURNING locked_at::text as "lockedAt"`,
+        [job.id, job.attempts, job.lockedAt, progress, stage]
+      )
+      if (rows.length > 0) job.lockedAt = rows[0].lockedAt
+    } catch (error) {
+      console.error(`Failed to record progress of document job ${job.id}:`, error)
+    }
+  }
+
+  /**
+   * Mark a running attempt succeeded in the caller's transaction
+   * @param {Object} client - pg client with an open transaction that saves the job's results
+   * @param {Object} job - Claimed job
+   * @param {Object} result - `{ draftIds, source }`
+   * @throws {DocumentJobLostError} When the lock changed since this worker last held it
+   */
+  async complete(client, job, { draftIds, source }) {
+    const { rowCount } = await client.query(
+      `UPDATE vehicle_maintenance.document_jobs
+          SET status = 'succeeded', stage = 'done', progress = 100, draft_ids = $4, source = $5,
+              error = NULL, details = NULL, locked_at = NULL, updated_at = NOW()
+        WHERE id = $1 AND status = 'processing' AND attempts = $2 AND locked_at = $3::timestamptz`,
+      [job.id, job.attempts, job.lockedAt, draftIds, source]
+    )
+    if (rowCount === 0) throw new DocumentJobLostError(job.id)
+    job.completed = true
+  }
+
+  async run(job) {
+    let result
+    if (job.attempts > job.maxAttempts) {
+      // Only reached for jobs whose worker died during the last attempt
+      result = { success: false, error: 'Processing was interrupted too many times', retryable: false }
+    } else {
+      try {
+        result = await this.handler(
+          job,
+          (progress, stage) => this.reportProgress(job, progress, stage),
+          (client, completed) => this.complete(client, job, completed)
+        )
+      } catch (error) {
+        if (error instanceof DocumentJobLostError) return this.warnDropped(job)
+        console.error(`Document job ${job.id} failed:`, error)
+        result = { success: false, error: error.message, retryable: true }
+      }
+    }
+
+    // Every result update only applies while this attempt still holds the job; when the lock
+    // timed out and another worker claimed it, that worker's run decides the outcome
+    try {
+      if (result.success) {
+        // Already recorded together with the handler's results
+        if (!job.completed) await this.complete(this.pool, job, result)
+      } else if (result.retryable && job.attempts < job.maxAttempts) {
+        const delay = this.retryDelayMs * 2 ** (job.attempts - 1)
+        const { rowCount } = await this.pool.query(
+          `UPDATE vehicle_maintenance.document_jobs
+              SET status = 'queued', stage = 'waiting to retry', progress = 0, run_at = $4,
+                  error = $5, details = $6, locked_at = NULL, updated_at = NOW()
+            WHERE id = $1 AND status = 'processing' AND attempts = $2 AND locked_at = $3::timestamptz`,
+          [job.id, job.attempts, job.lockedAt, new Date(Date.now() + delay), result.error, result.details ? JSON.stringify(result.details) : null]
+        )
+        if (rowCount === 0) throw new DocumentJobLostError(job.id)
+      } else {
+        const { rowCount } = await this.pool.query(
+          `UPDATE vehicle_maintenance.document_jobs
+              SET status = 'failed', stage = 'failed', progress = 100,
+                  error = $4, details = $5, locked_at = NULL, updated_at = NOW()
+            WHERE id = $1 AND status = 'processing' AND attempts = $2 AND locked_at = $3::timestamptz`,
+          [job.id, job.attempts, job.lockedAt, result.error, result.details ? JSON.stringify(result.details) : null]
+        )
+        if (rowCount === 0) throw new DocumentJobLostError(job.id)
+        await this.onFailed(job).catch(error => console.error(`Failed to clean up document job ${job.id}:`, error))
+      }
+    } catch (error) {
+      if (error instanceof DocumentJobLostError) return this.warnDropped(job)
+      // The lock times out and the job is picked up again
+      console.error(`Failed to record the result of document job ${job.id}:`, error)
+    }
+  }
+
+  warnDropped(job) {
+    console.warn(`Dropped the result of document job ${job.id} attempt ${job.attempts}: another worker took the job over`)
+  }
+
+  async purgeFinished() {
+    await this.pool.query(
+      `DELETE FROM vehicle_maintenance.document_jobs
+        WHERE status IN ('succeeded', 'failed') AND updated_at < $1`,
+      [new Date(Date.now() - FINISHED_JOB_RETENTION_MS)]
+    )
+  }
+}
+
+// Factory function to create the document job queue
+export function createDocumentJobQueue(options) {
+  return new DocumentJobQueue(options)
+}
@@ -0,0 +1,83 @@
+import fs from 'fs/promises'
+import path from 'path'
+import crypto from 'crypto'
+
+/**
+ * Storage for original invoice documents (PDFs and images)
+ *
+ * A document store implements:
+ *   save(filePath, { tokenId, originalName }) -> key   (takes ownership of filePath)
+ *   read(key) -> Buffer
+ *   remove(key)
+ *
+ * Keys are opaque strings stored in the database, so other backends (e.g. S3)
+ * can be added without schema changes.
+ */
+export class LocalDocumentStorage {
+  constructor(baseDir) {
+    this.baseDir = baseDir
+  }
+
+  /**
+   * Move an uploaded file into the document store
+   * @param {string} filePath - Path of the uploaded temp file
+   * @param {Object} meta
+   * @param {number} meta.tokenId - Vehicle token ID
+   * @param {string} meta.originalName - Original file name (used for the extension)
+   * @returns {Promise<string>} Storage key
+   */
+  async save(filePath, { tokenId, originalName }) {
+    const ext = path.extname(originalName || filePath).toLowerCase().replace(/[^.a-z0-9]/g, '')
+    const key = `${parseInt(tokenId, 10)}/${crypto.randomUUID()}${ext}`
+    const target = this.resolve(key)
+
+    await fs.mkdir(path.dirname(target), { recursive: true })
+    try {
+      await fs.rename(filePath, target)
+    } catch (error) {
+      // rename fails across devices; fall back to copy + delete
+      if (error.code !== 'EXDEV') throw error
+      await fs.copyFile(filePath, target)
+      await fs.unlink(filePath)
+    }
+    return key
+  }
+
+  /**
+   * Read a stored document
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer>} File contents
+   */
+  async read(key) {
+    return await fs.readFile(this.resolve(key))
+  }
+
+  /**
+   * Delete a stored document; missing files are ignored
+   * @param {string} key - Storage key
+   */
+  async remove(key) {
+    try {
+      await fs.unlink(this.resolve(key))
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+    }
+  }
+
+  resolve(key) {
+    if (!/^\d+\/[0-9a-f-]+(\.[a-z0-9]+)?$/.test(key)) {
+      throw new Error(`Invalid document key: ${key}`)
+    }
+    return path.join(this.baseDir, key)
+  }
+}
+
+// Factory function to create the document store selected by DOCUMENT_STORAGE
+export function createDocumentStorage({ type = 'local', baseDir } = {}) {
+  switch (type) {
+    case 'local':
+      return new LocalDocumentStorage(baseDir)
+    default:
+      throw new Error(`Unsupported DOCUMENT_STORAGE "${type}"`)
+  }
+}
@@ -0,0 +1,105 @@
+import crypto from 'crypto'
+import fs from 'fs/promises'
+
+/**
+ * Duplicate invoice detection for uploaded documents
+ *
+ * A draft is flagged against a maintenance record of the same vehicle when it is the same visit of
+ * a byte-for-byte identical document (SHA-256 and position in the document), or when the service dates are at most
+ * DATE_TOLERANCE_DAYS apart and the totals match, unless both name a clearly different shop.
+ *
+ * Usage:
+ *   import { findDuplicateRecords, hashFile } from './duplicates.js'
+ *   const duplicates = findDuplicateRecords({ ...draft.fields, documentSha256, documentVisit }, records)
+ */
+
+// Columns of maintenance_records compared with a draft
+export const DUPLICATE_CANDIDATE_COLUMNS = `id, service_date as "serviceDate", total_cost as "totalCost", summary,
+              shop_name as "shopName", mileage, document_sha256 as "documentSha256", document_visit as "documentVisit",
+              document_name as "documentName"`
+
+const DATE_TOLERANCE_DAYS = 3
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * SHA-256 of a file, hex encoded
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+export async function hashFile(filePath) {
+  return crypto.createHash('sha256').update(await fs.readFile(filePath)).digest('hex')
+}
+
+// Words of a shop name without punctuation and legal suffixes
+function shopWords(name) {
+  return new Set(String(name).toLowerCase()
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !['inc', 'llc', 'ltd', 'co', 'the', 'and'].includes(word)))
+}
+
+/**
+ * Similarity of two shop names: shared words over the words of the shorter name
+ * @returns {number|null} 0 to 1, or null when either name is missing
+ */
+export function shopSimilarity(a, b) {
+  if (!a || !b) return null
+  const wordsA = shopWords(a)
+  const wordsB = shopWords(b)
+  if (wordsA.size === 0 || wordsB.size === 0) return null
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length
+  return shared / Math.min(wordsA.size, wordsB.size)
+}
+
+// Totals match within a cent-level tolerance (1% for OCR/rounding differences, at most $1)
+function sameTotal(a, b) {
+  if (a == null || b == null) return false
+  return Math.abs(Number(a) - Number(b)) <= Math.min(1, Math.max(0.01, Number(b) * 0.01))
+}
+
+/**
+ * Maintenance records that a draft probably duplicates
+ * @param {Object} draft - Draft fields ({ serviceDate, totalCost, shopName }), `documentSha256` and `documentVisit`
+ * @param {Array<Object>} records - Records of the same vehicle selected with DUPLICATE_CANDIDATE_COLUMNS
+ *   (serviceDate as YYYY-MM-DD)
+ * @returns {Array<Object>} `[{ recordId, serviceDate, totalCost, summary, shopName, documentName, match, reasons }]`
+ *   with match `exact` (same file) or `likely`, exact matches first
+ */
+export function findDuplicateRecords(draft, records) {
+  const duplicates = []
+
+  for (const record of records) {
+    const reasons = []
+    // Other visits of the same document are different services
+    const sameDocument = Boolean(draft.documentSha256 && record.documentSha256 === draft.documentSha256 &&
+      (record.documentVisit ?? 0) === (draft.documentVisit ?? 0))
+    if (sameDocument) reasons.push('same document')
+
+    let dateDiff = null
+    if (draft.serviceDate && record.serviceDate) {
+      dateDiff = Math.abs(Date.parse(draft.serviceDate) - Date.parse(record.serviceDate)) / DAY_MS
+      if (dateDiff === 0) reasons.push('same service date')
+      else if (dateDiff <= DATE_TOLERANCE_DAYS) reasons.push(`service dates ${dateDiff} day${dateDiff === 1 ? '' : 's'} apart`)
+    }
+    const totalMatches = sameTotal(draft.totalCost, record.totalCost)
+    if (totalMatches) reasons.push('same total')
+    const shop = shopSimilarity(draft.shopName, record.shopName)
+    if (shop != null && shop >= 0.5) reasons.push('same shop')
+
+    const likely = dateDiff != null && dateDiff <= DATE_TOLERANCE_DAYS && totalMatches && (shop == null || shop >= 0.5)
+    if (sameDocument || likely) {
+      duplicates.push({
+        recordId: record.id,
+        serviceDate: record.serviceDate,
+        totalCost: record.totalCost != null ? Number(record.totalCost) : null,
+        summary: record.summary,
+        shopName: record.shopName,
+        documentName: record.documentName,
+        match: sameDocument ? 'exact' : 'likely',
+        reasons,
+      })
+    }
+  }
+
+  return duplicates.sort((a, b) => (a.match === 'exact' ? 0 : 1) - (b.match === 'exact' ? 0 : 1))
+}
@@ -0,0 +1,308 @@
+import crypto from 'crypto'
+import fs from 'fs/promises'
+
+/**
+ * DIMO JWT verification against the issuer's JWKS
+ *
+ * Usage:
+ *   import { createJwtVerifier, vehicleJwtMiddleware } from './jwt-verifier.js'
+ *   const verifier = createJwtVerifier(process.env, 'vehicle')
+ *   app.get('/api/maintenance/:tokenId', vehicleJwtMiddleware(verifier), handler)
+ */
+
+// Signature algorithms accepted in the JWT header, mapped to node:crypto parameters
+const ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+}
+
+const CLOCK_SKEW_SECONDS = 30
+const MIN_REFRESH_INTERVAL_MS = 60 * 1000
+
+export class JwtVerificationError extends Error {
+  constructor(message, status = 401) {
+    super(message)
+    this.name = 'JwtVerificationError'
+    this.status = status
+  }
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'))
+}
+
+/**
+ * Verifies JWT signatures with keys from a JWKS URL, a JWKS file, or an in-memory key set
+ */
+export class JwksVerifier {
+  /**
+   * @param {Object} options
+   * @param {string} [options.jwksUrl] - Remote JWKS endpoint
+   * @param {string} [options.jwksFile] - Local JWKS file (stand-in key set for development and tests)
+   * @param {Object} [options.jwks] - In-memory JWKS ({ keys: [...] })
+   * @param {string} [options.issuer] - Expected `iss` claim
+   * @param {number} [options.cacheTtlMs] - How long fetched keys are reused
+   */
+  constructor({ jwksUrl, jwksFile, jwks, issuer, cacheTtlMs = 60 * 60 * 1000 } = {}) {
+    this.jwksUrl = jwksUrl
+    this.jwksFile = jwksFile
+    this.issuer = issuer
+    this.cacheTtlMs = cacheTtlMs
+    this.keys = jwks ? this.importKeys(jwks) : null
+    this.keysLoadedAt = jwks ? Infinity : 0
+    this.loading = null
+  }
+
+  importKeys(jwks) {
+    const keys = new Map()
+    for (const jwk of jwks?.keys || []) {
+      if (jwk.use && jwk.use !== 'sig') continue
+      try {
+        keys.set(jwk.kid || '', crypto.createPublicKey({ key: jwk, format: 'jwk' }))
+      } catch (error) {
+        console.warn(`Skipping unusable JWKS key ${jwk.kid}:`, error.message)
+      }
+    }
+    return keys
+  }
+
+  async loadKeys() {
+    if (this.jwksFile) {
+      return this.importKeys(JSON.parse(await fs.readFile(this.jwksFile, 'utf8')))
+    }
+    if (!this.jwksUrl) {
+      throw new Error('No JWKS source configured')
+    }
+    const response = await fetch(this.jwksUrl)
+    if (!response.ok) {
+      throw new Error(`Failed to fetch JWKS: HTTP ${response.status}`)
+    }
+    return this.importKeys(await response.json())
+  }
+
+  /**
+   * Get the key for a kid, refreshing the key set when it is stale or the kid is unknown
+   */
+  async getKey(kid) {
+    const age = Date.now() - this.keysLoadedAt
+    // Unknown kids trigger a refresh (key rotation), but at most once a minute
+    const unknownKid = this.keys && !this.keys.has(kid) && age > MIN_REFRESH_INTERVAL_MS
+    if (!this.keys || age > this.cacheTtlMs || unknownKid) {
+      // Share one in-flight fetch between concurrent requests
+      this.loading = this.loading || this.loadKeys()
+        .then(keys => {
+          this.keys = keys
+          this.keysLoadedAt = Date.now()
+        })
+        .finally(() => { this.loading = null })
+      await this.loading
+    }
+    return this.keys.get(kid) || (this.keys.size === 1 && !kid ? [...this.keys.values()][0] : null)
+  }
+
+  /**
+   * Verify signature, expiry and issuer of a JWT
+   * @param {string} token - Compact JWT
+   * @returns {Promise<Object>} Verified claims
+   * @throws {JwtVerificationError} When the token is not acceptable
+   */
+  async verify(token) {
+    const parts = typeof token === 'string' ? token.split('.') : []
+    if (parts.length !== 3) {
+      throw new JwtVerificationError('Malformed JWT')
+    }
+
+    let header, payload
+    try {
+      header = decodeSegment(parts[0])
+      payload = decodeSegment(parts[1])
+    } catch {
+      throw new JwtVerificationError('Malformed JWT')
+    }
+
+    const algorithm = ALGORITHMS[header.alg]
+    if (!algorithm) {
+      throw new JwtVerificationError(`Unsupported JWT algorithm ${header.alg}`)
+    }
+
+    let key
+    try {
+      key = await this.getKey(header.kid || '')
+    } catch (error) {
+      console.error('Failed to load JWKS:', error)
+      throw new JwtVerificationError('Unable to verify token right now', 503)
+    }
+    if (!key) {
+      throw new JwtVerificationError('Unknown JWT signing key')
+    }
+
+    const valid = crypto.verify(
+      algorithm.hash,
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      algorithm.dsaEncoding ? { key, dsaEncoding: algorithm.dsaEncoding } : key,
+      Buffer.from(parts[2], 'base64url')
+    )
+    if (!valid) {
+      throw new JwtVerificationError('Invalid JWT signature')
+    }
+
+    const now = Math.floor(Date.now() / 1000)
+    if (typeof payload.exp !== 'number') {
+      throw new JwtVerificationError('JWT has no expiry')
+    }
+    if (payload.exp + CLOCK_SKEW_SECONDS < now) {
+      throw new JwtVerificationError('JWT has expired')
+    }
+    if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW_SECONDS > now) {
+      throw new JwtVerificationError('JWT is not valid yet')
+    }
+    if (this.issuer && payload.iss !== this.issuer) {
+      throw new JwtVerificationError('JWT issuer is not trusted')
+    }
+
+    return payload
+  }
+}
+
+// Where each kind of DIMO JWT comes from: user JWTs from DIMO login, vehicle JWTs from the token
+// exchange, which signs with keys of its own. envPrefix names the variables that override them.
+const TOKEN_SOURCES = {
+  user: { jwksUrl: 'https://auth.dimo.zone/keys', issuer: 'https://auth.dimo.zone', envPrefix: 'DIMO' },
+  vehicle: { jwksUrl: 'https://auth-roles-rights.dimo.zone/keys', issuer: 'https://auth-roles-rights.dimo.zone', envPrefix: 'DIMO_VEHICLE' },
+}
+
+/**
+ * Factory function to create the verifier of one kind of token from environment variables
+ * DIMO_JWKS_URL, DIMO_JWKS_FILE and DIMO_JWT_ISSUER configure user JWTs, the DIMO_VEHICLE_ variants
+ * vehicle JWTs. Without DIMO_VEHICLE_JWKS_FILE, vehicle JWTs are checked against DIMO_JWKS_FILE too,
+ * so one stand-in key set (dev-jwks.js) serves both; the issuers still tell the kinds apart.
+ * @param {Object} [env]
+ * @param {'user'|'vehicle'} [kind]
+ */
+export function createJwtVerifier(env = process.env, kind = 'user') {
+  const source = TOKEN_SOURCES[kind]
+  if (!source) {
+    throw new Error(`Unknown JWT kind "${kind}"`)
+  }
+  const { envPrefix } = source
+  return new JwksVerifier({
+    jwksUrl: env[`${envPrefix}_JWKS_URL`] || source.jwksUrl,
+    jwksFile: env[`${envPrefix}_JWKS_FILE`] || env.DIMO_JWKS_FILE || undefined,
+    issuer: env[`${envPrefix}_JWT_ISSUER`] ?? source.issuer,
+  })
+}
+
+/**
+ * Whether verified claims belong to a vehicle JWT (token exchange) rather than a user JWT
+ * Vehicle JWTs name the vehicle and the privileges granted on it.
+ */
+export function isVehicleJwt(claims) {
+  return claims.token_id != null || claims.privilege_ids != null
+}
+
+/**
+ * Read the bearer token from the Authorization header
+ * @returns {string|null}
+ */
+export function getBearerToken(req) {
+  const authHeader = req.headers['authorization'] || ''
+  return authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() || null : null
+}
+
+/**
+ * Express middleware requiring a valid DIMO user JWT
+ * Vehicle JWTs are rejected even when the verifier accepts their issuer.
+ * The verified claims are set on req.user; req.userId is the wallet address (or subject) that owns user data
+ * @param {JwksVerifier} verifier
+ */
+export function userJwtMiddleware(verifier) {
+  return async (req, res, next) => {
+    const token = getBearerToken(req)
+    if (!token) {
+      return res.status(401).json({ error: 'Missing or invalid Authorization header' })
+    }
+
+    try {
+      const claims = await verifier.verify(token)
+      if (isVehicleJwt(claims)) {
+        return res.status(401).json({ error: 'Vehicle JWTs are not accepted here; use the user JWT from DIMO login' })
+      }
+      const userId = claims.ethereum_address || claims.sub
+      if (!userId) {
+        return res.status(401).json({ error: 'JWT does not identify a user' })
+      }
+      req.user = claims
+      req.userId = String(userId).toLowerCase()
+      next()
+    } catch (error) {
+      if (error instanceof JwtVerificationError) {
+        return res.status(error.status).json({ error: error.message })
+      }
+      next(error)
+    }
+  }
+}
+
+/**
+ * Express middleware requiring a valid DIMO user JWT of an administrator
+ * @param {JwksVerifier} verifier
+ * @param {string[]} admins - Wallet addresses (or subjects) allowed, e.g. from ADMIN_ADDRESSES
+ */
+export function adminJwtMiddleware(verifier, admins) {
+  const allowed = new Set(admins.map(admin => admin.trim().toLowerCase()).filter(Boolean))
+  const requireUser = userJwtMiddleware(verifier)
+  return (req, res, next) => requireUser(req, res, (error) => {
+    if (error) return next(error)
+    if (!allowed.has(req.userId)) {
+      return res.status(403).json({ error: 'Administrator access required' })
+    }
+    next()
+  })
+}
+
+/**
+ * Express middleware requiring a valid vehicle JWT for the requested tokenId
+ * DIMO vehicle JWTs carry the vehicle in the `token_id` claim; the verified claims are set on req.vehicleJwt
+ * @param {JwksVerifier} verifier
+ * @param {Object} [options]
+ * @param {Function} [options.getTokenId] - Reads the requested tokenId from the request (default: req.params.tokenId)
+ * @param {Function} [options.onReject] - Cleanup when the request is rejected (e.g. delete an uploaded file)
+ */
+export function vehicleJwtMiddleware(verifier, {
+  getTokenId = (req) => req.params.tokenId,
+  onReject = async () => {},
+} = {}) {
+  return async (req, res, next) => {
+    const reject = async (status, error) => {
+      await onReject(req)
+      res.status(status).json({ error })
+    }
+
+    const token = getBearerToken(req)
+    if (!token) {
+      return reject(401, 'Missing or invalid Authorization header')
+    }
+
+    const tokenId = parseInt(getTokenId(req), 10)
+    if (!Number.isFinite(tokenId)) {
+      return reject(400, 'Invalid tokenId')
+    }
+
+    try {
+      const claims = await verifier.verify(token)
+      if (claims.token_id == null || String(claims.token_id) !== String(tokenId)) {
+        return reject(403, `Token does not grant access to vehicle ${tokenId}`)
+      }
+      req.vehicleJwt = claims
+      next()
+    } catch (error) {
+      if (error instanceof JwtVerificationError) {
+        return reject(error.status, error.message)
+      }
+      next(error)
+    }
+  }
+}
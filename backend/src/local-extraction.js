@@ -0,0 +1,279 @@
+import fs from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { parseServiceDate } from './maintenance-records.js'
+import { SERVICE_RULES } from './schedule-engine.js'
+import { MAINTENANCE_EXTRACTION_SCHEMA, validateSchema } from './ai-schemas.js'
+
+/**
+ * Offline invoice extraction: PDF text layer or OCR, then a heuristic parser
+ *
+ * Used when the AI provider is not configured or unavailable. The result has the same shape as
+ * an AI provider's extractMaintenanceInfo (content matches MAINTENANCE_EXTRACTION_SCHEMA), so each
+ * visit becomes a draft like any other extraction; the user reviews it before it is saved.
+ * The pages of a PDF are grouped into visits (see splitVisits) and parsed one visit at a time.
+ *
+ * Usage:
+ *   import { createLocalExtractionService } from './local-extraction.js'
+ *   const localExtraction = createLocalExtractionService(process.env)
+ *   const result = await localExtraction.extractMaintenanceInfo(documentPath)
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+
+const DATE_PATTERNS = [
+  // 2024-01-15
+  { re: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/, parts: m => [m[1], m[2], m[3]] },
+  // 01/15/2024, 1-15-24 (US order)
+  { re: /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/, parts: m => [m[3], m[1], m[2]] },
+  // Jan 15, 2024
+  { re: /\b([a-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/i, parts: m => [m[3], monthNumber(m[1]), m[2]] },
+  // 15 January 2024
+  { re: /\b(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]{3,9})\.?,?\s+(\d{4})\b/i, parts: m => [m[3], monthNumber(m[2]), m[1]] },
+]
+
+// Amounts need cents so quantities and part numbers are not read as money
+const MONEY_RE = /\$?\s*((?:\d{1,3}(?:,\d{3})+|\d+)\.\d{2})\b/g
+const ODOMETER_RE = /\b(?:odometer|odo|mileage|miles(?:\s+in)?|mi\s+in)\b[^\d\n]{0,20}(\d{1,3}(?:,\d{3})+|\d{3,7})\b/i
+const SHOP_WORDS = /\b(auto(motive)?|motors?|tires?|service|garage|lube|repair|car care|collision|dealer(ship)?|muffler|brakes?)\b/i
+const NOT_SHOP = /\b(invoice|receipt|estimate|repair order|date|page|customer|vin|phone|tel|fax|www\.|@)\b/i
+
+// English data from @tesseract.js-data/eng (LSTM model used with OEM 1), so OCR works offline
+function bundledEnglishLangPath() {
+  try {
+    return path.join(path.dirname(fileURLToPath(import.meta.resolve('@tesseract.js-data/eng/package.json'))), '4.0.0_best_int')
+  } catch {
+    return undefined
+  }
+}
+
+function monthNumber(name) {
+  const index = MONTHS.indexOf(name.slice(0, 3).toLowerCase())
+  return index >= 0 ? String(index + 1) : null
+}
+
+function toIsoDate([year, month, day]) {
+  if (!month) return null
+  const fullYear = year.length === 2 ? `20${year}` : year
+  return parseServiceDate(`${fullYear}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`)
+}
+
+function findDate(line) {
+  const today = new Date().toISOString().slice(0, 10)
+  for (const { re, parts } of DATE_PATTERNS) {
+    const match = line.match(re)
+    const date = match && toIsoDate(parts(match))
+    if (date && date <= today) return date
+  }
+  return null
+}
+
+function amountsIn(line) {
+  return [...line.matchAll(MONEY_RE)].map(m => Number(m[1].replace(/,/g, '')))
+}
+
+// Last amount on the last line matching the label
+function labeledAmount(lines, label) {
+  for (const line of [...lines].reverse()) {
+    if (!label.test(line)) continue
+    const amounts = amountsIn(line)
+    if (amounts.length > 0) return amounts[amounts.length - 1]
+  }
+  return null
+}
+
+function invoiceLines(text) {
+  return String(text ?? '').split(/\r?\n/).map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean)
+}
+
+// Prefer a labeled service or invoice date over any other date on the page
+function invoiceDate(lines) {
+  const dateLine = lines.find(line => /\b(service|invoice|repair|work)?\s*date\b/i.test(line) && findDate(line))
+  return dateLine ? findDate(dateLine) : lines.map(findDate).find(Boolean) || null
+}
+
+function invoiceTotal(lines) {
+  return labeledAmount(lines, /\b(grand total|total due|amount due|balance due|invoice total)\b/i)
+    ?? labeledAmount(lines, /^(?!.*\b(sub-?total|labou?r|parts)\b).*\btotal\b/i)
+}
+
+/**
+ * Group the pages of a document into service visits
+ * A page with its own date starts a new visit once the current one has reached its total;
+ * other pages continue the invoice before them.
+ * @param {string[]} pages - Text of each page
+ * @returns {string[]} Text of each visit
+ */
+export function splitVisits(pages) {
+  const visits = []
+  let current = null
+  for (const page of pages) {
+    const lines = invoiceLines(page)
+    if (lines.length === 0) continue
+    if (current && current.hasTotal && invoiceDate(lines)) {
+      visits.push(current.text)
+      current = null
+    }
+    current = current ? { text: `${current.text}\n${page}`, hasTotal: current.hasTotal } : { text: page, hasTotal: false }
+    if (invoiceTotal(lines) != null) current.hasTotal = true
+  }
+  if (current) visits.push(current.text)
+  return visits
+}
+
+/**
+ * Parse the text of one invoice into a visit matching MAINTENANCE_VISIT_SCHEMA
+ * Only what can be recognized reliably is filled in; everything else is null.
+ * @param {string} text - Text of the invoice
+ * @returns {Object} Visit
+ */
+export function parseInvoiceText(text) {
+  const lines = invoiceLines(text)
+  const date = invoiceDate(lines)
+  const totalCost = invoiceTotal(lines)
+  // Totals only; single labor and part lines are line items
+  const laborCost = labeledAmount(lines, /\blabou?r\b.*\btotal\b|\btotal\b.*\blabou?r\b|^labou?r( charges?| cost)?:/i)
+  const partsCost = labeledAmount(lines, /\bparts\b.*\btotal\b|\btotal\b.*\bparts\b|^parts( charges?| cost)?:/i)
+
+  const odometer = lines.map(line => line.match(ODOMETER_RE)).find(Boolean)
+  const mileage = odometer ? Number(odometer[1].replace(/,/g, '')) : null
+
+  // The shop name is usually one of the first lines of the header
+  const header = lines.slice(0, 6).filter(line => /[a-z]{3}/i.test(line) && !NOT_SHOP.test(line) && line.length <= 60)
+  const shopName = header.find(line => SHOP_WORDS.test(line)) || header.find(line => !/\d/.test(line)) || null
+
+  const lowerText = lines.join('\n').toLowerCase()
+  const services = SERVICE_RULES.filter(rule => rule.keywords.some(re => re.test(lowerText))).map(rule => rule.name)
+
+  return {
+    date,
+    shopName,
+    serviceType: services.length > 0 ? services.slice(0, 3).join(', ') : null,
+    description: null,
+    parts: [],
+    lineItems: [],
+    laborCost,
+    partsCost,
+    totalCost,
+    mileage: mileage != null && Number.isSafeInteger(mileage) ? mileage : null,
+    nextService: null,
+    notes: 'Extracted without AI from the document text; check every field against the invoice.',
+  }
+}
+
+/**
+ * Local document reader and parser with the extractMaintenanceInfo interface of the AI providers
+ */
+export class LocalExtractionService {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.ocrLanguage] - Tesseract language(s), e.g. eng or eng+deu
+   * @param {string} [options.ocrLangPath] - Directory or URL with <lang>.traineddata.gz
+   *   (default: the bundled English data, otherwise downloaded from the tesseract.js CDN)
+   * @param {string} [options.ocrCachePath] - Where downloaded language data is cached (default: no cache)
+   */
+  constructor({ ocrLanguage = 'eng', ocrLangPath, ocrCachePath } = {}) {
+    this.name = 'local'
+    this.ocrLanguage = ocrLanguage
+    this.ocrLangPath = ocrLangPath || (ocrLanguage === 'eng' ? bundledEnglishLangPath() : undefined)
+    this.ocrCachePath = ocrCachePath
+  }
+
+  /**
+   * Text layer of each page of a PDF, one line per text line
+   */
+  async pdfPages(documentPath) {
+    const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs')
+    const data = new Uint8Array(await fs.readFile(documentPath))
+    // Fonts shipped with pdfjs-dist, for PDFs that use the standard 14 fonts without embedding them
+    const standardFontDataUrl = fileURLToPath(new URL('../../standard_fonts/', import.meta.resolve('pdfjs-dist/legacy/build/pdf.mjs')))
+    const pdf = await getDocument({ data, standardFontDataUrl, isEvalSupported: false }).promise
+    try {
+      const pages = []
+      for (let i = 1; i <= pdf.numPages; i++) {
+        const page = await pdf.getPage(i)
+        const { items } = await page.getTextContent()
+        pages.push(items.map(item => item.str + (item.hasEOL ? '\n' : ' ')).join(''))
+      }
+      return pages
+    } finally {
+      await pdf.destroy()
+    }
+  }
+
+  /**
+   * Tesseract worker, started on first use and kept for later documents
+   * tesseract.js never settles createWorker when the language data fails to load, so the
+   * error handler rejects instead; a failed start is retried on the next document.
+   */
+  ocrWorker() {
+    if (!this.workerPromise) {
+      this.workerPromise = (async () => {
+        const { createWorker } = await import('tesseract.js')
+        return await new Promise((resolve, reject) => {
+          createWorker(this.ocrLanguage, 1, {
+            ...(this.ocrLangPath ? { langPath: this.ocrLangPath } : {}),
+            // Language data read from disk is not copied into a cache
+            ...(this.ocrCachePath ? { cachePath: this.ocrCachePath } : { cacheMethod: 'none' }),
+            errorHandler: (error) => reject(new Error(`OCR engine failed to start: ${error}`)),
+          }).then(resolve, reject)
+        })
+      })()
+      this.workerPromise.catch(() => { this.workerPromise = null })
+    }
+    return this.workerPromise
+  }
+
+  /**
+   * OCR text of an image
+   */
+  async imageText(documentPath) {
+    const worker = await this.ocrWorker()
+    const { data } = await worker.recognize(documentPath)
+    return data.text
+  }
+
+  /**
+   * Extract maintenance information from a service document without AI
+   * @param {string} documentPath - Path to the document (PDF or image)
+   * @returns {Promise<Object>} `{ success, content, raw, method }` like the AI providers, or `{ success: false, error }`
+   */
+  async extractMaintenanceInfo(documentPath) {
+    const isPDF = documentPath.toLowerCase().endsWith('.pdf')
+    let pages
+    try {
+      pages = isPDF ? await this.pdfPages(documentPath) : [await this.imageText(documentPath)]
+    } catch (error) {
+      console.error('Local text extraction failed:', error)
+      return { success: false, error: `Could not read the document: ${error.message}` }
+    }
+
+    const text = pages.join('\n')
+    if (!text.trim()) {
+      return {
+        success: false,
+        error: isPDF
+          ? 'The PDF has no text layer (scanned document). Upload a photo of the invoice instead.'
+          : 'No text was recognized in the image.'
+      }
+    }
+
+    // A PDF may hold several invoices; a photo is one
+    const content = { visits: splitVisits(pages).map(parseInvoiceText) }
+    // The parser only produces schema values, but keep the guarantee the AI providers give
+    const errors = validateSchema(MAINTENANCE_EXTRACTION_SCHEMA, content)
+    if (errors.length > 0) {
+      return { success: false, error: 'Local extraction did not match the maintenance_extraction schema', details: errors }
+    }
+    return { success: true, content, raw: text, usage: null, attempts: 1, model: this.name, method: isPDF ? 'pdf-text' : 'ocr' }
+  }
+}
+
+// Factory function to create the local extraction service from LOCAL_OCR_* settings
+export function createLocalExtractionService(env = process.env) {
+  return new LocalExtractionService({
+    ocrLanguage: env.LOCAL_OCR_LANGUAGE || 'eng',
+    ocrLangPath: env.LOCAL_OCR_LANG_PATH,
+    ocrCachePath: env.LOCAL_OCR_CACHE_PATH,
+  })
+}
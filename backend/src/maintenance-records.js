@@ -0,0 +1,333 @@
+/**
+ * Maintenance record helpers shared by the maintenance routes
+ *
+ * Usage:
+ *   import { validateMaintenanceRecord, normalizeMaintenanceRecord } from './maintenance-records.js'
+ *   const { values, errors } = validateMaintenanceRecord(req.body, { partial: true })
+ */
+
+// Columns selected for every record returned by the API
+export const MAINTENANCE_RECORD_COLUMNS = `id, token_id as "tokenId", service_date as "serviceDate", total_cost as "totalCost",
+              description, summary, mileage, parts, labor_cost as "laborCost", parts_cost as "partsCost",
+              next_service as "nextService", shop_name as "shopName", document_key IS NOT NULL as "hasDocument",
+              document_name as "documentName", created_at as "createdAt"`
+
+// Maps API field names to maintenance_records columns
+export const MAINTENANCE_RECORD_FIELDS = {
+  serviceDate: 'service_date',
+  totalCost: 'total_cost',
+  description: 'description',
+  summary: 'summary',
+  mileage: 'mileage',
+  parts: 'parts',
+  laborCost: 'labor_cost',
+  partsCost: 'parts_cost',
+  nextService: 'next_service',
+  shopName: 'shop_name',
+}
+
+const MAX_TOTAL_COST = 9999999999.99 // NUMERIC(12,2)
+const MAX_MILEAGE = 2147483647 // INTEGER
+const MAX_SUMMARY_LENGTH = 500
+const MAX_PARTS = 100
+const MAX_QUANTITY = 99999999.99 // NUMERIC(10,2)
+const LINE_ITEM_TYPES = ['part', 'labor']
+const MAX_TEXT_LENGTH = 20000
+// An amount with an optional sign and $, thousands separated by commas or not, e.g. -$1,234.50
+const MONEY_PATTERN = /^(-)?\s*\$?\s*((?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d*)?|\.\d+)$/
+
+/**
+ * Parse money given as a number or a string with $ and commas
+ * @param {*} v - Raw value
+ * @returns {number|null} Parsed amount, or null when missing or malformed (e.g. "1-2" or "12.34.56")
+ */
+export function parseMoney(v) {
+  if (v == null || v === '') return null
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null
+  const match = MONEY_PATTERN.exec(String(v).trim())
+  if (!match) return null
+  const n = parseFloat(match[2].replace(/,/g, ''))
+  return match[1] ? -n : n
+}
+
+/**
+ * Parse a YYYY-MM-DD (or full ISO) date into YYYY-MM-DD
+ * @param {*} v - Raw value
+ * @returns {string|null} Date string or null when invalid
+ */
+export function parseServiceDate(v) {
+  if (typeof v !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(v)) return null
+  const date = new Date(v.slice(0, 10) + 'T00:00:00Z')
+  if (isNaN(date.getTime())) return null
+  const iso = date.toISOString().slice(0, 10)
+  // Reject dates that rolled over, e.g. 2024-02-31
+  return iso === v.slice(0, 10) ? iso : null
+}
+
+/**
+ * Validate a maintenance record payload
+ * @param {Object} body - Request body
+ * @param {Object} options
+ * @param {boolean} options.partial - Only validate fields that are present (PATCH)
+ * @returns {{values: Object, errors: string[]}} Column values keyed by API field, and validation errors
+ */
+export function validateMaintenanceRecord(body, { partial = false } = {}) {
+  const values = {}
+  const errors = []
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { values, errors: ['Request body must be a JSON object'] }
+  }
+
+  const unknown = Object.keys(body).filter(key => !(key in MAINTENANCE_RECORD_FIELDS) && key !== 'lineItems')
+  if (unknown.length > 0) {
+    errors.push(`Unknown fields: ${unknown.join(', ')}`)
+  }
+
+  const has = (key) => Object.prototype.hasOwnProperty.call(body, key)
+
+  if (has('serviceDate')) {
+    // A record always has a service date, so it cannot be cleared
+    if (body.serviceDate === null || body.serviceDate === '') {
+      errors.push('serviceDate is required')
+    } else {
+      const serviceDate = parseServiceDate(body.serviceDate)
+      if (!serviceDate) {
+        errors.push('serviceDate must be a valid date in YYYY-MM-DD format')
+      } else if (serviceDate > new Date().toISOString().slice(0, 10)) {
+        errors.push('serviceDate cannot be in the future')
+      } else {
+        values.serviceDate = serviceDate
+      }
+    }
+  }
+
+  for (const key of ['totalCost', 'laborCost', 'partsCost']) {
+    if (!has(key)) continue
+    const amount = parseMoney(body[key])
+    if (body[key] != null && body[key] !== '' && amount == null) {
+      errors.push(`${key} must be a number`)
+    } else if (amount != null && (amount < 0 || amount > MAX_TOTAL_COST)) {
+      errors.push(`${key} must be between 0 and ${MAX_TOTAL_COST}`)
+    } else {
+      values[key] = amount != null ? Math.round(amount * 100) / 100 : null
+    }
+  }
+
+  if (has('mileage')) {
+    if (body.mileage === null || body.mileage === '') {
+      values.mileage = null
+    } else {
+      const mileage = typeof body.mileage === 'number' ? body.mileage : Number(String(body.mileage).replace(/,/g, ''))
+      if (!Number.isInteger(mileage) || mileage < 0 || mileage > MAX_MILEAGE) {
+        errors.push('mileage must be a whole number of miles between 0 and ' + MAX_MILEAGE)
+      } else {
+        values.mileage = mileage
+      }
+    }
+  }
+
+  if (has('parts')) {
+    if (body.parts === null) {
+      values.parts = null
+    } else if (!Array.isArray(body.parts) || body.parts.some(part => typeof part !== 'string')) {
+      errors.push('parts must be an array of strings')
+    } else if (body.parts.length > MAX_PARTS) {
+      errors.push(`parts must have at most ${MAX_PARTS} entries`)
+    } else if (body.parts.some(part => part.length > MAX_SUMMARY_LENGTH)) {
+      errors.push(`each part must be at most ${MAX_SUMMARY_LENGTH} characters`)
+    } else {
+      const parts = body.parts.map(part => part.trim()).filter(Boolean)
+      values.parts = parts.length > 0 ? parts : null
+    }
+  }
+
+  if (has('lineItems')) {
+    const result = validateLineItems(body.lineItems)
+    errors.push(...result.errors)
+    values.lineItems = result.items
+  }
+
+  const textFields = {
+    summary: MAX_SUMMARY_LENGTH,
+    description: MAX_TEXT_LENGTH,
+    nextService: MAX_SUMMARY_LENGTH,
+    shopName: MAX_SUMMARY_LENGTH,
+  }
+  for (const [key, maxLength] of Object.entries(textFields)) {
+    if (!has(key)) continue
+    const value = body[key]
+    if (value === null) {
+      values[key] = null
+    } else if (typeof value !== 'string') {
+      errors.push(`${key} must be a string`)
+    } else if (value.length > maxLength) {
+      errors.push(`${key} must be at most ${maxLength} characters`)
+    } else {
+      values[key] = value.trim() || null
+    }
+  }
+
+  if (!partial) {
+    if (!values.serviceDate && !errors.some(e => e.startsWith('serviceDate'))) {
+      errors.push('serviceDate is required')
+    }
+    if (!values.summary && !values.description && !errors.some(e => /^(summary|description)/.test(e))) {
+      errors.push('summary or description is required')
+    }
+  } else if (has('summary') && has('description') && !values.summary && !values.description &&
+      !errors.some(e => /^(summary|description)/.test(e))) {
+    errors.push('summary or description is required')
+  } else if (errors.length === 0 && Object.keys(values).length === 0) {
+    errors.push('No fields to update')
+  }
+
+  return { values, errors }
+}
+
+/**
+ * Validate the parts/labor lines of a record
+ * @param {Array|null} lineItems - [{ type, description, quantity, unitPrice, partNumber }]
+ * @returns {{items: Object[], errors: string[]}}
+ */
+export function validateLineItems(lineItems) {
+  if (lineItems == null) return { items: [], errors: [] }
+  if (!Array.isArray(lineItems)) return { items: [], errors: ['lineItems must be an array'] }
+  if (lineItems.length > MAX_PARTS) return { items: [], errors: [`lineItems must have at most ${MAX_PARTS} entries`] }
+
+  const items = []
+  const errors = []
+  lineItems.forEach((item, i) => {
+    const label = `lineItems[${i}]`
+    if (!item || typeof item !== 'object') {
+      errors.push(`${label} must be an object`)
+      return
+    }
+    if (!LINE_ITEM_TYPES.includes(item.type)) {
+      errors.push(`${label}.type must be one of ${LINE_ITEM_TYPES.join(', ')}`)
+    }
+    const description = typeof item.description === 'string' ? item.description.trim() : ''
+    if (!description || description.length > MAX_SUMMARY_LENGTH) {
+      errors.push(`${label}.description is required and must be at most ${MAX_SUMMARY_LENGTH} characters`)
+    }
+    const quantity = item.quantity == null || item.quantity === '' ? null : Number(item.quantity)
+    if (quantity != null && (!Number.isFinite(quantity) || quantity < 0 || quantity > MAX_QUANTITY)) {
+      errors.push(`${label}.quantity must be a number between 0 and ${MAX_QUANTITY}`)
+    }
+    const unitPrice = parseMoney(item.unitPrice)
+    if (item.unitPrice != null && item.unitPrice !== '' && (unitPrice == null || unitPrice < 0 || unitPrice > MAX_TOTAL_COST)) {
+      errors.push(`${label}.unitPrice must be a number between 0 and ${MAX_TOTAL_COST}`)
+    }
+    const partNumber = item.partNumber == null ? null : String(item.partNumber).trim() || null
+    if (partNumber && partNumber.length > 100) {
+      errors.push(`${label}.partNumber must be at most 100 characters`)
+    }
+
+    items.push({
+      type: item.type,
+      description,
+      quantity: quantity != null ? Math.round(quantity * 100) / 100 : null,
+      unitPrice: unitPrice != null ? Math.round(unitPrice * 100) / 100 : null,
+      partNumber,
+    })
+  })
+
+  return { items: errors.length > 0 ? [] : items, errors }
+}
+
+/**
+ * Coerce a maintenance_line_items row to API shape
+ * @param {Object} row
+ * @returns {Object} Line item
+ */
+export function normalizeLineItem(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    description: row.description,
+    quantity: row.quantity != null ? Number(row.quantity) : null,
+    unitPrice: row.unitPrice != null ? Number(row.unitPrice) : null,
+    partNumber: row.partNumber,
+  }
+}
+
+/**
+ * Format a pg DATE value as YYYY-MM-DD
+ * pg parses DATE columns to local midnight, so use local date parts
+ * @param {Date|string|null} value
+ * @returns {string|null}
+ */
+export function formatServiceDate(value) {
+  if (value == null) return null
+  if (!(value instanceof Date)) return String(value).slice(0, 10)
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`
+}
+
+/**
+ * Coerce numeric fields to numbers (pg returns NUMERIC as string) and format dates
+ * @param {Object} row - Row selected with MAINTENANCE_RECORD_COLUMNS
+ * @returns {Object} API record
+ */
+export function normalizeMaintenanceRecord(row) {
+  return {
+    ...row,
+    serviceDate: formatServiceDate(row.serviceDate),
+    totalCost: row.totalCost != null ? Number(row.totalCost) : null,
+    laborCost: row.laborCost != null ? Number(row.laborCost) : null,
+    partsCost: row.partsCost != null ? Number(row.partsCost) : null,
+    mileage: row.mileage != null ? Number(row.mileage) : null,
+    parts: row.parts || [],
+  }
+}
+
+/**
+ * Map a schema-valid visit of an extraction (MAINTENANCE_VISIT_SCHEMA) to editable draft fields (record field names)
+ * Values are kept as extracted; validation happens when the draft is confirmed
+ * @param {Object} extraction - One validated visit of the model output
+ * @returns {Object} Draft fields
+ */
+export function draftFieldsFromExtraction(extraction) {
+  const text = (v) => v == null ? null : v.trim() || null
+  const money = (v) => v == null ? null : Math.round(v * 100) / 100
+  const parts = extraction.parts.map(part => part.trim()).filter(Boolean)
+
+  return {
+    // The schema guarantees the YYYY-MM-DD shape; dates like 2024-02-30 become null
+    serviceDate: parseServiceDate(extraction.date),
+    summary: text(extraction.serviceType),
+    shopName: text(extraction.shopName),
+    description: text(extraction.description),
+    parts,
+    laborCost: money(extraction.laborCost),
+    partsCost: money(extraction.partsCost),
+    totalCost: money(extraction.totalCost),
+    mileage: extraction.mileage,
+    nextService: text(extraction.nextService),
+    lineItems: lineItemsFromExtraction(extraction, parts),
+  }
+}
+
+/**
+ * Build line items from the extraction, falling back to the plain parts list and labor cost
+ * Lines without a description are dropped rather than failing the draft
+ */
+function lineItemsFromExtraction(extraction, parts) {
+  if (extraction.lineItems.length > 0) {
+    return extraction.lineItems
+      .map(item => ({
+        type: item.type,
+        description: item.description.trim(),
+        quantity: item.quantity != null ? Math.round(item.quantity * 100) / 100 : null,
+        unitPrice: item.unitPrice != null ? Math.round(item.unitPrice * 100) / 100 : null,
+        partNumber: item.partNumber?.trim() || null,
+      }))
+      .filter(item => validateLineItems([item]).errors.length === 0)
+  }
+
+  const items = parts.map(description => ({ type: 'part', description, quantity: null, unitPrice: null, partNumber: null }))
+  if (extraction.laborCost != null) {
+    items.push({ type: 'labor', description: 'Labor', quantity: null, unitPrice: Math.round(extraction.laborCost * 100) / 100, partNumber: null })
+  }
+  return items
+}
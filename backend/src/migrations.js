@@ -29,8 +29,213 @@ export async function runMigrations(pool) {
   await pool.query(`
     ALTER TABLE vehicle_maintenance.maintenance_records
     ADD COLUMN IF NOT EXISTS summary TEXT,
-    ADD COLUMN IF NOT EXISTS mileage INTEGER;
+    ADD COLUMN IF NOT EXISTS mileage INTEGER,
+    ADD COLUMN IF NOT EXISTS parts TEXT[],
+    ADD COLUMN IF NOT EXISTS labor_cost NUMERIC(12,2),
+    ADD COLUMN IF NOT EXISTS parts_cost NUMERIC(12,2),
+    ADD COLUMN IF NOT EXISTS next_service TEXT,
+    ADD COLUMN IF NOT EXISTS document_key TEXT,
+    ADD COLUMN IF NOT EXISTS document_name TEXT,
+    ADD COLUMN IF NOT EXISTS document_mime TEXT,
+    ADD COLUMN IF NOT EXISTS document_sha256 TEXT,
+    ADD COLUMN IF NOT EXISTS document_visit INTEGER,
+    ADD COLUMN IF NOT EXISTS shop_name TEXT;
+  `)
+
+  // Parts and labor lines of a maintenance record
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS vehicle_maintenance.maintenance_line_items (
+      id SERIAL PRIMARY KEY,
+      record_id INTEGER NOT NULL REFERENCES vehicle_maintenance.maintenance_records(id) ON DELETE CASCADE,
+      position INTEGER NOT NULL DEFAULT 0,
+      item_type TEXT NOT NULL CHECK (item_type IN ('part', 'labor')),
+      description TEXT NOT NULL,
+      quantity NUMERIC(10,2),
+      unit_price NUMERIC(12,2),
+      part_number TEXT
+    );
+  `)
+
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS maintenance_line_items_record_id_idx
+    ON vehicle_maintenance.maintenance_line_items (record_id);
+  `)
+
+  // AI extractions waiting for the user to review them before they become records
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS vehicle_maintenance.maintenance_drafts (
+      id SERIAL PRIMARY KEY,
+      token_id INTEGER NOT NULL,
+      fields JSONB NOT NULL,
+      parsed JSONB,
+      output_text TEXT NOT NULL,
+      document_key TEXT,
+      document_name TEXT,
+      document_mime TEXT,
+      document_sha256 TEXT,
+      document_visit INTEGER,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `)
+
+  // Ensure new columns exist for drafts tables created by earlier versions
+  await pool.query(`
+    ALTER TABLE vehicle_maintenance.maintenance_drafts
+    ADD COLUMN IF NOT EXISTS document_key TEXT,
+    ADD COLUMN IF NOT EXISTS document_name TEXT,
+    ADD COLUMN IF NOT EXISTS document_mime TEXT,
+    ADD COLUMN IF NOT EXISTS document_sha256 TEXT,
+    ADD COLUMN IF NOT EXISTS document_visit INTEGER;
   `)
-}
 
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS maintenance_drafts_token_id_idx
+    ON vehicle_maintenance.maintenance_drafts (token_id);
+  `)
+
+  // Generated CSV reports; the files live in tmp/reports, owner is the requesting user's wallet address
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS vehicle_maintenance.reports (
+      id SERIAL PRIMARY KEY,
+      filename TEXT NOT NULL UNIQUE,
+      owner TEXT NOT NULL,
+      token_ids INTEGER[] NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      row_count INTEGER NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `)
 
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS reports_owner_idx
+    ON vehicle_maintenance.reports (owner, created_at DESC);
+  `)
+
+  // Upcoming-service plans, one row per generated version with the inputs used
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS vehicle_maintenance.service_plans (
+      id SERIAL PRIMARY KEY,
+      token_id INTEGER NOT NULL,
+      version INTEGER NOT NULL,
+      current_mileage INTEGER NOT NULL,
+      make TEXT,
+      model TEXT,
+      year INTEGER,
+      source TEXT NOT NULL,
+      ai_model TEXT,
+      miles_per_month INTEGER,
+      plan JSONB NOT NULL,
+      history_snapshot JSONB NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      UNIQUE (token_id, version)
+    );
+  `)
+
+  // Uploaded documents waiting for (or going through) extraction into a draft
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS vehicle_maintenance.document_jobs (
+      id SERIAL PRIMARY KEY,
+      token_id INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'succeeded', 'failed')),
+      stage TEXT,
+      progress INTEGER NOT NULL DEFAULT 0,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL,
+      run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+      locked_at TIMESTAMP WITH TIME ZONE,
+      document_key TEXT NOT NULL,
+      document_name TEXT,
+      document_mime TEXT,
+      source TEXT,
+      requested_by TEXT,
+      draft_ids INTEGER[],
+      error TEXT,
+      details JSONB,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `)
+
+  // Jobs used to end in a single draft_id; one document can now have several visits and drafts
+  await pool.query(`
+    ALTER TABLE vehicle_maintenance.document_jobs
+    ADD COLUMN IF NOT EXISTS draft_ids INTEGER[],
+    ADD COLUMN IF NOT EXISTS requested_by TEXT;
+  `)
+
+  await pool.query(`
+    DO $$
+    BEGIN
+      IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+         WHERE table_schema = 'vehicle_maintenance' AND table_name = 'document_jobs' AND column_name = 'draft_id'
+      ) THEN
+        UPDATE vehicle_maintenance.document_jobs
+           SET draft_ids = ARRAY[draft_id]
+         WHERE draft_id IS NOT NULL AND draft_ids IS NULL;
+        ALTER TABLE vehicle_maintenance.document_jobs DROP COLUMN draft_id;
+      END IF;
+    END $$;
+  `)
+
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS document_jobs_status_run_at_idx
+    ON vehicle_maintenance.document_jobs (status, run_at);
+  `)
+
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS document_jobs_token_id_idx
+    ON vehicle_maintenance.document_jobs (token_id, created_at);
+  `)
+
+  // Ledger of AI provider calls with their token counts and cost (see ai-usage.js)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS vehicle_maintenance.ai_usage (
+      id SERIAL PRIMARY KEY,
+      endpoint TEXT NOT NULL,
+      operation TEXT NOT NULL,
+      provider TEXT NOT NULL,
+      model TEXT,
+      input_tokens INTEGER NOT NULL DEFAULT 0,
+      output_tokens INTEGER NOT NULL DEFAULT 0,
+      cost_usd NUMERIC(12,6),
+      token_id INTEGER,
+      user_id TEXT,
+      success BOOLEAN NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `)
+
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS ai_usage_created_at_idx
+    ON vehicle_maintenance.ai_usage (created_at);
+  `)
+
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS ai_usage_token_id_idx
+    ON vehicle_maintenance.ai_usage (token_id, created_at);
+  `)
+
+  // DIMO developer credentials; the API key is encrypted with CONFIG_ENCRYPTION_KEY (see credentials.js)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS vehicle_maintenance.app_credentials (
+      name TEXT PRIMARY KEY,
+      client_id TEXT NOT NULL,
+      redirect_uri TEXT,
+      api_key_encrypted TEXT NOT NULL,
+      updated_by TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `)
+
+  // Profile each user selected for requests that do not name one
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS vehicle_maintenance.user_config_profiles (
+      user_id TEXT PRIMARY KEY,
+      profile TEXT NOT NULL,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `)
+}
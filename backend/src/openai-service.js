@@ -1,33 +1,90 @@
 import OpenAI from 'openai'
 import fs from 'fs/promises'
 import fsSync from 'fs'
+import { MAINTENANCE_EXTRACTION_SCHEMA, UPCOMING_NOTES_SCHEMA, parseModelJson } from './ai-schemas.js'
+import { addUsage } from './ai-usage.js'
+
+// Model used per task unless overridden (AI_MODEL_* environment variables)
+export const OPENAI_DEFAULT_MODELS = {
+  vision: 'gpt-4o',
+  document: 'gpt-4o',
+  text: 'gpt-3.5-turbo',
+  plan: 'gpt-4o-mini',
+}
+
+// Attempts for schema-bound requests: the first answer plus one repair
+const MAX_JSON_ATTEMPTS = 2
+
+/**
+ * Text of a provider response (chat completion text or a Responses API object)
+ */
+function responseText(content) {
+  if (typeof content === 'string') return content
+  if (content && typeof content === 'object' && 'output_text' in content) return content.output_text || ''
+  if (content?.choices?.[0]?.message?.content) return content.choices[0].message.content
+  return JSON.stringify(content)
+}
+
+function repairPrompt(output, errors, schema) {
+  return `Your previous answer did not match the required JSON schema.
+
+Problems:
+${errors.slice(0, 20).map(e => `- ${e}`).join('\n')}
+
+Previous answer:
+${String(output).slice(0, 8000)}
+
+Return only the corrected JSON, keeping the information from the previous answer. Use null for unknown values.
+JSON schema:
+${JSON.stringify(schema)}`
+}
 
 /**
  * OpenAI API Service for ChatGPT integration
+ *
+ * This is the `openai` AI provider; see ai-providers.js for the provider interface.
  */
 export class OpenAIService {
-  constructor(apiKey) {
+  /**
+   * @param {string} apiKey - OpenAI API key
+   * @param {Object} [options]
+   * @param {string} [options.baseURL] - API base URL (default: OpenAI)
+   * @param {Object} [options.models] - Models per task ({ vision, document, text, plan })
+   * @param {boolean} [options.structuredOutputs] - Whether the API accepts JSON schema response formats
+   */
+  constructor(apiKey, { baseURL, models, structuredOutputs = true } = {}) {
+    this.name = 'openai'
     this.apiKey = apiKey
+    this.models = { ...OPENAI_DEFAULT_MODELS, ...models }
+    this.structuredOutputs = structuredOutputs
     this.client = this.apiKey ? new OpenAI({
-      apiKey: this.apiKey
+      apiKey: this.apiKey,
+      ...(baseURL ? { baseURL } : {})
     }) : null
   }
 
+  get isConfigured() {
+    return Boolean(this.client)
+  }
+
+  notConfigured() {
+    return {
+      success: false,
+      error: 'OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.'
+    }
+  }
+
   /**
    * Process an image with a prompt using OpenAI's vision model
    * @param {string} imagePath - Path to the image file
    * @param {string} prompt - The prompt to send with the image
-   * @param {string} model - The model to use (default: 'gpt-4o')
+   * @param {string} model - The model to use (default: the vision model)
+   * @param {Object} [options] - { schema, schemaName } to request structured output
    * @returns {Promise<Object>} OpenAI response
    */
-  async processImageWithPromptAndModel(imagePath, prompt, model = 'gpt-4o') {
+  async processImageWithPromptAndModel(imagePath, prompt, model = this.models.vision, options = {}) {
     try {
-      if (!this.client) {
-        return {
-          success: false,
-          error: 'OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.'
-        }
-      }
+      if (!this.client) return this.notConfigured()
 
       // Read the image file
       const imageBuffer = await fs.readFile(imagePath)
@@ -55,13 +112,15 @@ export class OpenAIService {
             ]
           }
         ],
-        max_tokens: 1000
+        max_tokens: options.schema ? 2000 : 1000,
+        ...this.chatResponseFormat(options)
       })
 
       return {
         success: true,
         content: response.choices[0].message.content,
-        usage: response.usage
+        usage: response.usage,
+        model: response.model || model
       }
     } catch (error) {
       console.error('OpenAI image processing error:', error)
@@ -76,17 +135,13 @@ export class OpenAIService {
    * Process a PDF document with a prompt using OpenAI's Responses API with file upload
    * @param {string} pdfPath - Path to the PDF file
    * @param {string} prompt - The prompt to send with the PDF
-   * @param {string} model - The model to use (default: 'gpt-4o')
+   * @param {string} model - The model to use (default: the document model)
+   * @param {Object} [options] - { schema, schemaName } to request structured output
    * @returns {Promise<Object>} OpenAI response
    */
-  async processPDFWithPromptAndModel(pdfPath, prompt, model = 'gpt-4o') {
+  async processPDFWithPromptAndModel(pdfPath, prompt, model = this.models.document, options = {}) {
     try {
-      if (!this.client) {
-        return {
-          success: false,
-          error: 'OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.'
-        }
-      }
+      if (!this.client) return this.notConfigured()
 
       // Upload the PDF to OpenAI Files API
       const uploaded = await this.client.files.create({
@@ -105,13 +160,17 @@ export class OpenAIService {
               { type: 'input_file', file_id: uploaded.id }
             ]
           }
-        ]
+        ],
+        ...(options.schema && this.structuredOutputs ? {
+          text: { format: { type: 'json_schema', name: options.schemaName, schema: options.schema, strict: true } }
+        } : {})
       })
 
       return {
         success: true,
         content: response, // return full response; frontend logs it
-        usage: response.usage || null
+        usage: response.usage || null,
+        model: response.model || model
       }
     } catch (error) {
       console.error('OpenAI PDF processing error:', error)
@@ -125,18 +184,14 @@ export class OpenAIService {
   /**
    * Send a text prompt to OpenAI without any images
    * @param {string} prompt - The text prompt
-   * @param {string} model - The model to use (default: 'gpt-3.5-turbo')
+   * @param {string} model - The model to use (default: the text model)
    * @param {number} maxTokens - Maximum tokens to generate (default: 1000)
+   * @param {Object} [options] - { schema, schemaName } to request structured output
    * @returns {Promise<Object>} OpenAI response
    */
-  async processPrompt(prompt, model = 'gpt-3.5-turbo', maxTokens = 1000) {
+  async processPrompt(prompt, model = this.models.text, maxTokens = 1000, options = {}) {
     try {
-      if (!this.client) {
-        return {
-          success: false,
-          error: 'OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.'
-        }
-      }
+      if (!this.client) return this.notConfigured()
 
       const response = await this.client.chat.completions.create({
         model: model,
@@ -147,13 +202,15 @@ export class OpenAIService {
           }
         ],
         max_tokens: maxTokens,
-        temperature: 0.7
+        temperature: options.schema ? 0 : 0.7,
+        ...this.chatResponseFormat(options)
       })
 
       return {
         success: true,
         content: response.choices[0].message.content,
-        usage: response.usage
+        usage: response.usage,
+        model: response.model || model
       }
     } catch (error) {
       console.error('OpenAI prompt processing error:', error)
@@ -164,6 +221,56 @@ export class OpenAIService {
     }
   }
 
+  // Chat completions `response_format` for a schema, when structured outputs are supported
+  chatResponseFormat({ schema, schemaName }) {
+    if (!schema || !this.structuredOutputs) return {}
+    return { response_format: { type: 'json_schema', json_schema: { name: schemaName, schema, strict: true } } }
+  }
+
+  /**
+   * Run a request whose answer must be JSON matching a schema
+   * Invalid output is sent back to the model with the validation errors (as text; documents are not resent)
+   * @param {Object} options
+   * @param {string} options.name - Schema name
+   * @param {Object} options.schema - JSON schema (see ai-schemas.js)
+   * @param {Function} options.send - Makes the first request: (options) => provider response
+   * @param {Function} [options.validate] - Extra checks on a schema-valid value, returning error strings
+   * @param {string} options.model - Model used for repairs
+   * @returns {Promise<Object>} `{ success, content, raw, usage, attempts, model }`, or `{ success: false, error, details, raw, usage }`
+   *   when the output is still invalid after the last attempt; `usage` adds up all attempts
+   */
+  async requestJson({ name, schema, send, validate, model }) {
+    let response = await send({ schema, schemaName: name })
+    let errors = []
+    let raw = null
+    let usage = null
+
+    for (let attempt = 1; attempt <= MAX_JSON_ATTEMPTS; attempt++) {
+      if (attempt > 1) {
+        console.warn(`AI output for ${name} failed validation, retrying:`, errors.slice(0, 5))
+        response = await this.processPrompt(repairPrompt(raw, errors, schema), model, 2000, { schema, schemaName: name })
+      }
+      if (!response.success) return usage ? { ...response, usage, model } : response
+
+      usage = addUsage(usage, response.usage)
+      raw = responseText(response.content)
+      const parsed = parseModelJson(raw, schema)
+      errors = parsed.errors.length === 0 && validate ? validate(parsed.value) : parsed.errors
+      if (errors.length === 0) {
+        return { success: true, content: parsed.value, raw, usage, attempts: attempt, model }
+      }
+    }
+
+    return {
+      success: false,
+      error: `AI output did not match the ${name} schema after ${MAX_JSON_ATTEMPTS} attempts`,
+      details: errors.slice(0, 20),
+      raw,
+      usage,
+      model,
+    }
+  }
+
   /**
    * Get the MIME type for an image file based on its extension
    * @param {string} filePath - Path to the image file
@@ -185,95 +292,98 @@ export class OpenAIService {
   /**
    * Extract maintenance information from a service document
    * @param {string} documentPath - Path to the document (PDF or image)
-   * @returns {Promise<Object>} Extracted maintenance information
+   * @returns {Promise<Object>} Extraction matching MAINTENANCE_EXTRACTION_SCHEMA (`{ visits }`) as `content` (see requestJson)
    */
   async extractMaintenanceInfo(documentPath) {
     const prompt = `Please analyze this vehicle maintenance service document and extract the following information in JSON format:
     {
-      "date": "service date",
-      "serviceType": "type of service performed",
-      "description": "detailed description of work done",
-      "parts": ["list of parts replaced"],
-      "labor": "labor cost",
-      "partsCost": "parts cost",
-      "totalCost": "total cost",
-      "mileage": "vehicle mileage at time of service",
-      "nextService": "recommended next service",
-      "notes": "any additional notes"
+      "visits": [
+        {
+          "date": "service date as YYYY-MM-DD",
+          "shopName": "name of the shop or dealer",
+          "serviceType": "type of service performed",
+          "description": "detailed description of work done",
+          "parts": ["list of parts replaced"],
+          "lineItems": [
+            { "type": "part" or "labor", "description": "line description", "quantity": number, "unitPrice": number, "partNumber": "part number if shown" }
+          ],
+          "laborCost": number,
+          "partsCost": number,
+          "totalCost": number,
+          "mileage": integer (vehicle mileage at time of service),
+          "nextService": "recommended next service",
+          "notes": "any additional notes"
+        }
+      ]
     }
     
-    If any information is not available, use null for that field.`
+    A document may contain several invoices or repair orders, e.g. a service history with one visit per page.
+    Add one entry to visits for every distinct service visit (its own date, odometer reading and total), in the order they appear.
+    An invoice that continues over several pages is a single visit. If the document is not a service document, answer with an empty visits list.
+    List every part and labor line of a visit in its lineItems, in the order they appear.
+    Amounts are plain numbers in USD without currency symbols.
+    If any information is not available, use null for that field.
+    Answer with the JSON object only.`
     
     const isPDF = documentPath.toLowerCase().endsWith('.pdf')
-    
-    if (isPDF) {
-      return await this.processPDFWithPromptAndModel(documentPath, prompt)
-    } else {
-      return await this.processImageWithPromptAndModel(documentPath, prompt)
-    }
+    const model = isPDF ? this.models.document : this.models.vision
+
+    return await this.requestJson({
+      name: 'maintenance_extraction',
+      schema: MAINTENANCE_EXTRACTION_SCHEMA,
+      model,
+      send: (options) => isPDF
+        ? this.processPDFWithPromptAndModel(documentPath, prompt, model, options)
+        : this.processImageWithPromptAndModel(documentPath, prompt, model, options),
+    })
   }
 
   /**
-   * Generate upcoming services for the next 60k miles
+   * Enrich a rule-based maintenance plan with vehicle-specific advice
    * @param {Object} params
+   * @param {Array} params.plan - plan entries from the schedule engine ({ mileage, services, estimatedCost })
    * @param {number} params.currentMileage - current vehicle mileage
-   * @param {Array} params.history - maintenance history items with {serviceDate, description, totalCost}
-   * @param {number} params.horizonMiles - how many miles ahead (default 60000)
-   * @returns {Promise<Object>} Structured JSON with upcoming services
+   * @param {Array} params.history - maintenance history items with {serviceDate, description, totalCost, mileage}
+   * @returns {Promise<Object>} `{ success, content: { notes: [{ mileage, note }] }, model }` (see requestJson)
    */
-  async generateUpcomingServices({ currentMileage, history, horizonMiles = 60000, make, model, year }) {
+  async enrichUpcomingServices({ plan, currentMileage, history, make, model, year }) {
     const vehicleLine = make && model && year ? `${year} ${make} ${model}` : 'Unknown Vehicle'
-    const prompt = `You are a professional auto service advisor. Using the vehicle info, maintenance history, and current mileage, propose a practical maintenance schedule for the next ${horizonMiles.toLocaleString()} miles.
-    
+    const prompt = `You are a professional auto service advisor. Below is a maintenance plan computed from standard service intervals. Do not change the plan; add a short vehicle-specific note to the entries where there is something useful to say (known issues for this model, items worth inspecting at the same visit, reasons the interval may be shorter).
+
     Provide JSON only in this exact structure:
     {
-      "plan": [
-        { "mileage": number, "services": [string, ...], "estimatedCost": number }
+      "notes": [
+        { "mileage": integer, "note": string }
       ]
     }
-    
+
     Rules:
-    - mileage should be thresholds ahead of current mileage (e.g., every 5k/10k/15k miles as appropriate)
-    - estimatedCost is a reasonable numeric estimate in USD (no symbols)
-    - Use history context to avoid repeating very recent services unnecessarily. The history includes mileage when service was performed, so take that into account.
-    - Limit plan to 6-12 entries across the horizon
-    
+    - mileage must be one of the plan mileages
+    - at most one note per entry, at most 200 characters, no prices
+    - omit entries with nothing useful to add
+
     Vehicle: ${vehicleLine}
     CurrentMileage: ${Math.round(currentMileage)}
+    Plan:
+    ${plan.map(p => `- ${p.mileage}: ${p.services.join(', ')}`).join('\n')}
     History (most recent first):
-    ${Array.isArray(history) && history.length ? history.slice(0, 20).map(h => `- Service Date: ${h.serviceDate || 'unknown'}. Mileage: ${h.mileage || 'unknown'}. Description: ${h.description || 'service'}. Total Cost: ($${h.totalCost ?? 'n/a'})`).join('\n') : 'No history'}
+    ${Array.isArray(history) && history.length ? history.slice(0, 20).map(h => `- Service Date: ${h.serviceDate || 'unknown'}. Mileage: ${h.mileage || 'unknown'}. Description: ${h.summary || h.description || 'service'}.`).join('\n') : 'No history'}
     `
 
-    // Use a capable model for structured output
-    const response = await this.processPrompt(prompt, 'gpt-4o-mini', 1200)
-    if (!response.success) return response
-
-    // Try to parse JSON from the response content
-    const raw = typeof response.content === 'string' ? response.content : JSON.stringify(response.content)
-    const cleaned = raw.trim()
-      .replace(/^```json\s*/i, '')
-      .replace(/^```\s*/i, '')
-      .replace(/```\s*$/i, '')
-
-    let parsed = null
-    try {
-      parsed = JSON.parse(cleaned)
-    } catch {
-      const match = cleaned.match(/\{[\s\S]*\}/)
-      if (match) {
-        try { parsed = JSON.parse(match[0]) } catch {}
-      }
-    }
-
-    if (!parsed || !Array.isArray(parsed.plan)) {
-      return { success: false, error: 'Failed to parse upcoming services JSON', content: response.content }
-    }
-
-    return { success: true, content: parsed }
+    const planMileages = new Set(plan.map(p => p.mileage))
+    return await this.requestJson({
+      name: 'upcoming_notes',
+      schema: UPCOMING_NOTES_SCHEMA,
+      model: this.models.plan,
+      send: (options) => this.processPrompt(prompt, this.models.plan, 1200, options),
+      validate: (value) => value.notes
+        .filter(n => !planMileages.has(n.mileage))
+        .map(n => `$.notes: ${n.mileage} is not one of the plan mileages`),
+    })
   }
 }
 
 // Factory function to create OpenAIService instance
-export function createOpenAIService(apiKey) {
-  return new OpenAIService(apiKey)
+export function createOpenAIService(apiKey, options) {
+  return new OpenAIService(apiKey, options)
 }
@@ -0,0 +1,179 @@
+/**
+ * Vehicle report helpers shared by the report routes
+ *
+ * Usage:
+ *   import { validateReportRequest, buildReportRows, REPORT_CSV_HEADER } from './reports.js'
+ *   const { values, errors } = validateReportRequest(req.body)
+ */
+
+import { formatServiceDate, parseServiceDate } from './maintenance-records.js'
+
+const MAX_REPORT_VEHICLES = 50
+const MAX_REPORT_DAYS = 5 * 366
+const KM_TO_MILES = 0.621371
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// csv-writer header for report rows
+export const REPORT_CSV_HEADER = [
+  { id: 'tokenId', title: 'token_id' },
+  { id: 'vin', title: 'vin' },
+  { id: 'periodStart', title: 'period_start' },
+  { id: 'periodEnd', title: 'period_end' },
+  { id: 'odometerStartMiles', title: 'odometer_start_miles' },
+  { id: 'odometerEndMiles', title: 'odometer_end_miles' },
+  { id: 'milesDriven', title: 'miles_driven' },
+  { id: 'serviceCount', title: 'services' },
+  { id: 'maintenanceSpend', title: 'maintenance_spend' },
+]
+
+// Report files are only ever served by this exact name shape
+export const REPORT_FILENAME_PATTERN = /^vehicle-report-\d{8}-\d{6}-[0-9a-f]{8}\.csv$/
+
+/**
+ * Build a report file name from its creation time
+ * @param {Date} date - Creation time
+ * @param {string} suffix - 8 hex chars to keep names unique
+ * @returns {string} File name
+ */
+export function reportFilename(date, suffix) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15)
+  return `vehicle-report-${stamp}-${suffix}.csv`
+}
+
+/**
+ * Validate a report request
+ * @param {Object} body - Request body ({ vehicleTokenIds, startDate, endDate })
+ * @returns {{values: Object, errors: string[]}} Parsed values ({ tokenIds, startDate, endDate }) and validation errors
+ */
+export function validateReportRequest(body) {
+  const values = {}
+  const errors = []
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { values, errors: ['Request body must be a JSON object'] }
+  }
+
+  const tokenIds = body.vehicleTokenIds
+  if (!Array.isArray(tokenIds) || tokenIds.length === 0) {
+    errors.push('vehicleTokenIds must be a non-empty array')
+  } else {
+    const parsed = tokenIds.map(id => Number(id))
+    if (parsed.some(id => !Number.isInteger(id) || id <= 0)) {
+      errors.push('vehicleTokenIds must contain positive integers')
+    } else {
+      values.tokenIds = [...new Set(parsed)]
+      if (values.tokenIds.length > MAX_REPORT_VEHICLES) {
+        errors.push(`A report can include at most ${MAX_REPORT_VEHICLES} vehicles`)
+      }
+    }
+  }
+
+  for (const field of ['startDate', 'endDate']) {
+    const date = parseServiceDate(body[field])
+    if (!date || body[field].length !== 10) {
+      errors.push(`${field} must be a date in YYYY-MM-DD format`)
+    } else {
+      values[field] = date
+    }
+  }
+
+  if (values.startDate && values.endDate) {
+    const today = new Date().toISOString().slice(0, 10)
+    if (values.startDate > values.endDate) {
+      errors.push('startDate must not be after endDate')
+    } else if (values.startDate > today) {
+      errors.push('startDate cannot be in the future')
+    } else if ((Date.parse(values.endDate) - Date.parse(values.startDate)) / DAY_MS > MAX_REPORT_DAYS) {
+      errors.push('The report range can span at most 5 years')
+    }
+  }
+
+  return { values, errors }
+}
+
+/**
+ * Split a date range into calendar months, clipped to the range
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Array<{start: string, end: string}>} Periods
+ */
+export function monthlyPeriods(startDate, endDate) {
+  const periods = []
+  let cursor = new Date(`${startDate}T00:00:00Z`)
+  while (cursor.toISOString().slice(0, 10) <= endDate) {
+    const monthEnd = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 0))
+    const start = cursor.toISOString().slice(0, 10)
+    const end = monthEnd.toISOString().slice(0, 10)
+    periods.push({ start, end: end < endDate ? end : endDate })
+    cursor = new Date(monthEnd.getTime() + DAY_MS)
+  }
+  return periods
+}
+
+function roundTo(value, digits) {
+  if (value == null) return null
+  const factor = 10 ** digits
+  return Math.round(value * factor) / factor
+}
+
+/**
+ * Build monthly CSV rows for one vehicle
+ * @param {Object} vehicle
+ * @param {number} vehicle.tokenId - Vehicle token ID
+ * @param {string|null} vehicle.vin - VIN from telemetry
+ * @param {Array} vehicle.signals - Telemetry signals ({ timestamp, powertrainTransmissionTravelledDistance } in km)
+ * @param {Array} vehicle.records - Maintenance records ({ serviceDate, totalCost }) within the range
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Array<Object>} Rows keyed by REPORT_CSV_HEADER ids
+ */
+export function buildReportRows({ tokenId, vin, signals, records }, startDate, endDate) {
+  const readings = (signals || [])
+    .filter(s => typeof s.powertrainTransmissionTravelledDistance === 'number' && s.timestamp)
+    .map(s => ({ date: String(s.timestamp).slice(0, 10), miles: s.powertrainTransmissionTravelledDistance * KM_TO_MILES }))
+    .sort((a, b) => a.date.localeCompare(b.date))
+
+  let previousEnd = null
+  return monthlyPeriods(startDate, endDate).map(({ start, end }) => {
+    const inPeriod = readings.filter(r => r.date >= start && r.date <= end)
+    const odometerStart = inPeriod.length > 0 ? inPeriod[0].miles : null
+    const odometerEnd = inPeriod.length > 0 ? inPeriod[inPeriod.length - 1].miles : null
+    // Measure from the previous month's last reading so no distance falls between periods
+    const baseline = previousEnd ?? odometerStart
+    const milesDriven = odometerEnd != null && baseline != null ? Math.max(0, odometerEnd - baseline) : null
+    if (odometerEnd != null) previousEnd = odometerEnd
+
+    const services = (records || []).filter(r => r.serviceDate >= start && r.serviceDate <= end)
+    const spend = services.reduce((sum, r) => sum + (r.totalCost || 0), 0)
+
+    return {
+      tokenId,
+      vin: vin || '',
+      periodStart: start,
+      periodEnd: end,
+      odometerStartMiles: roundTo(odometerStart, 0) ?? '',
+      odometerEndMiles: roundTo(odometerEnd, 0) ?? '',
+      milesDriven: roundTo(milesDriven, 0) ?? '',
+      serviceCount: services.length,
+      maintenanceSpend: roundTo(spend, 2).toFixed(2),
+    }
+  })
+}
+
+/**
+ * Map a reports table row to API shape
+ * @param {Object} row - Row from vehicle_maintenance.reports
+ * @returns {Object} API report
+ */
+export function normalizeReport(row) {
+  return {
+    id: row.id,
+    filename: row.filename,
+    vehicleTokenIds: row.tokenIds,
+    startDate: formatServiceDate(row.startDate),
+    endDate: formatServiceDate(row.endDate),
+    rowCount: row.rowCount,
+    createdAt: row.createdAt,
+    downloadUrl: `/api/reports/download/${row.filename}`,
+  }
+}
@@ -0,0 +1,297 @@
+/**
+ * Rule-based maintenance schedule engine
+ *
+ * Usage:
+ *   import { generateMaintenanceSchedule } from './schedule-engine.js'
+ *   const { plan } = generateMaintenanceSchedule({ currentMileage, history, make, model, year })
+ *
+ * Each rule has a mileage and/or time interval. The last matching maintenance record
+ * sets the starting point; without one the service is assumed to follow the factory
+ * schedule from zero miles. Time intervals are converted to miles with the vehicle's
+ * observed driving rate so both kinds of rules share one mileage timeline.
+ */
+
+// Interval rules per service type; `combustion` rules do not apply to electric vehicles
+export const SERVICE_RULES = [
+  { id: 'oil-change', name: 'Oil and filter change', miles: 5000, months: 6, estimatedCost: 80, combustion: true,
+    keywords: [/\boil\b/, /lube/] },
+  { id: 'tire-rotation', name: 'Tire rotation', miles: 7500, months: 12, estimatedCost: 40,
+    keywords: [/rotat/] },
+  { id: 'brake-inspection', name: 'Brake inspection', miles: 15000, months: 12, estimatedCost: 50,
+    keywords: [/brake (inspection|check)/, /inspect.*brake/, /brake pad/] },
+  { id: 'cabin-air-filter', name: 'Cabin air filter', miles: 15000, months: 12, estimatedCost: 50,
+    keywords: [/cabin (air )?filter/, /pollen filter/] },
+  { id: 'engine-air-filter', name: 'Engine air filter', miles: 30000, months: 36, estimatedCost: 45, combustion: true,
+    keywords: [/engine air filter/, /\bair filter\b(?!.*cabin)/] },
+  { id: 'brake-fluid', name: 'Brake fluid flush', miles: 30000, months: 24, estimatedCost: 120,
+    keywords: [/brake fluid/] },
+  { id: 'coolant', name: 'Coolant flush', miles: 60000, months: 60, estimatedCost: 150,
+    keywords: [/coolant/, /antifreeze/, /radiator flush/] },
+  { id: 'transmission-fluid', name: 'Transmission fluid service', miles: 60000, months: 60, estimatedCost: 200, combustion: true,
+    keywords: [/transmission (fluid|service)/, /\batf\b/, /\bcvt fluid/] },
+  { id: 'spark-plugs', name: 'Spark plug replacement', miles: 100000, months: 120, estimatedCost: 250, combustion: true,
+    keywords: [/spark plug/] },
+  { id: 'wiper-blades', name: 'Wiper blades', months: 12, estimatedCost: 35,
+    keywords: [/wiper/] },
+  { id: 'battery', name: '12V battery test', months: 12, estimatedCost: 25,
+    keywords: [/battery/] },
+]
+
+// Make-specific interval changes, applied when the model year is at least minYear
+const MAKE_OVERRIDES = {
+  toyota: [{ minYear: 2018, rules: { 'oil-change': { miles: 10000, months: 12 } } }],
+  lexus: [{ minYear: 2018, rules: { 'oil-change': { miles: 10000, months: 12 } } }],
+  honda: [{ minYear: 2016, rules: { 'oil-change': { miles: 7500, months: 12 } } }],
+  bmw: [{ minYear: 2008, rules: { 'oil-change': { miles: 10000, months: 12 }, 'brake-fluid': { miles: null, months: 24 } } }],
+  'mercedes-benz': [{ minYear: 2008, rules: { 'oil-change': { miles: 10000, months: 12 } } }],
+  ford: [{ minYear: 2011, rules: { 'oil-change': { miles: 7500, months: 12 } } }],
+  chevrolet: [{ minYear: 2011, rules: { 'oil-change': { miles: 7500, months: 12 } } }],
+}
+
+// Makes and models without a combustion engine
+const ELECTRIC_MAKES = ['tesla', 'rivian', 'lucid', 'polestar']
+const ELECTRIC_MODELS = [/\bleaf\b/, /\bbolt\b/, /mach-e/, /ioniq ?[56]/, /\bev\d?\b/, /\be-tron\b/, /\bi[34x]\b/, /\bid\.?\d/, /taycan/, /lightning/]
+
+const DEFAULT_MILES_PER_MONTH = 1000
+const MIN_MILES_PER_MONTH = 100
+const MAX_MILES_PER_MONTH = 5000
+const DAY_MS = 24 * 60 * 60 * 1000
+const MONTH_MS = 30.44 * DAY_MS
+
+/**
+ * Whether the vehicle is electric (no oil, spark plugs, etc.)
+ */
+export function isElectricVehicle({ make, model } = {}) {
+  const m = String(make || '').toLowerCase()
+  const name = String(model || '').toLowerCase()
+  return ELECTRIC_MAKES.includes(m) || ELECTRIC_MODELS.some(re => re.test(name))
+}
+
+/**
+ * Rules that apply to a vehicle, with make overrides applied
+ * @param {Object} vehicle - { make, model, year }
+ * @returns {Array<Object>} Rules
+ */
+export function rulesForVehicle(vehicle = {}) {
+  const electric = isElectricVehicle(vehicle)
+  const year = parseInt(vehicle.year, 10)
+  const overrides = {}
+  for (const entry of MAKE_OVERRIDES[String(vehicle.make || '').toLowerCase()] || []) {
+    if (Number.isFinite(year) && year >= entry.minYear) Object.assign(overrides, entry.rules)
+  }
+
+  return SERVICE_RULES
+    .filter(rule => !(electric && rule.combustion))
+    .map(rule => ({ ...rule, ...overrides[rule.id] }))
+}
+
+function recordText(record) {
+  return [
+    record.summary,
+    record.description,
+    ...(record.parts || []),
+    ...(record.lineItems || []).map(item => item.description),
+  ].filter(Boolean).join(' ').toLowerCase()
+}
+
+function monthsBetween(from, to) {
+  return (to.getTime() - from.getTime()) / MONTH_MS
+}
+
+/**
+ * Estimate miles driven per month from dated records with mileage
+ * @returns {number} Miles per month (clamped), or the default when history is too thin
+ */
+export function estimateMilesPerMonth(history, currentMileage, today) {
+  const dated = history
+    .filter(r => r.serviceDate && typeof r.mileage === 'number')
+    .map(r => ({ date: new Date(`${r.serviceDate}T00:00:00Z`), mileage: r.mileage }))
+    .sort((a, b) => a.date - b.date)
+
+  const samples = [...dated]
+  if (currentMileage > 0) samples.push({ date: today, mileage: currentMileage })
+  if (samples.length < 2) return DEFAULT_MILES_PER_MONTH
+
+  const first = samples[0]
+  const last = samples[samples.length - 1]
+  const months = monthsBetween(first.date, last.date)
+  if (months < 1 || last.mileage <= first.mileage) return DEFAULT_MILES_PER_MONTH
+
+  const rate = (last.mileage - first.mileage) / months
+  return Math.round(Math.min(MAX_MILES_PER_MONTH, Math.max(MIN_MILES_PER_MONTH, rate)))
+}
+
+/**
+ * Find the most recent record matching a rule
+ * @returns {{serviceDate: string|null, mileage: number|null}|null}
+ */
+function lastServiceFor(rule, history) {
+  const matches = history
+    .filter(record => rule.keywords.some(re => re.test(recordText(record))))
+    .sort((a, b) => String(b.serviceDate || '').localeCompare(String(a.serviceDate || '')) || (b.mileage || 0) - (a.mileage || 0))
+  return matches[0] || null
+}
+
+/**
+ * When a rule is next due
+ * @returns {{mileage: number, dueMileage: number|null, dueDate: Date|null}} `mileage` is the effective due
+ *   point with time converted to miles; `dueMileage`/`dueDate` are the interval limits that are known
+ */
+function nextDueFor(rule, { last, currentMileage, milesPerMonth, today }) {
+  const lastDate = last?.serviceDate ? new Date(`${last.serviceDate}T00:00:00Z`) : null
+  // Mileage of the last service: recorded, or estimated from its date
+  let lastMileage = typeof last?.mileage === 'number' ? last.mileage : null
+  if (lastMileage == null && lastDate) {
+    lastMileage = Math.max(0, currentMileage - monthsBetween(lastDate, today) * milesPerMonth)
+  }
+
+  let dueMileage = null
+  if (rule.miles) {
+    dueMileage = lastMileage != null
+      ? lastMileage + rule.miles
+      // No record: assume the factory schedule was followed from zero
+      : Math.ceil((currentMileage + 1) / rule.miles) * rule.miles
+  }
+  const dueDate = rule.months && lastDate ? new Date(lastDate.getTime() + rule.months * MONTH_MS) : null
+
+  const byTime = dueDate ? currentMileage + monthsBetween(today, dueDate) * milesPerMonth : Infinity
+  // Time-only rule with no record: due now
+  const mileage = dueMileage == null && !dueDate ? currentMileage : Math.min(dueMileage ?? Infinity, byTime)
+  return { mileage, dueMileage, dueDate }
+}
+
+/**
+ * Due points for one rule within the horizon
+ * @returns {Array<{mileage: number, overdue: boolean}>}
+ */
+function occurrencesFor(rule, { last, currentMileage, horizonEnd, milesPerMonth, today }) {
+  const occurrences = []
+  let next = nextDueFor(rule, { last, currentMileage, milesPerMonth, today }).mileage
+
+  const step = Math.min(rule.miles || Infinity, rule.months ? rule.months * milesPerMonth : Infinity)
+  if (next <= currentMileage) {
+    occurrences.push({ mileage: currentMileage, overdue: true })
+    next = currentMileage + step
+  }
+  for (; next <= horizonEnd && occurrences.length < 50; next += step) {
+    occurrences.push({ mileage: next, overdue: false })
+  }
+  return occurrences
+}
+
+/**
+ * Generate the upcoming maintenance plan
+ * @param {Object} options
+ * @param {number} options.currentMileage - Current odometer (miles)
+ * @param {Array} options.history - Maintenance records (serviceDate, mileage, summary, description, parts, lineItems)
+ * @param {string} [options.make]
+ * @param {string} [options.model]
+ * @param {number|string} [options.year]
+ * @param {number} [options.horizonMiles] - How far ahead to plan
+ * @param {Date} [options.today]
+ * @returns {{plan: Array<Object>, milesPerMonth: number, source: string}} Plan entries
+ *   `{ mileage, services, estimatedCost, dueDate, overdue, items: [{ id, name, estimatedCost, lastServiceDate, lastServiceMileage }] }`
+ */
+export function generateMaintenanceSchedule({
+  currentMileage = 0,
+  history = [],
+  make,
+  model,
+  year,
+  horizonMiles = 60000,
+  today = new Date(),
+}) {
+  const current = Math.max(0, Math.round(Number(currentMileage) || 0))
+  const milesPerMonth = estimateMilesPerMonth(history, current, today)
+  const horizonEnd = current + horizonMiles
+
+  const entries = new Map()
+  for (const rule of rulesForVehicle({ make, model, year })) {
+    const last = lastServiceFor(rule, history)
+    for (const occurrence of occurrencesFor(rule, { last, currentMileage: current, horizonEnd, milesPerMonth, today })) {
+      // Group services due within the same thousand miles into one visit
+      const mileage = occurrence.overdue ? current : Math.ceil(occurrence.mileage / 1000) * 1000
+      if (!entries.has(mileage)) entries.set(mileage, { mileage, overdue: occurrence.overdue, items: [] })
+      const entry = entries.get(mileage)
+      if (entry.items.some(item => item.id === rule.id)) continue
+      entry.items.push({
+        id: rule.id,
+        name: rule.name,
+        estimatedCost: rule.estimatedCost,
+        lastServiceDate: last?.serviceDate || null,
+        lastServiceMileage: typeof last?.mileage === 'number' ? last.mileage : null,
+      })
+    }
+  }
+
+  const plan = [...entries.values()]
+    .sort((a, b) => a.mileage - b.mileage)
+    .map(entry => {
+      const monthsAhead = Math.max(0, (entry.mileage - current) / milesPerMonth)
+      return {
+        mileage: entry.mileage,
+        services: entry.items.map(item => item.name),
+        estimatedCost: entry.items.reduce((sum, item) => sum + item.estimatedCost, 0),
+        dueDate: new Date(today.getTime() + monthsAhead * MONTH_MS).toISOString().slice(0, 10),
+        overdue: entry.overdue,
+        items: entry.items,
+      }
+    })
+
+  return { plan, milesPerMonth, source: 'rules' }
+}
+
+// A service is "soon" within this many miles or days of its due point
+const SOON_MILES = 1000
+const SOON_DAYS = 30
+
+/**
+ * Compute the next due service from history and the current odometer
+ * Time-only services without any record are skipped, as nothing is known about when they were done.
+ * @param {Object} options - Same as generateMaintenanceSchedule (without horizonMiles)
+ * @returns {Object|null} `{ id, service, estimatedCost, dueMileage, dueDate, milesRemaining, daysRemaining,
+ *   overdue, urgency: 'overdue'|'soon'|'ok', lastServiceDate, lastServiceMileage }`, or null when nothing is due
+ */
+export function computeNextService({
+  currentMileage = 0,
+  history = [],
+  make,
+  model,
+  year,
+  today = new Date(),
+}) {
+  const current = Math.max(0, Math.round(Number(currentMileage) || 0))
+  const milesPerMonth = estimateMilesPerMonth(history, current, today)
+
+  let next = null
+  for (const rule of rulesForVehicle({ make, model, year })) {
+    const last = lastServiceFor(rule, history)
+    if (!last && !rule.miles) continue
+
+    const due = nextDueFor(rule, { last, currentMileage: current, milesPerMonth, today })
+    if (next && due.mileage >= next.due.mileage) continue
+    next = { rule, last, due }
+  }
+  if (!next) return null
+
+  const { rule, last, due } = next
+  const dueMileage = Math.round(due.dueMileage ?? due.mileage)
+  const dueDate = due.dueDate || new Date(today.getTime() + Math.max(0, due.mileage - current) / milesPerMonth * MONTH_MS)
+  const milesRemaining = dueMileage - current
+  const daysRemaining = Math.ceil((dueDate.getTime() - today.getTime()) / DAY_MS)
+  const overdue = milesRemaining <= 0 || daysRemaining <= 0
+
+  return {
+    id: rule.id,
+    service: rule.name,
+    estimatedCost: rule.estimatedCost,
+    dueMileage,
+    dueDate: dueDate.toISOString().slice(0, 10),
+    milesRemaining,
+    daysRemaining,
+    overdue,
+    urgency: overdue ? 'overdue' : (milesRemaining <= SOON_MILES || daysRemaining <= SOON_DAYS ? 'soon' : 'ok'),
+    lastServiceDate: last?.serviceDate || null,
+    lastServiceMileage: typeof last?.mileage === 'number' ? last.mileage : null,
+  }
+}
@@ -5,13 +5,51 @@ import { fileURLToPath } from 'url'
 import dotenv from 'dotenv'
 import { DIMO } from '@dimo-network/data-sdk'
 import fs from 'fs/promises'
-import { createObjectCsvWriter } from 'csv-writer'
+import { createObjectCsvStringifier } from 'csv-writer'
+import crypto from 'crypto'
 import https from 'https'
 import multer from 'multer'
-import { createOpenAIService } from './openai-service.js'
+import { createAIService } from './ai-providers.js'
+import { createAIUsageLedger } from './ai-usage.js'
+import { createCredentialStore, maskSecret, validateCredentials, validateProfileName } from './credentials.js'
+import { createLocalExtractionService } from './local-extraction.js'
+import { createDocumentStorage } from './document-storage.js'
+import { DOCUMENT_JOB_COLUMNS, createDocumentJobQueue, normalizeDocumentJob } from './document-jobs.js'
+import { DUPLICATE_CANDIDATE_COLUMNS, findDuplicateRecords, hashFile } from './duplicates.js'
+import { adminJwtMiddleware, createJwtVerifier, userJwtMiddleware, vehicleJwtMiddleware } from './jwt-verifier.js'
+import { VehicleAccessError, createVehicleAccess } from './vehicle-access.js'
+import { createDimoTelemetryService, parseOdometerQuery } from './dimo-telemetry.js'
+import { createTokenCache } from './token-cache.js'
 import pkg from 'pg'
 const { Pool } = pkg
 import { runMigrations } from './migrations.js'
+import {
+  MAINTENANCE_RECORD_COLUMNS,
+  MAINTENANCE_RECORD_FIELDS,
+  draftFieldsFromExtraction,
+  formatServiceDate,
+  normalizeLineItem,
+  parseServiceDate,
+  normalizeMaintenanceRecord,
+  validateMaintenanceRecord,
+} from './maintenance-records.js'
+import {
+  REPORT_CSV_HEADER,
+  REPORT_FILENAME_PATTERN,
+  buildReportRows,
+  normalizeReport,
+  reportFilename,
+  validateReportRequest,
+} from './reports.js'
+import { normalizeUpcomingPlan, normalizeVehicleInfo, renderServiceHistoryPdf } from './service-history-pdf.js'
+import { computeNextService, generateMaintenanceSchedule } from './schedule-engine.js'
+import {
+  SERVICE_PLAN_COLUMNS,
+  SERVICE_PLAN_SUMMARY_COLUMNS,
+  comparePlans,
+  historySnapshot,
+  normalizeServicePlan,
+} from './service-plans.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -28,13 +66,21 @@ if (missingEnvVars.length > 0) {
   console.warn('📝 Please create a .env file in the backend directory using env.template as a guide')
 }
 
-if (!process.env.OPENAI_API_KEY) {
-  console.warn('⚠️  OPENAI_API_KEY not set - AI features will be disabled')
-  console.warn('📝 Add OPENAI_API_KEY to your .env file to enable AI features')
+// AI provider selected by AI_PROVIDER (openai, openai-compatible or stub)
+const aiService = createAIService(process.env)
+console.log(`🤖 AI provider: ${aiService.name}`)
+
+if (!aiService.isConfigured) {
+  console.warn('⚠️  AI provider not configured - AI features will be disabled')
+  console.warn('📝 Add OPENAI_API_KEY (or AI_PROVIDER settings, see env.template) to your .env file to enable AI features')
 }
 
-// Create OpenAI service instance with API key
-const openaiService = createOpenAIService(process.env.OPENAI_API_KEY)
+// Invoice text extraction without AI: fallback (default) when the provider is unavailable, always, or off
+const LOCAL_EXTRACTION = process.env.LOCAL_EXTRACTION || 'fallback'
+if (!['fallback', 'always', 'off'].includes(LOCAL_EXTRACTION)) {
+  throw new Error(`Unsupported LOCAL_EXTRACTION "${LOCAL_EXTRACTION}" (expected fallback, always or off)`)
+}
+const localExtraction = createLocalExtractionService(process.env)
 
 const app = express()
 const PORT = process.env.PORT || 3001
@@ -60,6 +106,27 @@ const multerStorage = multer.diskStorage({
   }
 })
 
+// Accepted uploads: MIME type -> file extensions it may come with
+// Stored documents are served with these types only, so an upload cannot be served as HTML.
+const DOCUMENT_TYPES = {
+  'application/pdf': ['.pdf'],
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'image/gif': ['.gif'],
+  'image/webp': ['.webp'],
+  'image/bmp': ['.bmp'],
+}
+
+/**
+ * MIME type of an upload from the allowlist, or null when the type or extension is not accepted
+ * @param {Object} file - Multer file ({ mimetype, originalname })
+ */
+function documentType(file) {
+  const type = String(file.mimetype || '').toLowerCase()
+  const extensions = Object.hasOwn(DOCUMENT_TYPES, type) ? DOCUMENT_TYPES[type] : null
+  return extensions?.includes(path.extname(file.originalname || '').toLowerCase()) ? type : null
+}
+
 const upload = multer({ 
   storage: multerStorage,
   limits: {
@@ -67,11 +134,7 @@ const upload = multer({
   },
   fileFilter: (req, file, cb) => {
     // Allow PDF and image files
-    const allowedTypes = /pdf|jpeg|jpg|png|gif|webp|bmp/
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase())
-    const mimetype = allowedTypes.test(file.mimetype)
-    
-    if (mimetype && extname) {
+    if (documentType(file)) {
       return cb(null, true)
     } else {
       cb(new Error('Only PDF and image files are allowed'))
@@ -82,6 +145,12 @@ const upload = multer({
 // Ensure tmp directory exists
 const tmpDir = path.join(__dirname, '../tmp')
 
+// Original invoice documents linked to maintenance records
+const documentStorage = createDocumentStorage({
+  type: process.env.DOCUMENT_STORAGE || 'local',
+  baseDir: process.env.DOCUMENT_STORAGE_DIR || path.join(tmpDir, 'documents'),
+})
+
 // Initialize DIMO SDK
 const dimo = new DIMO('Production')
 
@@ -89,6 +158,7 @@ const dimo = new DIMO('Production')
 async function initializeServer() {
   await fs.mkdir(tmpDir, { recursive: true })
   await fs.mkdir(path.join(tmpDir, 'uploads'), { recursive: true })
+  await fs.mkdir(path.join(tmpDir, 'reports'), { recursive: true })
 }
 
 // ---- Postgres setup - defaults to localhost:5432 ----
@@ -109,31 +179,20 @@ class FileStorage {
     this.baseDir = baseDir
   }
 
-  async saveConfig(config) {
-    const configPath = path.join(this.baseDir, 'app-config.json')
-    await fs.writeFile(configPath, JSON.stringify(config, null, 2))
-    return configPath
-  }
-
-  async loadConfig() {
-    try {
-      const configPath = path.join(this.baseDir, 'app-config.json')
-      const data = await fs.readFile(configPath, 'utf8')
-      return JSON.parse(data)
-    } catch (error) {
-      return null
-    }
+  // Reports live in their own directory so downloads can never reach other files in tmp
+  reportPath(filename) {
+    return path.join(this.baseDir, 'reports', filename)
   }
 
   async saveReport(reportData, filename) {
-    const reportPath = path.join(this.baseDir, filename)
+    const reportPath = this.reportPath(filename)
     await fs.writeFile(reportPath, reportData)
     return reportPath
   }
 
   async listReports() {
     try {
-      const files = await fs.readdir(this.baseDir)
+      const files = await fs.readdir(path.join(this.baseDir, 'reports'))
       return files.filter(file => file.endsWith('.csv'))
     } catch (error) {
       return []
@@ -143,58 +202,538 @@ class FileStorage {
 
 const storage = new FileStorage(tmpDir)
 
+// DIMO developer credentials, with the API key encrypted under CONFIG_ENCRYPTION_KEY
+const credentials = createCredentialStore(pool, process.env)
+if (!credentials.canEncrypt) {
+  console.warn('⚠️  CONFIG_ENCRYPTION_KEY not set - DIMO credentials cannot be stored or used')
+  console.warn('📝 Add a key generated with `openssl rand -base64 32` to your .env file')
+}
+
+// Verify DIMO JWTs against their issuer's JWKS: user JWTs from DIMO login, vehicle JWTs from the
+// token exchange (DIMO_JWKS_FILE swaps in a local key set)
+const userJwtVerifier = createJwtVerifier(process.env, 'user')
+const vehicleJwtVerifier = createJwtVerifier(process.env, 'vehicle')
+
+// Require a verified vehicle JWT whose token_id matches :tokenId
+const requireVehicleJwt = vehicleJwtMiddleware(vehicleJwtVerifier)
+
+// Require a verified user JWT (sets req.userId)
+const requireUserJwt = userJwtMiddleware(userJwtVerifier)
+
+// Vehicles a user owns or was granted, from DIMO's identity API
+const vehicleAccess = createVehicleAccess(process.env)
+
+/**
+ * Check that the user of a user-JWT request owns or was granted every vehicle
+ * @returns {Promise<Object|null>} `{ status, error, denied }` to answer with (denied: the inaccessible token IDs), or null when all are accessible
+ */
+async function vehicleAccessError(req, tokenIds) {
+  const walletAddress = req.user?.ethereum_address
+  if (!walletAddress) {
+    return { status: 403, error: 'JWT has no wallet address to check vehicle access against' }
+  }
+  try {
+    const denied = await vehicleAccess.deniedTokenIds(walletAddress, tokenIds)
+    return denied.length > 0
+      ? { status: 403, error: `No access to vehicle${denied.length > 1 ? 's' : ''} ${denied.join(', ')}`, denied }
+      : null
+  } catch (error) {
+    if (!(error instanceof VehicleAccessError)) throw error
+    console.error('Vehicle access check failed:', error.message)
+    return { status: 503, error: 'Unable to check vehicle access right now' }
+  }
+}
+
+// Require a verified user JWT of an administrator (wallet addresses in ADMIN_ADDRESSES)
+const requireAdminJwt = adminJwtMiddleware(userJwtVerifier, (process.env.ADMIN_ADDRESSES || '').split(','))
+
+// Ledger of AI calls with the monthly budget caps (AI_MONTHLY_BUDGET_USD, AI_VEHICLE_MONTHLY_BUDGET_USD)
+const aiUsage = createAIUsageLedger(pool, process.env)
+
+// User behind a request, from the user JWT or the vehicle JWT it was made with
+function requestUserId(req) {
+  const userId = req.userId || req.vehicleJwt?.ethereum_address || req.vehicleJwt?.sub
+  return userId ? String(userId).toLowerCase() : null
+}
+
+// AI provider that records usage for the route, vehicle and user of a request (see ai-usage.js)
+function meteredAI(req, tokenId = null) {
+  return aiUsage.meter(aiService, { endpoint: `${req.method} ${req.route.path}`, tokenId, userId: requestUserId(req) })
+}
+
+// Developer and vehicle JWTs reused until shortly before they expire (in memory, or TOKEN_CACHE_REDIS_URL)
+const tokenCache = createTokenCache(process.env)
+
+// Telemetry queried with the developer credentials of a profile (the default profile when none is given)
+const telemetryService = createDimoTelemetryService({
+  dimo,
+  loadConfig: async (profile) => credentials.load(profile || await credentials.resolveDefaultProfile()),
+  tokenCache,
+})
+
+const MAINTENANCE_DRAFT_COLUMNS = `id, token_id as "tokenId", fields, document_name as "documentName",
+              document_sha256 as "documentSha256", document_visit as "documentVisit", created_at as "createdAt"`
+
+// Uploaded documents are extracted in the background; workers start with the server
+const documentJobs = createDocumentJobQueue({
+  pool,
+  concurrency: parseInt(process.env.DOCUMENT_JOB_CONCURRENCY, 10) || 2,
+  maxAttempts: parseInt(process.env.DOCUMENT_JOB_MAX_ATTEMPTS, 10) || 3,
+  handler: async (job, reportProgress, complete) => {
+    const extraction = await withStoredDocument(job.documentKey, filePath => extractDocumentToDrafts({
+      tokenId: job.tokenId,
+      filePath,
+      documentKey: job.documentKey,
+      originalName: job.documentName,
+      mimetype: job.documentMime,
+      ai: aiUsage.meter(aiService, { endpoint: 'document-job', tokenId: job.tokenId, userId: job.requestedBy }),
+      // The job succeeds in the same transaction as its drafts, so a retry cannot insert them again
+      onSaved: (client, { drafts, source }) => complete(client, { draftIds: drafts.map(draft => draft.id), source }),
+    }, reportProgress))
+    return extraction.success
+      ? { success: true, draftIds: extraction.drafts.map(draft => draft.id), source: extraction.source }
+      : extraction
+  },
+  onFailed: (job) => removeDocumentIfUnused(job.documentKey),
+})
+
+// Run fn with a temp copy of a stored document, since extraction reads documents from a file
+async function withStoredDocument(documentKey, fn) {
+  const copyPath = path.join(tmpDir, 'uploads', `${crypto.randomUUID()}${path.extname(documentKey)}`)
+  await fs.writeFile(copyPath, await documentStorage.read(documentKey))
+  try {
+    return await fn(copyPath)
+  } finally {
+    await fs.unlink(copyPath).catch(() => {})
+  }
+}
+
+// Run queries in a transaction on a dedicated client
+async function withTransaction(fn) {
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+    const result = await fn(client)
+    await client.query('COMMIT')
+    return result
+  } catch (error) {
+    await client.query('ROLLBACK')
+    throw error
+  } finally {
+    client.release()
+  }
+}
+
+// Replace all line items of a record
+async function replaceLineItems(client, recordId, lineItems) {
+  await client.query(
+    `DELETE FROM vehicle_maintenance.maintenance_line_items WHERE record_id = $1`,
+    [recordId]
+  )
+  for (const [position, item] of lineItems.entries()) {
+    await client.query(
+      `INSERT INTO vehicle_maintenance.maintenance_line_items
+       (record_id, position, item_type, description, quantity, unit_price, part_number)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [recordId, position, item.type, item.description, item.quantity, item.unitPrice, item.partNumber]
+    )
+  }
+}
+
+// Attach line items to API records
+async function withLineItems(records, client = pool) {
+  if (records.length === 0) return records
+
+  const { rows } = await client.query(
+    `SELECT id, record_id as "recordId", item_type as "type", description, quantity,
+            unit_price as "unitPrice", part_number as "partNumber"
+       FROM vehicle_maintenance.maintenance_line_items
+      WHERE record_id = ANY($1::int[])
+      ORDER BY record_id, position, id`,
+    [records.map(r => r.id)]
+  )
+
+  const byRecord = new Map()
+  for (const row of rows) {
+    if (!byRecord.has(row.recordId)) byRecord.set(row.recordId, [])
+    byRecord.get(row.recordId).push(normalizeLineItem(row))
+  }
+  return records.map(r => ({ ...r, lineItems: byRecord.get(r.id) || [] }))
+}
+
+// All maintenance records of a vehicle with line items, most recent first (input of the schedule engine)
+async function loadServiceHistory(tokenId) {
+  const { rows } = await pool.query(
+    `SELECT ${MAINTENANCE_RECORD_COLUMNS}
+       FROM vehicle_maintenance.maintenance_records
+      WHERE token_id = $1
+      ORDER BY service_date DESC NULLS LAST, created_at DESC`,
+    [tokenId]
+  )
+  return await withLineItems(rows.map(normalizeMaintenanceRecord))
+}
+
+// Vehicle info passed by the vehicle page (query params or JSON body)
+function parseVehicleParams(query) {
+  return {
+    currentMileage: parseFloat(query.currentMileage || '0') || 0,
+    make: (query.make || '').toString(),
+    model: (query.model || '').toString(),
+    year: parseInt(query.year || '0', 10) || null,
+  }
+}
+
+// Insert a validated maintenance record (with its line items) and return it in API shape
+// With replaceRecordId, that record is deleted in the same transaction (an upload replacing a duplicate)
+// With draftId, the confirmed draft is deleted in the same transaction too, so a failed insert keeps
+// it; returns null when the draft is already gone (confirmed twice concurrently)
+async function insertMaintenanceRecord(tokenId, values, document = null, { replaceRecordId = null, draftId = null } = {}) {
+  const { lineItems = [], ...recordValues } = values
+
+  // output_text is NOT NULL; manually entered records have no model output, and only a confirmed
+  // draft passes its own (it is not a field clients can write)
+  const fields = Object.keys(recordValues).filter(f => f !== 'outputText')
+  const columns = ['token_id', 'output_text', ...fields.map(f => MAINTENANCE_RECORD_FIELDS[f])]
+  const params = [tokenId, recordValues.outputText ?? '', ...fields.map(f => recordValues[f])]
+
+  if (document) {
+    columns.push('document_key', 'document_name', 'document_mime', 'document_sha256', 'document_visit')
+    params.push(document.key, document.name, document.mime, document.sha256 ?? null, document.visit ?? null)
+  }
+
+  let replacedDocumentKey = null
+  const record = await withTransaction(async (client) => {
+    if (draftId) {
+      const { rowCount } = await client.query(
+        `DELETE FROM vehicle_maintenance.maintenance_drafts WHERE token_id = $1 AND id = $2`,
+        [tokenId, draftId]
+      )
+      if (rowCount === 0) return null
+    }
+
+    if (replaceRecordId) {
+      const { rows: replaced } = await client.query(
+        `DELETE FROM vehicle_maintenance.maintenance_records
+          WHERE token_id = $1 AND id = $2
+          RETURNING document_key as "documentKey"`,
+        [tokenId, replaceRecordId]
+      )
+      replacedDocumentKey = replaced[0]?.documentKey || null
+    }
+
+    const { rows } = await client.query(
+      `INSERT INTO vehicle_maintenance.maintenance_records (${columns.join(', ')})
+       VALUES (${params.map((_, i) => `$${i + 1}`).join(', ')})
+       RETURNING ${MAINTENANCE_RECORD_COLUMNS}`,
+      params
+    )
+    await replaceLineItems(client, rows[0].id, lineItems)
+    const [record] = await withLineItems([normalizeMaintenanceRecord(rows[0])], client)
+    return record
+  })
+
+  await removeDocumentIfUnused(replacedDocumentKey)
+  return record
+}
+
+// The visits of one uploaded document share it; it is removed with the last draft or record using it
+async function removeDocumentIfUnused(documentKey) {
+  if (!documentKey) return
+  const { rows } = await pool.query(
+    `SELECT id FROM vehicle_maintenance.maintenance_records WHERE document_key = $1
+     UNION ALL
+     SELECT id FROM vehicle_maintenance.maintenance_drafts WHERE document_key = $1`,
+    [documentKey]
+  )
+  if (rows.length === 0) {
+    await documentStorage.remove(documentKey)
+  }
+}
+
+// Existing records of a vehicle that drafts may duplicate
+async function loadDuplicateCandidates(tokenId) {
+  const { rows } = await pool.query(
+    `SELECT ${DUPLICATE_CANDIDATE_COLUMNS}
+       FROM vehicle_maintenance.maintenance_records
+      WHERE token_id = $1`,
+    [tokenId]
+  )
+  return rows.map(row => ({ ...row, serviceDate: formatServiceDate(row.serviceDate) }))
+}
+
+// Attach the records each draft probably duplicates (`duplicates`, empty when none)
+async function withDuplicates(tokenId, drafts) {
+  if (drafts.length === 0) return drafts
+  const records = await loadDuplicateCandidates(tokenId)
+  return drafts.map(draft => ({
+    ...draft,
+    duplicates: findDuplicateRecords({ ...draft.fields, documentSha256: draft.documentSha256, documentVisit: draft.documentVisit }, records),
+  }))
+}
+
+// Parse :tokenId (and :id / :jobId / :draftId / :version when present) route params
+function parseMaintenanceParams(req, res, next) {
+  const tokenId = parseInt(req.params.tokenId, 10)
+  if (!Number.isFinite(tokenId)) {
+    return res.status(400).json({ error: 'Invalid tokenId' })
+  }
+  req.tokenId = tokenId
+
+  if (req.params.id !== undefined) {
+    const id = Number(req.params.id)
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ error: 'Invalid maintenance record id' })
+    }
+    req.recordId = id
+  }
+
+  if (req.params.jobId !== undefined) {
+    const jobId = Number(req.params.jobId)
+    if (!Number.isInteger(jobId) || jobId <= 0) {
+      return res.status(400).json({ error: 'Invalid document job id' })
+    }
+    req.jobId = jobId
+  }
+
+  if (req.params.draftId !== undefined) {
+    const draftId = Number(req.params.draftId)
+    if (!Number.isInteger(draftId) || draftId <= 0) {
+      return res.status(400).json({ error: 'Invalid draft id' })
+    }
+    req.draftId = draftId
+  }
+
+  // Plan versions also accept "latest"
+  if (req.params.version !== undefined && req.params.version !== 'latest') {
+    const version = Number(req.params.version)
+    if (!Number.isInteger(version) || version <= 0) {
+      return res.status(400).json({ error: 'Invalid plan version' })
+    }
+    req.planVersion = version
+  }
+  next()
+}
+
 // API Routes
 
-// Get app configuration
+// What the browser may see of a profile: the public client ID and redirect URI, never the API key
+function publicProfile({ name, clientId, redirectUri, updatedAt }) {
+  return { name, clientId, redirectUri, updatedAt }
+}
+
+// Profile the DIMO calls of a request run with: the X-Config-Profile header, the user's stored
+// choice, or the default profile (null when nothing is configured)
+async function requestProfile(req) {
+  return await credentials.resolveProfile({ requested: req.get('X-Config-Profile'), userId: requestUserId(req) })
+}
+
+// Decrypted credentials of the request's profile (null when it does not exist)
+async function requestConfig(req) {
+  const profile = await requestProfile(req)
+  return profile ? await credentials.load(profile) : null
+}
+
+function parseProfileParam(req, res, next) {
+  const { errors } = validateProfileName(req.params.profile)
+  if (errors.length > 0) {
+    return res.status(400).json({ error: `Invalid profile: ${errors.join('; ')}`, details: errors })
+  }
+  next()
+}
+
+// The X-Config-Profile header is checked like a profile in the path before any route uses it
+function parseProfileHeader(req, res, next) {
+  const requested = req.get('X-Config-Profile')
+  if (requested === undefined) return next()
+  const { errors } = validateProfileName(requested)
+  if (errors.length > 0) {
+    return res.status(400).json({ error: `Invalid X-Config-Profile header: ${errors.join('; ')}`, details: errors })
+  }
+  next()
+}
+
+// Nobody can sign in before a profile exists, so the first profile (first-run setup) is added
+// with the CONFIG_SETUP_TOKEN from the environment; any profile can be added by an administrator
+async function requireAdminOrSetupToken(req, res, next) {
+  const setupToken = req.get('X-Setup-Token')
+  if (!setupToken) return requireAdminJwt(req, res, next)
+
+  const expected = process.env.CONFIG_SETUP_TOKEN || ''
+  const digest = (value) => crypto.createHash('sha256').update(value).digest()
+  if (!expected || !crypto.timingSafeEqual(digest(setupToken), digest(expected))) {
+    return res.status(401).json({ error: 'Invalid setup token' })
+  }
+  try {
+    if (await credentials.resolveDefaultProfile()) {
+      return res.status(403).json({ error: 'The app is already configured. Only an administrator can add profiles.' })
+    }
+  } catch (error) {
+    return next(error)
+  }
+  next()
+}
+
+function requireEncryption(req, res, next) {
+  if (!credentials.canEncrypt) {
+    return res.status(503).json({ error: 'Credential encryption is not configured. Set CONFIG_ENCRYPTION_KEY on the server.' })
+  }
+  next()
+}
+
+app.use('/api', parseProfileHeader)
+
+// Configured profiles and which one this request would use
 app.get('/api/config', async (req, res) => {
   try {
-    const config = await storage.loadConfig()
-    if (!config) {
-      return res.status(404).json({ error: 'No configuration found' })
+    const [profiles, defaultProfile, activeProfile] = await Promise.all([
+      credentials.list(),
+      credentials.resolveDefaultProfile(),
+      requestProfile(req),
+    ])
+    res.json({
+      configured: profiles.length > 0,
+      defaultProfile,
+      activeProfile: profiles.some(profile => profile.name === activeProfile) ? activeProfile : null,
+      profiles: profiles.map(publicProfile),
+    })
+  } catch (error) {
+    console.error('Failed to load configuration:', error)
+    res.status(500).json({ error: 'Failed to load configuration' })
+  }
+})
+
+// Public status of one profile
+app.get('/api/config/:profile', parseProfileParam, async (req, res) => {
+  try {
+    const status = await credentials.status(req.params.profile)
+    if (!status) {
+      return res.status(404).json({ error: `No configuration found for profile "${req.params.profile}"` })
     }
-    res.json(config)
+    res.json({ configured: true, ...publicProfile(status) })
   } catch (error) {
+    console.error('Failed to load configuration:', error)
     res.status(500).json({ error: 'Failed to load configuration' })
   }
 })
 
-// Save app configuration
-app.post('/api/config', async (req, res) => {
+// Add a profile
+app.post('/api/config/:profile', parseProfileParam, requireAdminOrSetupToken, requireEncryption, async (req, res) => {
   try {
-    const { clientId, apiKey, redirectUri } = req.body
-    
-    if (!clientId || !apiKey) {
-      return res.status(400).json({ error: 'Client ID and API Key are required' })
+    const { values, errors } = validateCredentials(req.body)
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Invalid configuration: ${errors.join('; ')}`, details: errors })
     }
 
-    const config = {
-      clientId,
-      apiKey,
-      redirectUri: redirectUri || 'http://localhost:5173',
-      createdAt: new Date().toISOString()
+    const status = await credentials.create(req.params.profile, {
+      ...values,
+      redirectUri: values.redirectUri || 'http://localhost:5173',
+    }, req.userId || null)
+    if (!status) {
+      return res.status(409).json({ error: `Profile "${req.params.profile}" already exists. An administrator can rotate its credentials.` })
     }
 
-    await storage.saveConfig(config)
-    res.json({ message: 'Configuration saved successfully', config })
+    res.status(201).json({
+      message: 'Configuration saved successfully',
+      config: { ...publicProfile(status), apiKeyMasked: maskSecret(values.apiKey) },
+    })
   } catch (error) {
+    console.error('Failed to save configuration:', error)
     res.status(500).json({ error: 'Failed to save configuration' })
   }
 })
 
-// Delete app configuration
-app.delete('/api/config', async (req, res) => {
+// Profile used for the signed-in user's requests that do not name one
+app.get('/api/me/config-profile', requireUserJwt, async (req, res) => {
   try {
-    const configPath = path.join(tmpDir, 'app-config.json')
-    
-    // Check if config file exists
-    try {
-      await fs.access(configPath)
-    } catch (error) {
-      return res.status(404).json({ error: 'No configuration found' })
+    const selected = await credentials.userProfile(req.userId)
+    res.json({ profile: selected || await credentials.resolveDefaultProfile(), selected: Boolean(selected) })
+  } catch (error) {
+    console.error('Failed to load configuration profile:', error)
+    res.status(500).json({ error: 'Failed to load configuration profile' })
+  }
+})
+
+app.put('/api/me/config-profile', requireUserJwt, async (req, res) => {
+  try {
+    const profile = req.body?.profile
+    const { errors } = validateProfileName(profile)
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Invalid profile: ${errors.join('; ')}`, details: errors })
+    }
+    if (!await credentials.status(profile)) {
+      return res.status(404).json({ error: `No configuration found for profile "${profile}"` })
+    }
+
+    await credentials.setUserProfile(req.userId, profile)
+    res.json({ profile, selected: true })
+  } catch (error) {
+    console.error('Failed to save configuration profile:', error)
+    res.status(500).json({ error: 'Failed to save configuration profile' })
+  }
+})
+
+// Stored profiles with their API keys masked
+app.get('/api/admin/config', requireAdminJwt, async (req, res) => {
+  try {
+    const profiles = await credentials.list()
+    const configs = await Promise.all(profiles.map(profile => credentials.load(profile.name)))
+    res.json({
+      defaultProfile: await credentials.resolveDefaultProfile(),
+      profiles: profiles.map((profile, i) => ({ ...profile, apiKeyMasked: maskSecret(configs[i]?.apiKey) })),
+    })
+  } catch (error) {
+    console.error('Failed to load configuration:', error)
+    res.status(500).json({ error: 'Failed to load configuration' })
+  }
+})
+
+app.get('/api/admin/config/:profile', requireAdminJwt, parseProfileParam, async (req, res) => {
+  try {
+    const [status, config] = await Promise.all([credentials.status(req.params.profile), credentials.load(req.params.profile)])
+    if (!status) {
+      return res.status(404).json({ error: `No configuration found for profile "${req.params.profile}"` })
+    }
+    res.json({ ...status, apiKeyMasked: maskSecret(config.apiKey) })
+  } catch (error) {
+    console.error('Failed to load configuration:', error)
+    res.status(500).json({ error: 'Failed to load configuration' })
+  }
+})
+
+// Rotate the credentials of a profile; omitted fields keep their stored value
+app.put('/api/admin/config/:profile', requireAdminJwt, parseProfileParam, requireEncryption, async (req, res) => {
+  try {
+    const { values, errors } = validateCredentials(req.body, { partial: true })
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Invalid configuration: ${errors.join('; ')}`, details: errors })
     }
 
-    // Delete the config file
-    await fs.unlink(configPath)
+    const previous = await credentials.status(req.params.profile)
+    const status = await credentials.update(req.params.profile, values, req.userId)
+    if (!status) {
+      return res.status(404).json({ error: `No configuration found for profile "${req.params.profile}"` })
+    }
+    // Tokens issued with the old credentials must not outlive them
+    await telemetryService.invalidateTokens(previous.clientId)
+    if (status.clientId !== previous.clientId) {
+      await telemetryService.invalidateTokens(status.clientId)
+    }
+    const config = await credentials.load(req.params.profile)
+    res.json({ message: 'Configuration updated successfully', config: { ...status, apiKeyMasked: maskSecret(config.apiKey) } })
+  } catch (error) {
+    console.error('Failed to update configuration:', error)
+    res.status(500).json({ error: 'Failed to update configuration' })
+  }
+})
+
+// Delete a profile (without profiles the app returns to first-run setup)
+app.delete('/api/admin/config/:profile', requireAdminJwt, parseProfileParam, async (req, res) => {
+  try {
+    const status = await credentials.status(req.params.profile)
+    if (!status || !await credentials.remove(req.params.profile)) {
+      return res.status(404).json({ error: `No configuration found for profile "${req.params.profile}"` })
+    }
+    await telemetryService.invalidateTokens(status.clientId)
     res.json({ message: 'Configuration deleted successfully' })
   } catch (error) {
     console.error('Failed to delete configuration:', error)
@@ -202,109 +741,102 @@ app.delete('/api/config', async (req, res) => {
   }
 })
 
-// Get developer JWT
-app.post('/api/auth/developer', async (req, res) => {
+// Verify the user JWT returned by DIMO login before the frontend stores it as a session
+// A token that does not name the profile's developer app in its `aud` claim is not accepted.
+app.get('/api/auth/session', requireUserJwt, async (req, res) => {
   try {
-    const config = await storage.loadConfig()
+    // Only the client ID is compared, so the API key is not decrypted
+    const profile = await requestProfile(req)
+    const config = profile && await credentials.status(profile)
     if (!config) {
       return res.status(400).json({ error: 'No configuration found. Please configure the app first.' })
     }
+    const audience = [].concat(req.user.aud ?? []).map(aud => String(aud).toLowerCase())
+    if (!audience.includes(config.clientId.toLowerCase())) {
+      return res.status(401).json({ error: 'JWT was not issued for this app' })
+    }
 
-    const developerJwt = await dimo.auth.getToken({
-      client_id: config.clientId,
-      domain: config.redirectUri,
-      private_key: config.apiKey,
+    res.json({
+      userId: req.userId,
+      walletAddress: req.user.ethereum_address || null,
+      email: req.user.email || null,
+      expiresAt: new Date(req.user.exp * 1000).toISOString(),
     })
-
-    res.json(developerJwt)
   } catch (error) {
-    console.error('Failed to get developer JWT:', error)
-    res.status(500).json({ error: 'Failed to authenticate with DIMO. Please check your credentials.' })
+    console.error('Failed to verify session:', error)
+    res.status(500).json({ error: 'Failed to verify session' })
   }
 })
 
 // Get vehicle JWT
-app.post('/api/auth/vehicle', async (req, res) => {
+// Requires the signed-in user's DIMO JWT and that their wallet owns the vehicle or was granted access
+// to it; the exchange runs with the app's developer credentials
+app.post('/api/auth/vehicle', requireUserJwt, async (req, res) => {
   try {
-    const { tokenId, developerJwt } = req.body
-    
-    if (!tokenId || !developerJwt) {
-      return res.status(400).json({ error: 'Token ID and Developer JWT are required' })
+    const { tokenId, refresh = false } = req.body || {}
+
+    if (!tokenId || !Number.isFinite(parseInt(tokenId, 10))) {
+      return res.status(400).json({ error: 'Token ID is required' })
+    }
+    if (typeof refresh !== 'boolean') {
+      return res.status(400).json({ error: 'refresh must be a boolean' })
     }
 
-    const vehicleJwt = await dimo.tokenexchange.getVehicleJwt({
-      ...developerJwt,
-      tokenId: parseInt(tokenId)
-    })
+    // The exchange runs with the app's credentials, so it must be limited to the user's own vehicles
+    const accessError = await vehicleAccessError(req, [parseInt(tokenId, 10)])
+    if (accessError) {
+      return res.status(accessError.status).json({ error: accessError.error })
+    }
+
+    const config = await requestConfig(req)
+    if (!config) {
+      return res.status(400).json({ error: 'No configuration found. Please configure the app first.' })
+    }
 
-    res.json(vehicleJwt)
+    // refresh: the web app's request with the cached token was rejected, so a new one is exchanged
+    const vehicleJwt = await telemetryService.getVehicleJwt(tokenId, { config, refresh })
+
+    // The SDK returns the token as a ready-made Authorization header
+    const token = vehicleJwt.headers.Authorization.replace(/^Bearer /, '')
+    res.json({ tokenId: parseInt(tokenId, 10), token, token_type: 'Bearer' })
   } catch (error) {
-    console.error(`Failed to get vehicle JWT for token ${req.body.tokenId}:`, error)
-    res.status(500).json({ error: `Failed to get vehicle access for token ${req.body.tokenId}` })
+    console.error(`Failed to get vehicle JWT for token ${req.body?.tokenId}:`, error)
+    res.status(500).json({ error: `Failed to get vehicle access for token ${req.body?.tokenId}` })
   }
 })
 
 // Get vehicle details info using DIMO telemetry API
-app.get('/api/vehicle-details-info/:tokenId', async (req, res) => {
+// Query: ?range=30d|90d|1y|2y|4y or ?from=YYYY-MM-DD&to=YYYY-MM-DD, and ?granularity=daily|weekly|monthly
+app.get('/api/vehicle-details-info/:tokenId', requireVehicleJwt, async (req, res) => {
   try {
-    const { tokenId } = req.params
-    
-    if (!tokenId) {
+    const tokenId = parseInt(req.params.tokenId, 10)
+    if (!Number.isFinite(tokenId)) {
       return res.status(400).json({ error: 'Token ID is required' })
     }
 
+    const { values, errors } = parseOdometerQuery(req.query)
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Invalid odometer query: ${errors.join('; ')}`, details: errors })
+    }
+    const { from, to, granularity, interval } = values
+
     // Load configuration
-    const config = await storage.loadConfig()
+    const config = await requestConfig(req)
     if (!config) {
       return res.status(400).json({ error: 'No configuration found. Please configure the app first.' })
     }
 
-    // Get developer JWT
-    const developerJwt = await dimo.auth.getDeveloperJwt({
-      client_id: config.clientId,
-      domain: config.redirectUri,
-      private_key: config.apiKey,
-    })
-
-    // Get vehicle JWT
-    const vehicleJwt = await dimo.tokenexchange.exchange({
-      ...developerJwt,
-      privileges: [1],
-      tokenId: parseInt(tokenId)
-    })
-
-    // Set date range for telemetry query (last 24 hours)
-    const endDate = new Date()
-    const startDate = new Date(endDate.getTime() - 4*8760 * 60 * 60 * 1000) // 4 years ago
-    
-    const startDateISO = startDate.toISOString().split('T')[0]
-    const endDateISO = endDate.toISOString().split('T')[0]
-
-    // Query telemetry data
-    const telemetryQuery = `
-      {
-        vinVCLatest(tokenId: ${tokenId}) {
-          vin
-        }
-        signals(tokenId: ${tokenId}, interval: "8760h", from: "${startDateISO}T00:00:00Z", to: "${endDateISO}T23:59:59Z") {
-          powertrainTransmissionTravelledDistance (agg: MAX)
-          timestamp
-        }
-      }
-    `
-
-    const telemetryResult = await dimo.telemetry.query({
-      ...vehicleJwt,
-      query: telemetryQuery
-    })
+    const telemetry = await telemetryService.getOdometerSignals(tokenId, { from, to, interval, config })
 
     res.json({
-      tokenId: parseInt(tokenId),
+      tokenId,
       dateRange: {
-        start: startDateISO,
-        end: endDateISO
+        start: from,
+        end: to
       },
-      telemetry: telemetryResult
+      granularity,
+      interval,
+      telemetry: telemetry.raw
     })
 
   } catch (error) {
@@ -319,7 +851,8 @@ app.get('/api/vehicle-details-info/:tokenId', async (req, res) => {
 // AI Endpoints
 
 // Process image with prompt
-app.post('/api/ai/process-image', upload.single('image'), async (req, res) => {
+// Requires a user JWT: the AI call is paid for by the app, so anonymous callers cannot run it
+app.post('/api/ai/process-image', requireUserJwt, upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No image file provided' })
@@ -330,7 +863,7 @@ app.post('/api/ai/process-image', upload.single('image'), async (req, res) => {
       return res.status(400).json({ error: 'Prompt is required' })
     }
 
-    const result = await openaiService.processImageWithPromptAndModel(
+    const result = await meteredAI(req).processImageWithPromptAndModel(
       req.file.path,
       prompt,
       model
@@ -342,7 +875,7 @@ app.post('/api/ai/process-image', upload.single('image'), async (req, res) => {
     if (result.success) {
       res.json(result)
     } else {
-      res.status(500).json(result)
+      res.status(result.budgetExceeded ? 429 : 500).json(result)
     }
   } catch (error) {
     console.error('Image processing error:', error)
@@ -354,7 +887,7 @@ app.post('/api/ai/process-image', upload.single('image'), async (req, res) => {
 })
 
 // Process PDF with prompt
-app.post('/api/ai/process-pdf', upload.single('pdf'), async (req, res) => {
+app.post('/api/ai/process-pdf', requireUserJwt, upload.single('pdf'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No PDF file provided' })
@@ -365,7 +898,7 @@ app.post('/api/ai/process-pdf', upload.single('pdf'), async (req, res) => {
       return res.status(400).json({ error: 'Prompt is required' })
     }
 
-    const result = await openaiService.processPDFWithPromptAndModel(
+    const result = await meteredAI(req).processPDFWithPromptAndModel(
       req.file.path,
       prompt,
       model
@@ -377,7 +910,7 @@ app.post('/api/ai/process-pdf', upload.single('pdf'), async (req, res) => {
     if (result.success) {
       res.json(result)
     } else {
-      res.status(500).json(result)
+      res.status(result.budgetExceeded ? 429 : 500).json(result)
     }
   } catch (error) {
     console.error('PDF processing error:', error)
@@ -389,171 +922,992 @@ app.post('/api/ai/process-pdf', upload.single('pdf'), async (req, res) => {
 })
 
 // Extract maintenance information from document
-app.post('/api/ai/extract-maintenance', upload.single('document'), async (req, res) => {
+// The vehicle is only known once multer has parsed the form, so auth runs after the upload
+const requireUploadVehicleJwt = vehicleJwtMiddleware(vehicleJwtVerifier, {
+  getTokenId: (req) => req.body?.tokenId || req.query.tokenId || req.headers['x-token-id'],
+  onReject: async (req) => {
+    if (req.file) await fs.unlink(req.file.path).catch(() => {})
+  },
+})
+
+// Records and drafts of a vehicle made from the document with this SHA-256
+async function loadDocumentUses(tokenId, documentSha256) {
+  const { rows } = await pool.query(
+    `SELECT 'record' as kind, id FROM vehicle_maintenance.maintenance_records
+      WHERE token_id = $1 AND document_sha256 = $2
+     UNION ALL
+     SELECT 'draft' as kind, id FROM vehicle_maintenance.maintenance_drafts
+      WHERE token_id = $1 AND document_sha256 = $2`,
+    [tokenId, documentSha256]
+  )
+  return {
+    recordIds: rows.filter(row => row.kind === 'record').map(row => row.id),
+    draftIds: rows.filter(row => row.kind === 'draft').map(row => row.id),
+  }
+}
+
+/**
+ * Extract an uploaded document into maintenance drafts, one per service visit found in it
+ * Used by the upload route and by the document job queue.
+ * @param {Object} upload
+ * @param {number} upload.tokenId - Vehicle token ID
+ * @param {string} upload.filePath - Uploaded temp file; moved to document storage on success
+ * @param {string} [upload.documentKey] - Storage key when the document is already stored (document jobs);
+ *   filePath is then a copy of it, and the stored document is left in place whatever the outcome
+ * @param {string} upload.originalName - Original file name
+ * @param {string} upload.mimetype - MIME type
+ * @param {Object} upload.ai - AI provider metered for the request or job (see meteredAI)
+ * @param {Function} [upload.onSaved] - Called with (client, { drafts, source }) in the transaction that
+ *   inserts the drafts; throwing from it rolls the drafts back (document jobs record their success here)
+ * @param {Function} [onProgress] - Called with (percent, stage) as the extraction advances
+ * @returns {Promise<Object>} `{ success, result, source, drafts }`, or the failed extraction result
+ *   with `status` (HTTP status to report) and `retryable`; a document already stored for the vehicle
+ *   fails with status 409 and `duplicateDocument: { recordIds, draftIds }` before any AI call
+ */
+async function extractDocumentToDrafts({ tokenId, filePath, documentKey = null, originalName, mimetype, ai, onSaved = null }, onProgress = () => {}) {
+  // The same document uploaded again is not extracted (and paid for) a second time
+  const documentSha256 = await hashFile(filePath)
+  const uses = await loadDocumentUses(tokenId, documentSha256)
+  if (uses.recordIds.length > 0 || uses.draftIds.length > 0) {
+    const error = uses.draftIds.length > 0
+      ? 'This document was already uploaded for this vehicle and its drafts are waiting for review'
+      : 'This document was already uploaded for this vehicle'
+    return { success: false, error, duplicateDocument: uses, status: 409, retryable: false }
+  }
+
+  const useAI = LOCAL_EXTRACTION === 'off' || (LOCAL_EXTRACTION === 'fallback' && aiService.isConfigured)
+  let result = null
+  let source = 'ai'
+  if (useAI) {
+    await onProgress(20, 'extracting')
+    result = await ai.extractMaintenanceInfo(filePath)
+  }
+  // Read the document locally when there is no AI answer; output that failed schema validation
+  // is reported as is, since the provider did answer
+  if (LOCAL_EXTRACTION !== 'off' && (!result || (!result.success && !result.details))) {
+    if (result) console.warn('AI extraction failed, using local extraction:', result.error)
+    await onProgress(50, 'reading document text')
+    result = await localExtraction.extractMaintenanceInfo(filePath)
+    source = 'local'
+  }
+
+  if (!result.success) {
+    // Output that failed schema validation is an upstream problem, not a server error;
+    // a document that cannot be read locally (scanned PDF, no text) is the upload's problem.
+    // Only provider errors (network, rate limits) are worth another attempt; a used-up budget is not.
+    const status = result.details ? 502 : result.budgetExceeded ? 429 : source === 'local' ? 422 : 500
+    return { ...result, status, retryable: status === 500 }
+  }
+
+  // The provider already validated the output against MAINTENANCE_EXTRACTION_SCHEMA
+  const { visits } = result.content
+  if (visits.length === 0) {
+    return { ...result, success: false, error: 'No service visit was found in the document', status: 422, retryable: false }
+  }
+
+  await onProgress(90, visits.length > 1 ? `saving ${visits.length} drafts` : 'saving draft')
+  // Keep the original document; it follows each draft into the confirmed record
+  const draftDocumentKey = documentKey || await documentStorage.save(filePath, { tokenId, originalName })
+
+  // Keep each visit as a draft; it only becomes a record once the user confirms it
+  let rows
+  try {
+    rows = await withTransaction(async (client) => {
+      const inserted = []
+      for (const [index, visit] of visits.entries()) {
+        const { rows } = await client.query(
+          `INSERT INTO vehicle_maintenance.maintenance_drafts
+           (token_id, fields, parsed, output_text, document_key, document_name, document_mime, document_sha256, document_visit)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING ${MAINTENANCE_DRAFT_COLUMNS}`,
+          [
+            tokenId, JSON.stringify(draftFieldsFromExtraction(visit)), JSON.stringify(visit), result.raw,
+            draftDocumentKey, originalName, mimetype, documentSha256, index,
+          ]
+        )
+        inserted.push(rows[0])
+      }
+      if (onSaved) await onSaved(client, { drafts: inserted, source })
+      return inserted
+    })
+  } catch (error) {
+    // A document stored for this upload is not referenced by anything without its drafts;
+    // a queued job's document stays with the job for its retry
+    if (!documentKey) await documentStorage.remove(draftDocumentKey).catch(() => {})
+    throw error
+  }
+
+  const drafts = await withDuplicates(tokenId, rows)
+  return { success: true, result, source, drafts }
+}
+
+// multer decodes file names as latin1
+function uploadedFileName(file) {
+  return Buffer.from(file.originalname, 'latin1').toString('utf8')
+}
+
+app.post('/api/ai/extract-maintenance', upload.single('document'), requireUploadVehicleJwt, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No document file provided' })
     }
 
-    const result = await openaiService.extractMaintenanceInfo(req.file.path)
+    const tokenId = parseInt(req.body.tokenId || req.query.tokenId || req.headers['x-token-id'], 10)
 
-    // Clean up uploaded file
-    await fs.unlink(req.file.path)
+    const extraction = await extractDocumentToDrafts({
+      tokenId,
+      filePath: req.file.path,
+      originalName: uploadedFileName(req.file),
+      mimetype: documentType(req.file),
+      ai: meteredAI(req, tokenId),
+    })
 
-    if (!result.success) {
-      return res.status(500).json(result)
+    if (!extraction.success) {
+      await fs.unlink(req.file.path)
+      const { status, retryable, ...result } = extraction
+      return res.status(status).json(result)
     }
 
-    // Extract the model output text and parse JSON from it
-    const ai = result.content
-    let outputText = ''
-    if (ai && typeof ai === 'object' && 'output_text' in ai) {
-      outputText = ai.output_text || ''
-    } else if (ai?.choices?.[0]?.message?.content) {
-      // chat.completions fallback
-      outputText = ai.choices[0].message.content
-    } else if (typeof ai === 'string') {
-      outputText = ai
+    const { result, source, drafts } = extraction
+    res.json({ ...result, parsed: result.content, source, drafts })
+  } catch (error) {
+    console.error('Maintenance extraction error:', error)
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    })
+  }
+})
+
+// Build the upcoming-services plan for a vehicle; the rule-based plan is always available,
+// AI (the request's metered provider) only adds notes to it when asked
+async function buildUpcomingPlan(tokenId, { currentMileage, make, model, year }, { enrich = false, ai, history = null } = {}) {
+  history = history || await loadServiceHistory(tokenId)
+  const { plan, milesPerMonth } = generateMaintenanceSchedule({ currentMileage, history, horizonMiles: 60000, make, model, year })
+  const result = { tokenId, currentMileage, make, model, year, milesPerMonth, source: 'rules', aiModel: null, plan, history }
+
+  if (enrich && plan.length > 0) {
+    const enrichment = await ai.enrichUpcomingServices({ plan, currentMileage, history, make, model, year })
+    if (enrichment.success) {
+      // Notes match UPCOMING_NOTES_SCHEMA and refer to plan mileages
+      for (const { mileage, note } of enrichment.content.notes) {
+        const entry = plan.find(item => item.mileage === mileage)
+        if (note.trim()) entry.notes = note.trim()
+      }
+      result.source = 'rules+ai'
+      result.aiModel = enrichment.model
     } else {
-      outputText = JSON.stringify(ai)
+      console.warn('Upcoming services AI enrichment failed:', enrichment.error, enrichment.details || '')
+      result.enrichmentError = enrichment.error
     }
+  }
 
-    // outputText may be wrapped in ```json ... ``` fences. Strip and parse
-    const cleaned = outputText.trim()
-      .replace(/^```json\s*/i, '')
-      .replace(/^```\s*/i, '')
-      .replace(/```\s*$/i, '')
+  return result
+}
 
-    let parsedOutput = null
-    try {
-      parsedOutput = JSON.parse(cleaned)
-    } catch {
-      const match = cleaned.match(/\{[\s\S]*\}/)
-      if (match) {
-        try { parsedOutput = JSON.parse(match[0]) } catch {}
-      }
+// Upcoming services for next 60k miles, computed without storing (see /api/maintenance/:tokenId/plans)
+app.get('/api/ai/upcoming-services/:tokenId', requireVehicleJwt, async (req, res) => {
+  try {
+    const tokenId = parseInt(req.params.tokenId, 10)
+    if (!Number.isFinite(tokenId)) {
+      return res.status(400).json({ error: 'Invalid tokenId' })
     }
 
-    // Extract fields safely
-    const tokenId = parseInt(req.body.tokenId || req.query.tokenId || req.headers['x-token-id'] || '0', 10) || null
-    const serviceDate = parsedOutput?.date ? new Date(parsedOutput.date) : null
-    // Accept money as number or string with $ and commas
-    const parseMoney = (v) => {
-      if (v == null) return null
-      const n = typeof v === 'number' ? v : parseFloat(String(v).replace(/[^0-9.\-]/g, ''))
-      return Number.isFinite(n) ? n : null
+    // The current odometer comes from the client, which already loaded it from telemetry
+    const { history, aiModel, ...response } = await buildUpcomingPlan(tokenId, parseVehicleParams(req.query), { enrich: req.query.enrich === 'ai', ai: meteredAI(req, tokenId) })
+    res.json(response)
+  } catch (error) {
+    console.error('Upcoming services error:', error)
+    res.status(500).json({ error: 'Failed to generate upcoming services' })
+  }
+})
+
+// Query maintenance records by tokenId (secured by vehicle JWT)
+app.get('/api/maintenance/:tokenId', requireVehicleJwt, parseMaintenanceParams, async (req, res) => {
+  try {
+    const { tokenId } = req
+
+    const { rows } = await pool.query(
+      `SELECT ${MAINTENANCE_RECORD_COLUMNS}
+         FROM vehicle_maintenance.maintenance_records
+        WHERE token_id = $1
+        ORDER BY service_date NULLS LAST, created_at DESC`,
+      [tokenId]
+    )
+
+    const records = await withLineItems(rows.map(normalizeMaintenanceRecord))
+    res.json({ tokenId, records })
+  } catch (error) {
+    console.error('Failed to query maintenance records:', error)
+    res.status(500).json({ error: 'Failed to query maintenance records' })
+  }
+})
+
+// Create a maintenance record manually
+app.post('/api/maintenance/:tokenId', requireVehicleJwt, parseMaintenanceParams, async (req, res) => {
+  try {
+    const { tokenId } = req
+    const { values, errors } = validateMaintenanceRecord(req.body)
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Invalid maintenance record: ${errors.join('; ')}`, details: errors })
     }
-    const totalCost = parseMoney(parsedOutput?.totalCost || parsedOutput?.total_cost || parsedOutput?.amount)
-    const description = parsedOutput?.description || parsedOutput?.service || null
-    const summary = parsedOutput?.serviceType || null
-    const mileage = parsedOutput?.mileage || null
 
-    // Store in DB
+    const record = await insertMaintenanceRecord(tokenId, values)
+    res.status(201).json({ tokenId, record })
+  } catch (error) {
+    console.error('Failed to create maintenance record:', error)
+    res.status(500).json({ error: 'Failed to create maintenance record' })
+  }
+})
+
+// Next due service from stored history and the current odometer
+// Registered before /:tokenId/:id so "next-service" is not taken for a record id
+app.get('/api/maintenance/:tokenId/next-service', requireVehicleJwt, parseMaintenanceParams, async (req, res) => {
+  try {
+    const { tokenId } = req
+    const { currentMileage, make, model, year } = parseVehicleParams(req.query)
+    const history = await loadServiceHistory(tokenId)
+
+    // Without a telemetry reading, the highest recorded mileage is the best known odometer
+    const recordedMileage = Math.max(0, ...history.map(r => r.mileage ?? 0))
+    const mileage = currentMileage > 0 ? currentMileage : recordedMileage
+
+    res.json({
+      tokenId,
+      currentMileage: mileage,
+      nextService: computeNextService({ currentMileage: mileage, history, make, model, year }),
+    })
+  } catch (error) {
+    console.error('Failed to compute next service:', error)
+    res.status(500).json({ error: 'Failed to compute next service' })
+  }
+})
+
+// Stored upcoming-service plans
+// Registered before /:tokenId/:id so "plans" is not taken for a record id
+app.get('/api/maintenance/:tokenId/plans', requireVehicleJwt, parseMaintenanceParams, async (req, res) => {
+  try {
+    const { tokenId } = req
+
+    const { rows } = await pool.query(
+      `SELECT ${SERVICE_PLAN_SUMMARY_COLUMNS}
+         FROM vehicle_maintenance.service_plans
+        WHERE token_id = $1
+        ORDER BY version DESC`,
+      [tokenId]
+    )
+
+    res.json({ tokenId, plans: rows.map(normalizeServicePlan) })
+  } catch (error) {
+    console.error('Failed to list service plans:', error)
+    res.status(500).json({ error: 'Failed to list service plans' })
+  }
+})
+
+// Store a built plan as the vehicle's next version
+// Plans generated at the same time can pick the same version; UNIQUE (token_id, version) rejects all
+// but one, and the others try again with the version after it
+const SERVICE_PLAN_INSERT_ATTEMPTS = 5
+async function insertServicePlan(tokenId, built) {
+  for (let attempt = 1; ; attempt++) {
     try {
-      await pool.query(
-        `INSERT INTO vehicle_maintenance.maintenance_records 
-         (token_id, service_date, total_cost, description, summary, mileage, output_text)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-        [tokenId, serviceDate, totalCost, description, summary, mileage, outputText]
+      const { rows } = await pool.query(
+        `INSERT INTO vehicle_maintenance.service_plans
+           (token_id, version, current_mileage, make, model, year, source, ai_model, miles_per_month, plan, history_snapshot)
+         VALUES ($1, (SELECT COALESCE(MAX(version), 0) + 1 FROM vehicle_maintenance.service_plans WHERE token_id = $1),
+                 $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING ${SERVICE_PLAN_COLUMNS}`,
+        [
+          tokenId,
+          Math.round(built.currentMileage),
+          built.make || null,
+          built.model || null,
+          built.year,
+          built.source,
+          built.aiModel,
+          built.milesPerMonth,
+          JSON.stringify(built.plan),
+          JSON.stringify(historySnapshot(built.history)),
+        ]
       )
-    } catch (dbErr) {
-      console.error('Failed to insert maintenance record:', dbErr)
-      // continue; we still return the AI result
+      return rows[0]
+    } catch (error) {
+      // 23505: unique_violation
+      if (error.code !== '23505' || attempt >= SERVICE_PLAN_INSERT_ATTEMPTS) throw error
     }
+  }
+}
 
-    res.json({ ...result, parsed: parsedOutput })
-  } catch (error) {
-    console.error('Maintenance extraction error:', error)
-    res.status(500).json({ 
-      success: false,
-      error: error.message 
+// Generate a plan and store it as the next version; the response compares it to the previous version
+app.post('/api/maintenance/:tokenId/plans', requireVehicleJwt, parseMaintenanceParams, async (req, res) => {
+  try {
+    const { tokenId } = req
+    const body = req.body || {}
+    const vehicle = parseVehicleParams(body)
+    const history = await loadServiceHistory(tokenId)
+
+    // Without a telemetry reading, the highest recorded mileage is the best known odometer
+    if (!(vehicle.currentMileage > 0)) {
+      vehicle.currentMileage = Math.max(0, ...history.map(r => r.mileage ?? 0))
+    }
+    if (!(vehicle.currentMileage > 0)) {
+      return res.status(400).json({
+        error: 'Invalid service plan request',
+        details: ['currentMileage is required while the vehicle has no odometer reading and no record with a mileage'],
+      })
+    }
+
+    const built = await buildUpcomingPlan(tokenId, vehicle, { enrich: body.enrich === true, ai: meteredAI(req, tokenId), history })
+    const plan = normalizeServicePlan(await insertServicePlan(tokenId, built))
+
+    const previous = await pool.query(
+      `SELECT ${SERVICE_PLAN_COLUMNS}
+         FROM vehicle_maintenance.service_plans
+        WHERE token_id = $1 AND version < $2
+        ORDER BY version DESC
+        LIMIT 1`,
+      [tokenId, plan.version]
+    )
+    const comparison = previous.rows.length > 0 ? comparePlans(normalizeServicePlan(previous.rows[0]), plan) : null
+
+    res.status(201).json({
+      plan,
+      comparison,
+      ...(built.enrichmentError ? { enrichmentError: built.enrichmentError } : {}),
     })
+  } catch (error) {
+    console.error('Failed to generate service plan:', error)
+    res.status(500).json({ error: 'Failed to generate service plan' })
   }
 })
 
-// Upcoming services for next 60k miles
-app.get('/api/ai/upcoming-services/:tokenId', async (req, res) => {
+// Latest stored plan, or a specific version
+app.get('/api/maintenance/:tokenId/plans/:version', requireVehicleJwt, parseMaintenanceParams, async (req, res) => {
   try {
-    // Require Authorization header (vehicle JWT) similar to maintenance fetch
-    const authHeader = req.headers['authorization'] || ''
-    if (!authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Missing or invalid Authorization header' })
+    const { tokenId, planVersion } = req
+    const latest = planVersion === undefined
+
+    const { rows } = await pool.query(
+      `SELECT ${SERVICE_PLAN_COLUMNS}
+         FROM vehicle_maintenance.service_plans
+        WHERE token_id = $1 ${latest ? '' : 'AND version = $2'}
+        ORDER BY version DESC
+        LIMIT 1`,
+      latest ? [tokenId] : [tokenId, planVersion]
+    )
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Service plan not found' })
     }
 
-    const tokenId = parseInt(req.params.tokenId, 10)
-    if (!Number.isFinite(tokenId)) {
-      return res.status(400).json({ error: 'Invalid tokenId' })
+    res.json({ plan: normalizeServicePlan(rows[0]) })
+  } catch (error) {
+    console.error('Failed to get service plan:', error)
+    res.status(500).json({ error: 'Failed to get service plan' })
+  }
+})
+
+// Compare a plan version to another one (?with=, default the previous version)
+app.get('/api/maintenance/:tokenId/plans/:version/compare', requireVehicleJwt, parseMaintenanceParams, async (req, res) => {
+  try {
+    const { tokenId, planVersion: version } = req
+    const other = req.query.with !== undefined ? Number(req.query.with) : null
+    if (version === undefined || (other !== null && (!Number.isInteger(other) || other <= 0))) {
+      return res.status(400).json({ error: 'Invalid plan version' })
+    }
+
+    const { rows } = await pool.query(
+      `SELECT ${SERVICE_PLAN_COLUMNS}
+         FROM vehicle_maintenance.service_plans
+        WHERE token_id = $1 AND (version = $2 OR ${other ? 'version = $3' : 'version < $2'})
+        ORDER BY version DESC
+        LIMIT 2`,
+      other ? [tokenId, version, other] : [tokenId, version]
+    )
+    const plans = rows.map(normalizeServicePlan)
+    const target = plans.find(p => p.version === version)
+    const base = plans.find(p => p.version !== version)
+    if (!target || !base) {
+      return res.status(404).json({ error: 'Service plan not found' })
     }
 
-    // Current odometer from vehicle-details-info endpoint would normally come from telemetry;
-    // to keep this endpoint cohesive, query last known maintenance plus optionally infer odometer if present in DB later.
-    // For now, rely on client providing it via query param if available.
-    const currentMileage = parseFloat(req.query.currentMileage || '0') || 0
-    const make = (req.query.make || '').toString()
-    const model = (req.query.model || '').toString()
-    const year = parseInt(req.query.year || '0', 10) || null
+    // Always compare older to newer
+    const [from, to] = base.version < target.version ? [base, target] : [target, base]
+    res.json({ comparison: comparePlans(from, to) })
+  } catch (error) {
+    console.error('Failed to compare service plans:', error)
+    res.status(500).json({ error: 'Failed to compare service plans' })
+  }
+})
+
+// List extracted drafts waiting for review
+// Registered before /:tokenId/:id so "drafts" is not taken for a record id
+app.get('/api/maintenance/:tokenId/drafts', requireVehicleJwt, parseMaintenanceParams, async (req, res) => {
+  try {
+    const { tokenId } = req
 
     const { rows } = await pool.query(
-      `SELECT service_date as "serviceDate", description, total_cost as "totalCost", mileage
-         FROM vehicle_maintenance.maintenance_records
+      `SELECT ${MAINTENANCE_DRAFT_COLUMNS}
+         FROM vehicle_maintenance.maintenance_drafts
         WHERE token_id = $1
-        ORDER BY service_date DESC NULLS LAST, created_at DESC
-        LIMIT 50`,
+        ORDER BY created_at`,
       [tokenId]
     )
 
-    const history = rows.map(r => ({
-      serviceDate: r.serviceDate ? new Date(r.serviceDate).toISOString().slice(0,10) : null,
-      description: r.description || null,
-      totalCost: r.totalCost != null ? Number(r.totalCost) : null,
-      mileage: r.mileage != null ? Number(r.mileage) : null,
-    }))
+    res.json({ tokenId, drafts: await withDuplicates(tokenId, rows) })
+  } catch (error) {
+    console.error('Failed to query maintenance drafts:', error)
+    res.status(500).json({ error: 'Failed to query maintenance drafts' })
+  }
+})
+
+// Confirm a draft with the user's reviewed fields, turning it into a maintenance record
+app.post('/api/maintenance/:tokenId/drafts/:draftId/confirm', requireVehicleJwt, parseMaintenanceParams, async (req, res) => {
+  try {
+    const { tokenId, draftId } = req
+
+    const { rows: drafts } = await pool.query(
+      `SELECT id, output_text as "outputText", document_key as "documentKey",
+              document_name as "documentName", document_mime as "documentMime", document_sha256 as "documentSha256",
+              document_visit as "documentVisit"
+         FROM vehicle_maintenance.maintenance_drafts
+        WHERE token_id = $1 AND id = $2`,
+      [tokenId, draftId]
+    )
+    if (drafts.length === 0) {
+      return res.status(404).json({ error: 'Draft not found' })
+    }
+
+    // The raw model output always comes from the draft, never from the client
+    const { outputText, duplicateAction, replaceRecordId, ...reviewed } = req.body || {}
+    const { values, errors } = validateMaintenanceRecord(reviewed)
+    if (duplicateAction !== undefined && !['keep', 'replace'].includes(duplicateAction)) {
+      errors.push('duplicateAction must be keep or replace')
+    }
+    if (duplicateAction === 'replace' && !(Number.isInteger(replaceRecordId) && replaceRecordId > 0)) {
+      errors.push('replaceRecordId must be the id of the record to replace')
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Invalid maintenance record: ${errors.join('; ')}`, details: errors })
+    }
 
-    const result = await openaiService.generateUpcomingServices({ currentMileage, history, horizonMiles: 60000, make, model, year })
-    if (!result.success) {
-      return res.status(500).json(result)
+    // Checked again with the reviewed values; the user decides between keeping both and replacing
+    const draft = drafts[0]
+    const candidates = await loadDuplicateCandidates(tokenId)
+    const duplicates = findDuplicateRecords({ ...values, documentSha256: draft.documentSha256, documentVisit: draft.documentVisit }, candidates)
+    if (duplicates.length > 0 && !duplicateAction) {
+      return res.status(409).json({ error: 'This invoice looks like a duplicate of an existing record', duplicates })
+    }
+    if (duplicateAction === 'replace' && !candidates.some(record => record.id === replaceRecordId)) {
+      return res.status(404).json({ error: 'Maintenance record to replace not found' })
     }
 
-    res.json({ tokenId, currentMileage, make, model, year, plan: result.content.plan })
+    const document = draft.documentKey
+      ? { key: draft.documentKey, name: draft.documentName, mime: draft.documentMime, sha256: draft.documentSha256, visit: draft.documentVisit }
+      : null
+    // The draft is deleted in the insert's transaction, so a draft confirmed twice concurrently
+    // yields a single record and a failed insert leaves the reviewed draft in place
+    const record = await insertMaintenanceRecord(tokenId, { ...values, outputText: draft.outputText }, document, {
+      replaceRecordId: duplicateAction === 'replace' ? replaceRecordId : null,
+      draftId,
+    })
+    if (!record) {
+      return res.status(404).json({ error: 'Draft not found' })
+    }
+    res.status(201).json({ tokenId, record, ...(duplicateAction === 'replace' ? { replacedRecordId: replaceRecordId } : {}) })
   } catch (error) {
-    console.error('Upcoming services error:', error)
-    res.status(500).json({ error: 'Failed to generate upcoming services' })
+    console.error('Failed to confirm maintenance draft:', error)
+    res.status(500).json({ error: 'Failed to confirm maintenance draft' })
   }
 })
 
-// Query maintenance records by tokenId (secured by vehicle JWT presence)
-app.get('/api/maintenance/:tokenId', async (req, res) => {
+// Discard a draft without saving it
+app.delete('/api/maintenance/:tokenId/drafts/:draftId', requireVehicleJwt, parseMaintenanceParams, async (req, res) => {
   try {
-    // Basic check: require a vehicle JWT in Authorization header
-    const authHeader = req.headers['authorization'] || ''
-    if (!authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Missing or invalid Authorization header' })
+    const { tokenId, draftId } = req
+
+    const { rows } = await pool.query(
+      `DELETE FROM vehicle_maintenance.maintenance_drafts
+        WHERE token_id = $1 AND id = $2
+        RETURNING document_key as "documentKey"`,
+      [tokenId, draftId]
+    )
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Draft not found' })
     }
 
-    const tokenId = parseInt(req.params.tokenId, 10)
-    if (!Number.isFinite(tokenId)) {
-      return res.status(400).json({ error: 'Invalid tokenId' })
+    await removeDocumentIfUnused(rows[0].documentKey)
+
+    res.json({ message: 'Draft discarded successfully', id: draftId })
+  } catch (error) {
+    console.error('Failed to discard maintenance draft:', error)
+    res.status(500).json({ error: 'Failed to discard maintenance draft' })
+  }
+})
+
+// Attach the drafts of finished jobs, so the client gets the fields to review with the job
+// A draft is gone once it was confirmed or discarded
+async function withJobDrafts(tokenId, rows) {
+  const jobs = rows.map(normalizeDocumentJob)
+  const draftIds = jobs.flatMap(job => job.draftIds)
+  const { rows: drafts } = draftIds.length > 0
+    ? await pool.query(
+      `SELECT ${MAINTENANCE_DRAFT_COLUMNS}
+         FROM vehicle_maintenance.maintenance_drafts
+        WHERE id = ANY($1::int[])
+        ORDER BY id`,
+      [draftIds]
+    )
+    : { rows: [] }
+  const checked = await withDuplicates(tokenId, drafts)
+  return jobs.map(job => ({ ...job, drafts: checked.filter(draft => job.draftIds.includes(draft.id)) }))
+}
+
+// Queue uploaded documents for extraction; answers right away with one job per file
+app.post('/api/maintenance/:tokenId/document-jobs', requireVehicleJwt, parseMaintenanceParams, upload.array('documents', 20), async (req, res) => {
+  try {
+    const { tokenId } = req
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No document files provided' })
+    }
+
+    const jobs = []
+    for (const file of req.files) {
+      const documentName = uploadedFileName(file)
+      // Stored before queueing, so any server can process the job and retries still find the document
+      const documentKey = await documentStorage.save(file.path, { tokenId, originalName: documentName })
+      try {
+        jobs.push(await documentJobs.enqueue({
+          tokenId,
+          documentKey,
+          documentName,
+          documentMime: documentType(file),
+          requestedBy: requestUserId(req),
+        }))
+      } catch (error) {
+        await documentStorage.remove(documentKey).catch(() => {})
+        throw error
+      }
+    }
+
+    res.status(202).json({ tokenId, jobs })
+  } catch (error) {
+    console.error('Failed to queue documents:', error)
+    res.status(500).json({ error: 'Failed to queue documents' })
+  }
+})
+
+// List document jobs: unfinished ones plus those finished in the last day, or the jobs in ?ids=1,2,3
+app.get('/api/maintenance/:tokenId/document-jobs', requireVehicleJwt, parseMaintenanceParams, async (req, res) => {
+  try {
+    const { tokenId } = req
+
+    let filter = `status IN ('queued', 'processing') OR updated_at > $2`
+    let filterParam = new Date(Date.now() - 24 * 60 * 60 * 1000)
+    if (req.query.ids !== undefined) {
+      const ids = String(req.query.ids).split(',').map(Number)
+      if (ids.length > 100 || ids.some(id => !Number.isInteger(id) || id <= 0)) {
+        return res.status(400).json({ error: 'ids must be a comma-separated list of up to 100 job ids' })
+      }
+      filter = 'id = ANY($2::int[])'
+      filterParam = ids
+    }
+
+    const { rows } = await pool.query(
+      `SELECT ${DOCUMENT_JOB_COLUMNS}
+         FROM vehicle_maintenance.document_jobs
+        WHERE token_id = $1 AND (${filter})
+        ORDER BY id`,
+      [tokenId, filterParam]
+    )
+
+    res.json({ tokenId, jobs: await withJobDrafts(tokenId, rows) })
+  } catch (error) {
+    console.error('Failed to query document jobs:', error)
+    res.status(500).json({ error: 'Failed to query document jobs' })
+  }
+})
+
+// Get a single document job
+app.get('/api/maintenance/:tokenId/document-jobs/:jobId', requireVehicleJwt, parseMaintenanceParams, async (req, res) => {
+  try {
+    const { tokenId, jobId } = req
+
+    const { rows } = await pool.query(
+      `SELECT ${DOCUMENT_JOB_COLUMNS}
+         FROM vehicle_maintenance.document_jobs
+        WHERE token_id = $1 AND id = $2`,
+      [tokenId, jobId]
+    )
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Document job not found' })
+    }
+
+    const [job] = await withJobDrafts(tokenId, rows)
+    res.json({ tokenId, job })
+  } catch (error) {
+    console.error('Failed to query document job:', error)
+    res.status(500).json({ error: 'Failed to query document job' })
+  }
+})
+
+// Get a single maintenance record
+app.get('/api/maintenance/:tokenId/:id', requireVehicleJwt, parseMaintenanceParams, async (req, res) => {
+  try {
+    const { tokenId, recordId } = req
+
+    const { rows } = await pool.query(
+      `SELECT ${MAINTENANCE_RECORD_COLUMNS}
+         FROM vehicle_maintenance.maintenance_records
+        WHERE token_id = $1 AND id = $2`,
+      [tokenId, recordId]
+    )
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Maintenance record not found' })
+    }
+
+    const [record] = await withLineItems([normalizeMaintenanceRecord(rows[0])])
+    res.json({ tokenId, record })
+  } catch (error) {
+    console.error('Failed to get maintenance record:', error)
+    res.status(500).json({ error: 'Failed to get maintenance record' })
+  }
+})
+
+// Update fields of a maintenance record
+app.patch('/api/maintenance/:tokenId/:id', requireVehicleJwt, parseMaintenanceParams, async (req, res) => {
+  try {
+    const { tokenId, recordId } = req
+    const { values, errors } = validateMaintenanceRecord(req.body, { partial: true })
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Invalid maintenance record: ${errors.join('; ')}`, details: errors })
+    }
+
+    const { lineItems, ...recordValues } = values
+
+    const fields = Object.keys(recordValues)
+    const assignments = fields.map((f, i) => `${MAINTENANCE_RECORD_FIELDS[f]} = $${i + 3}`)
+
+    const record = await withTransaction(async (client) => {
+      // With only lineItems to change there is nothing to SET, so just lock the row
+      const { rows } = await client.query(
+        fields.length > 0
+          ? `UPDATE vehicle_maintenance.maintenance_records
+                SET ${assignments.join(', ')}
+              WHERE token_id = $1 AND id = $2
+              RETURNING ${MAINTENANCE_RECORD_COLUMNS}`
+          : `SELECT ${MAINTENANCE_RECORD_COLUMNS}
+               FROM vehicle_maintenance.maintenance_records
+              WHERE token_id = $1 AND id = $2
+                FOR UPDATE`,
+        [tokenId, recordId, ...fields.map(f => recordValues[f])]
+      )
+      if (rows.length === 0) return null
+
+      if (lineItems !== undefined) {
+        await replaceLineItems(client, recordId, lineItems)
+      }
+      const [updated] = await withLineItems([normalizeMaintenanceRecord(rows[0])], client)
+      return updated
+    })
+
+    if (!record) {
+      return res.status(404).json({ error: 'Maintenance record not found' })
+    }
+
+    res.json({ tokenId, record })
+  } catch (error) {
+    console.error('Failed to update maintenance record:', error)
+    res.status(500).json({ error: 'Failed to update maintenance record' })
+  }
+})
+
+// Download the original invoice document of a maintenance record
+app.get('/api/maintenance/:tokenId/:id/document', requireVehicleJwt, parseMaintenanceParams, async (req, res) => {
+  try {
+    const { tokenId, recordId } = req
+
+    const { rows } = await pool.query(
+      `SELECT document_key as "documentKey", document_name as "documentName", document_mime as "documentMime"
+         FROM vehicle_maintenance.maintenance_records
+        WHERE token_id = $1 AND id = $2`,
+      [tokenId, recordId]
+    )
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Maintenance record not found' })
+    }
+    if (!rows[0].documentKey) {
+      return res.status(404).json({ error: 'No document stored for this maintenance record' })
+    }
+
+    const { documentKey, documentName, documentMime } = rows[0]
+    let data
+    try {
+      data = await documentStorage.read(documentKey)
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({ error: 'Document file is missing from storage' })
+      }
+      throw error
+    }
+
+    // Header values must be printable ASCII
+    const filename = (documentName || `maintenance-${recordId}${path.extname(documentKey)}`).replace(/[^\x20-\x7E]|["\\]/g, '_')
+    // Only allowlisted PDF and image types are shown inline; anything else (e.g. a type stored by an
+    // older version) is a download the browser must not sniff into something executable
+    const inline = Object.hasOwn(DOCUMENT_TYPES, documentMime)
+    res.setHeader('Content-Type', inline ? documentMime : 'application/octet-stream')
+    res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${filename}"`)
+    res.setHeader('X-Content-Type-Options', 'nosniff')
+    res.send(data)
+  } catch (error) {
+    console.error('Failed to download maintenance document:', error)
+    res.status(500).json({ error: 'Failed to download maintenance document' })
+  }
+})
+
+// Delete a maintenance record
+app.delete('/api/maintenance/:tokenId/:id', requireVehicleJwt, parseMaintenanceParams, async (req, res) => {
+  try {
+    const { tokenId, recordId } = req
+
+    const { rows } = await pool.query(
+      `DELETE FROM vehicle_maintenance.maintenance_records
+        WHERE token_id = $1 AND id = $2
+        RETURNING document_key as "documentKey"`,
+      [tokenId, recordId]
+    )
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Maintenance record not found' })
+    }
+
+    await removeDocumentIfUnused(rows[0].documentKey)
+
+    res.json({ message: 'Maintenance record deleted successfully', id: recordId })
+  } catch (error) {
+    console.error('Failed to delete maintenance record:', error)
+    res.status(500).json({ error: 'Failed to delete maintenance record' })
+  }
+})
+
+// Reports
+
+const REPORT_COLUMNS = `id, filename, token_ids as "tokenIds", start_date as "startDate", end_date as "endDate",
+  row_count as "rowCount", created_at as "createdAt"`
+
+// Generate a CSV of monthly odometer readings and maintenance spend per vehicle
+app.post('/api/reports/generate', requireUserJwt, async (req, res) => {
+  try {
+    const { values, errors } = validateReportRequest(req.body)
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Invalid report request: ${errors.join('; ')}`, details: errors })
+    }
+    const { tokenIds, startDate, endDate } = values
+
+    // Records and telemetry are read with the app's access, so only the user's own vehicles are allowed
+    const accessError = await vehicleAccessError(req, tokenIds)
+    if (accessError) {
+      return res.status(accessError.status).json({ error: accessError.error, deniedTokenIds: accessError.denied })
+    }
+
+    const config = await requestConfig(req)
+    if (!config) {
+      return res.status(400).json({ error: 'No configuration found. Please configure the app first.' })
+    }
+
+    const { rows: recordRows } = await pool.query(
+      `SELECT ${MAINTENANCE_RECORD_COLUMNS}
+         FROM vehicle_maintenance.maintenance_records
+        WHERE token_id = ANY($1::int[]) AND service_date BETWEEN $2 AND $3`,
+      [tokenIds, startDate, endDate]
+    )
+    const records = recordRows.map(normalizeMaintenanceRecord)
+
+    // One vehicle without telemetry access should not sink the whole report
+    const vehicleErrors = []
+    const rows = []
+    for (const tokenId of tokenIds) {
+      let telemetry = { vin: null, signals: [] }
+      try {
+        telemetry = await telemetryService.getOdometerSignals(tokenId, {
+          from: startDate,
+          to: endDate,
+          interval: '24h',
+          config,
+        })
+      } catch (error) {
+        console.error(`Report: failed to load telemetry for token ${tokenId}:`, error)
+        vehicleErrors.push({ tokenId, error: 'Telemetry unavailable; odometer columns left empty' })
+      }
+      rows.push(...buildReportRows({
+        tokenId,
+        vin: telemetry.vin,
+        signals: telemetry.signals,
+        records: records.filter(r => r.tokenId === tokenId),
+      }, startDate, endDate))
     }
 
+    const csv = createObjectCsvStringifier({ header: REPORT_CSV_HEADER })
+    const filename = reportFilename(new Date(), crypto.randomBytes(4).toString('hex'))
+    await storage.saveReport(csv.getHeaderString() + csv.stringifyRecords(rows), filename)
+
+    const { rows: inserted } = await pool.query(
+      `INSERT INTO vehicle_maintenance.reports (filename, owner, token_ids, start_date, end_date, row_count)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${REPORT_COLUMNS}`,
+      [filename, req.userId, tokenIds, startDate, endDate, rows.length]
+    )
+
+    res.status(201).json({ report: normalizeReport(inserted[0]), errors: vehicleErrors })
+  } catch (error) {
+    console.error('Failed to generate report:', error)
+    res.status(500).json({ error: 'Failed to generate report' })
+  }
+})
+
+// Printable service history for one vehicle, e.g. to hand to a buyer
+// Body: { vehicle: { make, model, year }, upcomingServices: [...] } as shown on the vehicle page
+app.post('/api/reports/service-history/:tokenId', requireVehicleJwt, parseMaintenanceParams, async (req, res) => {
+  try {
+    const { tokenId } = req
+
     const { rows } = await pool.query(
-      `SELECT id, token_id as "tokenId", service_date as "serviceDate", total_cost as "totalCost", 
-              description, summary, created_at as "createdAt"
+      `SELECT ${MAINTENANCE_RECORD_COLUMNS}
          FROM vehicle_maintenance.maintenance_records
         WHERE token_id = $1
-        ORDER BY service_date NULLS LAST, created_at DESC`,
+        ORDER BY service_date NULLS FIRST, created_at`,
       [tokenId]
     )
+    const records = await withLineItems(rows.map(normalizeMaintenanceRecord))
+
+    // Four years of monthly odometer readings; the PDF is still useful without them
+    let telemetry = { vin: null, signals: [] }
+    try {
+      const { values } = parseOdometerQuery({ range: '4y', granularity: 'monthly' })
+      telemetry = await telemetryService.getOdometerSignals(tokenId, { ...values, profile: await requestProfile(req) })
+    } catch (error) {
+      console.error(`Service history: failed to load telemetry for token ${tokenId}:`, error)
+    }
+    const odometerHistory = telemetry.signals
+      .filter(s => typeof s.powertrainTransmissionTravelledDistance === 'number')
+      .map(s => ({ timestamp: s.timestamp, miles: s.powertrainTransmissionTravelledDistance * 0.621371 }))
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+
+    const pdf = await renderServiceHistoryPdf({
+      tokenId,
+      vehicle: normalizeVehicleInfo(req.body?.vehicle),
+      vin: telemetry.vin,
+      odometerHistory,
+      records,
+      upcomingServices: normalizeUpcomingPlan(req.body?.upcomingServices),
+    })
+
+    res.setHeader('Content-Type', 'application/pdf')
+    res.setHeader('Content-Disposition', `attachment; filename="service-history-${tokenId}-${new Date().toISOString().slice(0, 10)}.pdf"`)
+    res.send(pdf)
+  } catch (error) {
+    console.error('Failed to generate service history PDF:', error)
+    res.status(500).json({ error: 'Failed to generate service history' })
+  }
+})
 
-    // Coerce numeric fields to numbers (pg returns NUMERIC as string)
-    const normalized = rows.map(r => ({
-      ...r,
-      totalCost: r.totalCost != null ? Number(r.totalCost) : null,
-    }))
+// List the signed-in user's reports, newest first
+app.get('/api/reports', requireUserJwt, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${REPORT_COLUMNS}
+         FROM vehicle_maintenance.reports
+        WHERE owner = $1
+        ORDER BY created_at DESC, id DESC`,
+      [req.userId]
+    )
 
-    res.json({ tokenId, records: normalized })
+    // Skip reports whose file was cleaned out of tmp
+    const files = new Set(await storage.listReports())
+    res.json({ reports: rows.filter(r => files.has(r.filename)).map(normalizeReport) })
   } catch (error) {
-    console.error('Failed to query maintenance records:', error)
-    res.status(500).json({ error: 'Failed to query maintenance records' })
+    console.error('Failed to list reports:', error)
+    res.status(500).json({ error: 'Failed to list reports' })
+  }
+})
+
+// Download a report CSV
+app.get('/api/reports/download/:filename', requireUserJwt, async (req, res) => {
+  try {
+    const { filename } = req.params
+    if (!REPORT_FILENAME_PATTERN.test(filename)) {
+      return res.status(400).json({ error: 'Invalid report filename' })
+    }
+
+    const { rows } = await pool.query(
+      `SELECT id FROM vehicle_maintenance.reports WHERE filename = $1 AND owner = $2`,
+      [filename, req.userId]
+    )
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Report not found' })
+    }
+
+    let data
+    try {
+      data = await fs.readFile(storage.reportPath(filename))
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({ error: 'Report file is no longer available' })
+      }
+      throw error
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8')
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+    res.send(data)
+  } catch (error) {
+    console.error('Failed to download report:', error)
+    res.status(500).json({ error: 'Failed to download report' })
+  }
+})
+
+// AI spend per day and per vehicle (?from=&to=, YYYY-MM-DD; default: the current month)
+app.get('/api/admin/ai-usage', requireAdminJwt, async (req, res) => {
+  try {
+    const today = new Date().toISOString().slice(0, 10)
+    const from = req.query.from === undefined ? `${today.slice(0, 8)}01` : parseServiceDate(String(req.query.from))
+    const to = req.query.to === undefined ? today : parseServiceDate(String(req.query.to))
+    const errors = []
+    if (!from) errors.push('from must be a valid date in YYYY-MM-DD format')
+    if (!to) errors.push('to must be a valid date in YYYY-MM-DD format')
+    if (from && to && from > to) errors.push('from must not be after to')
+    if (from && to && Date.parse(to) - Date.parse(from) > 366 * 24 * 60 * 60 * 1000) errors.push('The range must not exceed 366 days')
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; '), details: errors })
+    }
+
+    res.json(await aiUsage.summary({ from, to }))
+  } catch (error) {
+    console.error('Failed to summarize AI usage:', error)
+    res.status(500).json({ error: 'Failed to summarize AI usage' })
+  }
+})
+
+// Hit rate of the developer and vehicle JWT cache
+app.get('/api/admin/token-cache', requireAdminJwt, async (req, res) => {
+  try {
+    res.json(await tokenCache.stats())
+  } catch (error) {
+    console.error('Failed to load token cache stats:', error)
+    res.status(500).json({ error: 'Failed to load token cache stats' })
+  }
+})
+
+// Drop all cached JWTs (e.g. after changing credentials outside the admin routes)
+app.delete('/api/admin/token-cache', requireAdminJwt, async (req, res) => {
+  try {
+    res.json({ invalidated: await tokenCache.invalidate() })
+  } catch (error) {
+    console.error('Failed to clear token cache:', error)
+    res.status(500).json({ error: 'Failed to clear token cache' })
   }
 })
 
@@ -566,6 +1920,14 @@ app.use((req, res) => {
 async function startServer() {
   await initializeServer()
   await runMigrations(pool)
+  try {
+    if (await credentials.importLegacyFile(path.join(tmpDir, 'app-config.json'))) {
+      console.log('🔐 Moved DIMO credentials from tmp/app-config.json into the database (encrypted)')
+    }
+  } catch (error) {
+    console.error('Failed to import tmp/app-config.json:', error)
+  }
+  documentJobs.start()
   
   if (USE_HTTPS) {
     try {
@@ -0,0 +1,252 @@
+import PDFDocument from 'pdfkit'
+
+/**
+ * Printable vehicle service history (PDF)
+ *
+ * Usage:
+ *   import { renderServiceHistoryPdf } from './service-history-pdf.js'
+ *   const buffer = await renderServiceHistoryPdf({ tokenId, vehicle, odometerHistory, records, upcomingServices })
+ */
+
+const MARGIN = 50
+const ACCENT = '#667eea'
+const MUTED = '#6c757d'
+const MAX_PLAN_ENTRIES = 50
+const MAX_VEHICLE_FIELD_LENGTH = 100
+
+function formatMoney(value) {
+  if (typeof value !== 'number') return '—'
+  return `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+}
+
+function formatMiles(value) {
+  if (typeof value !== 'number') return '—'
+  return `${Math.round(value).toLocaleString('en-US')} mi`
+}
+
+function cleanText(value, maxLength = MAX_VEHICLE_FIELD_LENGTH) {
+  if (value == null) return null
+  const text = String(value).trim().slice(0, maxLength)
+  return text || null
+}
+
+/**
+ * Normalize client-supplied vehicle info ({ make, model, year })
+ * @param {*} vehicle - Raw value
+ * @returns {Object} Vehicle with string fields or null
+ */
+export function normalizeVehicleInfo(vehicle) {
+  const v = vehicle && typeof vehicle === 'object' ? vehicle : {}
+  return {
+    make: cleanText(v.make),
+    model: cleanText(v.model),
+    year: cleanText(v.year),
+  }
+}
+
+/**
+ * Normalize an upcoming service plan ([{ mileage, services, estimatedCost }])
+ * @param {*} plan - Raw value
+ * @returns {Array<Object>} Plan entries with invalid fields dropped
+ */
+export function normalizeUpcomingPlan(plan) {
+  if (!Array.isArray(plan)) return []
+  return plan.slice(0, MAX_PLAN_ENTRIES)
+    .filter(item => item && typeof item === 'object')
+    .map(item => ({
+      mileage: Number.isFinite(item.mileage) ? item.mileage : null,
+      services: (Array.isArray(item.services) ? item.services : [item.services])
+        .map(s => cleanText(s, 200))
+        .filter(Boolean),
+      estimatedCost: Number.isFinite(item.estimatedCost) ? item.estimatedCost : null,
+    }))
+    .filter(item => item.mileage != null || item.services.length > 0)
+}
+
+/**
+ * Minimal table drawing on top of pdfkit, breaking pages between rows
+ */
+function drawTable(doc, columns, rows) {
+  const left = MARGIN
+  const tableWidth = doc.page.width - MARGIN * 2
+  const widths = columns.map(c => c.width * tableWidth)
+  const padding = 4
+
+  const rowHeight = (cells, font) => {
+    doc.font(font).fontSize(9)
+    return Math.max(...cells.map((cell, i) => doc.heightOfString(String(cell ?? ''), { width: widths[i] - padding * 2 }))) + padding * 2
+  }
+
+  const drawRow = (cells, { header = false } = {}) => {
+    const font = header ? 'Helvetica-Bold' : 'Helvetica'
+    const height = rowHeight(cells, font)
+    if (doc.y + height > doc.page.height - MARGIN) {
+      doc.addPage()
+      if (!header) drawRow(columns.map(c => c.label), { header: true })
+    }
+
+    const top = doc.y
+    if (header) {
+      doc.rect(left, top, tableWidth, height).fill('#f1f3f9')
+    }
+    let x = left
+    cells.forEach((cell, i) => {
+      doc.fillColor(header ? '#2c3e50' : '#333333').font(font).fontSize(9)
+        .text(String(cell ?? ''), x + padding, top + padding, { width: widths[i] - padding * 2, align: columns[i].align || 'left' })
+      x += widths[i]
+    })
+    doc.moveTo(left, top + height).lineTo(left + tableWidth, top + height).lineWidth(0.5).strokeColor('#dee2e6').stroke()
+    doc.x = left
+    doc.y = top + height
+  }
+
+  drawRow(columns.map(c => c.label), { header: true })
+  rows.forEach(row => drawRow(row))
+  doc.moveDown()
+}
+
+function sectionHeading(doc, title) {
+  if (doc.y > doc.page.height - MARGIN - 80) doc.addPage()
+  doc.moveDown(0.5)
+  doc.x = MARGIN
+  doc.fillColor(ACCENT).font('Helvetica-Bold').fontSize(14).text(title)
+  doc.moveDown(0.3)
+}
+
+function emptyNote(doc, text) {
+  doc.fillColor(MUTED).font('Helvetica-Oblique').fontSize(10).text(text)
+  doc.moveDown()
+}
+
+function renderRecord(doc, record) {
+  if (doc.y > doc.page.height - MARGIN - 100) doc.addPage()
+
+  doc.x = MARGIN
+  doc.fillColor('#2c3e50').font('Helvetica-Bold').fontSize(11)
+    .text(`${record.serviceDate || 'Unknown date'}  ·  ${record.summary || record.description || 'Service'}`, { continued: false })
+  const meta = [
+    record.mileage != null ? formatMiles(record.mileage) : null,
+    record.totalCost != null ? `Total ${formatMoney(record.totalCost)}` : null,
+    record.partsCost != null ? `Parts ${formatMoney(record.partsCost)}` : null,
+    record.laborCost != null ? `Labor ${formatMoney(record.laborCost)}` : null,
+  ].filter(Boolean)
+  if (meta.length > 0) {
+    doc.fillColor(MUTED).font('Helvetica').fontSize(9).text(meta.join('   '))
+  }
+  if (record.summary && record.description) {
+    doc.fillColor('#333333').font('Helvetica').fontSize(9).text(record.description)
+  }
+  if (record.nextService) {
+    doc.fillColor('#333333').font('Helvetica').fontSize(9).text(`Next service: ${record.nextService}`)
+  }
+  doc.moveDown(0.3)
+
+  if (record.lineItems?.length > 0) {
+    drawTable(doc, [
+      { label: 'Type', width: 0.1 },
+      { label: 'Description', width: 0.42 },
+      { label: 'Part #', width: 0.16 },
+      { label: 'Qty', width: 0.08, align: 'right' },
+      { label: 'Unit price', width: 0.12, align: 'right' },
+      { label: 'Amount', width: 0.12, align: 'right' },
+    ], record.lineItems.map(item => [
+      item.type === 'labor' ? 'Labor' : 'Part',
+      item.description,
+      item.partNumber || '',
+      item.quantity ?? '',
+      formatMoney(item.unitPrice),
+      item.unitPrice != null ? formatMoney((item.quantity ?? 1) * item.unitPrice) : '—',
+    ]))
+  } else if (record.parts?.length > 0) {
+    doc.fillColor('#333333').font('Helvetica').fontSize(9).text(`Parts: ${record.parts.join(', ')}`)
+    doc.moveDown()
+  } else {
+    doc.moveDown(0.5)
+  }
+}
+
+/**
+ * Render the service history PDF
+ * @param {Object} data
+ * @param {number} data.tokenId - Vehicle token ID
+ * @param {Object} data.vehicle - { make, model, year }
+ * @param {string|null} data.vin - VIN from telemetry
+ * @param {Array} data.odometerHistory - [{ timestamp, miles }] oldest first
+ * @param {Array} data.records - Maintenance records with lineItems, oldest first
+ * @param {Array} data.upcomingServices - Normalized upcoming service plan
+ * @param {Date} [data.generatedAt] - Generation time shown in the header
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+export function renderServiceHistoryPdf({ tokenId, vehicle, vin, odometerHistory, records, upcomingServices, generatedAt = new Date() }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: MARGIN, info: { Title: `Vehicle service history ${tokenId}` } })
+    const chunks = []
+    doc.on('data', chunk => chunks.push(chunk))
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+
+    const vehicleLine = [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' ') || 'Vehicle'
+
+    // Header
+    doc.fillColor('#2c3e50').font('Helvetica-Bold').fontSize(20).text('Vehicle Service History')
+    doc.fillColor('#333333').font('Helvetica').fontSize(13).text(vehicleLine)
+    doc.fillColor(MUTED).fontSize(9)
+      .text([`DIMO token ${tokenId}`, vin ? `VIN ${vin}` : null].filter(Boolean).join('   '))
+      .text(`Generated ${generatedAt.toISOString().slice(0, 10)}`)
+    doc.moveDown()
+
+    // Summary
+    const totalSpend = records.reduce((sum, r) => sum + (r.totalCost || 0), 0)
+    const latestReading = odometerHistory[odometerHistory.length - 1]
+    drawTable(doc, [
+      { label: 'Current odometer', width: 0.25 },
+      { label: 'Services recorded', width: 0.25 },
+      { label: 'Total maintenance spend', width: 0.25 },
+      { label: 'Last service', width: 0.25 },
+    ], [[
+      latestReading ? formatMiles(latestReading.miles) : '—',
+      String(records.length),
+      formatMoney(totalSpend),
+      records.length > 0 ? records[records.length - 1].serviceDate || '—' : '—',
+    ]])
+
+    sectionHeading(doc, 'Odometer History')
+    if (odometerHistory.length > 0) {
+      drawTable(doc, [
+        { label: 'Date', width: 0.34 },
+        { label: 'Odometer', width: 0.33, align: 'right' },
+        { label: 'Distance since previous', width: 0.33, align: 'right' },
+      ], odometerHistory.map((reading, i) => [
+        String(reading.timestamp).slice(0, 10),
+        formatMiles(reading.miles),
+        i === 0 ? '—' : `+${formatMiles(reading.miles - odometerHistory[i - 1].miles)}`,
+      ]))
+    } else {
+      emptyNote(doc, 'No odometer readings available.')
+    }
+
+    sectionHeading(doc, 'Maintenance Records')
+    if (records.length > 0) {
+      records.forEach(record => renderRecord(doc, record))
+    } else {
+      emptyNote(doc, 'No maintenance records.')
+    }
+
+    sectionHeading(doc, 'Upcoming Service Plan')
+    if (upcomingServices.length > 0) {
+      drawTable(doc, [
+        { label: 'Mileage', width: 0.18, align: 'right' },
+        { label: 'Services', width: 0.62 },
+        { label: 'Estimated cost', width: 0.2, align: 'right' },
+      ], upcomingServices.map(item => [
+        formatMiles(item.mileage),
+        item.services.join(', ') || '—',
+        formatMoney(item.estimatedCost),
+      ]))
+    } else {
+      emptyNote(doc, 'No upcoming service plan has been calculated.')
+    }
+
+    doc.end()
+  })
+}
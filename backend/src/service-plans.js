@@ -0,0 +1,108 @@
+/**
+ * Stored upcoming-service plans (vehicle_maintenance.service_plans)
+ *
+ * Usage:
+ *   import { SERVICE_PLAN_COLUMNS, normalizeServicePlan, comparePlans } from './service-plans.js'
+ *   const comparison = comparePlans(previous, latest)
+ */
+
+// Columns selected for a full plan; the list route leaves out plan and history_snapshot
+export const SERVICE_PLAN_SUMMARY_COLUMNS = `id, token_id as "tokenId", version, current_mileage as "currentMileage",
+              make, model, year, source, ai_model as "aiModel", miles_per_month as "milesPerMonth", created_at as "createdAt"`
+export const SERVICE_PLAN_COLUMNS = `${SERVICE_PLAN_SUMMARY_COLUMNS}, plan, history_snapshot as "historySnapshot"`
+
+/**
+ * Record fields kept with a plan so it can be explained later
+ * @param {Array} history - Maintenance records used as input
+ * @returns {Array<Object>} Snapshot entries
+ */
+export function historySnapshot(history) {
+  return history.map(r => ({
+    id: r.id,
+    serviceDate: r.serviceDate,
+    mileage: r.mileage,
+    summary: r.summary,
+    description: r.description,
+    totalCost: r.totalCost,
+  }))
+}
+
+/**
+ * Map a service_plans row to API shape
+ * @param {Object} row - Row selected with SERVICE_PLAN_COLUMNS or SERVICE_PLAN_SUMMARY_COLUMNS
+ * @returns {Object} API plan
+ */
+export function normalizeServicePlan(row) {
+  const plan = {
+    id: row.id,
+    tokenId: row.tokenId,
+    version: row.version,
+    currentMileage: row.currentMileage,
+    make: row.make,
+    model: row.model,
+    year: row.year,
+    source: row.source,
+    aiModel: row.aiModel,
+    milesPerMonth: row.milesPerMonth,
+    createdAt: row.createdAt,
+  }
+  if (row.plan !== undefined) {
+    plan.plan = row.plan
+    plan.historySnapshot = row.historySnapshot
+  }
+  return plan
+}
+
+// First due point and number of visits of each service in a plan
+function servicesByRule(plan) {
+  const services = new Map()
+  for (const entry of plan.plan || []) {
+    for (const item of entry.items || []) {
+      if (!services.has(item.id)) {
+        services.set(item.id, { name: item.name, mileage: entry.mileage, dueDate: entry.dueDate, overdue: entry.overdue, occurrences: 0 })
+      }
+      services.get(item.id).occurrences += 1
+    }
+  }
+  return services
+}
+
+function planCost(plan) {
+  return (plan.plan || []).reduce((sum, entry) => sum + (entry.estimatedCost || 0), 0)
+}
+
+/**
+ * Compare two stored plans service by service
+ * @param {Object} from - Older plan (API shape with plan entries)
+ * @param {Object} to - Newer plan
+ * @returns {Object} `{ fromVersion, toVersion, currentMileage, totalCost, services: [{ id, name, status, from, to }] }`
+ *   with status one of added, removed, changed, unchanged
+ */
+export function comparePlans(from, to) {
+  const before = servicesByRule(from)
+  const after = servicesByRule(to)
+  const services = []
+
+  for (const id of new Set([...after.keys(), ...before.keys()])) {
+    const a = before.get(id) || null
+    const b = after.get(id) || null
+    let status = 'unchanged'
+    if (!a) status = 'added'
+    else if (!b) status = 'removed'
+    else if (a.mileage !== b.mileage || a.occurrences !== b.occurrences || a.overdue !== b.overdue) status = 'changed'
+    services.push({ id, name: (b || a).name, status, from: a, to: b })
+  }
+
+  // Soonest first by the newer plan, removed services last
+  services.sort((x, y) => (x.to?.mileage ?? Infinity) - (y.to?.mileage ?? Infinity))
+
+  const fromCost = planCost(from)
+  const toCost = planCost(to)
+  return {
+    fromVersion: from.version,
+    toVersion: to.version,
+    currentMileage: { from: from.currentMileage, to: to.currentMileage },
+    totalCost: { from: fromCost, to: toCost, change: toCost - fromCost },
+    services,
+  }
+}
@@ -0,0 +1,308 @@
+import { createClient } from 'redis'
+
+/**
+ * Cache of DIMO developer and vehicle JWTs
+ *
+ * Getting a developer JWT is a three-step challenge with DIMO auth and a vehicle JWT needs a
+ * token exchange on top, so both are reused until shortly before their `exp`. Entries are keyed
+ * by the developer app's client ID, which lets a credentials change drop every token of that app.
+ *
+ * Tokens live in process memory by default, or in Redis (TOKEN_CACHE_REDIS_URL) so that several
+ * servers share them. Hit and miss counts are kept per process.
+ *
+ * Usage:
+ *   import { createTokenCache, tokenCacheKey } from './token-cache.js'
+ *   const tokenCache = createTokenCache(process.env)
+ *   const jwt = await tokenCache.get(tokenCacheKey(clientId, 'developer'), 'developer', () => dimo.auth.getDeveloperJwt(...))
+ *   await tokenCache.invalidate(tokenCacheKey(clientId))
+ */
+
+// Above the web app's 5-minute vehicle JWT refresh margin (src/jwt-manager.js), so a cached token
+// it gets is not already due for renewal there
+const DEFAULT_REFRESH_MARGIN_SECONDS = 360
+// Lifetime of tokens whose expiry cannot be read
+const DEFAULT_TTL_SECONDS = 300
+
+/**
+ * Cache key of a token, or with only the client ID the prefix of all tokens of that app
+ * @param {string} clientId - Developer app client ID
+ * @param {...(string|number|number[])} parts - Token kind, then e.g. token ID and privileges
+ * @returns {string}
+ */
+export function tokenCacheKey(clientId, ...parts) {
+  const key = [String(clientId).toLowerCase(), ...parts.map(part => Array.isArray(part) ? part.join(',') : part)]
+  return parts.length > 0 ? key.join(':') : `${key[0]}:`
+}
+
+/**
+ * Expiry of the JWT in an SDK auth result (`{ headers: { Authorization } }`), a token response or a raw token
+ * @returns {number|null} Milliseconds since epoch, or null when it cannot be read
+ */
+export function jwtExpiry(value) {
+  const token = typeof value === 'string'
+    ? value
+    : value?.headers?.Authorization?.replace(/^Bearer /, '') || value?.access_token || value?.token
+  try {
+    const payload = JSON.parse(Buffer.from(String(token).split('.')[1], 'base64url').toString('utf8'))
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null
+  } catch {
+    return null
+  }
+}
+
+// Tokens in this process; the oldest entries are dropped beyond maxEntries
+export class MemoryTokenStore {
+  constructor({ maxEntries = 10000 } = {}) {
+    this.name = 'memory'
+    this.maxEntries = maxEntries
+    this.entries = new Map()
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key)
+    if (!entry) return null
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key)
+      return null
+    }
+    return entry.value
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key)
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs })
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+
+  async deletePrefix(prefix) {
+    let count = 0
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key)
+        count++
+      }
+    }
+    return count
+  }
+
+  async size() {
+    return this.entries.size
+  }
+}
+
+// Tokens in Redis (or a Redis-compatible server such as Valkey), shared by all servers
+export class RedisTokenStore {
+  /**
+   * @param {Object} client - Connected node-redis client
+   * @param {Object} [options]
+   * @param {string} [options.namespace] - Prefix of the cache's keys in Redis
+   */
+  constructor(client, { namespace = 'dimo-token:' } = {}) {
+    this.name = 'redis'
+    this.client = client
+    this.namespace = namespace
+  }
+
+  async get(key) {
+    const value = await this.client.get(this.namespace + key)
+    return value ? JSON.parse(value) : null
+  }
+
+  async set(key, value, ttlMs) {
+    await this.client.set(this.namespace + key, JSON.stringify(value), {
+      expiration: { type: 'PX', value: Math.max(1, Math.floor(ttlMs)) },
+    })
+  }
+
+  async deletePrefix(prefix) {
+    const pattern = `${this.namespace}${prefix}`.replace(/[*?[\]\\]/g, '\\$&') + '*'
+    let count = 0
+    for await (const keys of this.client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+      if (keys.length > 0) count += await this.client.del(keys)
+    }
+    return count
+  }
+
+  async size() {
+    let count = 0
+    for await (const keys of this.client.scanIterator({ MATCH: `${this.namespace}*`, COUNT: 100 })) {
+      count += keys.length
+    }
+    return count
+  }
+}
+
+export class TokenCache {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - MemoryTokenStore or RedisTokenStore
+   * @param {number} [options.refreshMarginMs] - Tokens are renewed this long before they expire
+   * @param {number} [options.defaultTtlMs] - Lifetime of tokens without a readable `exp`
+   */
+  constructor({
+    store,
+    refreshMarginMs = DEFAULT_REFRESH_MARGIN_SECONDS * 1000,
+    defaultTtlMs = DEFAULT_TTL_SECONDS * 1000,
+  }) {
+    this.store = store
+    this.refreshMarginMs = refreshMarginMs
+    this.defaultTtlMs = defaultTtlMs
+    this.pending = new Map()
+    this.counters = {}
+    this.invalidations = 0
+    // Bumped by every invalidate; prefix -> generation of its last invalidation, so tokens requested
+    // with old credentials are not stored afterwards while other apps' tokens still are
+    this.generation = 0
+    this.invalidatedPrefixes = new Map()
+    this.startedAt = new Date()
+  }
+
+  counter(kind) {
+    if (!this.counters[kind]) {
+      this.counters[kind] = { hits: 0, misses: 0, errors: 0 }
+    }
+    return this.counters[kind]
+  }
+
+  /**
+   * Whether a key was invalidated after a generation
+   */
+  invalidatedSince(key, generation) {
+    for (const [prefix, invalidatedAt] of this.invalidatedPrefixes) {
+      if (invalidatedAt > generation && key.startsWith(prefix)) return true
+    }
+    return false
+  }
+
+  /**
+   * Cached token, or a new one from `create` when none is cached or it expires within the refresh margin
+   * Concurrent requests for the same key share one call to `create`.
+   * @param {string} key - See tokenCacheKey
+   * @param {string} kind - Metrics bucket, e.g. developer or vehicle
+   * @param {Function} create - Fetches a new token from DIMO
+   * @returns {Promise<Object>} The cached or new token
+   */
+  async get(key, kind, create) {
+    const counter = this.counter(kind)
+    // Taken before the store is read: `create` holds the credentials the caller had at this point
+    const generation = this.generation
+
+    let cached = null
+    try {
+      cached = await this.store.get(key)
+    } catch (error) {
+      // Without the cache the request still works, only slower
+      counter.errors++
+      console.error(`Token cache read failed for ${kind} token:`, error.message)
+    }
+    if (cached && cached.expiresAt - this.refreshMarginMs > Date.now()) {
+      counter.hits++
+      return cached.value
+    }
+
+    if (this.pending.has(key)) {
+      counter.hits++
+      return await this.pending.get(key)
+    }
+    counter.misses++
+
+    const request = (async () => {
+      const value = await create()
+      const expiresAt = jwtExpiry(value) ?? Date.now() + this.defaultTtlMs
+      if (!this.invalidatedSince(key, generation) && expiresAt - this.refreshMarginMs > Date.now()) {
+        try {
+          await this.store.set(key, { value, expiresAt }, expiresAt - Date.now())
+        } catch (error) {
+          counter.errors++
+          console.error(`Token cache write failed for ${kind} token:`, error.message)
+        }
+      }
+      return value
+    })()
+    this.pending.set(key, request)
+    try {
+      return await request
+    } finally {
+      this.pending.delete(key)
+    }
+  }
+
+  /**
+   * Drop cached tokens
+   * @param {string} [prefix] - Key prefix, e.g. tokenCacheKey(clientId) for all tokens of an app; all tokens when omitted
+   * @returns {Promise<number>} Number of tokens dropped
+   */
+  async invalidate(prefix = '') {
+    this.invalidatedPrefixes.set(prefix, ++this.generation)
+    for (const key of [...this.pending.keys()]) {
+      if (key.startsWith(prefix)) this.pending.delete(key)
+    }
+    const count = await this.store.deletePrefix(prefix)
+    this.invalidations += count
+    return count
+  }
+
+  /**
+   * Hit rate per token kind since the server started
+   * @returns {Promise<Object>} `{ store, size, since, refreshMarginSeconds, hits, misses, hitRate, invalidations, byKind }`
+   */
+  async stats() {
+    const rate = ({ hits, misses }) => hits + misses > 0 ? Math.round(hits / (hits + misses) * 1000) / 1000 : null
+    const byKind = Object.fromEntries(
+      Object.entries(this.counters).map(([kind, counter]) => [kind, { ...counter, hitRate: rate(counter) }])
+    )
+    const totals = Object.values(this.counters).reduce(
+      (sum, counter) => ({ hits: sum.hits + counter.hits, misses: sum.misses + counter.misses }),
+      { hits: 0, misses: 0 }
+    )
+
+    let size = null
+    try {
+      size = await this.store.size()
+    } catch (error) {
+      console.error('Token cache size unavailable:', error.message)
+    }
+
+    return {
+      store: this.store.name,
+      size,
+      since: this.startedAt.toISOString(),
+      refreshMarginSeconds: this.refreshMarginMs / 1000,
+      ...totals,
+      hitRate: rate(totals),
+      invalidations: this.invalidations,
+      byKind,
+    }
+  }
+}
+
+function parseSeconds(value, name, fallback) {
+  if (value == null || value === '') return fallback
+  const seconds = Number(value)
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    throw new Error(`${name} must be a number of seconds, got "${value}"`)
+  }
+  return seconds
+}
+
+// Factory function to create the cache from TOKEN_CACHE_REDIS_URL and TOKEN_CACHE_REFRESH_MARGIN_SECONDS
+export function createTokenCache(env = process.env) {
+  const refreshMarginMs = parseSeconds(
+    env.TOKEN_CACHE_REFRESH_MARGIN_SECONDS,
+    'TOKEN_CACHE_REFRESH_MARGIN_SECONDS',
+    DEFAULT_REFRESH_MARGIN_SECONDS
+  ) * 1000
+
+  if (!env.TOKEN_CACHE_REDIS_URL) {
+    return new TokenCache({ store: new MemoryTokenStore(), refreshMarginMs })
+  }
+
+  // Without the offline queue, commands fail right away while Redis is unreachable and the
+  // tokens come from DIMO instead of requests waiting for a reconnect
+  const client = createClient({ url: env.TOKEN_CACHE_REDIS_URL, disableOfflineQueue: true })
+  client.on('error', (error) => console.error('Token cache Redis error:', error.message))
+  client.connect().catch((error) => console.error('Token cache Redis connection failed:', error.message))
+  return new TokenCache({ store: new RedisTokenStore(client), refreshMarginMs })
+}
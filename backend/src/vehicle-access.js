@@ -0,0 +1,141 @@
+/**
+ * Which vehicles a DIMO user may access: the ones their wallet owns and the ones shared with it
+ *
+ * The app's developer credentials can get a vehicle JWT for any vehicle that granted the app
+ * access, so before exchanging a token for a user the vehicle is looked up in DIMO's identity
+ * API: its owner, or else its unexpired SACD permission grants to the user's wallet. Answers are
+ * reused for a minute per wallet and vehicle.
+ *
+ * Usage:
+ *   import { createVehicleAccess } from './vehicle-access.js'
+ *   const vehicleAccess = createVehicleAccess(process.env)
+ *   if (!await vehicleAccess.canAccess(walletAddress, tokenId)) return res.status(403)...
+ */
+
+const DEFAULT_IDENTITY_API_URL = 'https://identity-api.dimo.zone/query'
+const DEFAULT_CACHE_TTL_MS = 60 * 1000
+
+const OWNER_QUERY = `query VehicleOwner($tokenId: Int!) {
+  vehicle(tokenId: $tokenId) {
+    owner
+  }
+}`
+
+const GRANTS_QUERY = `query VehicleGrants($tokenId: Int!) {
+  vehicle(tokenId: $tokenId) {
+    sacds(first: 100) {
+      nodes {
+        grantee
+        expiresAt
+      }
+    }
+  }
+}`
+
+export class VehicleAccessError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'VehicleAccessError'
+  }
+}
+
+export class VehicleAccess {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.identityApiUrl] - DIMO identity API (GraphQL)
+   * @param {Function} [options.fetch] - fetch implementation
+   * @param {number} [options.cacheTtlMs] - How long an answer is reused
+   * @param {number} [options.maxEntries] - Cached answers kept; the oldest are dropped beyond it
+   */
+  constructor({
+    identityApiUrl = DEFAULT_IDENTITY_API_URL,
+    fetch = globalThis.fetch,
+    cacheTtlMs = DEFAULT_CACHE_TTL_MS,
+    maxEntries = 10000,
+  } = {}) {
+    this.identityApiUrl = identityApiUrl
+    this.fetch = fetch
+    this.cacheTtlMs = cacheTtlMs
+    this.maxEntries = maxEntries
+    this.cache = new Map()
+  }
+
+  async query(query, variables) {
+    let response
+    try {
+      response = await this.fetch(this.identityApiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query, variables }),
+      })
+    } catch (error) {
+      throw new VehicleAccessError(`Identity API unreachable: ${error.message}`)
+    }
+    if (!response.ok) {
+      throw new VehicleAccessError(`Identity API answered HTTP ${response.status}`)
+    }
+    const { data, errors } = await response.json()
+    if (errors?.length) {
+      throw new VehicleAccessError(`Identity API error: ${errors.map(error => error.message).join('; ')}`)
+    }
+    return data
+  }
+
+  async lookup(walletAddress, tokenId) {
+    const { vehicle } = await this.query(OWNER_QUERY, { tokenId })
+    if (!vehicle) return false
+    if (String(vehicle.owner).toLowerCase() === walletAddress) return true
+
+    const { vehicle: shared } = await this.query(GRANTS_QUERY, { tokenId })
+    const now = Date.now()
+    return (shared?.sacds?.nodes || []).some(grant =>
+      String(grant.grantee).toLowerCase() === walletAddress &&
+      (!grant.expiresAt || new Date(grant.expiresAt).getTime() > now)
+    )
+  }
+
+  /**
+   * Whether a wallet owns a vehicle or was granted access to it
+   * @param {string} walletAddress - `ethereum_address` of the user JWT
+   * @param {number|string} tokenId - Vehicle token ID
+   * @returns {Promise<boolean>}
+   * @throws {VehicleAccessError} When the identity API cannot answer
+   */
+  async canAccess(walletAddress, tokenId) {
+    if (!walletAddress) return false
+    const address = String(walletAddress).toLowerCase()
+    const id = parseInt(tokenId, 10)
+    if (!Number.isFinite(id)) return false
+
+    const key = `${address}:${id}`
+    const cached = this.cache.get(key)
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.allowed
+    }
+
+    const allowed = await this.lookup(address, id)
+    this.cache.delete(key)
+    this.cache.set(key, { allowed, expiresAt: Date.now() + this.cacheTtlMs })
+    while (this.cache.size > this.maxEntries) {
+      this.cache.delete(this.cache.keys().next().value)
+    }
+    return allowed
+  }
+
+  /**
+   * The token IDs of a list the wallet cannot access
+   * @returns {Promise<number[]>}
+   */
+  async deniedTokenIds(walletAddress, tokenIds) {
+    const denied = []
+    for (const tokenId of tokenIds) {
+      if (!await this.canAccess(walletAddress, tokenId)) denied.push(tokenId)
+    }
+    return denied
+  }
+}
+
+// Factory function to create the access check from DIMO_IDENTITY_API_URL
+export function createVehicleAccess(env = process.env) {
+  return new VehicleAccess({ identityApiUrl: env.DIMO_IDENTITY_API_URL || DEFAULT_IDENTITY_API_URL })
+}
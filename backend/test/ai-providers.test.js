@@ -0,0 +1,127 @@
+import { after, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'crypto'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { DEFAULT_STUB_FIXTURES_DIR, OpenAICompatibleService, StubAIService, createAIService } from '../src/ai-providers.js'
+import { OpenAIService } from '../src/openai-service.js'
+
+const VISIT = {
+  date: '2024-05-10',
+  shopName: 'Jiffy Lube',
+  serviceType: 'Tire rotation',
+  description: 'Rotated tires',
+  parts: [],
+  lineItems: [],
+  laborCost: 30,
+  partsCost: 0,
+  totalCost: 30,
+  mileage: 47000,
+  nextService: null,
+  notes: null,
+}
+
+describe('StubAIService', () => {
+  let dir
+  let document
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-stub-'))
+    document = path.join(dir, 'invoice.pdf')
+    fs.writeFileSync(document, 'invoice contents')
+  })
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  test('extracts the default fixture for any document', async () => {
+    const stub = new StubAIService()
+    const result = await stub.extractMaintenanceInfo(document)
+    assert.equal(result.success, true)
+    assert.equal(result.model, 'stub')
+    assert.equal(result.content.visits.length, 1)
+    assert.equal(result.content.visits[0].totalCost, 107.4)
+  })
+
+  test('prefers the fixture named after the document SHA-256', async () => {
+    const hash = crypto.createHash('sha256').update('invoice contents').digest('hex')
+    fs.mkdirSync(path.join(dir, 'extract-maintenance'), { recursive: true })
+    fs.writeFileSync(path.join(dir, 'extract-maintenance', `${hash}.json`), JSON.stringify({ visits: [VISIT] }))
+
+    const result = await new StubAIService({ fixturesDir: dir }).extractMaintenanceInfo(document)
+    assert.equal(result.success, true)
+    assert.deepEqual(result.content.visits[0], VISIT)
+  })
+
+  test('validates fixtures like model output', async () => {
+    const invalidDir = fs.mkdtempSync(path.join(dir, 'invalid-'))
+    fs.writeFileSync(path.join(invalidDir, 'extract-maintenance.json'), JSON.stringify({ visits: [{ date: 'yesterday' }] }))
+
+    const result = await new StubAIService({ fixturesDir: invalidDir }).extractMaintenanceInfo(document)
+    assert.equal(result.success, false)
+    assert.match(result.error, /maintenance_extraction schema/)
+    assert.ok(result.details.length > 0)
+  })
+
+  test('fails without throwing when a fixture is missing', async () => {
+    const stub = new StubAIService({ fixturesDir: path.join(dir, 'missing') })
+    assert.equal((await stub.processPrompt('hello')).success, false)
+    const extraction = await stub.extractMaintenanceInfo(document)
+    assert.equal(extraction.success, false)
+    assert.match(extraction.error, /extract-maintenance\.json not found/)
+  })
+
+  test('answers prompts and adds notes to plan entries with a noted service', async () => {
+    const stub = new StubAIService()
+    const prompt = await stub.processPrompt('anything')
+    assert.equal(prompt.success, true)
+    assert.equal(prompt.content, fs.readFileSync(path.join(DEFAULT_STUB_FIXTURES_DIR, 'prompt.txt'), 'utf8'))
+
+    const plan = [
+      { mileage: 45000, items: [{ id: 'tire-rotation' }, { id: 'oil-change' }] },
+      { mileage: 50000, items: [{ id: 'cabin-air-filter' }] },
+    ]
+    const { success, content } = await stub.enrichUpcomingServices({ plan })
+    assert.equal(success, true)
+    assert.deepEqual(content.notes, [{ mileage: 45000, note: "Stub note: use the oil grade from the owner's manual." }])
+  })
+})
+
+describe('createAIService', () => {
+  test('uses OpenAI by default', () => {
+    const service = createAIService({ OPENAI_API_KEY: 'sk-test', AI_MODEL_TEXT: 'gpt-test' })
+    assert.ok(service instanceof OpenAIService)
+    assert.equal(service.name, 'openai')
+    assert.equal(service.isConfigured, true)
+    assert.equal(service.models.text, 'gpt-test')
+    assert.equal(createAIService({}).isConfigured, false)
+  })
+
+  test('creates the OpenAI-compatible provider with its models', () => {
+    const service = createAIService({ AI_PROVIDER: 'openai-compatible', AI_BASE_URL: 'http://localhost:11434/v1', AI_MODEL: 'llama3.2-vision' })
+    assert.ok(service instanceof OpenAICompatibleService)
+    assert.equal(service.isConfigured, true)
+    assert.equal(service.models.vision, 'llama3.2-vision')
+    assert.equal(service.structuredOutputs, false)
+  })
+
+  test('requires models for an OpenAI-compatible server', () => {
+    assert.throws(
+      () => createAIService({ AI_PROVIDER: 'openai-compatible', AI_BASE_URL: 'http://localhost:11434/v1' }),
+      /requires AI_MODEL/
+    )
+  })
+
+  test('creates the stub with its fixtures directory', () => {
+    const service = createAIService({ AI_PROVIDER: 'stub', AI_STUB_FIXTURES_DIR: '/tmp/fixtures' })
+    assert.ok(service instanceof StubAIService)
+    assert.equal(service.fixturesDir, '/tmp/fixtures')
+    assert.equal(createAIService({ AI_PROVIDER: 'stub' }).fixturesDir, DEFAULT_STUB_FIXTURES_DIR)
+  })
+
+  test('throws on an unknown provider', () => {
+    assert.throws(() => createAIService({ AI_PROVIDER: 'gemini' }), /Unsupported AI_PROVIDER "gemini"/)
+  })
+})
@@ -0,0 +1,156 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { UPCOMING_NOTES_SCHEMA, parseModelJson, validateSchema } from '../src/ai-schemas.js'
+import { OpenAIService } from '../src/openai-service.js'
+
+// Same shape rules as the extraction schema: every property required, null through type unions
+const SERVICE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['date', 'totalCost', 'mileage', 'parts', 'type'],
+  properties: {
+    date: { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+    totalCost: { type: ['number', 'null'], minimum: 0 },
+    mileage: { type: ['integer', 'null'], minimum: 0 },
+    parts: { type: 'array', items: { type: 'string' } },
+    type: { type: 'string', enum: ['part', 'labor'] },
+  },
+}
+
+const VALID = { date: '2024-03-15', totalCost: 118.79, mileage: 45210, parts: ['Oil filter'], type: 'part' }
+
+describe('validateSchema', () => {
+  test('accepts a valid value', () => {
+    assert.deepEqual(validateSchema(SERVICE_SCHEMA, VALID), [])
+    assert.deepEqual(validateSchema(UPCOMING_NOTES_SCHEMA, { notes: [{ mileage: 45000, note: 'Check the brake pads' }] }), [])
+  })
+
+  test('accepts null for nullable properties but requires them to be present', () => {
+    assert.deepEqual(validateSchema(SERVICE_SCHEMA, { ...VALID, date: null, totalCost: null, mileage: null }), [])
+    const { date, mileage, ...missing } = VALID
+    assert.deepEqual(validateSchema(SERVICE_SCHEMA, missing), ['$.date is required', '$.mileage is required'])
+    assert.deepEqual(validateSchema(SERVICE_SCHEMA, { ...VALID, parts: null }), ['$.parts must be array'])
+  })
+
+  test('rejects wrong types', () => {
+    assert.deepEqual(validateSchema(SERVICE_SCHEMA, { ...VALID, totalCost: '118.79' }), ['$.totalCost must be number or null'])
+    assert.deepEqual(validateSchema(SERVICE_SCHEMA, { ...VALID, mileage: 45210.5 }), ['$.mileage must be integer or null'])
+    assert.deepEqual(validateSchema(SERVICE_SCHEMA, { ...VALID, parts: ['Oil filter', 3] }), ['$.parts[1] must be string'])
+    assert.deepEqual(validateSchema(SERVICE_SCHEMA, [VALID]), ['$ must be object'])
+    assert.deepEqual(validateSchema(SERVICE_SCHEMA, null), ['$ must be object'])
+  })
+
+  test('accepts integers where numbers are expected', () => {
+    assert.deepEqual(validateSchema(SERVICE_SCHEMA, { ...VALID, totalCost: 118 }), [])
+  })
+
+  test('rejects extra properties', () => {
+    assert.deepEqual(validateSchema(SERVICE_SCHEMA, { ...VALID, vin: '1HGCM82633A004352' }), ['$.vin is not allowed'])
+    assert.deepEqual(
+      validateSchema(UPCOMING_NOTES_SCHEMA, { notes: [{ mileage: 45000, note: 'ok', service: 'Oil change' }] }),
+      ['$.notes[0].service is not allowed']
+    )
+  })
+
+  test('checks enums, patterns, minimums and lengths', () => {
+    assert.deepEqual(validateSchema(SERVICE_SCHEMA, { ...VALID, type: 'fee' }), ['$.type must be one of part, labor'])
+    assert.deepEqual(validateSchema(SERVICE_SCHEMA, { ...VALID, date: '03/15/2024' }), ['$.date must match ^\\d{4}-\\d{2}-\\d{2}$'])
+    assert.deepEqual(validateSchema(SERVICE_SCHEMA, { ...VALID, totalCost: -1 }), ['$.totalCost must be at least 0'])
+    assert.deepEqual(
+      validateSchema(UPCOMING_NOTES_SCHEMA, { notes: [{ mileage: 45000, note: 'x'.repeat(201) }] }),
+      ['$.notes[0].note must be at most 200 characters']
+    )
+  })
+})
+
+describe('parseModelJson', () => {
+  test('parses plain and fenced JSON', () => {
+    const json = JSON.stringify(VALID)
+    assert.deepEqual(parseModelJson(json, SERVICE_SCHEMA), { value: VALID, errors: [] })
+    assert.deepEqual(parseModelJson(`\`\`\`json\n${json}\n\`\`\``, SERVICE_SCHEMA), { value: VALID, errors: [] })
+    assert.deepEqual(parseModelJson(`  \`\`\`\n${json}\n\`\`\`  `, SERVICE_SCHEMA), { value: VALID, errors: [] })
+  })
+
+  test('returns validation errors with the parsed value', () => {
+    const { value, errors } = parseModelJson(JSON.stringify({ ...VALID, extra: true }), SERVICE_SCHEMA)
+    assert.equal(value.extra, true)
+    assert.deepEqual(errors, ['$.extra is not allowed'])
+  })
+
+  test('rejects text around the JSON', () => {
+    const { value, errors } = parseModelJson(`Here is the invoice:\n${JSON.stringify(VALID)}`, SERVICE_SCHEMA)
+    assert.equal(value, null)
+    assert.equal(errors.length, 1)
+    assert.match(errors[0], /^Output is not valid JSON/)
+    assert.match(parseModelJson(undefined, SERVICE_SCHEMA).errors[0], /^Output is not valid JSON/)
+  })
+})
+
+describe('OpenAIService.requestJson', () => {
+  // Service without an API client whose repair prompts are answered from a list
+  function serviceAnswering(repairs) {
+    const service = new OpenAIService(null)
+    const prompts = []
+    service.processPrompt = async (prompt) => {
+      prompts.push(prompt)
+      return { success: true, content: repairs.shift() }
+    }
+    return { service, prompts }
+  }
+
+  test('returns valid output without a repair', async () => {
+    const { service, prompts } = serviceAnswering([])
+    const result = await service.requestJson({
+      name: 'service',
+      schema: SERVICE_SCHEMA,
+      send: async () => ({ success: true, content: JSON.stringify(VALID) }),
+      model: 'test-model',
+    })
+    assert.equal(result.success, true)
+    assert.deepEqual(result.content, VALID)
+    assert.equal(result.attempts, 1)
+    assert.deepEqual(prompts, [])
+  })
+
+  test('sends invalid output back with its errors and accepts the repair', async () => {
+    const { service, prompts } = serviceAnswering([JSON.stringify(VALID)])
+    const result = await service.requestJson({
+      name: 'service',
+      schema: SERVICE_SCHEMA,
+      send: async () => ({ success: true, content: JSON.stringify({ ...VALID, totalCost: '$118.79' }) }),
+      model: 'test-model',
+    })
+    assert.equal(result.success, true)
+    assert.equal(result.attempts, 2)
+    assert.deepEqual(result.content, VALID)
+    assert.equal(prompts.length, 1)
+    assert.match(prompts[0], /- \$\.totalCost must be number or null/)
+  })
+
+  test('fails with the validation errors when the repair is invalid too', async () => {
+    const { service } = serviceAnswering(['not json'])
+    const result = await service.requestJson({
+      name: 'service',
+      schema: SERVICE_SCHEMA,
+      send: async () => ({ success: true, content: '{}' }),
+      model: 'test-model',
+    })
+    assert.equal(result.success, false)
+    assert.equal(result.error, 'AI output did not match the service schema after 2 attempts')
+    assert.match(result.details[0], /^Output is not valid JSON/)
+    assert.equal(result.raw, 'not json')
+  })
+
+  test('applies extra checks to schema-valid output', async () => {
+    const { service } = serviceAnswering([JSON.stringify({ ...VALID, mileage: 46000 })])
+    const result = await service.requestJson({
+      name: 'service',
+      schema: SERVICE_SCHEMA,
+      send: async () => ({ success: true, content: JSON.stringify(VALID) }),
+      validate: (value) => value.mileage === 46000 ? [] : ['$.mileage must be a plan mileage'],
+      model: 'test-model',
+    })
+    assert.equal(result.success, true)
+    assert.equal(result.content.mileage, 46000)
+  })
+})
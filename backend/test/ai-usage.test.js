@@ -0,0 +1,206 @@
+import { afterEach, beforeEach, describe, mock, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { AIUsageLedger, addUsage, computeCost, createAIUsageLedger, modelPrice, normalizeUsage } from '../src/ai-usage.js'
+import { OpenAIService } from '../src/openai-service.js'
+
+/**
+ * Stand-in for the ai_usage table: keeps inserted rows and answers the month spend query with
+ * the configured totals
+ */
+class FakeUsagePool {
+  constructor({ totalUsd = 0, vehicleUsd = 0 } = {}) {
+    this.spend = { totalUsd, vehicleUsd }
+    this.rows = []
+  }
+
+  async query(sql, params = []) {
+    if (sql.includes('INSERT INTO vehicle_maintenance.ai_usage')) {
+      const [endpoint, operation, provider, model, inputTokens, outputTokens, costUsd, tokenId, userId, success] = params
+      this.rows.push({ endpoint, operation, provider, model, inputTokens, outputTokens, costUsd, tokenId, userId, success })
+      return { rows: [], rowCount: 1 }
+    }
+    if (sql.includes('SUM(cost_usd)')) {
+      // pg returns NUMERIC sums as strings
+      return { rows: [{ totalUsd: String(this.spend.totalUsd), vehicleUsd: String(this.spend.vehicleUsd) }] }
+    }
+    throw new Error(`Unexpected query: ${sql}`)
+  }
+}
+
+describe('model prices', () => {
+  test('match the longest model name prefix', () => {
+    assert.deepEqual(modelPrice('gpt-4o-2024-08-06'), { input: 2.5, output: 10 })
+    assert.deepEqual(modelPrice('gpt-4o-mini-2024-07-18'), { input: 0.15, output: 0.6 })
+    assert.deepEqual(modelPrice('gpt-4.1-mini'), { input: 0.4, output: 1.6 })
+  })
+
+  test('are null for unpriced models', () => {
+    assert.equal(modelPrice('llama3.2-vision'), null)
+    assert.equal(modelPrice(null), null)
+    assert.equal(computeCost('llama3.2-vision', { inputTokens: 1000, outputTokens: 1000 }), null)
+  })
+
+  test('cost input and output tokens per million', () => {
+    assert.equal(computeCost('gpt-4o', { inputTokens: 1000, outputTokens: 500 }), 0.0075)
+    assert.equal(computeCost('gpt-4o-mini', { inputTokens: 1, outputTokens: 0 }), 0)
+    assert.equal(computeCost('local', { inputTokens: 1000, outputTokens: 0 }, { local: { input: 1, output: 2 } }), 0.001)
+  })
+
+  test('can be overridden with AI_MODEL_PRICES', () => {
+    const ledger = createAIUsageLedger(new FakeUsagePool(), { AI_MODEL_PRICES: '{"llama": {"input": 0, "output": 0}}' })
+    assert.deepEqual(modelPrice('llama3.2-vision', ledger.prices), { input: 0, output: 0 })
+    assert.deepEqual(modelPrice('gpt-4o', ledger.prices), { input: 2.5, output: 10 })
+    assert.throws(() => createAIUsageLedger(new FakeUsagePool(), { AI_MODEL_PRICES: 'cheap' }), /AI_MODEL_PRICES must be JSON/)
+  })
+})
+
+describe('usage', () => {
+  test('normalizes both OpenAI formats', () => {
+    assert.deepEqual(normalizeUsage({ prompt_tokens: 10, completion_tokens: 5 }), { inputTokens: 10, outputTokens: 5 })
+    assert.deepEqual(normalizeUsage({ input_tokens: 7, output_tokens: 3 }), { inputTokens: 7, outputTokens: 3 })
+    assert.deepEqual(normalizeUsage(null), { inputTokens: 0, outputTokens: 0 })
+  })
+
+  test('adds up usages', () => {
+    assert.deepEqual(addUsage({ prompt_tokens: 10, completion_tokens: 5 }, { input_tokens: 7, output_tokens: 3 }), { inputTokens: 17, outputTokens: 8 })
+    assert.deepEqual(addUsage(null, { prompt_tokens: 1, completion_tokens: 2 }), { inputTokens: 1, outputTokens: 2 })
+  })
+})
+
+describe('AIUsageLedger.budgetError', () => {
+  const ledger = (spend, budgets) => new AIUsageLedger({ pool: new FakeUsagePool(spend), ...budgets })
+
+  test('allows every call without caps', async () => {
+    assert.equal(await ledger({ totalUsd: 1000, vehicleUsd: 1000 }, {}).budgetError(42), null)
+  })
+
+  test('allows calls below the monthly cap and rejects them at and over it', async () => {
+    const budgets = { monthlyBudgetUsd: 10 }
+    assert.equal(await ledger({ totalUsd: 9.99 }, budgets).budgetError(), null)
+    assert.equal(await ledger({ totalUsd: 10 }, budgets).budgetError(), 'Monthly AI budget of $10.00 is used up')
+    assert.equal(await ledger({ totalUsd: 12.5 }, budgets).budgetError(42), 'Monthly AI budget of $10.00 is used up')
+  })
+
+  test('allows calls below the vehicle cap and rejects them at and over it', async () => {
+    const budgets = { monthlyBudgetUsd: 100, vehicleMonthlyBudgetUsd: 2 }
+    assert.equal(await ledger({ totalUsd: 50, vehicleUsd: 1.99 }, budgets).budgetError(42), null)
+    assert.equal(await ledger({ totalUsd: 50, vehicleUsd: 2 }, budgets).budgetError(42), 'Monthly AI budget of $2.00 for vehicle 42 is used up')
+    assert.equal(await ledger({ totalUsd: 50, vehicleUsd: 3 }, budgets).budgetError(42), 'Monthly AI budget of $2.00 for vehicle 42 is used up')
+  })
+
+  test('does not apply the vehicle cap to calls without a vehicle', async () => {
+    assert.equal(await ledger({ totalUsd: 50, vehicleUsd: 3 }, { vehicleMonthlyBudgetUsd: 2 }).budgetError(), null)
+  })
+})
+
+describe('AIUsageLedger.meter', () => {
+  const context = { endpoint: '/api/ai/process-prompt', tokenId: 42, userId: '0xabc' }
+  const provider = (result) => ({
+    name: 'openai',
+    isConfigured: true,
+    processPrompt: mock.fn(async () => result),
+  })
+
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {})
+    mock.method(console, 'error', () => {})
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  test('records successful calls with their cost', async () => {
+    const pool = new FakeUsagePool()
+    const ai = new AIUsageLedger({ pool }).meter(provider({
+      success: true, content: 'ok', model: 'gpt-4o', usage: { prompt_tokens: 1000, completion_tokens: 500 },
+    }), context)
+
+    assert.equal((await ai.processPrompt('hello')).content, 'ok')
+    assert.deepEqual(pool.rows, [{
+      endpoint: '/api/ai/process-prompt', operation: 'processPrompt', provider: 'openai', model: 'gpt-4o',
+      inputTokens: 1000, outputTokens: 500, costUsd: 0.0075, tokenId: 42, userId: '0xabc', success: true,
+    }])
+  })
+
+  test('records failed calls', async () => {
+    const pool = new FakeUsagePool()
+    const ai = new AIUsageLedger({ pool }).meter(provider({ success: false, error: 'Rate limit reached' }), context)
+
+    assert.equal((await ai.processPrompt('hello')).error, 'Rate limit reached')
+    assert.equal(pool.rows.length, 1)
+    assert.deepEqual(
+      [pool.rows[0].success, pool.rows[0].model, pool.rows[0].inputTokens, pool.rows[0].costUsd],
+      [false, null, 0, null]
+    )
+  })
+
+  test('records unpriced models without a cost', async () => {
+    const pool = new FakeUsagePool()
+    const ai = new AIUsageLedger({ pool }).meter(provider({
+      success: true, content: 'ok', model: 'llama3.2', usage: { prompt_tokens: 10, completion_tokens: 5 },
+    }), context)
+
+    await ai.processPrompt('hello')
+    await ai.processPrompt('hello')
+    assert.deepEqual(pool.rows.map(row => row.costUsd), [null, null])
+    // Warned about once per model
+    assert.equal(console.warn.mock.callCount(), 1)
+  })
+
+  test('rejects calls over budget without calling the model', async () => {
+    const pool = new FakeUsagePool({ totalUsd: 10 })
+    const inner = provider({ success: true })
+    const ai = new AIUsageLedger({ pool, monthlyBudgetUsd: 10 }).meter(inner, context)
+
+    const result = await ai.processPrompt('hello')
+    assert.deepEqual(result, { success: false, error: 'Monthly AI budget of $10.00 is used up', budgetExceeded: true })
+    assert.equal(inner.processPrompt.mock.callCount(), 0)
+    assert.deepEqual(pool.rows, [])
+  })
+
+  test('does not meter providers that are not configured', async () => {
+    const pool = new FakeUsagePool({ totalUsd: 10 })
+    const inner = { ...provider({ success: false, error: 'not configured' }), isConfigured: false }
+    const ai = new AIUsageLedger({ pool, monthlyBudgetUsd: 10 }).meter(inner, context)
+
+    assert.equal((await ai.processPrompt('hello')).error, 'not configured')
+    assert.deepEqual(pool.rows, [])
+  })
+
+  test('keeps the answer when the ledger row cannot be written', async () => {
+    const pool = new FakeUsagePool()
+    pool.query = async () => { throw new Error('connection refused') }
+    const ai = new AIUsageLedger({ pool }).meter(provider({ success: true, content: 'ok', model: 'gpt-4o' }), context)
+
+    assert.equal((await ai.processPrompt('hello')).content, 'ok')
+    assert.equal(console.error.mock.callCount(), 1)
+  })
+
+  test('records the usage of all repair attempts as one call', async () => {
+    const service = new OpenAIService('sk-test', { models: { plan: 'gpt-4o-mini' } })
+    const answers = [
+      // Not one of the plan mileages, so it is sent back for repair
+      { content: '{"notes": [{"mileage": 46000, "note": "Check the brakes"}]}', usage: { prompt_tokens: 1000, completion_tokens: 200 } },
+      { content: '{"notes": [{"mileage": 45000, "note": "Check the brakes"}]}', usage: { prompt_tokens: 500, completion_tokens: 100 } },
+    ]
+    const create = mock.fn(async () => {
+      const { content, usage } = answers.shift()
+      return { model: 'gpt-4o-mini-2024-07-18', usage, choices: [{ message: { content } }] }
+    })
+    service.client = { chat: { completions: { create } } }
+
+    const pool = new FakeUsagePool()
+    const ai = new AIUsageLedger({ pool }).meter(service, { endpoint: '/api/vehicles/:tokenId/service-plan', tokenId: 42 })
+    const result = await ai.enrichUpcomingServices({ plan: [{ mileage: 45000, services: ['Oil change'] }], currentMileage: 43000, history: [] })
+
+    assert.equal(result.success, true)
+    assert.equal(result.attempts, 2)
+    assert.equal(create.mock.callCount(), 2)
+    assert.equal(pool.rows.length, 1)
+    assert.deepEqual(
+      [pool.rows[0].operation, pool.rows[0].model, pool.rows[0].inputTokens, pool.rows[0].outputTokens, pool.rows[0].costUsd],
+      ['enrichUpcomingServices', 'gpt-4o-mini', 1500, 300, 0.000405]
+    )
+  })
+})
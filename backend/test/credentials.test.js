@@ -0,0 +1,307 @@
+import { afterEach, beforeEach, describe, mock, test } from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'crypto'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import {
+  CredentialStore,
+  createCredentialStore,
+  decryptSecret,
+  encryptSecret,
+  maskSecret,
+  parseEncryptionKey,
+  validateCredentials,
+  validateProfileName,
+} from '../src/credentials.js'
+
+const KEY = crypto.randomBytes(32)
+
+/**
+ * In-memory stand-in for the app_credentials and user_config_profiles tables
+ * Recognizes the store's statements by their first lines; profiles keep their insertion order as
+ * creation order.
+ */
+class FakeCredentialsPool {
+  constructor() {
+    this.profiles = new Map()
+    this.userProfiles = new Map()
+  }
+
+  async query(sql, params = []) {
+    if (sql.includes('INSERT INTO vehicle_maintenance.user_config_profiles')) {
+      const [userId, profile] = params
+      this.userProfiles.set(userId, profile)
+      return { rows: [], rowCount: 1 }
+    }
+    if (sql.includes('FROM vehicle_maintenance.user_config_profiles')) {
+      // Joined with app_credentials: a deleted profile is no selection
+      const profile = this.userProfiles.get(params[0])
+      return this.profiles.has(profile) ? { rows: [{ profile }], rowCount: 1 } : { rows: [], rowCount: 0 }
+    }
+    if (sql.includes('ORDER BY CASE WHEN name = $1')) {
+      const names = [...this.profiles.keys()]
+      const name = names.includes(params[0]) ? params[0] : names[0]
+      return name ? { rows: [{ name }], rowCount: 1 } : { rows: [], rowCount: 0 }
+    }
+    if (sql.includes('DELETE FROM vehicle_maintenance.app_credentials')) {
+      const deleted = this.profiles.delete(params[0])
+      return { rows: [], rowCount: deleted ? 1 : 0 }
+    }
+    if (sql.includes('INSERT INTO vehicle_maintenance.app_credentials')) {
+      const [name, clientId, redirectUri, apiKeyEncrypted, updatedBy] = params
+      if (this.profiles.has(name)) return { rows: [], rowCount: 0 }
+      const profile = { name, clientId, redirectUri, apiKeyEncrypted, updatedBy }
+      this.profiles.set(name, profile)
+      return { rows: [{ name, clientId, redirectUri, updatedBy }], rowCount: 1 }
+    }
+    if (sql.includes('api_key_encrypted as "apiKeyEncrypted"')) {
+      const profile = this.profiles.get(params[0])
+      if (!profile) return { rows: [], rowCount: 0 }
+      const { name, clientId, redirectUri, apiKeyEncrypted } = profile
+      return { rows: [{ name, clientId, redirectUri, apiKeyEncrypted }], rowCount: 1 }
+    }
+    throw new Error(`Unexpected query: ${sql}`)
+  }
+}
+
+describe('encryptSecret / decryptSecret', () => {
+  test('round-trip a secret under its profile name', () => {
+    const encrypted = encryptSecret('dimo-api-key-1234', KEY, 'production')
+    assert.match(encrypted, /^v1:[^:]+:[^:]+:[^:]+$/)
+    assert.equal(encrypted.includes('dimo-api-key-1234'), false)
+    assert.equal(decryptSecret(encrypted, KEY, 'production'), 'dimo-api-key-1234')
+  })
+
+  test('use a new IV for every encryption', () => {
+    assert.notEqual(encryptSecret('secret', KEY, 'default'), encryptSecret('secret', KEY, 'default'))
+  })
+
+  test('reject another key', () => {
+    const encrypted = encryptSecret('secret', KEY, 'default')
+    assert.throws(() => decryptSecret(encrypted, crypto.randomBytes(32), 'default'), /authenticate/)
+  })
+
+  test('reject another profile name as associated data', () => {
+    const encrypted = encryptSecret('secret', KEY, 'staging')
+    assert.throws(() => decryptSecret(encrypted, KEY, 'production'), /authenticate/)
+  })
+
+  test('reject a modified ciphertext or auth tag', () => {
+    const [version, iv, tag, ciphertext] = encryptSecret('secret', KEY, 'default').split(':')
+    const flip = (base64) => {
+      const bytes = Buffer.from(base64, 'base64')
+      bytes[0] ^= 1
+      return bytes.toString('base64')
+    }
+    assert.throws(() => decryptSecret([version, iv, tag, flip(ciphertext)].join(':'), KEY, 'default'), /authenticate/)
+    assert.throws(() => decryptSecret([version, iv, flip(tag), ciphertext].join(':'), KEY, 'default'), /authenticate/)
+  })
+
+  test('reject values in another format', () => {
+    assert.throws(() => decryptSecret('plain-text-key', KEY, 'default'), /Unsupported encrypted credential format/)
+    const [, iv, tag, ciphertext] = encryptSecret('secret', KEY, 'default').split(':')
+    assert.throws(() => decryptSecret(['v2', iv, tag, ciphertext].join(':'), KEY, 'default'), /Unsupported encrypted credential format/)
+  })
+})
+
+describe('parseEncryptionKey', () => {
+  test('reads 64 hex characters', () => {
+    assert.deepEqual(parseEncryptionKey(KEY.toString('hex')), KEY)
+    assert.deepEqual(parseEncryptionKey(KEY.toString('hex').toUpperCase()), KEY)
+  })
+
+  test('reads base64 of 32 bytes', () => {
+    assert.deepEqual(parseEncryptionKey(` ${KEY.toString('base64')}\n`), KEY)
+  })
+
+  test('rejects keys of another length', () => {
+    for (const value of ['', 'short', crypto.randomBytes(16).toString('base64'), crypto.randomBytes(16).toString('hex')]) {
+      assert.throws(() => parseEncryptionKey(value), /CONFIG_ENCRYPTION_KEY must be 32 bytes/)
+    }
+  })
+
+  test('is applied by createCredentialStore', () => {
+    assert.equal(createCredentialStore(null, {}).canEncrypt, false)
+    assert.deepEqual(createCredentialStore(null, { CONFIG_ENCRYPTION_KEY: KEY.toString('base64') }).key, KEY)
+    assert.throws(() => createCredentialStore(null, { CONFIG_ENCRYPTION_KEY: 'short' }), /CONFIG_ENCRYPTION_KEY/)
+    assert.throws(() => createCredentialStore(null, { DEFAULT_CONFIG_PROFILE: 'Production' }), /DEFAULT_CONFIG_PROFILE/)
+  })
+})
+
+describe('maskSecret', () => {
+  test('keeps the last 4 characters of longer secrets', () => {
+    assert.equal(maskSecret('abcdefgh1234'), '••••••••1234')
+  })
+
+  test('hides short and missing secrets entirely', () => {
+    assert.equal(maskSecret('abcdefgh123'), '••••••••')
+    assert.equal(maskSecret(''), '••••••••')
+    assert.equal(maskSecret(null), '••••••••')
+  })
+})
+
+describe('validateProfileName', () => {
+  test('accepts lowercase names with digits, "-" and "_"', () => {
+    for (const name of ['default', 'prod-2', 'eu_staging', '0', 'a'.repeat(40)]) {
+      assert.deepEqual(validateProfileName(name), { values: { name }, errors: [] })
+    }
+  })
+
+  test('rejects other names', () => {
+    for (const name of ['', 'Production', '-prod', 'prod/eu', 'a'.repeat(41), undefined, 42]) {
+      assert.equal(validateProfileName(name).errors.length, 1)
+    }
+  })
+})
+
+describe('validateCredentials', () => {
+  test('trims new credentials', () => {
+    const { values, errors } = validateCredentials({ clientId: ' 0xclient ', apiKey: 'key', redirectUri: 'https://app.example.com/login' })
+    assert.deepEqual(errors, [])
+    assert.deepEqual(values, { clientId: '0xclient', apiKey: 'key', redirectUri: 'https://app.example.com/login' })
+  })
+
+  test('requires the client ID and API key of new credentials', () => {
+    assert.deepEqual(validateCredentials({ redirectUri: '' }).errors, ['clientId is required', 'apiKey is required'])
+  })
+
+  test('rejects non-string values and redirect URIs that are not http(s) URLs', () => {
+    const { errors } = validateCredentials({ clientId: 42, apiKey: '  ', redirectUri: 'javascript:alert(1)' })
+    assert.deepEqual(errors, ['clientId must be a non-empty string', 'apiKey must be a non-empty string', 'redirectUri must be an http(s) URL'])
+  })
+
+  test('rejects bodies that are not objects', () => {
+    for (const body of [null, [], 'clientId']) {
+      assert.deepEqual(validateCredentials(body).errors, ['Request body must be a JSON object'])
+    }
+  })
+
+  test('accepts a subset of the fields on rotation, but not none', () => {
+    assert.deepEqual(validateCredentials({ apiKey: 'new-key' }, { partial: true }), { values: { apiKey: 'new-key' }, errors: [] })
+    assert.deepEqual(validateCredentials({}, { partial: true }).errors, ['Provide at least one of clientId, apiKey or redirectUri'])
+  })
+})
+
+describe('CredentialStore profile resolution', () => {
+  let pool
+  let store
+
+  beforeEach(async () => {
+    pool = new FakeCredentialsPool()
+    store = new CredentialStore({ pool, key: KEY, defaultProfile: 'production' })
+  })
+
+  const add = (...names) => Promise.all(names.map(name => store.create(name, { clientId: `0x${name}`, apiKey: `${name}-key` })))
+
+  test('finds no profile before one is stored', async () => {
+    assert.equal(await store.resolveDefaultProfile(), null)
+    assert.equal(await store.resolveProfile({ userId: '0xuser' }), null)
+  })
+
+  test('uses the configured default profile, else the oldest one', async () => {
+    await add('staging')
+    assert.equal(await store.resolveDefaultProfile(), 'staging')
+    await add('production')
+    assert.equal(await store.resolveDefaultProfile(), 'production')
+    assert.equal(await store.resolveProfile(), 'production')
+  })
+
+  test('prefers the requested profile over the user\'s choice and the default', async () => {
+    await add('production', 'staging', 'demo')
+    await store.setUserProfile('0xuser', 'staging')
+    assert.equal(await store.resolveProfile({ requested: 'demo', userId: '0xuser' }), 'demo')
+  })
+
+  test('uses the profile a user selected for their requests', async () => {
+    await add('production', 'staging', 'demo')
+    await store.setUserProfile('0xuser', 'staging')
+    assert.equal(await store.userProfile('0xuser'), 'staging')
+    assert.equal(await store.resolveProfile({ userId: '0xuser' }), 'staging')
+
+    // Selecting again replaces the choice
+    await store.setUserProfile('0xuser', 'demo')
+    assert.equal(await store.resolveProfile({ userId: '0xuser' }), 'demo')
+
+    assert.equal(await store.userProfile('0xother'), null)
+    assert.equal(await store.resolveProfile({ userId: '0xother' }), 'production')
+  })
+
+  test('falls back to the default when the selected profile was deleted', async () => {
+    await add('production', 'staging')
+    await store.setUserProfile('0xuser', 'staging')
+    assert.equal(await store.remove('staging'), true)
+
+    assert.equal(await store.userProfile('0xuser'), null)
+    assert.equal(await store.resolveProfile({ userId: '0xuser' }), 'production')
+    assert.equal(await store.remove('staging'), false)
+  })
+})
+
+describe('CredentialStore.importLegacyFile', () => {
+  let dir
+  let file
+  let pool
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'credentials-'))
+    file = path.join(dir, 'app-config.json')
+    pool = new FakeCredentialsPool()
+    mock.method(console, 'warn', () => {})
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  const writeLegacy = () => fs.writeFileSync(file, JSON.stringify({ clientId: '0xclient', apiKey: 'legacy-key', redirectUri: 'http://localhost:3000' }))
+
+  test('moves the credentials into the default profile encrypted and deletes the file', async () => {
+    writeLegacy()
+    const store = new CredentialStore({ pool, key: KEY, defaultProfile: 'production' })
+
+    assert.equal(await store.importLegacyFile(file), true)
+    assert.equal(fs.existsSync(file), false)
+    assert.notEqual(pool.profiles.get('production').apiKeyEncrypted, 'legacy-key')
+    assert.equal(pool.profiles.get('production').updatedBy, 'app-config.json')
+    assert.deepEqual(await store.load('production'), {
+      name: 'production', clientId: '0xclient', redirectUri: 'http://localhost:3000', apiKey: 'legacy-key',
+    })
+  })
+
+  test('keeps an existing profile and still deletes the file', async () => {
+    const store = new CredentialStore({ pool, key: KEY })
+    await store.create('default', { clientId: '0xcurrent', apiKey: 'current-key' })
+    writeLegacy()
+
+    assert.equal(await store.importLegacyFile(file), true)
+    assert.equal(fs.existsSync(file), false)
+    assert.equal((await store.load('default')).apiKey, 'current-key')
+    assert.equal(console.warn.mock.callCount(), 1)
+  })
+
+  test('leaves the file alone without an encryption key', async () => {
+    writeLegacy()
+    const store = new CredentialStore({ pool, key: null })
+
+    assert.equal(await store.importLegacyFile(file), false)
+    assert.equal(fs.existsSync(file), true)
+    assert.equal(pool.profiles.size, 0)
+  })
+
+  test('does nothing without a file and fails on unreadable ones', async () => {
+    const store = new CredentialStore({ pool, key: KEY })
+    assert.equal(await store.importLegacyFile(file), false)
+
+    fs.writeFileSync(file, '{ not json')
+    await assert.rejects(store.importLegacyFile(file), /Failed to read/)
+    assert.equal(fs.existsSync(file), true)
+  })
+
+  test('cannot load a profile encrypted under another key', async () => {
+    await new CredentialStore({ pool, key: KEY }).create('default', { clientId: '0xclient', apiKey: 'key' })
+    const store = new CredentialStore({ pool, key: crypto.randomBytes(32) })
+    await assert.rejects(store.load('default'), /profile "default" cannot be decrypted with CONFIG_ENCRYPTION_KEY/)
+  })
+})
@@ -0,0 +1,48 @@
+import { describe, mock, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DimoTelemetryService } from '../src/dimo-telemetry.js'
+import { MemoryTokenStore, TokenCache } from '../src/token-cache.js'
+
+const CONFIG = { clientId: '0xApp', redirectUri: 'https://app.example.com/login', apiKey: 'key' }
+
+// Unsigned JWT valid for an hour, numbered so that tokens can be told apart
+let issued = 0
+const jwt = () => [
+  { alg: 'none' },
+  { exp: Math.floor(Date.now() / 1000) + 3600, jti: ++issued },
+].map(part => Buffer.from(JSON.stringify(part)).toString('base64url')).join('.') + '.'
+
+const bearer = () => ({ headers: { Authorization: `Bearer ${jwt()}` } })
+
+describe('DimoTelemetryService.getVehicleJwt', () => {
+  const createService = () => {
+    const dimo = {
+      auth: { getDeveloperJwt: mock.fn(async () => bearer()) },
+      tokenexchange: { exchange: mock.fn(async () => bearer()) },
+    }
+    const tokenCache = new TokenCache({ store: new MemoryTokenStore() })
+    return { dimo, service: new DimoTelemetryService({ dimo, loadConfig: async () => CONFIG, tokenCache }) }
+  }
+
+  test('reuses the cached vehicle JWT', async () => {
+    const { dimo, service } = createService()
+    const first = await service.getVehicleJwt(42)
+    assert.deepEqual(await service.getVehicleJwt('42', { config: CONFIG }), first)
+    assert.equal(dimo.tokenexchange.exchange.mock.callCount(), 1)
+    assert.equal(dimo.auth.getDeveloperJwt.mock.callCount(), 1)
+  })
+
+  test('exchanges a new vehicle JWT on refresh and keeps the developer JWT', async () => {
+    const { dimo, service } = createService()
+    const first = await service.getVehicleJwt(42)
+    const other = await service.getVehicleJwt(7)
+
+    const refreshed = await service.getVehicleJwt(42, { refresh: true })
+    assert.notDeepEqual(refreshed, first)
+    assert.deepEqual(await service.getVehicleJwt(42), refreshed)
+    // Other vehicles keep their JWT
+    assert.deepEqual(await service.getVehicleJwt(7), other)
+    assert.equal(dimo.tokenexchange.exchange.mock.callCount(), 3)
+    assert.equal(dimo.auth.getDeveloperJwt.mock.callCount(), 1)
+  })
+})
@@ -0,0 +1,240 @@
+import { afterEach, beforeEach, describe, mock, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DocumentJobLostError, DocumentJobQueue } from '../src/document-jobs.js'
+
+/**
+ * In-memory stand-in for the document_jobs table
+ * Recognizes the queue's statements by their SET clause; `locked_at` keeps a millisecond time for
+ * the lock timeout and a unique text value for the exact comparisons, like Postgres microseconds.
+ */
+class FakeJobsPool {
+  constructor() {
+    this.jobs = new Map()
+    this.nextId = 1
+    this.lockSeq = 0
+  }
+
+  lock() {
+    const at = Date.now()
+    return { at, text: `${new Date(at).toISOString()}#${++this.lockSeq}` }
+  }
+
+  holds(job, [id, attempts, lockedAt]) {
+    return job && job.id === id && job.status === 'processing' && job.attempts === attempts && job.lock?.text === lockedAt
+  }
+
+  row(job) {
+    return {
+      id: job.id, tokenId: job.tokenId, status: job.status, stage: job.stage, progress: job.progress,
+      attempts: job.attempts, maxAttempts: job.maxAttempts, runAt: new Date(job.runAt),
+      documentKey: job.documentKey, documentMime: job.documentMime, requestedBy: job.requestedBy,
+      lockedAt: job.lock?.text ?? null, draftIds: job.draftIds, error: job.error,
+    }
+  }
+
+  async connect() {
+    return { query: (sql, params) => this.query(sql, params), release() {} }
+  }
+
+  async query(sql, params = []) {
+    if (sql.includes('INSERT INTO vehicle_maintenance.document_jobs')) {
+      const [tokenId, documentKey, documentName, documentMime, requestedBy, maxAttempts] = params
+      const job = {
+        id: this.nextId++, tokenId, documentKey, documentName, documentMime, requestedBy, maxAttempts,
+        status: 'queued', stage: 'queued', progress: 0, attempts: 0, runAt: Date.now(), lock: null,
+        draftIds: null, error: null,
+      }
+      this.jobs.set(job.id, job)
+      return { rows: [this.row(job)], rowCount: 1 }
+    }
+    if (sql.includes("SET status = 'processing'")) {
+      const [cutoff] = params
+      const due = [...this.jobs.values()]
+        .filter(job => (job.status === 'queued' && job.runAt <= Date.now()) ||
+          (job.status === 'processing' && job.lock.at < cutoff.getTime()))
+        .sort((a, b) => a.runAt - b.runAt || a.id - b.id)
+      const job = due[0]
+      if (!job) return { rows: [], rowCount: 0 }
+      Object.assign(job, { status: 'processing', stage: 'starting', progress: 5, attempts: job.attempts + 1, lock: this.lock() })
+      return { rows: [this.row(job)], rowCount: 1 }
+    }
+    const job = this.jobs.get(params[0])
+    if (sql.includes('SET progress = $4')) {
+      if (!this.holds(job, params)) return { rows: [], rowCount: 0 }
+      Object.assign(job, { progress: params[3], stage: params[4], lock: this.lock() })
+      return { rows: [{ lockedAt: job.lock.text }], rowCount: 1 }
+    }
+    if (sql.includes("SET status = 'succeeded'")) {
+      if (!this.holds(job, params)) return { rows: [], rowCount: 0 }
+      Object.assign(job, { status: 'succeeded', progress: 100, draftIds: params[3], source: params[4], error: null, lock: null })
+      return { rows: [], rowCount: 1 }
+    }
+    if (sql.includes("SET status = 'queued'")) {
+      if (!this.holds(job, params)) return { rows: [], rowCount: 0 }
+      Object.assign(job, { status: 'queued', progress: 0, runAt: params[3].getTime(), error: params[4], lock: null })
+      return { rows: [], rowCount: 1 }
+    }
+    if (sql.includes("SET status = 'failed'")) {
+      if (!this.holds(job, params)) return { rows: [], rowCount: 0 }
+      Object.assign(job, { status: 'failed', progress: 100, error: params[3], lock: null })
+      return { rows: [], rowCount: 1 }
+    }
+    throw new Error(`Unexpected query: ${sql}`)
+  }
+}
+
+const ENQUEUED = { tokenId: 42, documentKey: '42/invoice.pdf', documentName: 'invoice.pdf', documentMime: 'application/pdf' }
+
+describe('DocumentJobQueue', () => {
+  let pool
+
+  beforeEach(() => {
+    pool = new FakeJobsPool()
+    mock.method(console, 'error', () => {})
+    mock.method(console, 'warn', () => {})
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  // Queue whose workers are driven by the test (enqueue would otherwise start them)
+  const createQueue = (options) => {
+    const queue = new DocumentJobQueue({ pool, retryDelayMs: 1000, ...options })
+    queue.poll = async () => {}
+    return queue
+  }
+
+  test('claims due jobs in order and counts the attempt', async () => {
+    const queue = createQueue({ handler: async () => ({ success: true, draftIds: [], source: 'ai' }) })
+    const first = await queue.enqueue(ENQUEUED)
+    await queue.enqueue({ ...ENQUEUED, documentKey: '42/other.pdf' })
+
+    const job = await queue.claim()
+    assert.equal(job.id, first.id)
+    assert.equal(job.attempts, 1)
+    assert.equal(job.documentKey, '42/invoice.pdf')
+    assert.equal(pool.jobs.get(first.id).status, 'processing')
+
+    assert.equal((await queue.claim()).documentKey, '42/other.pdf')
+    assert.equal(await queue.claim(), null)
+  })
+
+  test('records the drafts and the success in the handler transaction', async () => {
+    const queue = createQueue({
+      handler: async (job, reportProgress, complete) => {
+        await reportProgress(50, 'extracting')
+        assert.equal(pool.jobs.get(job.id).progress, 50)
+        const client = await pool.connect()
+        await complete(client, { draftIds: [7, 8], source: 'ai' })
+        return { success: true, draftIds: [7, 8], source: 'ai' }
+      },
+    })
+    const { id } = await queue.enqueue(ENQUEUED)
+    await queue.run(await queue.claim())
+
+    const job = pool.jobs.get(id)
+    assert.equal(job.status, 'succeeded')
+    assert.deepEqual(job.draftIds, [7, 8])
+    assert.equal(job.source, 'ai')
+  })
+
+  test('retries retryable failures with a doubling delay', async () => {
+    const handler = mock.fn(async () => ({ success: false, error: 'rate limited', retryable: true }))
+    const onFailed = mock.fn(async () => {})
+    const queue = createQueue({ handler, onFailed, maxAttempts: 3 })
+    const { id } = await queue.enqueue(ENQUEUED)
+
+    const delays = []
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const before = Date.now()
+      await queue.run(await queue.claim())
+      const job = pool.jobs.get(id)
+      assert.equal(job.status, 'queued')
+      assert.equal(job.error, 'rate limited')
+      delays.push(Math.round((job.runAt - before) / 1000) * 1000)
+      // Not due before its retry time
+      assert.equal(await queue.claim(), null)
+      job.runAt = Date.now()
+    }
+    assert.deepEqual(delays, [1000, 2000])
+
+    await queue.run(await queue.claim())
+    assert.equal(pool.jobs.get(id).status, 'failed')
+    assert.equal(handler.mock.callCount(), 3)
+    assert.equal(onFailed.mock.callCount(), 1)
+  })
+
+  test('fails right away on errors that are not retryable', async () => {
+    const queue = createQueue({ handler: async () => ({ success: false, error: 'unreadable', retryable: false }) })
+    const { id } = await queue.enqueue(ENQUEUED)
+    await queue.run(await queue.claim())
+    assert.equal(pool.jobs.get(id).status, 'failed')
+    assert.equal(pool.jobs.get(id).attempts, 1)
+  })
+
+  test('retries thrown errors', async () => {
+    const queue = createQueue({ handler: async () => { throw new Error('storage unavailable') } })
+    const { id } = await queue.enqueue(ENQUEUED)
+    await queue.run(await queue.claim())
+    assert.equal(pool.jobs.get(id).status, 'queued')
+    assert.equal(pool.jobs.get(id).error, 'storage unavailable')
+  })
+
+  test('takes over a job whose lock timed out and drops the first worker\'s result', async () => {
+    const saved = []
+    let releaseFirst
+    const firstRunning = new Promise(resolve => { releaseFirst = resolve })
+    const queue = createQueue({
+      lockTimeoutMs: 10 * 60 * 1000,
+      handler: async (job, reportProgress, complete) => {
+        if (job.attempts === 1) await firstRunning
+        const client = await pool.connect()
+        // Drafts are only kept when complete() succeeds (it throws before the commit otherwise)
+        await complete(client, { draftIds: [job.attempts], source: 'ai' })
+        saved.push(job.attempts)
+        return { success: true, draftIds: [job.attempts], source: 'ai' }
+      },
+    })
+    const { id } = await queue.enqueue(ENQUEUED)
+
+    const first = await queue.claim()
+    const firstRun = queue.run(first)
+    // Not abandoned while the lock is fresh
+    assert.equal(await queue.claim(), null)
+
+    pool.jobs.get(id).lock.at -= 11 * 60 * 1000
+    const second = await queue.claim()
+    assert.equal(second.attempts, 2)
+    await queue.run(second)
+
+    releaseFirst()
+    await firstRun
+    assert.deepEqual(saved, [2])
+    assert.equal(pool.jobs.get(id).status, 'succeeded')
+    assert.deepEqual(pool.jobs.get(id).draftIds, [2])
+  })
+
+  test('complete() rejects an attempt that lost its lock', async () => {
+    const queue = createQueue({ handler: async () => ({ success: true }) })
+    const { id } = await queue.enqueue(ENQUEUED)
+    const job = await queue.claim()
+    pool.jobs.get(id).lock = pool.lock()
+
+    await assert.rejects(queue.complete(pool, job, { draftIds: [1], source: 'ai' }), DocumentJobLostError)
+    assert.equal(pool.jobs.get(id).status, 'processing')
+  })
+
+  test('fails a job that was interrupted on its last attempt', async () => {
+    const handler = mock.fn(async () => ({ success: true }))
+    const queue = createQueue({ handler, maxAttempts: 1, lockTimeoutMs: 0 })
+    const { id } = await queue.enqueue(ENQUEUED)
+    await queue.claim()
+    pool.jobs.get(id).lock.at -= 1000
+
+    await queue.run(await queue.claim())
+    assert.equal(handler.mock.callCount(), 0)
+    assert.equal(pool.jobs.get(id).status, 'failed')
+    assert.equal(pool.jobs.get(id).error, 'Processing was interrupted too many times')
+  })
+})
@@ -0,0 +1,72 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { findDuplicateRecords, shopSimilarity } from '../src/duplicates.js'
+
+const RECORD = {
+  id: 1,
+  serviceDate: '2024-03-15',
+  totalCost: '118.79',
+  summary: 'Oil change',
+  shopName: 'Main Street Auto Repair, Inc.',
+  mileage: 45210,
+  documentSha256: 'a'.repeat(64),
+  documentName: 'invoice.pdf',
+}
+
+describe('shopSimilarity', () => {
+  test('compares shop names by their words', () => {
+    assert.equal(shopSimilarity('Main Street Auto Repair, Inc.', 'main street auto'), 1)
+    assert.equal(shopSimilarity('Main Street Auto', 'Jiffy Lube'), 0)
+    assert.equal(shopSimilarity('Main Street Auto', null), null)
+    assert.equal(shopSimilarity('Inc.', 'Main Street Auto'), null)
+  })
+})
+
+describe('findDuplicateRecords', () => {
+  test('matches the same document exactly', () => {
+    const duplicates = findDuplicateRecords({ documentSha256: 'a'.repeat(64) }, [RECORD])
+    assert.deepEqual(duplicates, [{
+      recordId: 1,
+      serviceDate: '2024-03-15',
+      totalCost: 118.79,
+      summary: 'Oil change',
+      shopName: 'Main Street Auto Repair, Inc.',
+      documentName: 'invoice.pdf',
+      match: 'exact',
+      reasons: ['same document'],
+    }])
+  })
+
+  test('does not match another visit of the same document', () => {
+    const record = { ...RECORD, documentVisit: 1 }
+    assert.deepEqual(findDuplicateRecords({ documentSha256: 'a'.repeat(64), documentVisit: 2 }, [record]), [])
+    assert.equal(findDuplicateRecords({ documentSha256: 'a'.repeat(64), documentVisit: 1 }, [record])[0].match, 'exact')
+    assert.equal(findDuplicateRecords({ documentSha256: 'a'.repeat(64) }, [{ ...RECORD, documentVisit: 0 }])[0].match, 'exact')
+  })
+
+  test('matches a close date with the same total as likely', () => {
+    const [duplicate] = findDuplicateRecords({ serviceDate: '2024-03-17', totalCost: 118.5, shopName: 'Main Street Auto' }, [RECORD])
+    assert.equal(duplicate.match, 'likely')
+    assert.deepEqual(duplicate.reasons, ['service dates 2 days apart', 'same total', 'same shop'])
+  })
+
+  test('matches without shop names', () => {
+    const [duplicate] = findDuplicateRecords({ serviceDate: '2024-03-15', totalCost: 118.79 }, [{ ...RECORD, shopName: null }])
+    assert.deepEqual(duplicate.reasons, ['same service date', 'same total'])
+  })
+
+  test('does not match other dates, totals or shops', () => {
+    const draft = { serviceDate: '2024-03-15', totalCost: 118.79, shopName: 'Main Street Auto' }
+    assert.deepEqual(findDuplicateRecords({ ...draft, serviceDate: '2024-03-19' }, [RECORD]), [])
+    assert.deepEqual(findDuplicateRecords({ ...draft, totalCost: 120.5 }, [RECORD]), [])
+    assert.deepEqual(findDuplicateRecords({ ...draft, totalCost: null }, [RECORD]), [])
+    assert.deepEqual(findDuplicateRecords({ ...draft, shopName: 'Jiffy Lube' }, [RECORD]), [])
+  })
+
+  test('lists exact matches first', () => {
+    const likely = { ...RECORD, id: 2, documentSha256: null }
+    const exact = { ...RECORD, id: 3, serviceDate: '2023-01-01' }
+    const duplicates = findDuplicateRecords({ serviceDate: '2024-03-15', totalCost: 118.79, documentSha256: 'a'.repeat(64) }, [likely, exact])
+    assert.deepEqual(duplicates.map(duplicate => [duplicate.recordId, duplicate.match]), [[3, 'exact'], [2, 'likely']])
+  })
+})
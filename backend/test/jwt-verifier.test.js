@@ -0,0 +1,123 @@
+import { after, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { initKeySet, mintJwt } from '../dev-jwks.js'
+import {
+  JwtVerificationError,
+  createJwtVerifier,
+  userJwtMiddleware,
+  vehicleJwtMiddleware,
+} from '../src/jwt-verifier.js'
+
+// Runs a middleware against a request with the token; resolves to { status, body } or { next: true }
+function run(middleware, token, params = {}) {
+  return new Promise((resolve, reject) => {
+    const req = { headers: token ? { authorization: `Bearer ${token}` } : {}, params }
+    const res = {
+      status(status) {
+        return { json: (body) => resolve({ status, body, req }) }
+      },
+    }
+    Promise.resolve(middleware(req, res, (error) => error ? reject(error) : resolve({ next: true, req })))
+      .catch(reject)
+  })
+}
+
+describe('DIMO JWT verification with the stand-in key set', () => {
+  let keyDir
+  let env
+  let otherKeyDir
+
+  before(() => {
+    keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dev-jwks-'))
+    otherKeyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dev-jwks-other-'))
+    env = { DIMO_JWKS_FILE: initKeySet(keyDir) }
+    initKeySet(otherKeyDir)
+  })
+
+  after(() => {
+    fs.rmSync(keyDir, { recursive: true, force: true })
+    fs.rmSync(otherKeyDir, { recursive: true, force: true })
+  })
+
+  test('accepts a user JWT signed with the key set', async () => {
+    const claims = await createJwtVerifier(env, 'user').verify(mintJwt({ keyDir, walletAddress: '0xAbC' }))
+    assert.equal(claims.ethereum_address, '0xAbC')
+  })
+
+  test('rejects tokens signed with another key', async () => {
+    const token = mintJwt({ keyDir: otherKeyDir })
+    await assert.rejects(createJwtVerifier(env, 'user').verify(token), {
+      name: 'JwtVerificationError',
+      message: 'Invalid JWT signature',
+    })
+  })
+
+  test('rejects expired and tampered tokens', async () => {
+    const verifier = createJwtVerifier(env, 'user')
+    const expired = mintJwt({ keyDir, claims: { exp: Math.floor(Date.now() / 1000) - 3600 } })
+    await assert.rejects(verifier.verify(expired), { message: 'JWT has expired' })
+
+    const [header, , signature] = mintJwt({ keyDir }).split('.')
+    const payload = Buffer.from(JSON.stringify({ sub: 'someone-else', exp: 9999999999 })).toString('base64url')
+    await assert.rejects(verifier.verify(`${header}.${payload}.${signature}`), JwtVerificationError)
+    await assert.rejects(verifier.verify('not-a-jwt'), { message: 'Malformed JWT' })
+  })
+
+  test('tells user and vehicle JWTs apart by issuer', async () => {
+    const userToken = mintJwt({ keyDir })
+    const vehicleToken = mintJwt({ keyDir, tokenId: 7 })
+
+    await assert.rejects(createJwtVerifier(env, 'vehicle').verify(userToken), { message: 'JWT issuer is not trusted' })
+    await assert.rejects(createJwtVerifier(env, 'user').verify(vehicleToken), { message: 'JWT issuer is not trusted' })
+    assert.equal((await createJwtVerifier(env, 'vehicle').verify(vehicleToken)).token_id, 7)
+  })
+
+  test('uses the vehicle key set of its own when configured', async () => {
+    const vehicleEnv = { ...env, DIMO_VEHICLE_JWKS_FILE: path.join(otherKeyDir, 'jwks.json') }
+    const verifier = createJwtVerifier(vehicleEnv, 'vehicle')
+    await assert.rejects(verifier.verify(mintJwt({ keyDir, tokenId: 7 })), { message: 'Invalid JWT signature' })
+    assert.equal((await verifier.verify(mintJwt({ keyDir: otherKeyDir, tokenId: 7 }))).token_id, 7)
+  })
+
+  describe('userJwtMiddleware', () => {
+    test('sets req.userId from the wallet address', async () => {
+      const result = await run(userJwtMiddleware(createJwtVerifier(env, 'user')), mintJwt({ keyDir, walletAddress: '0xAbC' }))
+      assert.equal(result.next, true)
+      assert.equal(result.req.userId, '0xabc')
+    })
+
+    test('rejects missing tokens', async () => {
+      const result = await run(userJwtMiddleware(createJwtVerifier(env, 'user')), null)
+      assert.equal(result.status, 401)
+    })
+
+    test('rejects vehicle JWTs even from a trusted issuer', async () => {
+      // An issuer check switched off (DIMO_JWT_ISSUER=) must not let vehicle JWTs through
+      const verifier = createJwtVerifier({ ...env, DIMO_JWT_ISSUER: '' }, 'user')
+      const result = await run(userJwtMiddleware(verifier), mintJwt({ keyDir, tokenId: 7 }))
+      assert.equal(result.status, 401)
+      assert.match(result.body.error, /Vehicle JWTs are not accepted/)
+    })
+  })
+
+  describe('vehicleJwtMiddleware', () => {
+    test('accepts a vehicle JWT for the requested vehicle', async () => {
+      const result = await run(vehicleJwtMiddleware(createJwtVerifier(env, 'vehicle')), mintJwt({ keyDir, tokenId: 7 }), { tokenId: '7' })
+      assert.equal(result.next, true)
+      assert.equal(result.req.vehicleJwt.token_id, 7)
+    })
+
+    test('rejects a vehicle JWT for another vehicle with 403', async () => {
+      const result = await run(vehicleJwtMiddleware(createJwtVerifier(env, 'vehicle')), mintJwt({ keyDir, tokenId: 8 }), { tokenId: '7' })
+      assert.equal(result.status, 403)
+    })
+
+    test('rejects user JWTs', async () => {
+      const result = await run(vehicleJwtMiddleware(createJwtVerifier(env, 'vehicle')), mintJwt({ keyDir }), { tokenId: '7' })
+      assert.equal(result.status, 401)
+    })
+  })
+})
@@ -0,0 +1,72 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseInvoiceText, splitVisits } from '../src/local-extraction.js'
+import { MAINTENANCE_VISIT_SCHEMA, validateSchema } from '../src/ai-schemas.js'
+
+const INVOICE = `Main Street Auto Repair
+123 Main St, Springfield
+Phone (555) 123-4567
+Invoice #4411
+Service Date: 03/15/2024
+Odometer: 45,210 mi
+Oil and filter change 1 49.99
+Tire rotation 25.00
+Labor total: 60.00
+Parts total: 49.99
+Subtotal 109.99
+Tax 8.80
+Total $118.79`
+
+describe('parseInvoiceText', () => {
+  test('reads the header, totals and odometer of an invoice', () => {
+    const visit = parseInvoiceText(INVOICE)
+    assert.equal(visit.date, '2024-03-15')
+    assert.equal(visit.shopName, 'Main Street Auto Repair')
+    assert.equal(visit.serviceType, 'Oil and filter change, Tire rotation')
+    assert.equal(visit.mileage, 45210)
+    assert.equal(visit.laborCost, 60)
+    assert.equal(visit.partsCost, 49.99)
+    assert.equal(visit.totalCost, 118.79)
+    assert.deepEqual(validateSchema(MAINTENANCE_VISIT_SCHEMA, visit), [])
+  })
+
+  test('prefers a labeled date and reads written-out dates', () => {
+    const visit = parseInvoiceText('Quick Lube\nPrinted 2024-06-01\nDate of service: Jan 5, 2024\nOil change\nAmount due 45.50')
+    assert.equal(visit.date, '2024-01-05')
+    assert.equal(visit.totalCost, 45.5)
+  })
+
+  test('ignores dates in the future and amounts without cents', () => {
+    const visit = parseInvoiceText('Quick Lube\nDate: Jan 5, 2099\nTotal 12')
+    assert.equal(visit.date, null)
+    assert.equal(visit.totalCost, null)
+  })
+
+  test('leaves what it cannot recognize null', () => {
+    const visit = parseInvoiceText('')
+    assert.deepEqual(
+      [visit.date, visit.shopName, visit.serviceType, visit.totalCost, visit.mileage],
+      [null, null, null, null, null]
+    )
+    assert.deepEqual(validateSchema(MAINTENANCE_VISIT_SCHEMA, visit), [])
+  })
+})
+
+describe('splitVisits', () => {
+  test('starts a visit at a dated page after a page with a total', () => {
+    const first = 'Main Street Auto\nInvoice date 2024-03-15\nOil change\nTotal 118.79'
+    const second = 'Main Street Auto\nInvoice date 2024-09-02\nBrake pads\nPage 1'
+    const continued = 'Parts 2 200.00\nGrand total 350.00'
+    assert.deepEqual(splitVisits([first, second, continued]), [first, `${second}\n${continued}`])
+  })
+
+  test('keeps dated pages of an invoice without a total yet together', () => {
+    const pages = ['Date 2024-01-01\nOil change', 'Date 2024-01-01\nTotal 50.00']
+    assert.deepEqual(splitVisits(pages), [pages.join('\n')])
+  })
+
+  test('skips empty pages', () => {
+    assert.deepEqual(splitVisits(['', '  \n ', 'Total 10.00']), ['Total 10.00'])
+    assert.deepEqual(splitVisits([]), [])
+  })
+})
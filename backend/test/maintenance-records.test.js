@@ -0,0 +1,42 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { validateMaintenanceRecord } from '../src/maintenance-records.js'
+
+describe('validateMaintenanceRecord', () => {
+  test('accepts a new record with a service date and summary', () => {
+    const { values, errors } = validateMaintenanceRecord({ serviceDate: '2024-03-15', summary: ' Oil change ', totalCost: '118.79' })
+    assert.deepEqual(errors, [])
+    assert.deepEqual(values, { serviceDate: '2024-03-15', summary: 'Oil change', totalCost: 118.79 })
+  })
+
+  test('requires a service date and a summary or description on new records', () => {
+    const { errors } = validateMaintenanceRecord({ totalCost: 10 })
+    assert.deepEqual(errors, ['serviceDate is required', 'summary or description is required'])
+  })
+
+  test('updates only the fields that are present', () => {
+    const { values, errors } = validateMaintenanceRecord({ mileage: '45,210', shopName: null }, { partial: true })
+    assert.deepEqual(errors, [])
+    assert.deepEqual(values, { mileage: 45210, shopName: null })
+  })
+
+  test('does not clear the service date on update', () => {
+    for (const serviceDate of [null, '']) {
+      const { errors } = validateMaintenanceRecord({ serviceDate }, { partial: true })
+      assert.deepEqual(errors, ['serviceDate is required'])
+    }
+  })
+
+  test('does not clear both summary and description on update', () => {
+    const { errors } = validateMaintenanceRecord({ summary: null, description: '  ' }, { partial: true })
+    assert.deepEqual(errors, ['summary or description is required'])
+
+    const cleared = validateMaintenanceRecord({ summary: null }, { partial: true })
+    assert.deepEqual(cleared.errors, [])
+  })
+
+  test('rejects future dates and unknown fields', () => {
+    const { errors } = validateMaintenanceRecord({ serviceDate: '2999-01-01', outputText: 'x' }, { partial: true })
+    assert.deepEqual(errors, ['Unknown fields: outputText', 'serviceDate cannot be in the future'])
+  })
+})
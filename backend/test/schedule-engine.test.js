@@ -0,0 +1,120 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { computeNextService, generateMaintenanceSchedule, isElectricVehicle, rulesForVehicle } from '../src/schedule-engine.js'
+
+const TODAY = new Date('2025-06-01T00:00:00Z')
+const OIL_CHANGE = { serviceDate: '2025-03-01', mileage: 40000, summary: 'Oil change', parts: [] }
+
+const serviceIds = (plan) => plan.flatMap(entry => entry.items.map(item => item.id))
+const entryWith = (plan, id) => plan.find(entry => entry.items.some(item => item.id === id && !entry.overdue))
+
+describe('generateMaintenanceSchedule', () => {
+  test('skips combustion rules for electric vehicles', () => {
+    assert.equal(isElectricVehicle({ make: 'Tesla', model: 'Model 3' }), true)
+    assert.equal(isElectricVehicle({ make: 'Nissan', model: 'Leaf' }), true)
+    assert.equal(isElectricVehicle({ make: 'Nissan', model: 'Altima' }), false)
+
+    const { plan } = generateMaintenanceSchedule({ currentMileage: 43000, make: 'Tesla', model: 'Model 3', today: TODAY })
+    const ids = serviceIds(plan)
+    for (const id of ['oil-change', 'engine-air-filter', 'transmission-fluid', 'spark-plugs']) {
+      assert.equal(ids.includes(id), false, `${id} planned for an electric vehicle`)
+    }
+    assert.ok(ids.includes('tire-rotation'))
+    assert.ok(ids.includes('brake-fluid'))
+  })
+
+  test('applies make overrides from their model year on', () => {
+    const oilChange = (vehicle) => rulesForVehicle(vehicle).find(rule => rule.id === 'oil-change')
+    assert.deepEqual([oilChange({ make: 'Toyota', year: 2020 }).miles, oilChange({ make: 'Toyota', year: 2020 }).months], [10000, 12])
+    assert.equal(oilChange({ make: 'toyota', year: '2018' }).miles, 10000)
+    assert.equal(oilChange({ make: 'Toyota', year: 2015 }).miles, 5000)
+    assert.equal(oilChange({ make: 'Toyota' }).miles, 5000)
+
+    const newer = generateMaintenanceSchedule({ currentMileage: 43000, history: [OIL_CHANGE], make: 'Toyota', year: 2020, horizonMiles: 15000, today: TODAY })
+    const older = generateMaintenanceSchedule({ currentMileage: 43000, history: [OIL_CHANGE], make: 'Toyota', year: 2015, horizonMiles: 15000, today: TODAY })
+    assert.equal(entryWith(newer.plan, 'oil-change').mileage, 50000)
+    assert.equal(entryWith(older.plan, 'oil-change').mileage, 45000)
+  })
+
+  test('counts from the last matching record', () => {
+    const { plan } = generateMaintenanceSchedule({ currentMileage: 43000, history: [OIL_CHANGE], horizonMiles: 15000, today: TODAY })
+    const oil = entryWith(plan, 'oil-change')
+    assert.equal(oil.mileage, 45000)
+    assert.deepEqual(oil.items.find(item => item.id === 'oil-change'), {
+      id: 'oil-change',
+      name: 'Oil and filter change',
+      estimatedCost: 80,
+      lastServiceDate: '2025-03-01',
+      lastServiceMileage: 40000,
+    })
+  })
+
+  test('plans time-only rules without a record as due now', () => {
+    const { plan } = generateMaintenanceSchedule({ currentMileage: 43000, today: TODAY })
+    const now = plan.find(entry => entry.mileage === 43000)
+    assert.equal(now.overdue, true)
+    assert.deepEqual(now.items.map(item => item.id), ['wiper-blades', 'battery'])
+    assert.equal(now.dueDate, '2025-06-01')
+  })
+
+  test('groups overdue services into one entry at the current mileage', () => {
+    const history = [
+      { serviceDate: '2022-01-10', mileage: 20000, summary: 'Oil change and tire rotation' },
+      { serviceDate: '2022-01-10', mileage: 20000, description: 'Replaced wiper blades' },
+    ]
+    const { plan } = generateMaintenanceSchedule({ currentMileage: 43000, history, today: TODAY })
+    const overdue = plan.filter(entry => entry.overdue)
+    assert.equal(overdue.length, 1)
+    assert.equal(overdue[0].mileage, 43000)
+    assert.deepEqual(overdue[0].items.map(item => item.id), ['oil-change', 'tire-rotation', 'wiper-blades', 'battery'])
+    assert.equal(overdue[0].estimatedCost, 80 + 40 + 35 + 25)
+    assert.deepEqual(plan.map(entry => entry.mileage), [...plan.map(entry => entry.mileage)].sort((a, b) => a - b))
+  })
+
+  test('groups services due within the same thousand miles', () => {
+    const { plan } = generateMaintenanceSchedule({ currentMileage: 43000, horizonMiles: 3000, today: TODAY })
+    const upcoming = plan.filter(entry => !entry.overdue)
+    assert.deepEqual(upcoming.map(entry => entry.mileage), [45000])
+    assert.deepEqual(upcoming[0].services, ['Oil and filter change', 'Tire rotation', 'Brake inspection', 'Cabin air filter'])
+  })
+})
+
+describe('computeNextService', () => {
+  test('skips time-only rules without a record', () => {
+    const history = [{ serviceDate: '2025-05-01', mileage: 42900, summary: 'Oil change, tire rotation, brake inspection, cabin air filter' }]
+    const next = computeNextService({ currentMileage: 43000, history, today: TODAY })
+    assert.equal(next.id, 'oil-change')
+    assert.equal(next.dueMileage, 47900)
+    assert.equal(next.urgency, 'ok')
+  })
+
+  test('reports an overdue service with its last record', () => {
+    const history = [{ serviceDate: '2024-01-01', mileage: 35000, summary: 'Oil change' }]
+    assert.deepEqual(computeNextService({ currentMileage: 43000, history, today: TODAY }), {
+      id: 'oil-change',
+      service: 'Oil and filter change',
+      estimatedCost: 80,
+      dueMileage: 40000,
+      dueDate: '2024-07-01',
+      milesRemaining: -3000,
+      daysRemaining: -334,
+      overdue: true,
+      urgency: 'overdue',
+      lastServiceDate: '2024-01-01',
+      lastServiceMileage: 35000,
+    })
+  })
+
+  test('marks a service due within a thousand miles as soon', () => {
+    const next = computeNextService({ currentMileage: 4000, today: TODAY })
+    assert.equal(next.id, 'oil-change')
+    assert.equal(next.milesRemaining, 1000)
+    assert.equal(next.urgency, 'soon')
+  })
+
+  test('follows the factory schedule of an electric vehicle', () => {
+    const next = computeNextService({ currentMileage: 0, make: 'Tesla', today: TODAY })
+    assert.equal(next.id, 'tire-rotation')
+    assert.equal(next.dueMileage, 7500)
+  })
+})
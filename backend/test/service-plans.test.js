@@ -0,0 +1,85 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { comparePlans, historySnapshot, normalizeServicePlan } from '../src/service-plans.js'
+
+const OIL = { id: 'oil-change', name: 'Oil and filter change', estimatedCost: 80 }
+const ROTATION = { id: 'tire-rotation', name: 'Tire rotation', estimatedCost: 40 }
+const BRAKES = { id: 'brake-inspection', name: 'Brake inspection', estimatedCost: 50 }
+
+const entry = (mileage, items, overdue = false) => ({
+  mileage,
+  dueDate: null,
+  overdue,
+  items,
+  estimatedCost: items.reduce((sum, item) => sum + item.estimatedCost, 0),
+})
+
+describe('normalizeServicePlan', () => {
+  const row = {
+    id: 7, tokenId: 42, version: 3, currentMileage: 43000, make: 'Toyota', model: 'Camry', year: 2020,
+    source: 'rules', aiModel: null, milesPerMonth: 1000, createdAt: '2025-06-01T00:00:00.000Z',
+  }
+
+  test('leaves out plan entries for summary rows', () => {
+    assert.deepEqual(normalizeServicePlan(row), row)
+  })
+
+  test('keeps plan entries and the history snapshot of full rows', () => {
+    const plan = normalizeServicePlan({ ...row, plan: [entry(45000, [OIL])], historySnapshot: [], extra: 'ignored' })
+    assert.deepEqual(plan.plan, [entry(45000, [OIL])])
+    assert.deepEqual(plan.historySnapshot, [])
+    assert.equal('extra' in plan, false)
+  })
+
+  test('snapshots only the record fields a plan is based on', () => {
+    const record = { id: 1, tokenId: 42, serviceDate: '2025-03-01', mileage: 40000, summary: 'Oil change', description: null, totalCost: 80, parts: ['filter'] }
+    assert.deepEqual(historySnapshot([record]), [
+      { id: 1, serviceDate: '2025-03-01', mileage: 40000, summary: 'Oil change', description: null, totalCost: 80 },
+    ])
+  })
+})
+
+describe('comparePlans', () => {
+  const previous = { version: 1, currentMileage: 40000, plan: [entry(45000, [OIL, ROTATION]), entry(50000, [OIL])] }
+
+  test('marks services that stayed the same as unchanged', () => {
+    const comparison = comparePlans(previous, { ...previous, version: 2 })
+    assert.deepEqual(comparison.services.map(s => [s.id, s.status]), [['oil-change', 'unchanged'], ['tire-rotation', 'unchanged']])
+    assert.deepEqual(comparison.totalCost, { from: 200, to: 200, change: 0 })
+  })
+
+  test('lists added, removed and changed intervals', () => {
+    const latest = { version: 2, currentMileage: 43000, plan: [entry(43000, [BRAKES], true), entry(48000, [OIL])] }
+    const comparison = comparePlans(previous, latest)
+
+    assert.equal(comparison.fromVersion, 1)
+    assert.equal(comparison.toVersion, 2)
+    assert.deepEqual(comparison.currentMileage, { from: 40000, to: 43000 })
+    assert.deepEqual(comparison.services.map(s => [s.id, s.status]), [
+      ['brake-inspection', 'added'],
+      ['oil-change', 'changed'],
+      ['tire-rotation', 'removed'],
+    ])
+
+    const [added, changed, removed] = comparison.services
+    assert.equal(added.from, null)
+    assert.deepEqual(added.to, { name: 'Brake inspection', mileage: 43000, dueDate: null, overdue: true, occurrences: 1 })
+    assert.deepEqual([changed.from.mileage, changed.from.occurrences], [45000, 2])
+    assert.deepEqual([changed.to.mileage, changed.to.occurrences], [48000, 1])
+    assert.equal(removed.to, null)
+    assert.equal(removed.name, 'Tire rotation')
+    assert.deepEqual(comparison.totalCost, { from: 200, to: 130, change: -70 })
+  })
+
+  test('counts a service that only became overdue as changed', () => {
+    const latest = { version: 2, currentMileage: 40000, plan: [entry(45000, [OIL, ROTATION], true), entry(50000, [OIL])] }
+    const statuses = comparePlans(previous, latest).services.map(s => s.status)
+    assert.deepEqual(statuses, ['changed', 'changed'])
+  })
+
+  test('handles plans without entries', () => {
+    const comparison = comparePlans({ version: 1, currentMileage: 40000, plan: [] }, previous)
+    assert.deepEqual(comparison.services.map(s => s.status), ['added', 'added'])
+    assert.deepEqual(comparison.totalCost, { from: 0, to: 200, change: 200 })
+  })
+})
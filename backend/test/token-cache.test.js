@@ -0,0 +1,250 @@
+import { afterEach, beforeEach, describe, mock, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { MemoryTokenStore, TokenCache, createTokenCache, jwtExpiry, tokenCacheKey } from '../src/token-cache.js'
+
+const NOW = Date.UTC(2025, 5, 1, 12, 0, 0)
+
+// Unsigned JWT expiring `seconds` after the mocked now
+const jwt = (seconds, claims = {}) => [
+  { alg: 'none' },
+  { exp: Math.floor(NOW / 1000) + seconds, ...claims },
+].map(part => Buffer.from(JSON.stringify(part)).toString('base64url')).join('.') + '.'
+
+// Promise resolved from the outside, to keep a `create` call in flight
+const deferred = () => {
+  let resolve
+  const promise = new Promise(r => { resolve = r })
+  return { promise, resolve }
+}
+
+describe('tokenCacheKey', () => {
+  test('joins the lowercase client ID with the token parts', () => {
+    assert.equal(tokenCacheKey('0xABC', 'vehicle', 42, [1, 2, 4]), '0xabc:vehicle:42:1,2,4')
+    assert.equal(tokenCacheKey('0xABC', 'developer'), '0xabc:developer')
+  })
+
+  test('is a prefix of all tokens of the app without parts', () => {
+    assert.equal(tokenCacheKey('0xABC'), '0xabc:')
+    assert.ok(tokenCacheKey('0xABC', 'developer').startsWith(tokenCacheKey('0xabc')))
+  })
+})
+
+describe('jwtExpiry', () => {
+  test('reads the exp of SDK auth results, token responses and raw tokens', () => {
+    const token = jwt(600)
+    const expected = NOW + 600 * 1000
+    assert.equal(jwtExpiry(token), expected)
+    assert.equal(jwtExpiry({ headers: { Authorization: `Bearer ${token}` } }), expected)
+    assert.equal(jwtExpiry({ access_token: token }), expected)
+    assert.equal(jwtExpiry({ token }), expected)
+  })
+
+  test('is null for values without a readable exp', () => {
+    assert.equal(jwtExpiry('not-a-jwt'), null)
+    assert.equal(jwtExpiry(null), null)
+    assert.equal(jwtExpiry(jwt(600).replace(/^[^.]+\.[^.]+/, 'x.eyJzdWIiOiIxIn0')), null)
+  })
+})
+
+describe('MemoryTokenStore', () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: NOW })
+  })
+
+  afterEach(() => {
+    mock.timers.reset()
+  })
+
+  test('returns values until their TTL has passed', async () => {
+    const store = new MemoryTokenStore()
+    await store.set('a', { value: 1 }, 1000)
+    assert.deepEqual(await store.get('a'), { value: 1 })
+
+    mock.timers.tick(1000)
+    assert.equal(await store.get('a'), null)
+    assert.equal(await store.size(), 0)
+  })
+
+  test('drops the least recently stored entries beyond maxEntries', async () => {
+    const store = new MemoryTokenStore({ maxEntries: 2 })
+    await store.set('a', 1, 60000)
+    await store.set('b', 2, 60000)
+    await store.set('a', 3, 60000)
+    await store.set('c', 4, 60000)
+
+    assert.equal(await store.get('b'), null)
+    assert.equal(await store.get('a'), 3)
+    assert.equal(await store.get('c'), 4)
+  })
+
+  test('deletes entries by key prefix', async () => {
+    const store = new MemoryTokenStore()
+    await store.set('0xa:developer', 1, 60000)
+    await store.set('0xa:vehicle:1', 2, 60000)
+    await store.set('0xab:developer', 3, 60000)
+
+    assert.equal(await store.deletePrefix('0xa:'), 2)
+    assert.equal(await store.size(), 1)
+    assert.equal(await store.get('0xab:developer'), 3)
+  })
+})
+
+describe('TokenCache', () => {
+  const MARGIN_MS = 360 * 1000
+  const key = tokenCacheKey('0xapp', 'vehicle', 42, [1])
+  let cache
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: NOW })
+    mock.method(console, 'error', () => {})
+    cache = new TokenCache({ store: new MemoryTokenStore(), refreshMarginMs: MARGIN_MS })
+  })
+
+  afterEach(() => {
+    mock.timers.reset()
+    mock.restoreAll()
+  })
+
+  test('returns the cached token until the refresh margin', async () => {
+    const token = jwt(3600)
+    const create = mock.fn(async () => token)
+
+    assert.equal(await cache.get(key, 'vehicle', create), token)
+    mock.timers.tick(3600 * 1000 - MARGIN_MS - 1000)
+    assert.equal(await cache.get(key, 'vehicle', create), token)
+    assert.equal(create.mock.callCount(), 1)
+  })
+
+  test('fetches a new token inside the refresh margin', async () => {
+    const tokens = [jwt(3600), jwt(7200)]
+    const create = mock.fn(async () => tokens.shift())
+    const first = await cache.get(key, 'vehicle', create)
+
+    mock.timers.tick(3600 * 1000 - MARGIN_MS)
+    const second = await cache.get(key, 'vehicle', create)
+    assert.notEqual(second, first)
+    assert.equal(create.mock.callCount(), 2)
+    assert.equal(await cache.get(key, 'vehicle', create), second)
+  })
+
+  test('does not store tokens that already expire within the margin', async () => {
+    const create = mock.fn(async () => jwt(300))
+    await cache.get(key, 'vehicle', create)
+    await cache.get(key, 'vehicle', create)
+    assert.equal(create.mock.callCount(), 2)
+    assert.equal(await cache.store.size(), 0)
+  })
+
+  test('keeps tokens without a readable exp for the default TTL', async () => {
+    cache = new TokenCache({ store: new MemoryTokenStore(), refreshMarginMs: 0, defaultTtlMs: 60000 })
+    const create = mock.fn(async () => ({ token: 'opaque' }))
+
+    await cache.get(key, 'vehicle', create)
+    mock.timers.tick(59000)
+    await cache.get(key, 'vehicle', create)
+    assert.equal(create.mock.callCount(), 1)
+    mock.timers.tick(1000)
+    await cache.get(key, 'vehicle', create)
+    assert.equal(create.mock.callCount(), 2)
+  })
+
+  test('shares one create between concurrent requests', async () => {
+    const pending = deferred()
+    const create = mock.fn(() => pending.promise)
+
+    const requests = [cache.get(key, 'vehicle', create), cache.get(key, 'vehicle', create), cache.get(key, 'vehicle', create)]
+    pending.resolve(jwt(3600))
+    const tokens = await Promise.all(requests)
+
+    assert.equal(create.mock.callCount(), 1)
+    assert.equal(new Set(tokens).size, 1)
+    assert.equal(cache.pending.size, 0)
+  })
+
+  test('does not share a failed create with later requests', async () => {
+    const create = mock.fn(async () => { throw new Error('DIMO auth unavailable') })
+    await assert.rejects(cache.get(key, 'vehicle', create), /DIMO auth unavailable/)
+    await assert.rejects(cache.get(key, 'vehicle', create), /DIMO auth unavailable/)
+    assert.equal(create.mock.callCount(), 2)
+  })
+
+  test('does not store a token requested before its app was invalidated', async () => {
+    const pending = deferred()
+    const oldCredentials = cache.get(key, 'vehicle', () => pending.promise)
+
+    await cache.invalidate(tokenCacheKey('0xapp'))
+    pending.resolve(jwt(3600, { sub: 'old' }))
+    await oldCredentials
+
+    assert.equal(await cache.store.get(key), null)
+    const create = mock.fn(async () => jwt(3600, { sub: 'new' }))
+    await cache.get(key, 'vehicle', create)
+    assert.equal(create.mock.callCount(), 1)
+    // Tokens requested after the invalidation are stored again
+    await cache.get(key, 'vehicle', create)
+    assert.equal(create.mock.callCount(), 1)
+  })
+
+  test('still stores in-flight tokens of apps that were not invalidated', async () => {
+    const otherKey = tokenCacheKey('0xother', 'developer')
+    const pending = deferred()
+    const request = cache.get(otherKey, 'developer', () => pending.promise)
+
+    await cache.invalidate(tokenCacheKey('0xapp'))
+    pending.resolve(jwt(3600))
+    await request
+    assert.notEqual(await cache.store.get(otherKey), null)
+  })
+
+  test('drops the tokens of one app by prefix', async () => {
+    await cache.get(tokenCacheKey('0xapp', 'developer'), 'developer', async () => jwt(3600))
+    await cache.get(key, 'vehicle', async () => jwt(3600))
+    await cache.get(tokenCacheKey('0xother', 'developer'), 'developer', async () => jwt(3600))
+
+    assert.equal(await cache.invalidate(tokenCacheKey('0xapp')), 2)
+    assert.equal(await cache.store.size(), 1)
+    assert.equal(await cache.invalidate(), 1)
+    assert.equal(await cache.store.size(), 0)
+  })
+
+  test('works without the store when it fails', async () => {
+    cache.store.get = async () => { throw new Error('Redis unreachable') }
+    cache.store.set = async () => { throw new Error('Redis unreachable') }
+    const create = mock.fn(async () => jwt(3600))
+
+    assert.equal(await cache.get(key, 'vehicle', create), await create())
+    assert.equal(cache.counters.vehicle.errors, 2)
+  })
+
+  test('reports hits and misses per token kind', async () => {
+    const developer = tokenCacheKey('0xapp', 'developer')
+    await cache.get(developer, 'developer', async () => jwt(3600))
+    await cache.get(developer, 'developer', async () => jwt(3600))
+    await cache.get(developer, 'developer', async () => jwt(3600))
+    await cache.get(key, 'vehicle', async () => jwt(3600))
+    await cache.invalidate(tokenCacheKey('0xapp'))
+
+    const stats = await cache.stats()
+    assert.equal(stats.store, 'memory')
+    assert.equal(stats.size, 0)
+    assert.equal(stats.refreshMarginSeconds, 360)
+    assert.deepEqual([stats.hits, stats.misses, stats.hitRate, stats.invalidations], [2, 2, 0.5, 2])
+    assert.deepEqual(stats.byKind, {
+      developer: { hits: 2, misses: 1, errors: 0, hitRate: 0.667 },
+      vehicle: { hits: 0, misses: 1, errors: 0, hitRate: 0 },
+    })
+  })
+})
+
+describe('createTokenCache', () => {
+  test('renews tokens before the web app would by default', () => {
+    const cache = createTokenCache({})
+    assert.equal(cache.store.name, 'memory')
+    assert.ok(cache.refreshMarginMs > 5 * 60 * 1000)
+  })
+
+  test('reads the refresh margin in seconds', () => {
+    assert.equal(createTokenCache({ TOKEN_CACHE_REFRESH_MARGIN_SECONDS: '600' }).refreshMarginMs, 600000)
+    assert.throws(() => createTokenCache({ TOKEN_CACHE_REFRESH_MARGIN_SECONDS: 'soon' }), /must be a number of seconds/)
+  })
+})
@@ -0,0 +1,83 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { VehicleAccess, VehicleAccessError } from '../src/vehicle-access.js'
+
+const OWNER = '0x00000000000000000000000000000000000000aa'
+const GRANTEE = '0x00000000000000000000000000000000000000bb'
+const STRANGER = '0x00000000000000000000000000000000000000cc'
+
+// Identity API stand-in answering from a map of tokenId -> { owner, sacds }
+function identityApi(vehicles) {
+  const calls = []
+  const fetch = async (url, { body }) => {
+    const { query, variables } = JSON.parse(body)
+    calls.push(query.match(/query (\w+)/)[1])
+    const vehicle = vehicles[variables.tokenId]
+    if (!vehicle) {
+      return { ok: true, json: async () => ({ data: { vehicle: null }, errors: [{ message: 'vehicle not found' }] }) }
+    }
+    const data = query.includes('sacds')
+      ? { vehicle: { sacds: { nodes: vehicle.sacds || [] } } }
+      : { vehicle: { owner: vehicle.owner } }
+    return { ok: true, json: async () => ({ data }) }
+  }
+  return { fetch, calls }
+}
+
+describe('VehicleAccess', () => {
+  const future = new Date(Date.now() + 86400000).toISOString()
+  const past = new Date(Date.now() - 86400000).toISOString()
+  const vehicles = {
+    7: { owner: OWNER, sacds: [{ grantee: GRANTEE, expiresAt: future }] },
+    8: { owner: OWNER, sacds: [{ grantee: GRANTEE, expiresAt: past }] },
+  }
+
+  test('allows the owner without looking up grants', async () => {
+    const api = identityApi(vehicles)
+    const access = new VehicleAccess({ fetch: api.fetch })
+    assert.equal(await access.canAccess(OWNER.toUpperCase().replace('0X', '0x'), 7), true)
+    assert.deepEqual(api.calls, ['VehicleOwner'])
+  })
+
+  test('allows wallets with an unexpired grant only', async () => {
+    const access = new VehicleAccess({ fetch: identityApi(vehicles).fetch })
+    assert.equal(await access.canAccess(GRANTEE, 7), true)
+    assert.equal(await access.canAccess(GRANTEE, 8), false)
+    assert.equal(await access.canAccess(STRANGER, 7), false)
+  })
+
+  test('denies without a wallet address or a valid token ID', async () => {
+    const access = new VehicleAccess({ fetch: identityApi(vehicles).fetch })
+    assert.equal(await access.canAccess(null, 7), false)
+    assert.equal(await access.canAccess(OWNER, 'abc'), false)
+  })
+
+  test('lists the vehicles a wallet cannot access', async () => {
+    const access = new VehicleAccess({ fetch: identityApi(vehicles).fetch })
+    assert.deepEqual(await access.deniedTokenIds(GRANTEE, [7, 8]), [8])
+  })
+
+  test('reuses answers until they expire', async () => {
+    const api = identityApi(vehicles)
+    const access = new VehicleAccess({ fetch: api.fetch })
+    await access.canAccess(STRANGER, 7)
+    await access.canAccess(STRANGER, 7)
+    assert.deepEqual(api.calls, ['VehicleOwner', 'VehicleGrants'])
+
+    const expiring = new VehicleAccess({ fetch: api.fetch, cacheTtlMs: 0 })
+    await expiring.canAccess(OWNER, 7)
+    await expiring.canAccess(OWNER, 7)
+    assert.equal(api.calls.length, 4)
+  })
+
+  test('fails with VehicleAccessError when the identity API cannot answer', async () => {
+    const down = new VehicleAccess({ fetch: async () => ({ ok: false, status: 502 }) })
+    await assert.rejects(down.canAccess(OWNER, 7), VehicleAccessError)
+
+    const offline = new VehicleAccess({ fetch: async () => { throw new TypeError('fetch failed') } })
+    await assert.rejects(offline.canAccess(OWNER, 7), VehicleAccessError)
+
+    const unknown = new VehicleAccess({ fetch: identityApi(vehicles).fetch })
+    await assert.rejects(unknown.canAccess(OWNER, 9), { message: /vehicle not found/ })
+  })
+})
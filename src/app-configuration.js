@@ -1,15 +1,25 @@
 import { LitElement, css, html } from 'lit'
 import { dimoApiService } from './dimo-api-service.js'
 import { ConfigUtils } from './config-utils.js'
+import { storageService } from './storage-service.js'
+import { jwtManager } from './jwt-manager.js'
 
 /**
  * App Configuration component for DIMO credentials
+ * Lists the configuration profiles (one per DIMO developer app), adds, deletes and switches
+ * between them. Without the `manage` attribute a configured app goes straight to the login.
  */
 export class AppConfigurationComponent extends LitElement {
   static get properties() {
     return {
+      manage: { type: Boolean },
+      profiles: { type: Array },
+      activeProfile: { type: String },
+      showForm: { type: Boolean },
+      profileName: { type: String },
       clientId: { type: String },
       apiKey: { type: String },
+      setupToken: { type: String },
       isLoading: { type: Boolean },
       error: { type: String },
       success: { type: String }
@@ -18,8 +28,14 @@ export class AppConfigurationComponent extends LitElement {
 
   constructor() {
     super()
+    this.manage = false
+    this.profiles = []
+    this.activeProfile = ''
+    this.showForm = false
+    this.profileName = 'default'
     this.clientId = ''
     this.apiKey = ''
+    this.setupToken = ''
     this.isLoading = false
     this.error = ''
     this.success = ''
@@ -33,15 +49,19 @@ export class AppConfigurationComponent extends LitElement {
   async checkExistingConfiguration() {
     this.isLoading = true
     
-    const { isConfigured, config, error } = await ConfigUtils.checkAppConfiguration()
+    const { isConfigured, config, profiles, error } = await ConfigUtils.checkAppConfiguration()
     
-    if (isConfigured) {
+    if (isConfigured && !this.manage) {
       console.log('App is already configured, redirecting to login...')
       window.location.href = '/login'
       return
     }
     
-    // App is not configured, show the configuration form
+    this.profiles = profiles
+    this.activeProfile = config ? config.name : ''
+    this.error = error || ''
+    // Without profiles the form is the first-run setup
+    this.showForm = profiles.length === 0
     this.isLoading = false
   }
 
@@ -60,47 +80,29 @@ export class AppConfigurationComponent extends LitElement {
       `
     }
 
+    const isFirstRun = this.profiles.length === 0
+
     return html`
       <div class="login-container">
         <div class="login-card">
           <h2>App Configuration</h2>
-          <p class="subtitle">Please configure your application before proceeding</p>
-          <p class="config-text">Enter your DIMO credentials to configure the Odometer Reporting Tool</p>
+          ${isFirstRun ? html`
+            <p class="subtitle">Please configure your application before proceeding</p>
+            <p class="config-text">Enter your DIMO credentials to configure the Odometer Reporting Tool</p>
+          ` : html`
+            <p class="subtitle">Each profile holds the credentials of one DIMO developer app</p>
+          `}
           
           ${this.error ? html`<div class="error">${this.error}</div>` : ''}
           ${this.success ? html`<div class="success">${this.success}</div>` : ''}
           
-          <form @submit=${this._handleSubmit}>
-            <div class="form-group">
-              <label for="clientId">DIMO Client ID</label>
-              <input
-                type="text"
-                id="clientId"
-                .value=${this.clientId}
-                @input=${this._handleClientIdChange}
-                placeholder="0x8CFd006E6B73dbF00e700C85c32CE5C9aBD591a0"
-                required
-                ?disabled=${this.isLoading}
-              />
-            </div>
-            
-            <div class="form-group">
-              <label for="apiKey">DIMO API Key</label>
-              <input
-                type="password"
-                id="apiKey"
-                .value=${this.apiKey}
-                @input=${this._handleApiKeyChange}
-                placeholder="Enter your DIMO API Key"
-                required
-                ?disabled=${this.isLoading}
-              />
+          ${isFirstRun ? '' : this.renderProfiles()}
+          ${this.showForm ? this.renderForm(isFirstRun) : html`
+            <div class="profile-actions">
+              <button type="button" class="secondary-btn" @click=${this._showForm}>Add profile</button>
+              ${this.activeProfile ? html`<a href="/login">Continue to login</a>` : ''}
             </div>
-            
-            <button type="submit" ?disabled=${this.isLoading}>
-              ${this.isLoading ? 'Configuring...' : 'Configure App'}
-            </button>
-          </form>
+          `}
           
           <div class="help-text">
             <p style="font-weight: bold;">You'll need to create a Redirect URI in your DIMO Console with the following value:</p>
@@ -112,6 +114,99 @@ export class AppConfigurationComponent extends LitElement {
     `
   }
 
+  renderProfiles() {
+    return html`
+      <ul class="profile-list">
+        ${this.profiles.map(profile => html`
+          <li class="profile ${profile.name === this.activeProfile ? 'active' : ''}">
+            <div class="profile-info">
+              <span class="profile-name">${profile.name}</span>
+              <span class="profile-client" title=${profile.clientId}>${profile.clientId}</span>
+            </div>
+            <div class="profile-buttons">
+              ${profile.name === this.activeProfile
+                ? html`<span class="active-badge">Active</span>`
+                : html`<button type="button" class="use-btn" @click=${() => this._switchProfile(profile.name)}>Use</button>`}
+              <button type="button" class="secondary-btn delete-btn" @click=${() => this._deleteProfile(profile.name)}>Delete</button>
+            </div>
+          </li>
+        `)}
+      </ul>
+    `
+  }
+
+  renderForm(isFirstRun) {
+    return html`
+      <form @submit=${this._handleSubmit}>
+        ${isFirstRun ? '' : html`<p class="config-text">Adding a profile requires signing in as an administrator.</p>`}
+        <div class="form-group">
+          <label for="profileName">Profile Name</label>
+          <input
+            type="text"
+            id="profileName"
+            .value=${this.profileName}
+            @input=${this._handleProfileNameChange}
+            placeholder="production"
+            required
+            ?disabled=${this.isLoading}
+          />
+        </div>
+
+        <div class="form-group">
+          <label for="clientId">DIMO Client ID</label>
+          <input
+            type="text"
+            id="clientId"
+            .value=${this.clientId}
+            @input=${this._handleClientIdChange}
+            placeholder="0x8CFd006E6B73dbF00e700C85c32CE5C9aBD591a0"
+            required
+            ?disabled=${this.isLoading}
+          />
+        </div>
+        
+        <div class="form-group">
+          <label for="apiKey">DIMO API Key</label>
+          <input
+            type="password"
+            id="apiKey"
+            .value=${this.apiKey}
+            @input=${this._handleApiKeyChange}
+            placeholder="Enter your DIMO API Key"
+            required
+            ?disabled=${this.isLoading}
+          />
+        </div>
+
+        ${isFirstRun ? html`
+          <div class="form-group">
+            <label for="setupToken">Setup Token</label>
+            <input
+              type="password"
+              id="setupToken"
+              .value=${this.setupToken}
+              @input=${this._handleSetupTokenChange}
+              placeholder="CONFIG_SETUP_TOKEN of the backend"
+              required
+              ?disabled=${this.isLoading}
+            />
+          </div>
+        ` : ''}
+        
+        <button type="submit" ?disabled=${this.isLoading}>
+          ${this.isLoading ? 'Configuring...' : isFirstRun ? 'Configure App' : 'Add Profile'}
+        </button>
+        ${isFirstRun ? '' : html`
+          <button type="button" class="secondary-btn cancel-btn" @click=${this._hideForm}>Cancel</button>
+        `}
+      </form>
+    `
+  }
+
+  _handleProfileNameChange(e) {
+    this.profileName = e.target.value.trim().toLowerCase()
+  }
+
   _handleClientIdChange(e) {
     this.clientId = e.target.value
   }
@@ -120,24 +215,103 @@ export class AppConfigurationComponent extends LitElement {
     this.apiKey = e.target.value
   }
 
+  _handleSetupTokenChange(e) {
+    this.setupToken = e.target.value
+  }
+
+  _showForm() {
+    this.profileName = ''
+    this.showForm = true
+    this.success = ''
+  }
+
+  _hideForm() {
+    this.showForm = false
+    this.error = ''
+  }
+
+  /**
+   * Use another profile in this browser (and for the signed-in user's requests)
+   * Sessions belong to the DIMO app they were signed in with, so the user signs in again.
+   */
+  async _switchProfile(name) {
+    this.error = ''
+    storageService.setConfigProfile(name)
+
+    const userJwt = storageService.getUserJwt()
+    if (userJwt) {
+      try {
+        await dimoApiService.setUserConfigProfile(name, userJwt)
+      } catch (error) {
+        // The browser selection still applies; only requests without it fall back to the default
+        console.warn('Failed to store the profile for the user:', error)
+      }
+    }
+
+    storageService.clearUserSession()
+    jwtManager.clearCredentials()
+    window.location.href = '/login'
+  }
+
+  /**
+   * Delete a profile (administrators only)
+   * Sessions signed in with the deleted app no longer work, so deleting the active profile signs out.
+   */
+  async _deleteProfile(name) {
+    this.error = ''
+    this.success = ''
+    const userJwt = storageService.getUserJwt()
+    if (!userJwt) {
+      this.error = 'Deleting a profile requires signing in as an administrator.'
+      return
+    }
+    if (!confirm(`Delete the configuration profile "${name}"? Users of this DIMO app will have to sign in with another profile.`)) return
+
+    try {
+      await dimoApiService.deleteConfig(name, userJwt)
+      if (name === this.activeProfile) {
+        storageService.clearConfigProfile()
+        storageService.clearUserSession()
+        jwtManager.clearCredentials()
+      }
+      await this.checkExistingConfiguration()
+      this.success = `Profile "${name}" deleted.`
+    } catch (error) {
+      console.error('Failed to delete profile:', error)
+      this.error = error.message
+    }
+  }
+
   async _handleSubmit(e) {
     e.preventDefault()
     this.isLoading = true
     this.error = ''
+    const isFirstRun = this.profiles.length === 0
 
     try {
       // Store credentials using backend API
-      const result = await dimoApiService.saveConfig({
+      const result = await dimoApiService.saveConfig(this.profileName, {
         clientId: this.clientId,
         apiKey: this.apiKey,
         redirectUri: window.location.origin + '/login'
-      })
+      }, isFirstRun ? { setupToken: this.setupToken } : { userJwt: storageService.getUserJwt() })
 
       console.log('App configuration saved successfully:', result)
+      this.apiKey = ''
+      this.setupToken = ''
+
+      if (!isFirstRun) {
+        this.success = `Profile "${this.profileName}" added.`
+        this.clientId = ''
+        await this.checkExistingConfiguration()
+        return
+      }
+
+      storageService.setConfigProfile(this.profileName)
 
       // Dispatch configuration success event
       this.dispatchEvent(new CustomEvent('config-success', {
-        detail: { clientId: this.clientId },
+        detail: { clientId: this.clientId, profile: this.profileName },
         bubbles: true
       }))
 
@@ -275,6 +449,98 @@ export class AppConfigurationComponent extends LitElement {
         border: 1px solid #c3e6cb;
       }
 
+      .profile-list {
+        list-style: none;
+        padding: 0;
+        margin: 0 0 1.5rem;
+      }
+
+      .profile {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 0.75rem;
+        padding: 0.75rem;
+        border: 2px solid #e9ecef;
+        border-radius: 6px;
+        margin-bottom: 0.5rem;
+      }
+
+      .profile.active {
+        border-color: #667eea;
+      }
+
+      .profile-info {
+        display: flex;
+        flex-direction: column;
+        min-width: 0;
+      }
+
+      .profile-name {
+        font-weight: 600;
+        color: #495057;
+      }
+
+      .profile-client {
+        font-size: 0.8rem;
+        color: #6c757d;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      .active-badge {
+        font-size: 0.8rem;
+        color: #667eea;
+        font-weight: 600;
+      }
+
+      .profile-buttons {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        flex-shrink: 0;
+      }
+
+      .profile .use-btn,
+      .profile .delete-btn {
+        width: auto;
+        padding: 0.35rem 0.9rem;
+        font-size: 0.9rem;
+      }
+
+      .profile .delete-btn {
+        color: #dc3545;
+        border-color: #dc3545;
+      }
+
+      .profile-actions {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 1rem;
+      }
+
+      .profile-actions .secondary-btn {
+        width: auto;
+        padding: 0.5rem 1rem;
+      }
+
+      .profile-actions a {
+        color: #667eea;
+        text-decoration: none;
+      }
+
+      button.secondary-btn {
+        background: transparent;
+        color: #667eea;
+        border: 2px solid #667eea;
+      }
+
+      .cancel-btn {
+        margin-top: 0.5rem;
+      }
+
       .help-text {
         margin-top: 1.5rem;
         text-align: center;
@@ -346,6 +612,18 @@ export class AppConfigurationComponent extends LitElement {
         .help-text p {
           color: #adb5bd;
         }
+
+        .profile {
+          border-color: #6c757d;
+        }
+
+        .profile-name {
+          color: #e9ecef;
+        }
+
+        .profile-client {
+          color: #adb5bd;
+        }
       }
 
       .loading {
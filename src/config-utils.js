@@ -4,28 +4,38 @@
  */
 
 import { DimoApiService } from './dimo-api-service.js'
+import { storageService } from './storage-service.js'
 
 export class ConfigUtils {
   static dimoApiService = new DimoApiService()
 
   /**
    * Check if the app is properly configured
-   * @returns {Promise<{isConfigured: boolean, config: Object|null, error: string|null}>}
+   * The active profile is the one selected in this browser (sent as X-Config-Profile), or else the
+   * one the backend picked: the user's stored choice or the default profile.
+   * @returns {Promise<{isConfigured: boolean, config: Object|null, profiles: Object[], error: string|null}>}
    */
   static async checkAppConfiguration() {
     try {
-      const config = await this.dimoApiService.getConfig()
-      
-      // Check if config exists and has required fields
-      const isConfigured = config && 
-                          config.clientId && 
-                          config.apiKey && 
-                          config.clientId.trim() !== '' && 
-                          config.apiKey.trim() !== ''
-      
+      const { profiles = [], activeProfile, defaultProfile } = await this.dimoApiService.getConfig()
+
+      // Forget a selection whose profile was deleted
+      const selected = storageService.getConfigProfile()
+      if (selected && !profiles.some(profile => profile.name === selected)) {
+        storageService.clearConfigProfile()
+      }
+
+      const config = profiles.find(profile => profile.name === activeProfile) ||
+                     profiles.find(profile => profile.name === defaultProfile) ||
+                     null
+
+      // The backend keeps the API keys to itself and only reports which profiles are stored
+      const isConfigured = Boolean(config && config.clientId && config.clientId.trim() !== '')
+
       return {
         isConfigured,
         config: isConfigured ? config : null,
+        profiles,
         error: null
       }
     } catch (error) {
@@ -33,6 +43,7 @@ export class ConfigUtils {
       return {
         isConfigured: false,
         config: null,
+        profiles: [],
         error: error.message
       }
     }
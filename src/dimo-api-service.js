@@ -4,6 +4,7 @@
  */
 
 import { ApiConfig } from './api-config.js'
+import { storageService } from './storage-service.js'
 
 export class DimoApiService {
   constructor() {
@@ -12,21 +13,59 @@ export class DimoApiService {
   }
 
   /**
-   * Get Developer JWT token
-   * @param {Object} credentials - DIMO credentials
-   * @param {string} credentials.clientId - DIMO Client ID
-   * @param {string} credentials.domain - Redirect URI domain
-   * @param {string} credentials.privateKey - DIMO API Key
-   * @returns {Promise<Object>} JWT response
+   * Register the function that renews a token the backend rejected with 401
+   * @param {Function} handler - Called with the rejected JWT; resolves to a new JWT, or null when the request cannot be retried
    */
-  async getDeveloperJwt(credentials) {
+  static setUnauthorizedHandler(handler) {
+    DimoApiService.unauthorizedHandler = handler
+  }
+
+  /**
+   * fetch() for backend requests
+   * A request with a bearer token that is rejected with 401 is retried once with the renewed token.
+   * @param {string} url - Request URL
+   * @param {Object} [options] - fetch options; headers as a plain object
+   * @returns {Promise<Response>}
+   */
+  async request(url, options = {}) {
+    const response = await fetch(url, options)
+    const token = options.headers?.Authorization?.replace(/^Bearer /, '')
+    if (response.status !== 401 || !token || !DimoApiService.unauthorizedHandler) {
+      return response
+    }
+
+    const renewed = await DimoApiService.unauthorizedHandler(token)
+    if (!renewed || renewed === token) {
+      return response
+    }
+    return await fetch(url, {
+      ...options,
+      headers: { ...options.headers, 'Authorization': `Bearer ${renewed}` },
+    })
+  }
+
+  /**
+   * Header selecting the configuration profile for requests that call DIMO
+   * Without a selected profile the backend uses the user's stored choice or its default profile.
+   * @returns {Object} Headers to spread into a request
+   */
+  profileHeaders() {
+    const profile = storageService.getConfigProfile()
+    return profile ? { 'X-Config-Profile': profile } : {}
+  }
+
+  /**
+   * Verify a user JWT from DIMO login with the backend
+   * @param {string} userJwt - User JWT to verify
+   * @returns {Promise<Object>} { userId, walletAddress, email, expiresAt }
+   */
+  async verifySession(userJwt) {
     try {
-      const response = await fetch(`${this.baseUrl}/auth/developer`, {
-        method: 'POST',
+      const response = await this.request(`${this.baseUrl}/auth/session`, {
         headers: {
-          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${userJwt}`,
+          ...this.profileHeaders(),
         },
-        body: JSON.stringify(credentials),
       })
 
       if (!response.ok) {
@@ -34,35 +73,33 @@ export class DimoApiService {
         throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
       }
 
-      const data = await response.json()
-      return {
-        access_token: data.access_token,
-        token_type: data.token_type || 'Bearer',
-        expires_in: data.expires_in
-      }
+      return await response.json()
     } catch (error) {
-      console.error('Failed to get Developer JWT:', error)
-      throw new Error(`Failed to authenticate with DIMO: ${error.message}`)
+      console.error('Failed to verify session:', error)
+      throw new Error(`Failed to verify login: ${error.message}`)
     }
   }
 
   /**
    * Get Vehicle JWT token
    * @param {Object} params - Parameters for vehicle JWT
-   * @param {string} params.access_token - Developer JWT token
+   * @param {string} params.userJwt - Signed-in user's DIMO JWT
    * @param {string} params.tokenId - Vehicle token ID
+   * @param {boolean} [params.refresh] - Ask for a new JWT instead of the one the backend has cached
    * @returns {Promise<Object>} Vehicle JWT response
    */
   async getVehicleJwt(params) {
     try {
-      const response = await fetch(`${this.baseUrl}/auth/vehicle`, {
+      const response = await this.request(`${this.baseUrl}/auth/vehicle`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'Authorization': `Bearer ${params.userJwt}`,
+          ...this.profileHeaders(),
         },
         body: JSON.stringify({
           tokenId: params.tokenId,
-          developerJwt: params.access_token,
+          ...(params.refresh ? { refresh: true } : {}),
         }),
       })
 
@@ -93,7 +130,7 @@ export class DimoApiService {
    */
   async queryTelemetry(params) {
     try {
-      const response = await fetch(`${this.baseUrl}/telemetry/query`, {
+      const response = await this.request(`${this.baseUrl}/telemetry/query`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -155,17 +192,16 @@ export class DimoApiService {
   }
 
   /**
-   * Get app configuration
-   * @returns {Promise<Object>} Configuration object
+   * Get the configured profiles (never their API keys)
+   * @returns {Promise<Object>} `{ configured, defaultProfile, activeProfile, profiles: [{ name, clientId, redirectUri, updatedAt }] }`
    */
   async getConfig() {
     try {
-      const response = await fetch(`${this.baseUrl}/config`)
-      
+      const response = await this.request(`${this.baseUrl}/config`, {
+        headers: this.profileHeaders(),
+      })
+
       if (!response.ok) {
-        if (response.status === 404) {
-          return null // No configuration found
-        }
         const errorData = await response.json().catch(() => ({}))
         throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
       }
@@ -178,16 +214,23 @@ export class DimoApiService {
   }
 
   /**
-   * Save app configuration
-   * @param {Object} config - Configuration object
-   * @returns {Promise<Object>} Saved configuration
+   * Add a configuration profile
+   * Needs an administrator's user JWT, or the server's setup token while no profile exists (first-run setup).
+   * @param {string} profile - Profile name
+   * @param {Object} config - `{ clientId, apiKey, redirectUri }`
+   * @param {Object} auth
+   * @param {string} [auth.userJwt] - Signed-in user's DIMO JWT
+   * @param {string} [auth.setupToken] - CONFIG_SETUP_TOKEN of the backend
+   * @returns {Promise<Object>} Saved profile with the API key masked
    */
-  async saveConfig(config) {
+  async saveConfig(profile, config, { userJwt, setupToken } = {}) {
     try {
-      const response = await fetch(`${this.baseUrl}/config`, {
+      const response = await this.request(`${this.baseUrl}/config/${encodeURIComponent(profile)}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...(userJwt ? { 'Authorization': `Bearer ${userJwt}` } : {}),
+          ...(setupToken ? { 'X-Setup-Token': setupToken } : {}),
         },
         body: JSON.stringify(config),
       })
@@ -205,15 +248,19 @@ export class DimoApiService {
   }
 
   /**
-   * Delete app configuration
-   * @returns {Promise<Object>} Deletion result
+   * Delete a configuration profile
+   * Needs an administrator's user JWT.
+   * @param {string} profile - Profile name
+   * @param {string} userJwt - Signed-in user's DIMO JWT
+   * @returns {Promise<Object>} `{ message }`
    */
-  async deleteConfig() {
+  async deleteConfig(profile, userJwt) {
     try {
-      const response = await fetch(`${this.baseUrl}/config`, {
-        method: 'DELETE'
+      const response = await this.request(`${this.baseUrl}/admin/config/${encodeURIComponent(profile)}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${userJwt}` },
       })
-      
+
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}))
         throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
@@ -226,20 +273,52 @@ export class DimoApiService {
     }
   }
 
+  /**
+   * Store the signed-in user's configuration profile on the backend
+   * @param {string} profile - Profile name
+   * @param {string} userJwt - Signed-in user's DIMO JWT
+   * @returns {Promise<Object>} `{ profile, selected }`
+   */
+  async setUserConfigProfile(profile, userJwt) {
+    try {
+      const response = await this.request(`${this.baseUrl}/me/config-profile`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${userJwt}`,
+        },
+        body: JSON.stringify({ profile }),
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to select configuration profile:', error)
+      throw new Error(`Failed to select configuration profile: ${error.message}`)
+    }
+  }
+
   /**
    * Generate vehicle report
    * @param {Object} params - Report parameters
    * @param {Array} params.vehicleTokenIds - Array of vehicle token IDs
    * @param {string} params.startDate - Start date (YYYY-MM-DD)
    * @param {string} params.endDate - End date (YYYY-MM-DD)
-   * @returns {Promise<Object>} Report generation result
+   * @param {string} userJwt - Signed-in user's DIMO JWT
+   * @returns {Promise<Object>} Report generation result ({ report, errors })
    */
-  async generateReport(params) {
+  async generateReport(params, userJwt) {
     try {
-      const response = await fetch(`${this.baseUrl}/reports/generate`, {
+      const response = await this.request(`${this.baseUrl}/reports/generate`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'Authorization': `Bearer ${userJwt}`,
+          ...this.profileHeaders(),
         },
         body: JSON.stringify(params),
       })
@@ -256,14 +335,44 @@ export class DimoApiService {
     }
   }
 
+  /**
+   * List previously generated reports
+   * @param {string} userJwt - Signed-in user's DIMO JWT
+   * @returns {Promise<Object>} { reports }
+   */
+  async listReports(userJwt) {
+    try {
+      const response = await this.request(`${this.baseUrl}/reports`, {
+        headers: {
+          'Authorization': `Bearer ${userJwt}`,
+        },
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to list reports:', error)
+      throw new Error(`Failed to list reports: ${error.message}`)
+    }
+  }
+
   /**
    * Download report file
    * @param {string} filename - Report filename
+   * @param {string} userJwt - Signed-in user's DIMO JWT
    * @returns {Promise<Blob>} Report file blob
    */
-  async downloadReport(filename) {
+  async downloadReport(filename, userJwt) {
     try {
-      const response = await fetch(`${this.baseUrl}/reports/download/${filename}`)
+      const response = await this.request(`${this.baseUrl}/reports/download/${encodeURIComponent(filename)}`, {
+        headers: {
+          'Authorization': `Bearer ${userJwt}`,
+        },
+      })
       
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}))
@@ -277,17 +386,57 @@ export class DimoApiService {
     }
   }
 
+  /**
+   * Generate the printable service history PDF of a vehicle
+   * @param {number|string} tokenId
+   * @param {Object} payload - { vehicle: { make, model, year }, upcomingServices }
+   * @param {string} vehicleJwt - vehicle JWT for auth
+   * @returns {Promise<Blob>} PDF file blob
+   */
+  async getServiceHistoryPdf(tokenId, payload, vehicleJwt) {
+    try {
+      const response = await this.request(`${this.baseUrl}/reports/service-history/${tokenId}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${vehicleJwt}`,
+          ...this.profileHeaders(),
+        },
+        body: JSON.stringify(payload),
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.blob()
+    } catch (error) {
+      console.error(`Failed to generate service history for token ${tokenId}:`, error)
+      throw new Error(`Failed to generate service history: ${error.message}`)
+    }
+  }
+
   /**
    * Get vehicle details info using DIMO telemetry API
    * @param {string} tokenId - Vehicle token ID
+   * @param {string} vehicleJwt - Vehicle JWT for the token
+   * @param {Object} [options] - Odometer history window
+   * @param {string} [options.range] - 30d, 90d, 1y, 2y or 4y
+   * @param {string} [options.from] - Start date (YYYY-MM-DD), instead of range
+   * @param {string} [options.to] - End date (YYYY-MM-DD), defaults to today
+   * @param {string} [options.granularity] - daily, weekly or monthly
    * @returns {Promise<Object>} Vehicle details with telemetry data
    */
-  async getVehicleDetailsInfo(tokenId) {
+  async getVehicleDetailsInfo(tokenId, vehicleJwt, options = {}) {
     try {
-      const response = await fetch(`${this.baseUrl}/vehicle-details-info/${tokenId}`, {
+      const query = new URLSearchParams(Object.entries(options).filter(([, value]) => value)).toString()
+      const response = await this.request(`${this.baseUrl}/vehicle-details-info/${tokenId}${query ? `?${query}` : ''}`, {
         method: 'GET',
         headers: {
           'Content-Type': 'application/json',
+          'Authorization': `Bearer ${vehicleJwt}`,
+          ...this.profileHeaders(),
         },
       })
 
@@ -306,7 +455,10 @@ export class DimoApiService {
 
   /**
    * Extract maintenance information from uploaded document
+   * Each service visit in the document is saved as a draft (`data.drafts`) that must be confirmed before it becomes a record
    * @param {File} document - The document file to process
+   * @param {number|string} tokenId - Vehicle token ID
+   * @param {string} vehicleJwt - vehicle JWT for auth
    * @returns {Promise<Object>} Extracted maintenance information
    */
   async extractMaintenanceInfo(document, tokenId, vehicleJwt) {
@@ -317,7 +469,7 @@ export class DimoApiService {
         formData.append('tokenId', String(tokenId))
       }
 
-      const response = await fetch(`${this.baseUrl}/ai/extract-maintenance`, {
+      const response = await this.request(`${this.baseUrl}/ai/extract-maintenance`, {
         method: 'POST',
         body: formData,
         headers: vehicleJwt ? { 'Authorization': `Bearer ${vehicleJwt}` } : undefined
@@ -325,7 +477,9 @@ export class DimoApiService {
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}))
-        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+        // Schema validation failures list what was wrong with the AI output
+        const details = Array.isArray(errorData.details) ? ` (${errorData.details.slice(0, 3).join('; ')})` : ''
+        throw new Error((errorData.error || `HTTP ${response.status}: ${response.statusText}`) + details)
       }
 
       const data = await response.json()
@@ -345,7 +499,7 @@ export class DimoApiService {
   async getMaintenanceRecords(tokenId, vehicleJwt) {
     try {
       console.log('Getting maintenance records for token:', tokenId)
-      const response = await fetch(`${this.baseUrl}/maintenance/${tokenId}`, {
+      const response = await this.request(`${this.baseUrl}/maintenance/${tokenId}`, {
         headers: {
           'Authorization': `Bearer ${vehicleJwt}`
         }
@@ -365,27 +519,381 @@ export class DimoApiService {
   }
 
   /**
-   * Get upcoming services plan from backend AI
+   * Get the next due service computed from stored history and the current odometer
    * @param {number|string} tokenId
-   * @param {string} vehicleJwt
-   * @param {number} currentMileage
+   * @param {string} vehicleJwt - vehicle JWT for auth
+   * @param {Object} vehicle - { currentMileage, make, model, year }
+   */
+  async getNextService(tokenId, vehicleJwt, { currentMileage, make, model, year } = {}) {
+    try {
+      const params = new URLSearchParams()
+      if (Number.isFinite(currentMileage)) params.set('currentMileage', String(Math.round(currentMileage)))
+      if (make) params.set('make', String(make))
+      if (model) params.set('model', String(model))
+      if (year) params.set('year', String(year))
+
+      const response = await this.request(`${this.baseUrl}/maintenance/${tokenId}/next-service?${params.toString()}`, {
+        headers: {
+          'Authorization': `Bearer ${vehicleJwt}`
+        }
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to get next service:', error)
+      throw new Error(`Failed to get next service: ${error.message}`)
+    }
+  }
+
+  /**
+   * Get a single maintenance record
+   * @param {number|string} tokenId
+   * @param {number|string} id - maintenance record id
+   * @param {string} vehicleJwt - vehicle JWT for auth
+   * @returns {Promise<Object>} { tokenId, record }
+   */
+  async getMaintenanceRecord(tokenId, id, vehicleJwt) {
+    try {
+      const response = await this.request(`${this.baseUrl}/maintenance/${tokenId}/${id}`, {
+        headers: {
+          'Authorization': `Bearer ${vehicleJwt}`
+        }
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error(`Failed to get maintenance record ${id}:`, error)
+      throw new Error(`Failed to get maintenance record: ${error.message}`)
+    }
+  }
+
+  /**
+   * Create a maintenance record manually
+   * @param {number|string} tokenId
+   * @param {Object} record - { serviceDate, summary, description, totalCost, mileage }
+   * @param {string} vehicleJwt - vehicle JWT for auth
+   * @returns {Promise<Object>} { tokenId, record }
+   */
+  async createMaintenanceRecord(tokenId, record, vehicleJwt) {
+    try {
+      const response = await this.request(`${this.baseUrl}/maintenance/${tokenId}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${vehicleJwt}`
+        },
+        body: JSON.stringify(record),
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to create maintenance record:', error)
+      throw new Error(`Failed to create maintenance record: ${error.message}`)
+    }
+  }
+
+  /**
+   * Update fields of a maintenance record
+   * @param {number|string} tokenId
+   * @param {number|string} id - maintenance record id
+   * @param {Object} updates - fields to change
+   * @param {string} vehicleJwt - vehicle JWT for auth
+   * @returns {Promise<Object>} { tokenId, record }
+   */
+  async updateMaintenanceRecord(tokenId, id, updates, vehicleJwt) {
+    try {
+      const response = await this.request(`${this.baseUrl}/maintenance/${tokenId}/${id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${vehicleJwt}`
+        },
+        body: JSON.stringify(updates),
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error(`Failed to update maintenance record ${id}:`, error)
+      throw new Error(`Failed to update maintenance record: ${error.message}`)
+    }
+  }
+
+  /**
+   * Delete a maintenance record
+   * @param {number|string} tokenId
+   * @param {number|string} id - maintenance record id
+   * @param {string} vehicleJwt - vehicle JWT for auth
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteMaintenanceRecord(tokenId, id, vehicleJwt) {
+    try {
+      const response = await this.request(`${this.baseUrl}/maintenance/${tokenId}/${id}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${vehicleJwt}`
+        }
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error(`Failed to delete maintenance record ${id}:`, error)
+      throw new Error(`Failed to delete maintenance record: ${error.message}`)
+    }
+  }
+
+  /**
+   * Download the original invoice document of a maintenance record
+   * @param {number|string} tokenId
+   * @param {number|string} id - maintenance record id
+   * @param {string} vehicleJwt - vehicle JWT for auth
+   * @returns {Promise<Blob>} Document file blob
+   */
+  async getMaintenanceDocument(tokenId, id, vehicleJwt) {
+    try {
+      const response = await this.request(`${this.baseUrl}/maintenance/${tokenId}/${id}/document`, {
+        headers: {
+          'Authorization': `Bearer ${vehicleJwt}`
+        }
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.blob()
+    } catch (error) {
+      console.error(`Failed to download document for maintenance record ${id}:`, error)
+      throw new Error(`Failed to download receipt: ${error.message}`)
+    }
+  }
+
+  /**
+   * Queue documents for extraction in the background
+   * @param {number|string} tokenId
+   * @param {File[]} documents - PDF or image files (up to 20)
+   * @param {string} vehicleJwt - vehicle JWT for auth
+   * @returns {Promise<Object>} { tokenId, jobs } with one job per file, in order
+   */
+  async queueMaintenanceDocuments(tokenId, documents, vehicleJwt) {
+    try {
+      const formData = new FormData()
+      for (const document of documents) {
+        formData.append('documents', document)
+      }
+
+      const response = await this.request(`${this.baseUrl}/maintenance/${tokenId}/document-jobs`, {
+        method: 'POST',
+        body: formData,
+        headers: {
+          'Authorization': `Bearer ${vehicleJwt}`
+        }
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to queue maintenance documents:', error)
+      throw new Error(`Failed to queue maintenance documents: ${error.message}`)
+    }
+  }
+
+  /**
+   * Get document extraction jobs; finished jobs include their draft
+   * @param {number|string} tokenId
+   * @param {string} vehicleJwt - vehicle JWT for auth
+   * @param {Array<number>} [ids] - Only these jobs (default: unfinished jobs and those finished in the last day)
+   * @returns {Promise<Object>} { tokenId, jobs }
+   */
+  async getDocumentJobs(tokenId, vehicleJwt, ids = null) {
+    try {
+      const query = ids ? `?ids=${ids.join(',')}` : ''
+      const response = await this.request(`${this.baseUrl}/maintenance/${tokenId}/document-jobs${query}`, {
+        headers: {
+          'Authorization': `Bearer ${vehicleJwt}`
+        }
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to get document jobs:', error)
+      throw new Error(`Failed to get document jobs: ${error.message}`)
+    }
+  }
+
+  /**
+   * List extracted maintenance drafts waiting for review
+   * @param {number|string} tokenId
+   * @param {string} vehicleJwt - vehicle JWT for auth
+   * @returns {Promise<Object>} { tokenId, drafts }
+   */
+  async getMaintenanceDrafts(tokenId, vehicleJwt) {
+    try {
+      const response = await this.request(`${this.baseUrl}/maintenance/${tokenId}/drafts`, {
+        headers: {
+          'Authorization': `Bearer ${vehicleJwt}`
+        }
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to get maintenance drafts:', error)
+      throw new Error(`Failed to get maintenance drafts: ${error.message}`)
+    }
+  }
+
+  /**
+   * Confirm an extracted draft, saving the reviewed fields as a maintenance record
+   * @param {number|string} tokenId
+   * @param {number|string} draftId
+   * @param {Object} fields - reviewed record fields, plus `duplicateAction` ('keep' or 'replace')
+   *   and `replaceRecordId` when the draft was flagged as a duplicate
+   * @param {string} vehicleJwt - vehicle JWT for auth
+   * @returns {Promise<Object>} { tokenId, record, replacedRecordId }, or { duplicates } when the
+   *   draft looks like an existing record and no duplicateAction was given
+   */
+  async confirmMaintenanceDraft(tokenId, draftId, fields, vehicleJwt) {
+    try {
+      const response = await this.request(`${this.baseUrl}/maintenance/${tokenId}/drafts/${draftId}/confirm`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${vehicleJwt}`
+        },
+        body: JSON.stringify(fields),
+      })
+
+      if (response.status === 409) {
+        const errorData = await response.json().catch(() => ({}))
+        if (Array.isArray(errorData.duplicates)) return { duplicates: errorData.duplicates }
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error(`Failed to confirm maintenance draft ${draftId}:`, error)
+      throw new Error(`Failed to save maintenance record: ${error.message}`)
+    }
+  }
+
+  /**
+   * Discard an extracted draft without saving it
+   * @param {number|string} tokenId
+   * @param {number|string} draftId
+   * @param {string} vehicleJwt - vehicle JWT for auth
+   * @returns {Promise<Object>} Deletion result
    */
-  async getUpcomingServices(tokenId, vehicleJwt, currentMileage, make, model, year) {
+  async discardMaintenanceDraft(tokenId, draftId, vehicleJwt) {
     try {
-      const url = new URL(`${this.baseUrl}/ai/upcoming-services/${tokenId}`)
-      if (Number.isFinite(currentMileage)) {
-        url.searchParams.set('currentMileage', String(currentMileage))
+      const response = await this.request(`${this.baseUrl}/maintenance/${tokenId}/drafts/${draftId}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${vehicleJwt}`
+        }
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
       }
-      if (make) url.searchParams.set('make', String(make))
-      if (model) url.searchParams.set('model', String(model))
-      if (year) url.searchParams.set('year', String(year))
 
-      const response = await fetch(url.toString(), {
+      return await response.json()
+    } catch (error) {
+      console.error(`Failed to discard maintenance draft ${draftId}:`, error)
+      throw new Error(`Failed to discard draft: ${error.message}`)
+    }
+  }
+
+  /**
+   * Get the latest stored upcoming-services plan
+   * @param {number|string} tokenId
+   * @param {string} vehicleJwt
+   * @returns {Promise<Object|null>} Plan, or null when none was generated yet
+   */
+  async getLatestServicePlan(tokenId, vehicleJwt) {
+    try {
+      const response = await this.request(`${this.baseUrl}/maintenance/${tokenId}/plans/latest`, {
         headers: {
           'Authorization': `Bearer ${vehicleJwt}`
         }
       })
 
+      if (response.status === 404) return null
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      const data = await response.json()
+      return data.plan
+    } catch (error) {
+      console.error('Failed to get service plan:', error)
+      throw new Error(`Failed to get service plan: ${error.message}`)
+    }
+  }
+
+  /**
+   * Generate and store a new upcoming-services plan version
+   * @param {number|string} tokenId
+   * @param {string} vehicleJwt
+   * @param {Object} params - { currentMileage, make, model, year, enrich }; `enrich` adds AI notes
+   * @returns {Promise<Object>} `{ plan, comparison, enrichmentError }`
+   */
+  async generateServicePlan(tokenId, vehicleJwt, { currentMileage, make, model, year, enrich = false }) {
+    try {
+      const response = await this.request(`${this.baseUrl}/maintenance/${tokenId}/plans`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${vehicleJwt}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ currentMileage, make, model, year, enrich })
+      })
+
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}))
         throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
@@ -393,8 +901,36 @@ export class DimoApiService {
 
       return await response.json()
     } catch (error) {
-      console.error('Failed to get upcoming services:', error)
-      throw new Error(`Failed to get upcoming services: ${error.message}`)
+      console.error('Failed to generate service plan:', error)
+      throw new Error(`Failed to generate service plan: ${error.message}`)
+    }
+  }
+
+  /**
+   * Compare a stored plan version with the previous one
+   * @param {number|string} tokenId
+   * @param {string} vehicleJwt
+   * @param {number} version - Plan version
+   * @returns {Promise<Object>} Comparison
+   */
+  async compareServicePlans(tokenId, vehicleJwt, version) {
+    try {
+      const response = await this.request(`${this.baseUrl}/maintenance/${tokenId}/plans/${version}/compare`, {
+        headers: {
+          'Authorization': `Bearer ${vehicleJwt}`
+        }
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      const data = await response.json()
+      return data.comparison
+    } catch (error) {
+      console.error('Failed to compare service plans:', error)
+      throw new Error(`Failed to compare service plans: ${error.message}`)
     }
   }
 }
@@ -1,104 +1,210 @@
-// JWT Manager for handling DIMO authentication tokens
+// JWT Manager for the DIMO session: the user JWT from DIMO login and the vehicle JWTs exchanged for it
 // Note: This simplified version doesn't use the DIMO SDK to avoid Node.js dependencies
 
+import { DimoApiService, dimoApiService } from './dimo-api-service.js'
+import { storageService } from './storage-service.js'
+
+const VEHICLE_JWT_PREFIX = 'dimo_vehicle_jwt_'
+// Vehicle JWTs are renewed this long before they expire
+const VEHICLE_REFRESH_MARGIN = 300000 // 5 minutes in milliseconds
+// A user JWT this close to its expiry is not used for new requests
+const USER_JWT_MARGIN = 30000 // 30 seconds in milliseconds
+
 /**
  * JWT Manager for handling DIMO authentication tokens
+ *
+ * The user JWT from DIMO login cannot be renewed without logging in again, so once it expires
+ * the user is sent to the login page and brought back to the page they were on. Vehicle JWTs are
+ * read from their `exp` claim and renewed through the backend (POST /api/auth/vehicle) before
+ * they expire, both when they are asked for and in the background for vehicles in use.
  */
 export class JWTManager {
   constructor() {
-    this.jwt = null
-    this.jwtTimestamp = null
-    this.jwtExpirationTime = 3600000 // 1 hour in milliseconds
+    // Vehicle token ID -> timer of its next background refresh
+    this.refreshTimers = new Map()
+    // Vehicle token ID -> refresh in progress, shared by concurrent callers
+    this.refreshes = new Map()
+    // Vehicles whose JWT was asked for since it was last renewed
+    this.usedVehicles = new Set()
+    this.sessionTimer = null
+    this.redirecting = false
   }
 
   /**
-   * Load credentials and JWT from localStorage
+   * Read the expiry (ms since epoch) from a JWT payload without verifying it
    */
-  loadFromStorage() {
-    this.jwt = localStorage.getItem('dimo_jwt')
-    this.jwtTimestamp = localStorage.getItem('dimo_jwt_timestamp')
-    
-    return {
-      hasJWT: !!this.jwt,
-      isJWTValid: this.isJWTValid()
+  getJwtExpiry(token) {
+    try {
+      const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')))
+      return typeof payload.exp === 'number' ? payload.exp * 1000 : null
+    } catch {
+      return null
     }
   }
 
   /**
-   * Check if the current JWT is still valid
+   * Check if the user JWT can still be used for requests
    */
-  isJWTValid() {
-    if (!this.jwt || !this.jwtTimestamp) {
-      return false
-    }
+  isUserJwtValid(token = storageService.getUserJwt()) {
+    const expiry = token && this.getJwtExpiry(token)
+    return Boolean(expiry && expiry - Date.now() > USER_JWT_MARGIN)
+  }
 
-    const now = Date.now()
-    const tokenAge = now - parseInt(this.jwtTimestamp)
-    
-    // Consider JWT expired if it's older than 50 minutes (leaving 10 minutes buffer)
-    return tokenAge < (this.jwtExpirationTime - 600000)
+  /**
+   * Get the signed-in user's JWT
+   * When the session has expired the user is sent to the login page, which returns to the current page.
+   * @returns {string} User JWT
+   */
+  getValidJWT() {
+    const userJwt = storageService.getUserJwt()
+    if (!this.isUserJwtValid(userJwt)) {
+      this.redirectToLogin()
+      throw new Error('Your DIMO session has expired. Please login again.')
+    }
+    return userJwt
   }
 
   /**
-   * Get a valid JWT, refreshing if necessary
+   * Get a vehicle JWT for a token ID, exchanging the user JWT via the backend when needed
+   * Vehicle JWTs are cached per vehicle until 5 minutes before they expire
+   * @param {string|number} tokenId - Vehicle token ID
+   * @returns {Promise<string>} Vehicle JWT
    */
-  async getValidJWT() {
-    // Load from storage first
-    this.loadFromStorage()
+  async getVehicleJwt(tokenId) {
+    const cached = localStorage.getItem(`${VEHICLE_JWT_PREFIX}${tokenId}`)
+    const expiry = cached && this.getJwtExpiry(cached)
+    if (expiry && expiry - Date.now() > VEHICLE_REFRESH_MARGIN) {
+      if (!this.refreshTimers.has(String(tokenId))) {
+        this.scheduleRefresh(tokenId, cached)
+      }
+      this.usedVehicles.add(String(tokenId))
+      return cached
+    }
+    return await this.refreshVehicleJwt(tokenId)
+  }
 
-    // If we don't have credentials, throw error
-    if (!this.clientId || !this.apiKey) {
-      throw new Error('No DIMO credentials found. Please login first.')
+  /**
+   * Exchange the user JWT for a new vehicle JWT, even when the cached one is still valid
+   * @param {string|number} tokenId - Vehicle token ID
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Bypass the backend's token cache too (the cached JWT was rejected)
+   * @returns {Promise<string>} Vehicle JWT
+   */
+  async refreshVehicleJwt(tokenId, { force = false } = {}) {
+    const id = String(tokenId)
+    // A forced refresh does not wait for a plain one, which may return the rejected JWT again
+    const refreshKey = force ? `${id}:force` : id
+    if (this.refreshes.has(refreshKey)) {
+      return await this.refreshes.get(refreshKey)
     }
 
-    // If JWT is valid, return it
-    if (this.isJWTValid()) {
-      return this.jwt
+    const refresh = (async () => {
+      const userJwt = this.getValidJWT()
+      const { token } = await dimoApiService.getVehicleJwt({ tokenId, userJwt, refresh: force })
+      localStorage.setItem(`${VEHICLE_JWT_PREFIX}${id}`, token)
+      this.scheduleRefresh(id, token)
+      return token
+    })()
+    this.refreshes.set(refreshKey, refresh)
+    try {
+      return await refresh
+    } finally {
+      this.refreshes.delete(refreshKey)
     }
+  }
 
-    // Otherwise, refresh the JWT
-    return await this.refreshJWT()
+  /**
+   * Renew a vehicle JWT in the background shortly before it expires
+   * Only vehicles whose JWT was asked for since the last renewal are kept fresh, so vehicles the
+   * user has moved away from are not refreshed forever.
+   */
+  scheduleRefresh(tokenId, token) {
+    const id = String(tokenId)
+    clearTimeout(this.refreshTimers.get(id))
+    this.refreshTimers.delete(id)
+
+    const expiry = this.getJwtExpiry(token)
+    if (!expiry) return
+
+    this.usedVehicles.delete(id)
+    const delay = Math.max(expiry - VEHICLE_REFRESH_MARGIN - Date.now(), 0)
+    this.refreshTimers.set(id, setTimeout(() => {
+      this.refreshTimers.delete(id)
+      if (!this.usedVehicles.has(id) || !this.isUserJwtValid()) return
+      this.refreshVehicleJwt(id).catch(error => {
+        console.warn(`Background refresh of vehicle ${id} JWT failed:`, error.message)
+      })
+    }, delay))
   }
 
   /**
-   * Refresh the JWT using stored credentials
-   * Note: This is a simplified version that doesn't actually refresh the JWT
-   * In a real implementation, you would make an API call to refresh the token
+   * Called by DimoApiService when the backend rejects a token with 401
+   * A rejected vehicle JWT is renewed past the backend's token cache; a rejected user JWT ends the session.
+   * @param {string} token - The rejected JWT
+   * @returns {Promise<string|null>} Token to retry the request with, or null when it cannot be retried
    */
-  async refreshJWT() {
-  
-    // For now, we'll just return the existing JWT if it exists
-    // In a real implementation, you would make an API call to refresh the token
-    if (this.jwt) {
-      return this.jwt
+  async handleUnauthorized(token) {
+    const vehicleKey = Object.keys(localStorage)
+      .find(key => key.startsWith(VEHICLE_JWT_PREFIX) && localStorage.getItem(key) === token)
+    if (vehicleKey) {
+      localStorage.removeItem(vehicleKey)
+      try {
+        return await this.refreshVehicleJwt(vehicleKey.slice(VEHICLE_JWT_PREFIX.length), { force: true })
+      } catch (error) {
+        console.warn('Vehicle JWT refresh failed:', error.message)
+        return null
+      }
     }
 
-    throw new Error('No JWT available to refresh. Please login again.')
+    if (token === storageService.getUserJwt()) {
+      this.redirectToLogin()
+    }
+    return null
   }
 
   /**
-   * Clear all stored credentials and JWT
+   * Send the user to the login page once their session has expired
    */
-  clearCredentials() {
-    this.jwt = null
-    this.jwtTimestamp = null
+  startSessionTimer() {
+    clearTimeout(this.sessionTimer)
+    this.sessionTimer = null
 
-    localStorage.removeItem('dimo_jwt')
-    localStorage.removeItem('dimo_jwt_timestamp')
+    const expiry = this.getJwtExpiry(storageService.getUserJwt() || '')
+    if (!expiry) return
+    this.sessionTimer = setTimeout(() => this.redirectToLogin(), Math.max(expiry - USER_JWT_MARGIN - Date.now(), 0))
   }
 
   /**
-   * Get current authentication status
+   * End the session and go to the login page, which returns to the current page after login
    */
-  getAuthStatus() {
-    this.loadFromStorage()
-    
-    return {
-      hasValidJWT: this.isJWTValid(),
-      jwt: this.jwt
-    }
+  redirectToLogin() {
+    if (this.redirecting || window.location.pathname === '/login') return
+    this.redirecting = true
+
+    const returnUrl = `${window.location.pathname}${window.location.search}${window.location.hash}`
+    storageService.clearUserSession()
+    this.clearCredentials()
+    window.location.href = `/login?redirect=${encodeURIComponent(returnUrl)}`
+  }
+
+  /**
+   * Clear all stored vehicle JWTs and stop refreshing them
+   */
+  clearCredentials() {
+    this.refreshTimers.forEach(timer => clearTimeout(timer))
+    this.refreshTimers.clear()
+    this.usedVehicles.clear()
+    clearTimeout(this.sessionTimer)
+    this.sessionTimer = null
+
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(VEHICLE_JWT_PREFIX))
+      .forEach(key => localStorage.removeItem(key))
   }
 }
 
 // Create a singleton instance
 export const jwtManager = new JWTManager()
+
+// Requests rejected with 401 are retried once with a renewed token
+DimoApiService.setUnauthorizedHandler(token => jwtManager.handleUnauthorized(token))
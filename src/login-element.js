@@ -11,8 +11,7 @@ export class LoginElement extends LitElement {
     return {
       isLoading: { type: Boolean },
       error: { type: String },
-      isConfigured: { type: Boolean },
-      showClearConfirm: { type: Boolean }
+      isConfigured: { type: Boolean }
     }
   }
 
@@ -21,12 +20,13 @@ export class LoginElement extends LitElement {
     this.isLoading = false
     this.error = ''
     this.isConfigured = false
-    this.showClearConfirm = false
     this.dimoApiService = new DimoApiService()
   }
 
   async connectedCallback() {
     super.connectedCallback()
+    // Page to return to after login, set when an expired session was sent here
+    storageService.setReturnUrl(new URLSearchParams(window.location.search).get('redirect'))
     await this.checkConfigurationStatus()
     this.checkForExistingSession()
     await this.checkForOAuthCallback()
@@ -53,7 +53,7 @@ export class LoginElement extends LitElement {
   checkForExistingSession() {
     // Check if user already has a valid JWT session
     const userJwt = storageService.getUserJwt()
-    if (userJwt && this.isJWTValid(userJwt)) {
+    if (userJwt && this.isValidJWT(userJwt)) {
       console.log('Valid JWT found, redirecting to vehicles page')
       // Dispatch login success event to redirect to vehicles
       this.dispatchEvent(new CustomEvent('login-success', {
@@ -67,17 +67,6 @@ export class LoginElement extends LitElement {
     }
   }
 
-  isJWTValid(jwt) {
-    try {
-      const payload = JSON.parse(atob(jwt.split('.')[1]))
-      const now = Math.floor(Date.now() / 1000)
-      return payload.exp && payload.exp > now
-    } catch (error) {
-      console.error('Failed to validate JWT:', error)
-      return false
-    }
-  }
-
   async checkForOAuthCallback() {
     // Check if we're returning from OAuth callback
     const urlParams = new URLSearchParams(window.location.search)
@@ -85,15 +74,31 @@ export class LoginElement extends LitElement {
     const walletAddress = urlParams.get('walletAddress')
     const email = urlParams.get('email')
     const error = urlParams.get('error')
+    const state = urlParams.get('state')
+
+    if (!token && !error) {
+      return
+    }
+
+    // The state is single-use: whatever the outcome, a later callback needs a new login
+    const expectedState = storageService.getOAuthState()
+    storageService.clearOAuthState()
+
+    // Keep the token out of the address bar and browser history
+    window.history.replaceState({}, '', window.location.pathname)
 
     if (error) {
       this.error = `OAuth error: ${error}`
       return
     }
 
-    if (token && walletAddress) {
-      await this.handleOAuthCallback(token, walletAddress, email)
+    if (!expectedState || state !== expectedState) {
+      console.warn('OAuth callback rejected: state does not match the login started here')
+      this.error = 'This login response was not started from this browser. Please log in again.'
+      return
     }
+
+    await this.handleOAuthCallback(token, walletAddress, email)
   }
 
   async handleOAuthCallback(token, walletAddress, email) {
@@ -102,50 +107,34 @@ export class LoginElement extends LitElement {
     this.error = ''
 
     try {
-      // Get the client ID from stored config or fetch if not available
-      let config = this.appConfig
-      if (!config) {
-        const { config: fetchedConfig } = await ConfigUtils.checkAppConfiguration()
-        config = fetchedConfig
-      }
-      
-      if (!config || !config.clientId) {
-        throw new Error('No client ID found. Please configure the app first.')
-      }
-      const clientId = config.clientId
-
-      // Validate the JWT token (basic validation)
+      // Reject malformed or expired tokens before asking the backend
       if (!this.isValidJWT(token)) {
         throw new Error('Invalid JWT token received')
       }
 
+      // The backend checks the signature against DIMO's keys and that the token was issued for this app
+      const session = await this.dimoApiService.verifySession(token)
+      if (walletAddress && session.walletAddress && walletAddress.toLowerCase() !== session.walletAddress.toLowerCase()) {
+        throw new Error('The wallet address in the login response does not match the token')
+      }
+
       // Store the user session with token and additional info
       const userSession = {
         jwt: token,
-        walletAddress: walletAddress,
-        email: email,
+        walletAddress: session.walletAddress || walletAddress,
+        email: session.email || email,
         timestamp: Date.now()
       }
       
       storageService.setUserSession(userSession)
 
-      // Clear OAuth state
-      storageService.clearOAuthState()
-
-      // Clean up URL parameters after successful login
-      const url = new URL(window.location)
-      url.searchParams.delete('token')
-      url.searchParams.delete('walletAddress')
-      url.searchParams.delete('email')
-      window.history.replaceState({}, '', url.pathname)
-
       // Dispatch login success event
       console.log('Dispatching login-success event')
       this.dispatchEvent(new CustomEvent('login-success', {
         detail: { 
           jwt: token,
-          walletAddress: walletAddress,
-          email: email
+          walletAddress: userSession.walletAddress,
+          email: userSession.email
         },
         bubbles: true
       }))
@@ -158,26 +147,30 @@ export class LoginElement extends LitElement {
     }
   }
 
+  /**
+   * Check the structure and lifetime of a JWT (the signature is checked by the backend)
+   */
   isValidJWT(token) {
-    return true
     try {
       // Basic JWT structure validation (header.payload.signature)
-      const parts = token.split('.')
-      if (parts.length !== 3) {
+      const parts = typeof token === 'string' ? token.split('.') : []
+      if (parts.length !== 3 || parts.some(part => !/^[A-Za-z0-9_-]+$/.test(part))) {
         return false
       }
 
-      // Decode the header to check if it's a valid JWT
-      const header = JSON.parse(atob(parts[0]))
-      if (!header.alg || !header.typ) {
+      // Decode the header to check if it's a signed JWT
+      const header = this.decodeJwtSegment(parts[0])
+      if (!header.alg || header.alg === 'none') {
         return false
       }
 
-      // Decode the payload to check expiration
-      const payload = JSON.parse(atob(parts[1]))
+      // Decode the payload to check expiration; tokens without one are not accepted
+      const payload = this.decodeJwtSegment(parts[1])
       const now = Math.floor(Date.now() / 1000)
-      
-      if (payload.exp && payload.exp < now) {
+      if (typeof payload.exp !== 'number' || payload.exp <= now) {
+        return false
+      }
+      if (typeof payload.nbf === 'number' && payload.nbf > now + 30) {
         return false
       }
 
@@ -188,6 +181,10 @@ export class LoginElement extends LitElement {
     }
   }
 
+  decodeJwtSegment(segment) {
+    return JSON.parse(atob(segment.replace(/-/g, '+').replace(/_/g, '/')))
+  }
+
   async initiateLogin() {
     this.isLoading = true
     this.error = ''
@@ -205,8 +202,10 @@ export class LoginElement extends LitElement {
       }
       const clientId = config.clientId
 
-      // Generate state parameter for security
-      const state = Math.random().toString(36).substring(2, 15)
+      // Unguessable state, sent to DIMO login and checked when it redirects back, so a login
+      // response can only complete a login started in this browser. PKCE does not apply: DIMO login
+      // returns the JWT itself rather than an authorization code to exchange with a verifier.
+      const state = Array.from(crypto.getRandomValues(new Uint8Array(32)), byte => byte.toString(16).padStart(2, '0')).join('')
       storageService.setOAuthState(state)
 
       // Build OAuth URL
@@ -215,7 +214,8 @@ export class LoginElement extends LitElement {
       const oauthUrl = `${loginBaseUrl}?` +
         `clientId=${encodeURIComponent(clientId)}&` +
         `redirectUri=${redirectUri}&` +
-        `entryState=VEHICLE_MANAGER&permissions=11111100`
+        `entryState=VEHICLE_MANAGER&permissions=11111100&` +
+        `state=${encodeURIComponent(state)}`
 
       // Redirect to OAuth provider
       window.location.href = oauthUrl
@@ -227,47 +227,6 @@ export class LoginElement extends LitElement {
     }
   }
 
-  showClearConfiguration() {
-    this.showClearConfirm = true
-    this.requestUpdate()
-  }
-
-  cancelClearConfiguration() {
-    this.showClearConfirm = false
-    this.requestUpdate()
-  }
-
-  async clearConfiguration() {
-    try {
-      // Clear app configuration from backend
-      await this.dimoApiService.deleteConfig()
-      
-      // Update configuration status
-      this.isConfigured = false
-      this.showClearConfirm = false
-      
-      // Clear any error messages
-      this.error = ''
-      
-      console.log('App configuration cleared successfully')
-      
-      // Dispatch configuration cleared event
-      this.dispatchEvent(new CustomEvent('config-cleared', {
-        detail: { message: 'App configuration has been cleared' },
-        bubbles: true
-      }))
-      
-      // Redirect to configuration page
-      setTimeout(() => {
-        window.location.href = '/'
-      }, 1000) // Small delay to show the cleared message
-      
-    } catch (error) {
-      console.error('Failed to clear configuration:', error)
-      this.error = 'Failed to clear configuration. Please try again.'
-    }
-  }
-
   render() {
     if (this.isLoading) {
       return html`
@@ -315,9 +274,10 @@ export class LoginElement extends LitElement {
                 `}
               </svg>
               <span class="status-text">
-                ${this.isConfigured ? 'App is configured' : 'App not configured'}
+                ${this.isConfigured ? `App is configured (profile: ${this.appConfig?.name})` : 'App not configured'}
               </span>
             </div>
+            ${this.isConfigured ? html`<a class="switch-profile" href="/config">Switch profile</a>` : ''}
           </div>
           
           <div class="login-options">
@@ -329,36 +289,6 @@ export class LoginElement extends LitElement {
             </button>
           </div>
           
-          <!-- Clear Configuration Section -->
-          ${this.isConfigured ? html`
-            <div class="config-actions">
-              <button @click=${this.showClearConfiguration} class="clear-btn">
-                <svg class="clear-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                  <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z" fill="currentColor"/>
-                </svg>
-                Clear Configuration
-              </button>
-            </div>
-          ` : ''}
-          
-          <!-- Clear Confirmation Dialog -->
-          ${this.showClearConfirm ? html`
-            <div class="clear-confirm">
-              <div class="confirm-content">
-                <h3>Clear Configuration?</h3>
-                <p>This will remove your DIMO API credentials. You'll need to reconfigure the app to use it again.</p>
-                <div class="confirm-buttons">
-                  <button @click=${this.clearConfiguration} class="confirm-btn confirm-yes">
-                    Yes, Clear
-                  </button>
-                  <button @click=${this.cancelClearConfiguration} class="confirm-btn confirm-no">
-                    Cancel
-                  </button>
-                </div>
-              </div>
-            </div>
-          ` : ''}
-          
           <div class="help-text">
             <p>${this.isConfigured ? 'You\'ll be redirected to DIMO\'s secure login page' : 'Please configure the app with your DIMO credentials first'}</p>
           </div>
@@ -446,6 +376,18 @@ export class LoginElement extends LitElement {
         border: 1px solid #e9ecef;
       }
 
+      .switch-profile {
+        display: inline-block;
+        margin-top: 0.5rem;
+        font-size: 0.9rem;
+        color: #667eea;
+        text-decoration: none;
+      }
+
+      .switch-profile:hover {
+        text-decoration: underline;
+      }
+
       .status-indicator {
         display: flex;
         align-items: center;
@@ -467,105 +409,6 @@ export class LoginElement extends LitElement {
         height: 16px;
       }
 
-      .config-actions {
-        margin-top: 1rem;
-        padding-top: 1rem;
-        border-top: 1px solid #e9ecef;
-      }
-
-      .clear-btn {
-        background: #dc3545;
-        color: white;
-        border: none;
-        padding: 0.5rem 1rem;
-        border-radius: 6px;
-        font-size: 0.9rem;
-        cursor: pointer;
-        display: flex;
-        align-items: center;
-        gap: 0.5rem;
-        transition: background-color 0.2s;
-        margin: 0 auto;
-      }
-
-      .clear-btn:hover {
-        background: #c82333;
-      }
-
-      .clear-icon {
-        width: 16px;
-        height: 16px;
-      }
-
-      .clear-confirm {
-        position: fixed;
-        top: 0;
-        left: 0;
-        right: 0;
-        bottom: 0;
-        background: rgba(0, 0, 0, 0.5);
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        z-index: 1000;
-      }
-
-      .confirm-content {
-        background: white;
-        padding: 2rem;
-        border-radius: 8px;
-        box-shadow: 0 10px 30px rgba(0, 0, 0, 0.3);
-        max-width: 400px;
-        width: 90%;
-        text-align: center;
-      }
-
-      .confirm-content h3 {
-        margin: 0 0 1rem 0;
-        color: #2c3e50;
-        font-size: 1.25rem;
-      }
-
-      .confirm-content p {
-        margin: 0 0 1.5rem 0;
-        color: #6c757d;
-        line-height: 1.5;
-      }
-
-      .confirm-buttons {
-        display: flex;
-        gap: 1rem;
-        justify-content: center;
-      }
-
-      .confirm-btn {
-        padding: 0.75rem 1.5rem;
-        border: none;
-        border-radius: 6px;
-        font-size: 0.9rem;
-        font-weight: 500;
-        cursor: pointer;
-        transition: background-color 0.2s;
-      }
-
-      .confirm-yes {
-        background: #dc3545;
-        color: white;
-      }
-
-      .confirm-yes:hover {
-        background: #c82333;
-      }
-
-      .confirm-no {
-        background: #6c757d;
-        color: white;
-      }
-
-      .confirm-no:hover {
-        background: #5a6268;
-      }
-
       .error {
         background-color: #f8d7da;
         color: #721c24;
@@ -633,23 +476,6 @@ export class LoginElement extends LitElement {
           color: #dc3545;
         }
 
-        .config-actions {
-          border-top-color: #495057;
-        }
-
-        .confirm-content {
-          background: #2c3e50;
-          color: #e9ecef;
-        }
-
-        .confirm-content h3 {
-          color: #e9ecef;
-        }
-
-        .confirm-content p {
-          color: #adb5bd;
-        }
-
         .help-text p {
           color: #adb5bd;
         }
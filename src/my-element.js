@@ -3,6 +3,7 @@ import 'urlpattern-polyfill'
 import { LitElement, css, html } from 'lit'
 import { Router } from '@lit-labs/router'
 import { storageService } from './storage-service.js'
+import { jwtManager } from './jwt-manager.js'
 import { ConfigUtils } from './config-utils.js'
 
 /**
@@ -35,7 +36,7 @@ export class MyElement extends LitElement {
       },
       {
         path: '/config',
-        render: () => this.renderConfig()
+        render: () => this.renderConfig({ manage: true })
       },
       {
         path: '/login',
@@ -97,6 +98,9 @@ export class MyElement extends LitElement {
     this.isAuthenticated = state.isAuthenticated
     this.authStatus = state
     this.isLoading = false
+    if (state.isAuthenticated) {
+      jwtManager.startSessionTimer()
+    }
   }
 
   async navigateToCurrentRoute() {
@@ -126,14 +130,23 @@ export class MyElement extends LitElement {
   }
 
   _handleLoginSuccess() {
-    console.log('Login success event received, redirecting to vehicles page')
+    // Go back to the page the expired session was sent away from, if any
+    const returnUrl = storageService.takeReturnUrl()
+    const target = returnUrl ? new URL(returnUrl, window.location.origin) : null
+    console.log(`Login success event received, redirecting to ${target ? target.pathname : 'vehicles page'}`)
     this.updateAppState()
-    this.router.goto('/vehicles')
+    if (target) {
+      window.history.pushState({}, '', `${target.pathname}${target.search}${target.hash}`)
+      this.router.goto(target.pathname)
+    } else {
+      this.router.goto('/vehicles')
+    }
   }
 
   _handleLogout() {
     // Clear user session but keep app configuration
     storageService.clearUserSession()
+    jwtManager.clearCredentials()
     this.updateAppState()
     this.router.goto('/login')
   }
@@ -152,8 +165,8 @@ export class MyElement extends LitElement {
     return html`${this.router.outlet()}`
   }
 
-  renderConfig() {
-    return html`<app-configuration></app-configuration>`
+  renderConfig({ manage = false } = {}) {
+    return html`<app-configuration ?manage=${manage}></app-configuration>`
   }
 
   renderLogin() {
@@ -12,7 +12,9 @@ export class StorageService {
     DIMO_JWT_TIMESTAMP: 'dimo_jwt_timestamp',
     USER_JWT: 'user_jwt',
     USER_JWT_TIMESTAMP: 'user_jwt_timestamp',
-    OAUTH_STATE: 'oauth_state'
+    OAUTH_STATE: 'oauth_state',
+    CONFIG_PROFILE: 'config_profile',
+    RETURN_URL: 'login_return_url'
   }
 
   /**
@@ -154,6 +156,46 @@ export class StorageService {
     this.removeItem(StorageService.KEYS.OAUTH_STATE)
   }
 
+  /**
+   * Remember the page to return to after logging in
+   * Only paths of this app are kept, so the login cannot be turned into a redirect to another site.
+   */
+  setReturnUrl(url) {
+    if (typeof url === 'string' && /^\/(?![/\\])/.test(url) && !url.startsWith('/login')) {
+      this.setItem(StorageService.KEYS.RETURN_URL, url)
+    }
+  }
+
+  /**
+   * Get and forget the page to return to after logging in (null: none)
+   */
+  takeReturnUrl() {
+    const url = this.getItem(StorageService.KEYS.RETURN_URL)
+    this.removeItem(StorageService.KEYS.RETURN_URL)
+    return url
+  }
+
+  /**
+   * Get the selected configuration profile (null: the backend's default)
+   */
+  getConfigProfile() {
+    return this.getItem(StorageService.KEYS.CONFIG_PROFILE)
+  }
+
+  /**
+   * Select the configuration profile sent with backend requests
+   */
+  setConfigProfile(profile) {
+    this.setItem(StorageService.KEYS.CONFIG_PROFILE, profile)
+  }
+
+  /**
+   * Go back to the backend's choice of configuration profile
+   */
+  clearConfigProfile() {
+    this.removeItem(StorageService.KEYS.CONFIG_PROFILE)
+  }
+
   /**
    * Add a listener for storage changes
    */
@@ -2,6 +2,7 @@ import { LitElement, css, html } from 'lit'
 import { graphqlService } from './graphql-service.js'
 import { jwtManager } from './jwt-manager.js'
 import { dimoApiService } from './dimo-api-service.js'
+import './vehicle-history-chart.js'
 
 /**
  * Vehicle details page component displaying detailed information about a specific vehicle
@@ -20,6 +21,23 @@ export class VehicleDetailsPage extends LitElement {
       maintenanceRecords: { type: Array },
       isCalculatingUpcoming: { type: Boolean },
       upcomingServices: { type: Array },
+      upcomingPlan: { type: Object },
+      planComparison: { type: Object },
+      showPlanComparison: { type: Boolean },
+      upcomingError: { type: String },
+      nextService: { type: Object },
+      isGeneratingReport: { type: Boolean },
+      odometerRange: { type: String },
+      odometerGranularity: { type: String },
+      isLoadingOdometer: { type: Boolean },
+      reportError: { type: String },
+      editingRecordId: { type: Number },
+      editDraft: { type: Object },
+      showAddRecordForm: { type: Boolean },
+      newRecord: { type: Object },
+      isSavingRecord: { type: Boolean },
+      recordError: { type: String },
+      expandedRecordIds: { type: Array },
     }
   }
 
@@ -33,15 +51,39 @@ export class VehicleDetailsPage extends LitElement {
     this.uploadFiles = []
     this.uploadProgress = []
     this.isUploading = false
+    this.documentJobTimer = null
     this.maintenanceRecords = []
     this.isCalculatingUpcoming = false
     this.upcomingServices = []
+    this.upcomingPlan = null
+    this.planComparison = null
+    this.showPlanComparison = false
+    this.upcomingError = ''
+    this.nextService = null
+    this.isGeneratingReport = false
+    this.odometerRange = '1y'
+    this.odometerGranularity = 'monthly'
+    this.isLoadingOdometer = false
+    this.odometerRequestId = 0
+    this.reportError = ''
+    this.editingRecordId = null
+    this.editDraft = null
+    this.showAddRecordForm = false
+    this.newRecord = this.emptyRecord()
+    this.isSavingRecord = false
+    this.recordError = ''
+    this.expandedRecordIds = []
   }
 
   async connectedCallback() {
     super.connectedCallback()
   }
 
+  disconnectedCallback() {
+    super.disconnectedCallback()
+    this.stopDocumentJobPolling()
+  }
+
   async updated(changedProperties) {
     super.updated(changedProperties)
     // Only trigger if tokenId changed AND we're not already loading
@@ -49,7 +91,13 @@ export class VehicleDetailsPage extends LitElement {
       console.log('Triggering loadVehicleDetails from updated method')
       await this.loadVehicleDetails()
       await this.loadMaintenanceHistory()
-      // upcoming services are calculated on-demand by user action
+      // Show the last stored plan; new plans are generated on demand by user action
+      await this.loadUpcomingServices()
+    }
+    // Next service depends on the records and the latest odometer reading
+    if (changedProperties.has('maintenanceRecords') ||
+        (changedProperties.has('vehicle') && changedProperties.get('vehicle')?.odometerReading !== this.vehicle?.odometerReading)) {
+      this.loadNextService()
     }
   }
 
@@ -73,46 +121,7 @@ export class VehicleDetailsPage extends LitElement {
       // Map the data to our format
       this.vehicle = graphqlService.mapVehicleData(vehicleData)
 
-      // Call backend endpoint for vehicle details info
-      try {
-        const backendData = await dimoApiService.getVehicleDetailsInfo(this.tokenId)
-        
-        // Extract odometer reading from the last signals record
-        if (backendData.telemetry?.data?.signals && backendData.telemetry.data.signals.length > 0) {
-          const signals = backendData.telemetry.data.signals
-          
-          // Process all signals to create odometer history
-          const odometerHistory = signals.map(signal => {
-            const kmReading = signal.powertrainTransmissionTravelledDistance
-            const milesReading = kmReading * 0.621371 // Convert km to miles
-            return {
-              timestamp: signal.timestamp,
-              kilometers: kmReading,
-              miles: milesReading
-            }
-          })
-          
-          // Sort by timestamp to ensure chronological order
-          odometerHistory.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
-          
-          const lastSignal = odometerHistory[odometerHistory.length - 1]
-          
-          console.log('Odometer history processed:', odometerHistory.length, 'records')
-          
-          // Store the odometer data in the vehicle object
-          this.vehicle.odometerReading = lastSignal.miles
-          this.vehicle.odometerTimestamp = lastSignal.timestamp
-          this.vehicle.odometerUnit = 'miles'
-          this.vehicle.odometerHistory = odometerHistory
-        } else {
-          console.log('No signals data available for odometer reading')
-        }
-      } catch (backendError) {
-        console.error('Backend API call failed:', backendError)
-      }
-
-      
-
+      await this.loadOdometerHistory()
     } catch (error) {
       console.error('Step ERROR: Failed to load vehicle details:', error)
       console.error('Error details:', error.message, error.stack)
@@ -122,6 +131,99 @@ export class VehicleDetailsPage extends LitElement {
     }
   }
 
+  /**
+   * Load odometer history for the selected range and granularity
+   * Keeps the last known reading when the selected range has no data
+   * A response for an earlier selection that arrives after a newer request was made is dropped.
+   */
+  async loadOdometerHistory() {
+    const requestId = ++this.odometerRequestId
+    this.isLoadingOdometer = true
+    try {
+      const vehicleJwt = await jwtManager.getVehicleJwt(this.tokenId)
+      const backendData = await dimoApiService.getVehicleDetailsInfo(this.tokenId, vehicleJwt, {
+        range: this.odometerRange,
+        granularity: this.odometerGranularity,
+      })
+      if (requestId !== this.odometerRequestId) return
+      const signals = backendData.telemetry?.data?.signals || []
+
+      // Sort by timestamp to ensure chronological order
+      const odometerHistory = signals
+        .filter(signal => typeof signal.powertrainTransmissionTravelledDistance === 'number')
+        .map(signal => ({
+          timestamp: signal.timestamp,
+          kilometers: signal.powertrainTransmissionTravelledDistance,
+          miles: signal.powertrainTransmissionTravelledDistance * 0.621371 // Convert km to miles
+        }))
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+
+      const lastSignal = odometerHistory[odometerHistory.length - 1]
+      this.vehicle = {
+        ...this.vehicle,
+        odometerHistory,
+        ...(lastSignal && (!this.vehicle.odometerTimestamp || lastSignal.timestamp >= this.vehicle.odometerTimestamp) ? {
+          odometerReading: lastSignal.miles,
+          odometerTimestamp: lastSignal.timestamp,
+          odometerUnit: 'miles',
+        } : {}),
+      }
+    } catch (backendError) {
+      if (requestId !== this.odometerRequestId) return
+      console.error('Backend API call failed:', backendError)
+      this.vehicle = { ...this.vehicle, odometerHistory: [] }
+    } finally {
+      if (requestId === this.odometerRequestId) this.isLoadingOdometer = false
+    }
+  }
+
+  setOdometerRange(range) {
+    this.odometerRange = range
+    this.loadOdometerHistory()
+  }
+
+  setOdometerGranularity(granularity) {
+    this.odometerGranularity = granularity
+    this.loadOdometerHistory()
+  }
+
+  /**
+   * Label an odometer bucket by its start (telemetry timestamps are UTC)
+   * "Monthly" buckets are 30 days long, so they are labeled by their first day rather than as calendar months.
+   */
+  formatOdometerPeriod(timestamp) {
+    const date = new Date(timestamp)
+    switch (this.odometerGranularity) {
+      case 'monthly':
+        return `30 days from ${date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })}`
+      case 'weekly':
+        return `Week of ${date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })}`
+      default:
+        return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })
+    }
+  }
+
+  renderOdometerControls() {
+    const ranges = [['30d', '30 days'], ['90d', '90 days'], ['1y', '1 year'], ['2y', '2 years'], ['4y', '4 years']]
+    const granularities = [['daily', 'Daily'], ['weekly', 'Weekly'], ['monthly', 'Monthly']]
+    return html`
+      <div class="odometer-controls">
+        <div class="segmented" role="group" aria-label="Range">
+          ${ranges.map(([value, label]) => html`
+            <button class=${this.odometerRange === value ? 'active' : ''} ?disabled=${this.isLoadingOdometer}
+                    @click=${() => this.setOdometerRange(value)}>${label}</button>
+          `)}
+        </div>
+        <div class="segmented" role="group" aria-label="Granularity">
+          ${granularities.map(([value, label]) => html`
+            <button class=${this.odometerGranularity === value ? 'active' : ''} ?disabled=${this.isLoadingOdometer}
+                    @click=${() => this.setOdometerGranularity(value)}>${label}</button>
+          `)}
+        </div>
+      </div>
+    `
+  }
+
   render() {
     return html`
       <div class="vehicle-details-container">
@@ -145,6 +247,12 @@ export class VehicleDetailsPage extends LitElement {
                 <span class="label">VIN:</span>
                 <code>${this.tokenId}</code>
               </div>
+              <div class="header-report">
+                <button class="btn-primary" @click=${this.generateReport} ?disabled=${this.isGeneratingReport}>
+                  ${this.isGeneratingReport ? 'Generating…' : 'Download service history (PDF)'}
+                </button>
+                ${this.reportError ? html`<span class="report-error">${this.reportError}</span>` : ''}
+              </div>
             </div>
 
             <div class="details-grid">
@@ -187,18 +295,25 @@ export class VehicleDetailsPage extends LitElement {
                 </div>
                 <div class="detail-item">
                   <span class="label">Next Service:</span>
-                  <span class="value">Est. at 69,000 miles (TODO)</span>
+                  ${this.renderNextService()}
                 </div>
               </div>
 
               <div class="detail-card full-width">
-                <h3>Odometer History</h3>
+                <div class="section-header">
+                  <h3>Odometer History</h3>
+                  ${this.renderOdometerControls()}
+                </div>
+                <vehicle-history-chart
+                  .odometerHistory=${this.vehicle.odometerHistory || []}
+                  .records=${this.maintenanceRecords}
+                ></vehicle-history-chart>
                 ${this.vehicle.odometerHistory && this.vehicle.odometerHistory.length > 0 ? html`
                   <div class="odometer-table-container">
                     <table class="odometer-table">
                       <thead>
                         <tr>
-                          <th>Year</th>
+                          <th>${{ daily: 'Date', weekly: 'Week', monthly: 'Period' }[this.odometerGranularity]}</th>
                           <th>Odometer Reading</th>
                           <th>Distance Traveled</th>
                         </tr>
@@ -208,15 +323,9 @@ export class VehicleDetailsPage extends LitElement {
                           const previousReading = index > 0 ? this.vehicle.odometerHistory[index - 1].miles : 0
                           const distanceTraveled = reading.miles - previousReading
                           
-                          // Format date to show year range (e.g., "9/23/2022 - 2023")
-                          const readingDate = new Date(reading.timestamp)
-                          const readingYear = readingDate.getFullYear()
-                          const nextYear = readingYear + 1
-                          const formattedDate = `${readingDate.toLocaleDateString('en-US', { month: 'numeric', day: 'numeric', year: 'numeric' })} - ${nextYear}`
-                          
                           return html`
                             <tr>
-                              <td>${formattedDate}</td>
+                              <td>${this.formatOdometerPeriod(reading.timestamp)}</td>
                               <td>${reading.miles.toLocaleString(undefined, { maximumFractionDigits: 0, minimumFractionDigits: 0 })} miles</td>
                               <td>${index === 0 ? '—' : `+${distanceTraveled.toLocaleString(undefined, { maximumFractionDigits: 0, minimumFractionDigits: 0 })} miles`}</td>
                             </tr>
@@ -235,12 +344,56 @@ export class VehicleDetailsPage extends LitElement {
 
             <div class="actions-section">
               <div class="section-header">
-                <h3>Maintenance History - Total: ${`$${this.maintenanceTotalCost.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`}</h3>
-                <button @click=${this.openUploadModal} class="upload-btn">
-                  <span class="upload-icon">📄</span>
-                  Upload Invoices
-                </button>
+                <h3>Maintenance History - Total: ${this.formatCurrency(this.maintenanceTotalCost)}</h3>
+                <div class="section-actions">
+                  <button @click=${this.toggleAddRecordForm} class="btn-secondary">
+                    ${this.showAddRecordForm ? 'Cancel' : 'Add record manually'}
+                  </button>
+                  <button @click=${this.openUploadModal} class="upload-btn">
+                    <span class="upload-icon">📄</span>
+                    Upload Invoices
+                  </button>
+                </div>
               </div>
+              ${this.recordError ? html`
+                <div class="record-error">${this.recordError}</div>
+              ` : ''}
+              ${this.showAddRecordForm ? html`
+                <form class="record-form" @submit=${this.submitNewRecord}>
+                  <label>
+                    <span>Date</span>
+                    <input type="date" name="serviceDate" required .value=${this.newRecord.serviceDate}
+                           max=${new Date().toISOString().slice(0, 10)}
+                           @input=${e => this.updateNewRecord('serviceDate', e.target.value)}>
+                  </label>
+                  <label>
+                    <span>Service</span>
+                    <input type="text" name="summary" required maxlength="500" placeholder="e.g. Oil change"
+                           .value=${this.newRecord.summary}
+                           @input=${e => this.updateNewRecord('summary', e.target.value)}>
+                  </label>
+                  <label>
+                    <span>Mileage</span>
+                    <input type="number" name="mileage" min="0" step="1" .value=${this.newRecord.mileage}
+                           @input=${e => this.updateNewRecord('mileage', e.target.value)}>
+                  </label>
+                  <label>
+                    <span>Amount ($)</span>
+                    <input type="number" name="totalCost" min="0" step="0.01" .value=${this.newRecord.totalCost}
+                           @input=${e => this.updateNewRecord('totalCost', e.target.value)}>
+                  </label>
+                  <label class="full-width">
+                    <span>Description</span>
+                    <textarea name="description" rows="2" .value=${this.newRecord.description}
+                              @input=${e => this.updateNewRecord('description', e.target.value)}></textarea>
+                  </label>
+                  <div class="record-form-actions">
+                    <button type="submit" class="btn-primary" ?disabled=${this.isSavingRecord}>
+                      ${this.isSavingRecord ? 'Saving…' : 'Save record'}
+                    </button>
+                  </div>
+                </form>
+              ` : ''}
               <div class="maintenance-table-container">
                 ${this.maintenanceRecords && this.maintenanceRecords.length > 0 ? html`
                   <table class="maintenance-table">
@@ -248,24 +401,46 @@ export class VehicleDetailsPage extends LitElement {
                       <tr>
                         <th>Date</th>
                         <th>Service</th>
-                        <th>Amount</th>
+                        <th>Description</th>
+                        <th>Mileage</th>
+                        <th class="amount">Amount</th>
+                        <th class="row-actions"></th>
                       </tr>
                     </thead>
                     <tbody>
-                      ${this.maintenanceRecords.map(r => html`
-                        <tr>
-                          <td>${r.serviceDate ? new Date(r.serviceDate).toLocaleDateString() : '—'}</td>
-                          <td>${r.summary || '—'}</td>
-                          <td>${typeof r.totalCost === 'number' ? `$${r.totalCost.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` : '—'}</td>
-                        </tr>
-                      `)}
+                      ${this.maintenanceRecords.map(r => this.editingRecordId === r.id
+                        ? this.renderEditableRecordRow()
+                        : html`
+                          <tr>
+                            <td>${this.formatServiceDate(r.serviceDate)}</td>
+                            <td>
+                              <button class="expand-btn" title="Show cost breakdown"
+                                      aria-expanded=${this.expandedRecordIds.includes(r.id) ? 'true' : 'false'}
+                                      @click=${() => this.toggleRecordBreakdown(r.id)}>
+                                ${this.expandedRecordIds.includes(r.id) ? '▾' : '▸'}
+                              </button>
+                              ${r.summary || '—'}
+                            </td>
+                            <td class="description">${r.description || '—'}</td>
+                            <td>${typeof r.mileage === 'number' ? `${r.mileage.toLocaleString()} miles` : '—'}</td>
+                            <td class="amount">${typeof r.totalCost === 'number' ? this.formatCurrency(r.totalCost) : '—'}</td>
+                            <td class="row-actions">
+                              ${r.hasDocument ? html`
+                                <a class="receipt-link" href="#" title=${r.documentName || 'Receipt'}
+                                   @click=${e => this.viewReceipt(e, r)}>View receipt</a>
+                              ` : ''}
+                              <button class="row-btn" title="Edit" @click=${() => this.startEditRecord(r)} ?disabled=${this.isSavingRecord}>Edit</button>
+                              <button class="row-btn danger" title="Delete" @click=${() => this.deleteRecord(r)} ?disabled=${this.isSavingRecord}>Delete</button>
+                            </td>
+                          </tr>
+                          ${this.expandedRecordIds.includes(r.id) ? this.renderRecordBreakdown(r) : ''}
+                        `)}
                     </tbody>
                     <tfoot>
                       <tr class="total-row">
-                        <td colspan="2">Total</td>
-                        <td>
-                          ${`$${this.maintenanceTotalCost.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`}
-                        </td>
+                        <td colspan="4">Total</td>
+                        <td class="amount">${this.formatCurrency(this.maintenanceTotalCost)}</td>
+                        <td></td>
                       </tr>
                     </tfoot>
                   </table>
@@ -284,13 +459,38 @@ export class VehicleDetailsPage extends LitElement {
         `}
         
         <div class="detail-card full-width">
-                <h3>Upcoming Services (Next 60k miles)</h3>
+                <div class="upcoming-header">
+                  <h3>Upcoming Services (Next 60k miles)</h3>
+                  ${this.upcomingPlan ? html`
+                    <div class="upcoming-actions">
+                      <span class="upcoming-source">
+                        Version ${this.upcomingPlan.version} · ${new Date(this.upcomingPlan.createdAt).toLocaleDateString()}
+                        at ${this.upcomingPlan.currentMileage.toLocaleString()} miles ·
+                        ${this.upcomingPlan.source === 'rules+ai' ? 'service intervals + AI notes' : 'service intervals'}
+                      </span>
+                      ${this.upcomingPlan.version > 1 ? html`
+                        <button class="btn-secondary" @click=${this.togglePlanComparison}>
+                          ${this.showPlanComparison ? 'Hide comparison' : 'Compare with previous'}
+                        </button>
+                      ` : ''}
+                      <button class="btn-secondary" @click=${() => this.regenerateUpcomingServices({ enrich: true })} ?disabled=${this.isCalculatingUpcoming}>
+                        Add AI notes
+                      </button>
+                      <button class="btn-primary" @click=${() => this.regenerateUpcomingServices()} ?disabled=${this.isCalculatingUpcoming}>
+                        ${this.isCalculatingUpcoming ? 'Calculating…' : 'Recalculate'}
+                      </button>
+                    </div>
+                  ` : ''}
+                </div>
+                ${this.upcomingError ? html`<div class="upcoming-error">${this.upcomingError}</div>` : ''}
+                ${this.showPlanComparison && this.planComparison ? this.renderPlanComparison() : ''}
                 ${this.upcomingServices && this.upcomingServices.length > 0 ? html`
                   <div class="maintenance-table-container">
                     <table class="maintenance-table">
                       <thead>
                         <tr>
                           <th>Mileage</th>
+                          <th>Est. Date</th>
                           <th>Services</th>
                           <th>Estimated Cost</th>
                         </tr>
@@ -307,9 +507,13 @@ export class VehicleDetailsPage extends LitElement {
                             ? `$${item.estimatedCost.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
                             : '—'
                           return html`
-                            <tr>
-                              <td>${mileageText}</td>
-                              <td>${servicesText}</td>
+                            <tr class=${item.overdue ? 'upcoming-overdue' : ''}>
+                              <td>${item.overdue ? 'Due now' : mileageText}</td>
+                              <td>${this.formatServiceDate(item.dueDate)}</td>
+                              <td>
+                                ${servicesText}
+                                ${item.notes ? html`<div class="upcoming-notes">${item.notes}</div>` : ''}
+                              </td>
                               <td style="text-align:right; font-weight:500; color:#28a745;">${costText}</td>
                             </tr>
                           `
@@ -319,7 +523,7 @@ export class VehicleDetailsPage extends LitElement {
                   </div>
                 ` : html`
                   <div class="no-data">
-                    <button class="btn-primary" @click=${this.loadUpcomingServices} ?disabled=${this.isCalculatingUpcoming}>
+                    <button class="btn-primary" @click=${() => this.regenerateUpcomingServices()} ?disabled=${this.isCalculatingUpcoming}>
                       ${this.isCalculatingUpcoming ? 'Calculating…' : 'Calculate upcoming services'}
                     </button>
                   </div>
@@ -374,18 +578,18 @@ export class VehicleDetailsPage extends LitElement {
                     ${this.uploadProgress.map((progress, index) => html`
                       <div class="progress-item">
                         <div class="progress-info">
-                          <span class="progress-filename">${progress.filename}</span>
-                          <span class="progress-status">${progress.status}</span>
+                          <span class="progress-filename">${progress.filename}${progress.visit ? ` (${progress.visit})` : ''}</span>
+                          <span class="progress-status ${progress.status}">${this.progressStatusLabel(progress.status)}</span>
                         </div>
-                        ${progress.status === 'uploading' ? html`
+                        ${['uploading', 'queued', 'processing'].includes(progress.status) ? html`
                           <div class="progress-bar">
                             <div class="progress-fill" style="width: ${progress.percent}%"></div>
                           </div>
+                          ${progress.stage ? html`<div class="progress-stage">${progress.stage}</div>` : ''}
                         ` : ''}
-                        ${progress.response ? html`
-                          <div class="progress-response">
-                            <pre>${JSON.stringify(progress.response, null, 2)}</pre>
-                          </div>
+                        ${progress.status === 'review' ? this.renderDraftForm(progress, index) : ''}
+                        ${progress.error ? html`
+                          <div class="progress-response error">${progress.error}</div>
                         ` : ''}
                       </div>
                     `)}
@@ -408,20 +612,295 @@ export class VehicleDetailsPage extends LitElement {
     `
   }
 
-  generateReport() {
-    // TODO: Implement report generation
-    console.log('Generate report for vehicle:', this.tokenId)
+  renderRecordBreakdown(record) {
+    const lineItems = Array.isArray(record.lineItems) ? record.lineItems : []
+    const money = (v) => typeof v === 'number' ? this.formatCurrency(v) : '—'
+    return html`
+      <tr class="breakdown-row">
+        <td colspan="6">
+          ${lineItems.length > 0 ? html`
+            <table class="line-items-table">
+              <thead>
+                <tr>
+                  <th>Type</th>
+                  <th>Description</th>
+                  <th>Part #</th>
+                  <th class="amount">Qty</th>
+                  <th class="amount">Unit price</th>
+                  <th class="amount">Line total</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${lineItems.map(item => html`
+                  <tr>
+                    <td><span class="item-type ${item.type}">${item.type === 'labor' ? 'Labor' : 'Part'}</span></td>
+                    <td>${item.description}</td>
+                    <td>${item.partNumber || '—'}</td>
+                    <td class="amount">${item.quantity ?? '—'}</td>
+                    <td class="amount">${money(item.unitPrice)}</td>
+                    <td class="amount">${typeof item.unitPrice === 'number' ? money(item.unitPrice * (item.quantity ?? 1)) : '—'}</td>
+                  </tr>
+                `)}
+              </tbody>
+            </table>
+          ` : html`<p class="breakdown-empty">No line items recorded${record.parts?.length ? ` (parts: ${record.parts.join(', ')})` : ''}</p>`}
+          <div class="breakdown-summary">
+            <span>Parts: ${money(record.partsCost)}</span>
+            <span>Labor: ${money(record.laborCost)}</span>
+            ${record.nextService ? html`<span>Next service: ${record.nextService}</span>` : ''}
+          </div>
+        </td>
+      </tr>
+    `
+  }
+
+  renderEditableRecordRow() {
+    const draft = this.editDraft
+    return html`
+      <tr class="editing-row">
+        <td>
+          <input type="date" .value=${draft.serviceDate} max=${new Date().toISOString().slice(0, 10)}
+                 @input=${e => this.updateEditDraft('serviceDate', e.target.value)}>
+        </td>
+        <td>
+          <input type="text" maxlength="500" .value=${draft.summary}
+                 @input=${e => this.updateEditDraft('summary', e.target.value)}>
+        </td>
+        <td>
+          <textarea rows="2" .value=${draft.description}
+                    @input=${e => this.updateEditDraft('description', e.target.value)}></textarea>
+        </td>
+        <td>
+          <input type="number" min="0" step="1" .value=${draft.mileage}
+                 @input=${e => this.updateEditDraft('mileage', e.target.value)}>
+        </td>
+        <td class="amount">
+          <input type="number" min="0" step="0.01" .value=${draft.totalCost}
+                 @input=${e => this.updateEditDraft('totalCost', e.target.value)}>
+        </td>
+        <td class="row-actions">
+          <button class="row-btn primary" @click=${this.saveEditRecord} ?disabled=${this.isSavingRecord}>
+            ${this.isSavingRecord ? 'Saving…' : 'Save'}
+          </button>
+          <button class="row-btn" @click=${this.cancelEditRecord} ?disabled=${this.isSavingRecord}>Cancel</button>
+        </td>
+      </tr>
+    `
+  }
+
+  renderDraftForm(progress, index) {
+    const draft = progress.draft
+    const update = (field) => (e) => this.updateDraftField(index, field, e.target.value)
+    return html`
+      <form class="draft-form" @submit=${e => this.confirmDraft(e, index)}>
+        <p class="draft-hint">
+          ${progress.extractedLocally
+            ? 'AI was unavailable, so only the text of the document was read. Check every field against the invoice and fill in what is missing.'
+            : 'Review the extracted details before saving.'}
+        </p>
+        <label>
+          <span>Date</span>
+          <input type="date" required .value=${draft.serviceDate} max=${new Date().toISOString().slice(0, 10)} @input=${update('serviceDate')}>
+        </label>
+        <label>
+          <span>Service type</span>
+          <input type="text" required maxlength="500" .value=${draft.summary} @input=${update('summary')}>
+        </label>
+        <label class="full-width">
+          <span>Shop</span>
+          <input type="text" maxlength="500" .value=${draft.shopName} @input=${update('shopName')}>
+        </label>
+        <label class="full-width">
+          <span>Parts (one per line)</span>
+          <textarea rows="3" .value=${draft.parts} @input=${update('parts')}></textarea>
+        </label>
+        <label>
+          <span>Labor ($)</span>
+          <input type="number" min="0" step="0.01" .value=${draft.laborCost} @input=${update('laborCost')}>
+        </label>
+        <label>
+          <span>Parts cost ($)</span>
+          <input type="number" min="0" step="0.01" .value=${draft.partsCost} @input=${update('partsCost')}>
+        </label>
+        <label>
+          <span>Total ($)</span>
+          <input type="number" min="0" step="0.01" .value=${draft.totalCost} @input=${update('totalCost')}>
+        </label>
+        <label>
+          <span>Mileage</span>
+          <input type="number" min="0" step="1" .value=${draft.mileage} @input=${update('mileage')}>
+        </label>
+        <label class="full-width">
+          <span>Next service</span>
+          <input type="text" maxlength="500" .value=${draft.nextService} @input=${update('nextService')}>
+        </label>
+        <label class="full-width">
+          <span>Description</span>
+          <textarea rows="2" .value=${draft.description} @input=${update('description')}></textarea>
+        </label>
+        ${draft.lineItems.length > 0 ? html`
+          <div class="full-width">
+            <span class="draft-label">Line items (${draft.lineItems.length})</span>
+            <ul class="draft-line-items">
+              ${draft.lineItems.map(item => html`
+                <li>
+                  <span class="item-type ${item.type}">${item.type === 'labor' ? 'Labor' : 'Part'}</span>
+                  ${item.description}${item.partNumber ? ` (#${item.partNumber})` : ''}
+                  ${typeof item.unitPrice === 'number' ? html` — ${item.quantity ?? 1} × ${this.formatCurrency(item.unitPrice)}` : ''}
+                </li>
+              `)}
+            </ul>
+          </div>
+        ` : ''}
+        ${progress.duplicates?.length > 0 ? this.renderDuplicateWarning(progress, index) : html`
+          <div class="draft-actions">
+            <button type="button" class="btn-secondary" @click=${() => this.discardDraft(index)} ?disabled=${progress.isSaving}>Discard</button>
+            <button type="submit" class="btn-primary" ?disabled=${progress.isSaving}>
+              ${progress.isSaving ? 'Saving…' : 'Save record'}
+            </button>
+          </div>
+        `}
+      </form>
+    `
+  }
+
+  /**
+   * Existing records the draft probably duplicates, with the choice to skip, replace or keep both
+   */
+  renderDuplicateWarning(progress, index) {
+    const [first] = progress.duplicates
+    return html`
+      <div class="duplicate-warning full-width">
+        <p>
+          <strong>${first.match === 'exact' ? 'This document was already uploaded.' : 'This looks like an invoice you already saved.'}</strong>
+        </p>
+        <ul>
+          ${progress.duplicates.map(d => html`
+            <li>
+              <span class="match ${d.match}">${d.match === 'exact' ? 'Same file' : 'Likely'}</span>
+              ${d.serviceDate || 'No date'} · ${typeof d.totalCost === 'number' ? this.formatCurrency(d.totalCost) : 'no total'}
+              ${d.shopName ? html` · ${d.shopName}` : ''}${d.summary ? html` · ${d.summary}` : ''}
+              <span class="reasons">(${d.reasons.join(', ')})</span>
+            </li>
+          `)}
+        </ul>
+        <div class="draft-actions">
+          <button type="button" class="btn-secondary" @click=${() => this.discardDraft(index)} ?disabled=${progress.isSaving}>Skip</button>
+          <button type="button" class="btn-secondary" ?disabled=${progress.isSaving}
+            @click=${() => this.saveDraft(index, { duplicateAction: 'replace', replaceRecordId: first.recordId })}>
+            Replace existing
+          </button>
+          <button type="button" class="btn-primary" ?disabled=${progress.isSaving}
+            @click=${() => this.saveDraft(index, { duplicateAction: 'keep' })}>
+            ${progress.isSaving ? 'Saving…' : 'Keep both'}
+          </button>
+        </div>
+      </div>
+    `
+  }
+
+  progressStatusLabel(status) {
+    const labels = {
+      uploading: 'Uploading…',
+      queued: 'Queued',
+      processing: 'Extracting…',
+      review: 'Needs review',
+      saved: 'Saved',
+      discarded: 'Discarded',
+      error: 'Error',
+    }
+    return labels[status] || status
+  }
+
+  /**
+   * Download the printable service history PDF (records, odometer history and the current plan)
+   */
+  async generateReport() {
+    this.isGeneratingReport = true
+    this.reportError = ''
+
+    try {
+      const jwt = await jwtManager.getVehicleJwt(this.tokenId)
+      const blob = await dimoApiService.getServiceHistoryPdf(this.tokenId, {
+        vehicle: { make: this.vehicle?.make, model: this.vehicle?.model, year: this.vehicle?.year },
+        upcomingServices: this.upcomingServices,
+      }, jwt)
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `service-history-${this.tokenId}.pdf`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Failed to generate service history:', error)
+      this.reportError = error.message
+    } finally {
+      this.isGeneratingReport = false
+    }
   }
 
   // Upload Modal Methods
-  openUploadModal() {
+  async openUploadModal() {
     this.showUploadModal = true
     this.uploadFiles = []
     this.uploadProgress = []
     this.isUploading = false
+    await this.loadPendingDrafts()
+    await this.loadActiveDocumentJobs()
+  }
+
+  /**
+   * Show drafts left unreviewed from an earlier upload
+   */
+  async loadPendingDrafts() {
+    try {
+      const jwt = await jwtManager.getVehicleJwt(this.tokenId)
+      const { drafts } = await dimoApiService.getMaintenanceDrafts(this.tokenId, jwt)
+      const pending = (drafts || []).map(draft => ({
+        filename: `Earlier upload (${new Date(draft.createdAt).toLocaleString()})`,
+        status: 'review',
+        percent: 100,
+        draftId: draft.id,
+        draft: this.draftFormValues(draft.fields),
+        duplicates: draft.duplicates || [],
+        error: '',
+      }))
+      this.uploadProgress = [...pending, ...this.uploadProgress]
+    } catch (error) {
+      console.error('Failed to load pending drafts:', error)
+    }
+  }
+
+  /**
+   * Show documents from an earlier upload that are still being processed
+   */
+  async loadActiveDocumentJobs() {
+    try {
+      const jwt = await jwtManager.getVehicleJwt(this.tokenId)
+      const { jobs } = await dimoApiService.getDocumentJobs(this.tokenId, jwt)
+      const active = (jobs || [])
+        .filter(job => job.status === 'queued' || job.status === 'processing')
+        .flatMap(job => this.documentJobProgress(job).map(update => ({ filename: job.documentName, jobId: job.id, ...update })))
+      this.uploadProgress = [...this.uploadProgress, ...active]
+      this.pollDocumentJobs()
+    } catch (error) {
+      console.error('Failed to load document jobs:', error)
+    }
   }
 
-  closeUploadModal() {
+  async closeUploadModal() {
+    const pending = this.uploadProgress.filter(p => p.status === 'review')
+    if (pending.length > 0) {
+      if (!confirm(`${pending.length} extracted record(s) have not been saved. Discard them?`)) return
+      const jwt = await jwtManager.getVehicleJwt(this.tokenId)
+      await Promise.all(pending.map(p =>
+        dimoApiService.discardMaintenanceDraft(this.tokenId, p.draftId, jwt)
+          .catch(error => console.error('Failed to discard draft:', error))
+      ))
+    }
+
+    // Queued documents keep processing on the server and show up again when the modal is reopened
+    this.stopDocumentJobPolling()
     this.showUploadModal = false
     this.uploadFiles = []
     this.uploadProgress = []
@@ -488,48 +967,117 @@ export class VehicleDetailsPage extends LitElement {
     if (this.uploadFiles.length === 0) return
 
     this.isUploading = true
-    this.uploadProgress = []
-
-    for (let i = 0; i < this.uploadFiles.length; i++) {
-      const file = this.uploadFiles[i]
-      const progressItem = {
-        filename: file.name,
-        status: 'uploading',
-        percent: 0,
-        response: null
-      }
-      this.uploadProgress = [...this.uploadProgress, progressItem]
+    const files = this.uploadFiles
+    const items = files.map(file => ({
+      filename: file.name,
+      status: 'uploading',
+      percent: 0,
+      stage: '',
+      jobId: null,
+      visit: '',
+      draftId: null,
+      draft: null,
+      error: ''
+    }))
+    // Keep drafts still waiting for review and documents still being processed
+    const kept = this.uploadProgress.filter(p => ['review', 'queued', 'processing'].includes(p.status))
+    this.uploadProgress = [...kept, ...items]
 
-      try {
-        // Update progress to show uploading
-        this.updateProgress(i, { status: 'uploading', percent: 50 })
+    try {
+      // The server answers as soon as the files are stored; extraction runs in the background
+      const jwt = await jwtManager.getVehicleJwt(this.tokenId)
+      const { jobs } = await dimoApiService.queueMaintenanceDocuments(this.tokenId, files, jwt)
+      this.uploadProgress = this.uploadProgress.flatMap(item => {
+        const index = items.indexOf(item)
+        return index >= 0
+          ? this.documentJobProgress(jobs[index]).map(update => ({ ...item, jobId: jobs[index].id, ...update }))
+          : [item]
+      })
+      this.uploadFiles = []
+      this.pollDocumentJobs()
+    } catch (error) {
+      console.error('Upload failed:', error)
+      this.uploadProgress = this.uploadProgress.map(item =>
+        items.includes(item) ? { ...item, status: 'error', percent: 100, error: error.message } : item
+      )
+    } finally {
+      this.isUploading = false
+    }
+  }
 
-        // Get session JWT
-        const { jwt } = jwtManager.getAuthStatus()
-        const result = await dimoApiService.extractMaintenanceInfo(file, this.tokenId, jwt)
-        
-        // Update progress to show completed
-        this.updateProgress(i, { 
-          status: 'completed',
+  /**
+   * Map a document job from the API to upload progress fields
+   * A finished document with several service visits becomes one progress item per visit
+   * @returns {Array<Object>} Progress updates
+   */
+  documentJobProgress(job) {
+    switch (job.status) {
+      case 'succeeded': {
+        // Drafts that are gone were already reviewed elsewhere
+        if (job.drafts.length === 0) return [{ status: 'saved', percent: 100, stage: '', error: '' }]
+        const visits = job.draftIds.length
+        return job.drafts.map(draft => ({
+          status: 'review',
           percent: 100,
-          response: result
-        })
+          stage: '',
+          visit: visits > 1 ? `visit ${(draft.documentVisit ?? 0) + 1} of ${visits}` : '',
+          draftId: draft.id,
+          draft: this.draftFormValues(draft.fields),
+          duplicates: draft.duplicates || [],
+          extractedLocally: job.source === 'local',
+          error: '',
+        }))
+      }
+      case 'failed': {
+        const details = Array.isArray(job.details) ? ` (${job.details.slice(0, 3).join('; ')})` : ''
+        return [{ status: 'error', percent: 100, stage: '', error: `${job.error || 'Extraction failed'}${details}` }]
+      }
+      default: {
+        // Queued jobs with attempts behind them are waiting to retry
+        const stage = job.nextAttemptAt
+          ? `Attempt ${job.attempts} of ${job.maxAttempts} failed (${job.error}); retrying at ${new Date(job.nextAttemptAt).toLocaleTimeString()}`
+          : job.stage === 'queued' ? 'Waiting for a worker' : job.stage
+        return [{ status: job.status, percent: job.progress, stage, error: '' }]
+      }
+    }
+  }
 
-        console.log(`Upload completed for ${file.name}:`, result)
+  /**
+   * Poll unfinished document jobs until they are all done
+   */
+  pollDocumentJobs() {
+    if (this.documentJobTimer) return
+    const poll = async () => {
+      const ids = this.uploadProgress
+        .filter(p => p.jobId && (p.status === 'queued' || p.status === 'processing'))
+        .map(p => p.jobId)
+      if (ids.length === 0) {
+        this.documentJobTimer = null
+        return
+      }
 
+      try {
+        const jwt = await jwtManager.getVehicleJwt(this.tokenId)
+        const { jobs } = await dimoApiService.getDocumentJobs(this.tokenId, jwt, ids)
+        // The modal may have been closed while the request was in flight
+        if (!this.documentJobTimer) return
+        const byId = new Map(jobs.map(job => [job.id, job]))
+        this.uploadProgress = this.uploadProgress.flatMap(item =>
+          byId.has(item.jobId) && (item.status === 'queued' || item.status === 'processing')
+            ? this.documentJobProgress(byId.get(item.jobId)).map(update => ({ ...item, ...update }))
+            : [item]
+        )
       } catch (error) {
-        console.error(`Upload failed for ${file.name}:`, error)
-        this.updateProgress(i, { 
-          status: 'error',
-          percent: 100,
-          response: { error: error.message }
-        })
+        console.error('Failed to poll document jobs:', error)
       }
+      if (this.documentJobTimer) this.documentJobTimer = setTimeout(poll, 1500)
     }
+    this.documentJobTimer = setTimeout(poll, 1000)
+  }
 
-    this.isUploading = false
-    // Reset selected files after upload completes
-    this.uploadFiles = []
+  stopDocumentJobPolling() {
+    clearTimeout(this.documentJobTimer)
+    this.documentJobTimer = null
   }
 
   updateProgress(index, updates) {
@@ -538,9 +1086,90 @@ export class VehicleDetailsPage extends LitElement {
     )
   }
 
+  /**
+   * Convert draft fields from the API into form values (strings)
+   */
+  draftFormValues(fields) {
+    const f = fields || {}
+    const str = (v) => v == null ? '' : String(v)
+    return {
+      serviceDate: str(f.serviceDate),
+      summary: str(f.summary),
+      shopName: str(f.shopName),
+      description: str(f.description),
+      parts: Array.isArray(f.parts) ? f.parts.join('\n') : '',
+      laborCost: str(f.laborCost),
+      partsCost: str(f.partsCost),
+      totalCost: str(f.totalCost),
+      mileage: str(f.mileage),
+      nextService: str(f.nextService),
+      lineItems: Array.isArray(f.lineItems) ? f.lineItems : [],
+    }
+  }
+
+  updateDraftField(index, field, value) {
+    const item = this.uploadProgress[index]
+    this.updateProgress(index, { draft: { ...item.draft, [field]: value } })
+  }
+
+  confirmDraft(event, index) {
+    event.preventDefault()
+    this.saveDraft(index)
+  }
+
+  /**
+   * Save a reviewed draft as a record
+   * @param {number} index - Upload progress item
+   * @param {Object} [resolution] - `{ duplicateAction, replaceRecordId }` once the user chose what to do with a duplicate
+   */
+  async saveDraft(index, resolution = {}) {
+    const item = this.uploadProgress[index]
+    const draft = item.draft
+    const money = (v) => v === '' ? null : Number(v)
+
+    this.updateProgress(index, { isSaving: true, error: '' })
+    try {
+      const jwt = await jwtManager.getVehicleJwt(this.tokenId)
+      const result = await dimoApiService.confirmMaintenanceDraft(this.tokenId, item.draftId, {
+        ...this.recordPayload(draft),
+        shopName: draft.shopName.trim() || null,
+        parts: draft.parts.split('\n').map(part => part.trim()).filter(Boolean),
+        laborCost: money(draft.laborCost),
+        partsCost: money(draft.partsCost),
+        nextService: draft.nextService.trim() || null,
+        lineItems: draft.lineItems,
+        ...resolution,
+      }, jwt)
+      if (result.duplicates) {
+        // The reviewed values match an existing record; let the user decide
+        this.updateProgress(index, { isSaving: false, duplicates: result.duplicates })
+        return
+      }
+      const records = this.maintenanceRecords.filter(r => r.id !== result.replacedRecordId)
+      this.setMaintenanceRecords([...records, result.record])
+      this.updateProgress(index, { status: 'saved', isSaving: false, duplicates: [] })
+    } catch (error) {
+      console.error('Failed to save reviewed record:', error)
+      this.updateProgress(index, { isSaving: false, error: error.message })
+    }
+  }
+
+  async discardDraft(index) {
+    const item = this.uploadProgress[index]
+    this.updateProgress(index, { isSaving: true, error: '' })
+    try {
+      const jwt = await jwtManager.getVehicleJwt(this.tokenId)
+      await dimoApiService.discardMaintenanceDraft(this.tokenId, item.draftId, jwt)
+      this.updateProgress(index, { status: 'discarded', isSaving: false })
+    } catch (error) {
+      console.error('Failed to discard draft:', error)
+      this.updateProgress(index, { isSaving: false, error: error.message })
+    }
+  }
+
   async loadMaintenanceHistory() {
     try {
-        const { jwt } = jwtManager.getAuthStatus()
+        const jwt = await jwtManager.getVehicleJwt(this.tokenId)
       
       const data = await dimoApiService.getMaintenanceRecords(this.tokenId, jwt)
       console.log('Maintenance history from DB:', data)
@@ -550,29 +1179,321 @@ export class VehicleDetailsPage extends LitElement {
     }
   }
 
+  async loadNextService() {
+    if (!this.tokenId || !this.vehicle) return
+    try {
+      const jwt = await jwtManager.getVehicleJwt(this.tokenId)
+      const data = await dimoApiService.getNextService(this.tokenId, jwt, {
+        currentMileage: this.vehicle?.odometerReading,
+        make: this.vehicle?.make,
+        model: this.vehicle?.model,
+        year: this.vehicle?.year,
+      })
+      this.nextService = data.nextService
+    } catch (error) {
+      console.error('Failed to load next service:', error)
+      this.nextService = null
+    }
+  }
+
+  renderNextService() {
+    const next = this.nextService
+    if (!next) return html`<span class="value">N/A</span>`
+
+    const miles = Math.abs(next.milesRemaining).toLocaleString()
+    const days = Math.abs(next.daysRemaining)
+    const remaining = next.overdue
+      ? (next.milesRemaining <= 0 ? `${miles} miles overdue` : `${days} days overdue`)
+      : `${miles} miles / ${days} days left`
+
+    return html`
+      <span class="value next-service next-service-${next.urgency}">
+        <strong>${next.service}</strong>
+        <span>at ${next.dueMileage.toLocaleString()} miles · ${this.formatServiceDate(next.dueDate)}</span>
+        <span class="next-service-remaining">${remaining}</span>
+      </span>
+    `
+  }
+
+  /**
+   * Load the latest stored upcoming-services plan
+   */
   async loadUpcomingServices() {
     try {
-      const { jwt } = jwtManager.getAuthStatus()
-      const currentMiles = this.vehicle?.odometerReading || 0
+      const jwt = await jwtManager.getVehicleJwt(this.tokenId)
+      this.applyServicePlan(await dimoApiService.getLatestServicePlan(this.tokenId, jwt))
+    } catch (error) {
+      console.error('Failed to load upcoming services:', error)
+      this.upcomingError = error.message
+    }
+  }
+
+  /**
+   * Generate a new plan version from service intervals; `enrich` adds AI notes when the backend has AI configured
+   */
+  async regenerateUpcomingServices({ enrich = false } = {}) {
+    try {
+      const jwt = await jwtManager.getVehicleJwt(this.tokenId)
       this.isCalculatingUpcoming = true
-      const data = await dimoApiService.getUpcomingServices(
+      this.upcomingError = ''
+      const data = await dimoApiService.generateServicePlan(this.tokenId, jwt, {
+        // Without telemetry the backend falls back to the highest recorded mileage
+        currentMileage: this.vehicle?.odometerReading || null,
+        make: this.vehicle?.make,
+        model: this.vehicle?.model,
+        year: this.vehicle?.year,
+        enrich,
+      })
+      this.applyServicePlan(data.plan)
+      this.planComparison = data.comparison
+      this.showPlanComparison = Boolean(data.comparison)
+      if (data.enrichmentError) {
+        this.upcomingError = `AI notes unavailable: ${data.enrichmentError}`
+      }
+    } catch (error) {
+      console.error('Failed to generate upcoming services:', error)
+      this.upcomingError = error.message
+    } finally {
+      this.isCalculatingUpcoming = false
+    }
+  }
+
+  applyServicePlan(plan) {
+    this.upcomingPlan = plan
+    this.upcomingServices = Array.isArray(plan?.plan) ? plan.plan : []
+    this.planComparison = null
+    this.showPlanComparison = false
+  }
+
+  async togglePlanComparison() {
+    if (this.showPlanComparison) {
+      this.showPlanComparison = false
+      return
+    }
+    try {
+      if (this.planComparison?.toVersion !== this.upcomingPlan.version) {
+        const jwt = await jwtManager.getVehicleJwt(this.tokenId)
+        this.planComparison = await dimoApiService.compareServicePlans(this.tokenId, jwt, this.upcomingPlan.version)
+      }
+      this.showPlanComparison = true
+    } catch (error) {
+      console.error('Failed to compare service plans:', error)
+      this.upcomingError = error.message
+    }
+  }
+
+  renderPlanComparison() {
+    const { fromVersion, toVersion, totalCost, services } = this.planComparison
+    const dueText = (entry) => {
+      if (!entry) return '—'
+      return entry.overdue ? 'Due now' : `${entry.mileage.toLocaleString()} miles`
+    }
+    const statusLabels = { added: 'New', removed: 'Removed', changed: 'Changed', unchanged: 'Same' }
+    const costChange = totalCost.change === 0
+      ? 'unchanged'
+      : `${totalCost.change > 0 ? '+' : '−'}${this.formatCurrency(Math.abs(totalCost.change))}`
+
+    return html`
+      <div class="plan-comparison">
+        <div class="plan-comparison-summary">
+          Version ${fromVersion} → ${toVersion} · estimated total
+          ${this.formatCurrency(totalCost.from)} → ${this.formatCurrency(totalCost.to)} (${costChange})
+        </div>
+        <div class="maintenance-table-container">
+          <table class="maintenance-table">
+            <thead>
+              <tr>
+                <th>Service</th>
+                <th>Previously due</th>
+                <th>Now due</th>
+                <th>Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${services.map(service => html`
+                <tr>
+                  <td>${service.name}</td>
+                  <td>${dueText(service.from)}</td>
+                  <td>${dueText(service.to)}</td>
+                  <td><span class="plan-change plan-change-${service.status}">${statusLabels[service.status]}</span></td>
+                </tr>
+              `)}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    `
+  }
+
+  // Maintenance Record Methods
+  emptyRecord() {
+    return { serviceDate: '', summary: '', description: '', mileage: '', totalCost: '' }
+  }
+
+  /**
+   * Convert form values (strings) into an API payload
+   */
+  recordPayload(form) {
+    return {
+      serviceDate: form.serviceDate || null,
+      summary: form.summary.trim() || null,
+      description: form.description.trim() || null,
+      mileage: form.mileage === '' ? null : Number(form.mileage),
+      totalCost: form.totalCost === '' ? null : Number(form.totalCost),
+    }
+  }
+
+  toggleRecordBreakdown(id) {
+    this.expandedRecordIds = this.expandedRecordIds.includes(id)
+      ? this.expandedRecordIds.filter(x => x !== id)
+      : [...this.expandedRecordIds, id]
+  }
+
+  toggleAddRecordForm() {
+    this.showAddRecordForm = !this.showAddRecordForm
+    this.newRecord = this.emptyRecord()
+    this.recordError = ''
+  }
+
+  updateNewRecord(field, value) {
+    this.newRecord = { ...this.newRecord, [field]: value }
+  }
+
+  async submitNewRecord(event) {
+    event.preventDefault()
+    this.isSavingRecord = true
+    this.recordError = ''
+
+    try {
+      const jwt = await jwtManager.getVehicleJwt(this.tokenId)
+      const { record } = await dimoApiService.createMaintenanceRecord(this.tokenId, this.recordPayload(this.newRecord), jwt)
+      this.setMaintenanceRecords([...this.maintenanceRecords, record])
+      this.showAddRecordForm = false
+      this.newRecord = this.emptyRecord()
+    } catch (error) {
+      console.error('Failed to add maintenance record:', error)
+      this.recordError = error.message
+    } finally {
+      this.isSavingRecord = false
+    }
+  }
+
+  startEditRecord(record) {
+    this.editingRecordId = record.id
+    this.recordError = ''
+    this.editDraft = {
+      serviceDate: record.serviceDate ? String(record.serviceDate).slice(0, 10) : '',
+      summary: record.summary || '',
+      description: record.description || '',
+      mileage: record.mileage != null ? String(record.mileage) : '',
+      totalCost: record.totalCost != null ? String(record.totalCost) : '',
+    }
+  }
+
+  updateEditDraft(field, value) {
+    this.editDraft = { ...this.editDraft, [field]: value }
+  }
+
+  cancelEditRecord() {
+    this.editingRecordId = null
+    this.editDraft = null
+    this.recordError = ''
+  }
+
+  async saveEditRecord() {
+    if (this.editingRecordId == null) return
+
+    this.isSavingRecord = true
+    this.recordError = ''
+
+    try {
+      const jwt = await jwtManager.getVehicleJwt(this.tokenId)
+      const { record } = await dimoApiService.updateMaintenanceRecord(
         this.tokenId,
-        jwt,
-        currentMiles,
-        this.vehicle?.make,
-        this.vehicle?.model,
-        this.vehicle?.year
+        this.editingRecordId,
+        this.recordPayload(this.editDraft),
+        jwt
       )
-      const plan = Array.isArray(data?.plan) ? data.plan : []
-      this.upcomingServices = plan
+      this.setMaintenanceRecords(this.maintenanceRecords.map(r => r.id === record.id ? record : r))
+      this.editingRecordId = null
+      this.editDraft = null
     } catch (error) {
-      console.error('Failed to load upcoming services:', error)
-      this.upcomingServices = []
+      console.error('Failed to update maintenance record:', error)
+      this.recordError = error.message
     } finally {
-      this.isCalculatingUpcoming = false
+      this.isSavingRecord = false
+    }
+  }
+
+  async deleteRecord(record) {
+    const label = record.summary || record.description || 'this record'
+    if (!confirm(`Delete "${label}" from the maintenance history?`)) return
+
+    this.isSavingRecord = true
+    this.recordError = ''
+
+    try {
+      const jwt = await jwtManager.getVehicleJwt(this.tokenId)
+      await dimoApiService.deleteMaintenanceRecord(this.tokenId, record.id, jwt)
+      this.setMaintenanceRecords(this.maintenanceRecords.filter(r => r.id !== record.id))
+    } catch (error) {
+      console.error('Failed to delete maintenance record:', error)
+      this.recordError = error.message
+    } finally {
+      this.isSavingRecord = false
+    }
+  }
+
+  /**
+   * Open the stored invoice of a record in a new tab
+   * The download needs the vehicle JWT header, so it is fetched as a blob first
+   */
+  async viewReceipt(event, record) {
+    event.preventDefault()
+    // Open the tab synchronously so popup blockers allow it
+    const receiptWindow = window.open('', '_blank')
+    try {
+      const jwt = await jwtManager.getVehicleJwt(this.tokenId)
+      const blob = await dimoApiService.getMaintenanceDocument(this.tokenId, record.id, jwt)
+      const url = URL.createObjectURL(blob)
+      if (receiptWindow) {
+        receiptWindow.location.href = url
+      } else {
+        window.open(url, '_blank')
+      }
+      // Give the new tab time to load before releasing the blob
+      setTimeout(() => URL.revokeObjectURL(url), 60000)
+    } catch (error) {
+      receiptWindow?.close()
+      console.error('Failed to open receipt:', error)
+      this.recordError = error.message
     }
   }
 
+  /**
+   * Replace maintenance records keeping the backend ordering (by service date)
+   */
+  setMaintenanceRecords(records) {
+    this.maintenanceRecords = [...records].sort((a, b) => {
+      if (!a.serviceDate) return b.serviceDate ? 1 : 0
+      if (!b.serviceDate) return -1
+      return String(a.serviceDate).localeCompare(String(b.serviceDate))
+    })
+  }
+
+  /**
+   * Format a YYYY-MM-DD service date in the local timezone
+   */
+  formatServiceDate(value) {
+    if (!value) return '—'
+    const [year, month, day] = String(value).slice(0, 10).split('-').map(Number)
+    return new Date(year, month - 1, day).toLocaleDateString()
+  }
+
+  formatCurrency(value) {
+    return `$${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+  }
+
   get maintenanceTotalCost() {
     const records = Array.isArray(this.maintenanceRecords) ? this.maintenanceRecords : []
     return records.reduce((sum, record) => {
@@ -666,6 +1587,112 @@ export class VehicleDetailsPage extends LitElement {
         font-weight: 600;
       }
 
+      .detail-item .value.next-service {
+        display: flex;
+        flex-direction: column;
+        align-items: flex-end;
+        text-align: right;
+        font-size: 0.9rem;
+      }
+
+      .next-service-remaining {
+        font-weight: 600;
+      }
+
+      .next-service-ok .next-service-remaining {
+        color: #28a745;
+      }
+
+      .next-service-soon .next-service-remaining {
+        color: #fd7e14;
+      }
+
+      .next-service-overdue .next-service-remaining {
+        color: #dc3545;
+      }
+
+      .upcoming-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        flex-wrap: wrap;
+        gap: 0.75rem;
+      }
+
+      .upcoming-actions {
+        display: flex;
+        align-items: center;
+        flex-wrap: wrap;
+        gap: 0.75rem;
+      }
+
+      .upcoming-source {
+        color: #6c757d;
+        font-size: 0.85rem;
+      }
+
+      .plan-comparison {
+        margin-bottom: 1rem;
+      }
+
+      .plan-comparison-summary {
+        color: #495057;
+        font-size: 0.9rem;
+        margin-bottom: 0.5rem;
+      }
+
+      .plan-change {
+        display: inline-block;
+        padding: 0.15rem 0.5rem;
+        border-radius: 10px;
+        font-size: 0.8rem;
+        background: #e9ecef;
+        color: #495057;
+      }
+
+      .plan-change-added {
+        background: #d4edda;
+        color: #155724;
+      }
+
+      .plan-change-removed {
+        background: #f8d7da;
+        color: #721c24;
+      }
+
+      .plan-change-changed {
+        background: #fff3cd;
+        color: #856404;
+      }
+
+      .upcoming-error {
+        color: #dc3545;
+        font-size: 0.9rem;
+        margin-bottom: 0.75rem;
+      }
+
+      .upcoming-overdue td:first-child {
+        color: #dc3545;
+        font-weight: 600;
+      }
+
+      .upcoming-notes {
+        color: #6c757d;
+        font-size: 0.85rem;
+        margin-top: 0.25rem;
+      }
+
+      .header-report {
+        display: flex;
+        align-items: center;
+        gap: 0.75rem;
+      }
+
+      .header-report .report-error {
+        color: #dc3545;
+        font-size: 0.85rem;
+      }
+
       .token-id-badge {
         display: flex;
         align-items: center;
@@ -753,6 +1780,49 @@ export class VehicleDetailsPage extends LitElement {
       .odometer-table-container {
         margin-top: 1rem;
         overflow-x: auto;
+        max-height: 420px;
+        overflow-y: auto;
+      }
+
+      .odometer-table thead th {
+        position: sticky;
+        top: 0;
+      }
+
+      .odometer-controls {
+        display: flex;
+        gap: 0.75rem;
+        flex-wrap: wrap;
+      }
+
+      .segmented {
+        display: inline-flex;
+        border: 1px solid #ced4da;
+        border-radius: 6px;
+        overflow: hidden;
+      }
+
+      .segmented button {
+        background: white;
+        color: #495057;
+        border: none;
+        border-right: 1px solid #ced4da;
+        padding: 0.35rem 0.75rem;
+        font-size: 0.8rem;
+        cursor: pointer;
+      }
+
+      .segmented button:last-child {
+        border-right: none;
+      }
+
+      .segmented button.active {
+        background: #667eea;
+        color: white;
+      }
+
+      .segmented button:disabled {
+        cursor: wait;
       }
 
       .odometer-table {
@@ -822,12 +1892,191 @@ export class VehicleDetailsPage extends LitElement {
         background-color: #f8f9fa;
       }
 
-      .maintenance-table td:last-child {
+      .maintenance-table td.amount {
         font-weight: 500;
         color: #28a745;
         text-align: right;
       }
 
+      .maintenance-table th.amount {
+        text-align: right;
+      }
+
+      .maintenance-table td.description {
+        max-width: 280px;
+        white-space: pre-wrap;
+        color: #6c757d;
+      }
+
+      .maintenance-table td.row-actions {
+        white-space: nowrap;
+        text-align: right;
+      }
+
+      .maintenance-table .editing-row input,
+      .maintenance-table .editing-row textarea {
+        width: 100%;
+        box-sizing: border-box;
+        padding: 0.35rem 0.5rem;
+        border: 1px solid #ced4da;
+        border-radius: 4px;
+        font: inherit;
+      }
+
+      .expand-btn {
+        background: none;
+        border: none;
+        cursor: pointer;
+        color: #667eea;
+        padding: 0 0.25rem 0 0;
+        font-size: 0.8rem;
+      }
+
+      .maintenance-table .breakdown-row:hover {
+        background: none;
+      }
+
+      .maintenance-table .breakdown-row > td {
+        background: #f8f9fa;
+        padding: 0.75rem 1rem 1rem 2rem;
+      }
+
+      .line-items-table {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 0.85rem;
+      }
+
+      .line-items-table th,
+      .line-items-table td {
+        padding: 0.4rem 0.5rem;
+        border-bottom: 1px solid #e9ecef;
+        text-align: left;
+        color: #495057;
+      }
+
+      .line-items-table .amount {
+        text-align: right;
+      }
+
+      .item-type {
+        display: inline-block;
+        font-size: 0.7rem;
+        font-weight: 600;
+        text-transform: uppercase;
+        padding: 0.1rem 0.4rem;
+        border-radius: 3px;
+        background: #e3f2fd;
+        color: #1976d2;
+      }
+
+      .item-type.labor {
+        background: #fff3e0;
+        color: #e65100;
+      }
+
+      .breakdown-empty {
+        margin: 0;
+        color: #6c757d;
+        font-style: italic;
+      }
+
+      .breakdown-summary {
+        display: flex;
+        gap: 1.5rem;
+        flex-wrap: wrap;
+        margin-top: 0.5rem;
+        font-size: 0.85rem;
+        color: #495057;
+      }
+
+      .receipt-link {
+        color: #667eea;
+        font-size: 0.8rem;
+        margin-right: 0.25rem;
+      }
+
+      .row-btn {
+        background: #e9ecef;
+        color: #495057;
+        border: none;
+        padding: 0.3rem 0.6rem;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.8rem;
+        margin-left: 0.25rem;
+      }
+
+      .row-btn:hover:not(:disabled) {
+        background: #dee2e6;
+      }
+
+      .row-btn.primary {
+        background: #667eea;
+        color: white;
+      }
+
+      .row-btn.danger {
+        background: #f8d7da;
+        color: #721c24;
+      }
+
+      .row-btn:disabled {
+        opacity: 0.6;
+        cursor: not-allowed;
+      }
+
+      .section-actions {
+        display: flex;
+        gap: 0.5rem;
+        align-items: center;
+      }
+
+      .record-error {
+        background: #f8d7da;
+        color: #721c24;
+        padding: 0.75rem 1rem;
+        border-radius: 6px;
+        margin-bottom: 1rem;
+      }
+
+      .record-form {
+        display: grid;
+        grid-template-columns: repeat(4, 1fr);
+        gap: 1rem;
+        padding: 1rem;
+        margin-bottom: 1rem;
+        background: #f8f9fa;
+        border-radius: 8px;
+      }
+
+      .record-form label {
+        display: flex;
+        flex-direction: column;
+        gap: 0.25rem;
+        font-size: 0.85rem;
+        font-weight: 500;
+        color: #495057;
+      }
+
+      .record-form label.full-width {
+        grid-column: 1 / -1;
+      }
+
+      .record-form input,
+      .record-form textarea {
+        padding: 0.5rem;
+        border: 1px solid #ced4da;
+        border-radius: 4px;
+        font: inherit;
+      }
+
+      .record-form-actions {
+        grid-column: 1 / -1;
+        display: flex;
+        justify-content: flex-end;
+      }
+
       .actions-section {
         background: white;
         border-radius: 12px;
@@ -1198,12 +2447,134 @@ export class VehicleDetailsPage extends LitElement {
         overflow-y: auto;
       }
 
-      .progress-response pre {
-        margin: 0;
+      .progress-response.error {
+        background: #ffebee;
+        border-color: #f5c6cb;
+        color: #c62828;
+        font-size: 0.85rem;
+      }
+
+      .progress-status.queued,
+      .progress-status.processing {
+        background: #e3f2fd;
+        color: #1976d2;
+      }
+
+      .progress-stage {
         font-size: 0.8rem;
+        color: #6c757d;
+        margin-bottom: 0.5rem;
+      }
+
+      .progress-status.review {
+        background: #fff8e1;
+        color: #b26a00;
+      }
+
+      .progress-status.saved {
+        background: #e8f5e8;
+        color: #2e7d32;
+      }
+
+      .progress-status.discarded {
+        background: #e9ecef;
+        color: #6c757d;
+      }
+
+      .draft-form {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 0.75rem;
+        margin-top: 0.75rem;
+      }
+
+      .draft-hint {
+        grid-column: 1 / -1;
+        margin: 0;
+        font-size: 0.85rem;
+        color: #6c757d;
+      }
+
+      .draft-form label {
+        display: flex;
+        flex-direction: column;
+        gap: 0.25rem;
+        font-size: 0.85rem;
+        font-weight: 500;
+        color: #495057;
+      }
+
+      .draft-form label.full-width {
+        grid-column: 1 / -1;
+      }
+
+      .draft-form input,
+      .draft-form textarea {
+        padding: 0.45rem;
+        border: 1px solid #ced4da;
+        border-radius: 4px;
+        font: inherit;
+      }
+
+      .draft-form .full-width {
+        grid-column: 1 / -1;
+      }
+
+      .draft-label {
+        font-size: 0.85rem;
+        font-weight: 500;
         color: #495057;
-        white-space: pre-wrap;
-        word-break: break-word;
+      }
+
+      .draft-line-items {
+        margin: 0.25rem 0 0;
+        padding-left: 1.25rem;
+        font-size: 0.85rem;
+        color: #495057;
+      }
+
+      .draft-actions {
+        grid-column: 1 / -1;
+        display: flex;
+        justify-content: flex-end;
+        gap: 0.5rem;
+      }
+
+      .duplicate-warning {
+        padding: 0.75rem;
+        background: #fff8e1;
+        border: 1px solid #ffe082;
+        border-radius: 4px;
+        font-size: 0.85rem;
+        color: #5d4037;
+      }
+
+      .duplicate-warning p {
+        margin: 0 0 0.5rem;
+      }
+
+      .duplicate-warning ul {
+        margin: 0 0 0.75rem;
+        padding-left: 1.25rem;
+      }
+
+      .duplicate-warning .match {
+        display: inline-block;
+        padding: 0 0.35rem;
+        margin-right: 0.25rem;
+        border-radius: 3px;
+        font-size: 0.75rem;
+        font-weight: 600;
+        background: #ffe0b2;
+      }
+
+      .duplicate-warning .match.exact {
+        background: #ffcdd2;
+        color: #b71c1c;
+      }
+
+      .duplicate-warning .reasons {
+        color: #8d6e63;
       }
 
       .modal-footer {
@@ -1288,6 +2659,16 @@ export class VehicleDetailsPage extends LitElement {
           justify-content: center;
         }
 
+        .section-actions {
+          flex-direction: column;
+          align-items: stretch;
+          width: 100%;
+        }
+
+        .record-form {
+          grid-template-columns: 1fr 1fr;
+        }
+
         .modal-content {
           margin: 0.5rem;
           max-height: 90vh;
@@ -0,0 +1,420 @@
+import { LitElement, css, html, svg } from 'lit'
+
+const HEIGHT = 300
+const MARGIN = { top: 20, right: 72, bottom: 36, left: 72 }
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Round tick values for an axis
+ */
+function niceTicks(min, max, count = 5) {
+  if (!(max > min)) return [min]
+  const rawStep = (max - min) / count
+  const magnitude = 10 ** Math.floor(Math.log10(rawStep))
+  const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rawStep)
+  const ticks = []
+  for (let v = Math.ceil(min / step) * step; v <= max + step * 1e-9; v += step) {
+    ticks.push(Math.round(v * 1e6) / 1e6)
+  }
+  return ticks
+}
+
+function formatNumber(value) {
+  return value.toLocaleString(undefined, { maximumFractionDigits: 0 })
+}
+
+function formatCompact(value) {
+  return value.toLocaleString(undefined, { notation: 'compact', maximumFractionDigits: 1 })
+}
+
+function formatMoney(value) {
+  return `$${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+}
+
+function formatDate(t) {
+  return new Date(t).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })
+}
+
+/**
+ * Odometer / miles-per-period chart with cumulative maintenance cost and service markers
+ * Drawn as inline SVG so it needs no charting library
+ */
+export class VehicleHistoryChart extends LitElement {
+  static get properties() {
+    return {
+      odometerHistory: { type: Array },
+      records: { type: Array },
+      mode: { type: String },
+      hover: { state: true },
+      width: { state: true },
+    }
+  }
+
+  constructor() {
+    super()
+    this.odometerHistory = []
+    this.records = []
+    this.mode = 'odometer'
+    this.hover = null
+    this.width = 800
+  }
+
+  connectedCallback() {
+    super.connectedCallback()
+    this.resizeObserver = new ResizeObserver(entries => {
+      const width = Math.floor(entries[0].contentRect.width)
+      if (width > 0 && width !== this.width) this.width = width
+    })
+    this.resizeObserver.observe(this)
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback()
+    this.resizeObserver?.disconnect()
+  }
+
+  /**
+   * Odometer points, service events with running cost, and the shared time domain
+   */
+  get chartData() {
+    const points = (this.odometerHistory || [])
+      .map(r => ({ t: new Date(r.timestamp).getTime(), miles: r.miles }))
+      .filter(p => Number.isFinite(p.t) && typeof p.miles === 'number')
+      .sort((a, b) => a.t - b.t)
+      .map((p, i, all) => ({ ...p, distance: i > 0 ? Math.max(0, p.miles - all[i - 1].miles) : null }))
+
+    const allServices = (this.records || [])
+      .filter(r => r.serviceDate)
+      .map(r => ({ record: r, t: new Date(`${r.serviceDate}T00:00:00Z`).getTime(), cost: r.totalCost || 0 }))
+      .filter(s => Number.isFinite(s.t))
+      .sort((a, b) => a.t - b.t)
+
+    // The odometer window sets the timeline; earlier services still count towards the running cost
+    let xMin = points.length > 0 ? points[0].t : Math.min(...allServices.map(s => s.t))
+    let xMax = points.length > 0 ? points[points.length - 1].t : Math.max(...allServices.map(s => s.t))
+    const baseCost = allServices.filter(s => s.t < xMin).reduce((sum, s) => sum + s.cost, 0)
+
+    let cumulative = baseCost
+    const services = allServices
+      .filter(s => s.t >= xMin && s.t <= xMax)
+      .map(s => {
+        cumulative += s.cost
+        return { ...s, cumulative }
+      })
+
+    if (xMin === xMax) {
+      xMin -= 15 * DAY_MS
+      xMax += 15 * DAY_MS
+    }
+    return { points, services, xMin, xMax, baseCost, totalCost: cumulative }
+  }
+
+  setMode(mode) {
+    this.mode = mode
+    this.hover = null
+  }
+
+  onPointerMove(event, data, x) {
+    if (data.points.length === 0) return
+    const rect = event.currentTarget.ownerSVGElement.getBoundingClientRect()
+    const px = event.clientX - rect.left
+    const nearest = data.points.reduce((best, p) => Math.abs(x(p.t) - px) < Math.abs(x(best.t) - px) ? p : best)
+    const costSoFar = data.services.filter(s => s.t <= nearest.t).reduce((sum, s) => sum + s.cost, data.baseCost)
+    this.hover = { type: 'point', point: nearest, costSoFar, x: x(nearest.t) }
+  }
+
+  renderTooltip() {
+    if (!this.hover) return ''
+    const left = Math.min(Math.max(this.hover.x, 90), this.width - 90)
+    if (this.hover.type === 'service') {
+      const { service } = this.hover
+      return html`
+        <div class="tooltip" style="left:${left}px">
+          <strong>${formatDate(service.t)}</strong>
+          <div>${service.record.summary || service.record.description || 'Service'}</div>
+          <div>Cost: ${formatMoney(service.cost)}</div>
+          <div>Total to date: ${formatMoney(service.cumulative)}</div>
+        </div>
+      `
+    }
+    const { point, costSoFar } = this.hover
+    return html`
+      <div class="tooltip" style="left:${left}px">
+        <strong>${formatDate(point.t)}</strong>
+        <div>Odometer: ${formatNumber(point.miles)} miles</div>
+        ${point.distance != null ? html`<div>Driven: +${formatNumber(point.distance)} miles</div>` : ''}
+        <div>Maintenance to date: ${formatMoney(costSoFar)}</div>
+      </div>
+    `
+  }
+
+  render() {
+    const data = this.chartData
+    if (data.points.length === 0 && data.services.length === 0) {
+      return html`<div class="empty">No odometer or maintenance data to chart</div>`
+    }
+
+    const plotWidth = Math.max(this.width - MARGIN.left - MARGIN.right, 100)
+    const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom
+    const x = (t) => MARGIN.left + ((t - data.xMin) / (data.xMax - data.xMin)) * plotWidth
+
+    // Left axis: odometer or miles per period
+    const showDistance = this.mode === 'distance'
+    const leftValues = showDistance
+      ? data.points.map(p => p.distance).filter(d => d != null)
+      : data.points.map(p => p.miles)
+    let leftMin = showDistance || leftValues.length === 0 ? 0 : Math.min(...leftValues)
+    let leftMax = Math.max(...leftValues, 0)
+    if (!(leftMax > leftMin)) {
+      leftMin = showDistance ? 0 : Math.max(0, leftMin - 100)
+      leftMax = leftMin + 100
+    }
+    const leftTicks = niceTicks(leftMin, leftMax)
+    leftMin = Math.min(leftMin, leftTicks[0])
+    leftMax = Math.max(leftMax, leftTicks[leftTicks.length - 1])
+    const yLeft = (v) => MARGIN.top + plotHeight - ((v - leftMin) / (leftMax - leftMin)) * plotHeight
+
+    // Right axis: cumulative maintenance cost
+    const rightTicks = niceTicks(0, data.totalCost > 0 ? data.totalCost : 100)
+    const rightMax = Math.max(rightTicks[rightTicks.length - 1], data.totalCost, 1)
+    const yRight = (v) => MARGIN.top + plotHeight - (v / rightMax) * plotHeight
+
+    const xTickCount = Math.max(2, Math.floor(plotWidth / 110))
+    const xTicks = Array.from({ length: xTickCount + 1 }, (_, i) => data.xMin + ((data.xMax - data.xMin) * i) / xTickCount)
+
+    const odometerPath = data.points.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(p.t)},${yLeft(p.miles)}`).join(' ')
+    const barWidth = Math.max(2, Math.min(40, (plotWidth / Math.max(data.points.length, 1)) * 0.7))
+
+    // Step line: cost stays flat between services
+    let costPath = `M${x(data.xMin)},${yRight(data.baseCost)}`
+    for (const s of data.services) {
+      costPath += ` L${x(s.t)},${yRight(s.cumulative - s.cost)} L${x(s.t)},${yRight(s.cumulative)}`
+    }
+    costPath += ` L${x(data.xMax)},${yRight(data.totalCost)}`
+
+    return html`
+      <div class="chart-toolbar">
+        <div class="segmented" role="group" aria-label="Chart">
+          <button class=${this.mode === 'odometer' ? 'active' : ''} @click=${() => this.setMode('odometer')}>Odometer</button>
+          <button class=${this.mode === 'distance' ? 'active' : ''} @click=${() => this.setMode('distance')}>Miles per period</button>
+        </div>
+        <div class="legend">
+          <span><i class="swatch primary"></i>${showDistance ? 'Miles driven' : 'Odometer'}</span>
+          <span><i class="swatch cost"></i>Cumulative maintenance cost</span>
+          <span><i class="swatch marker"></i>Service</span>
+        </div>
+      </div>
+      <div class="chart" @mouseleave=${() => { this.hover = null }}>
+        <svg width=${this.width} height=${HEIGHT} viewBox="0 0 ${this.width} ${HEIGHT}" role="img"
+             aria-label="Odometer and maintenance cost over time">
+          ${leftTicks.map(v => svg`
+            <line class="grid" x1=${MARGIN.left} x2=${MARGIN.left + plotWidth} y1=${yLeft(v)} y2=${yLeft(v)}></line>
+            <text class="axis-label" x=${MARGIN.left - 8} y=${yLeft(v) + 4} text-anchor="end">${formatCompact(v)}</text>
+          `)}
+          ${rightTicks.map(v => svg`
+            <text class="axis-label cost-label" x=${MARGIN.left + plotWidth + 8} y=${yRight(v) + 4}>$${formatCompact(v)}</text>
+          `)}
+          ${xTicks.map(t => svg`
+            <text class="axis-label" x=${x(t)} y=${HEIGHT - 12} text-anchor="middle">
+              ${new Date(t).toLocaleDateString(undefined, { month: 'short', year: '2-digit', timeZone: 'UTC' })}
+            </text>
+          `)}
+          <line class="axis" x1=${MARGIN.left} x2=${MARGIN.left + plotWidth} y1=${MARGIN.top + plotHeight} y2=${MARGIN.top + plotHeight}></line>
+
+          ${showDistance
+            ? data.points.filter(p => p.distance != null).map(p => svg`
+                <rect class="bar" x=${x(p.t) - barWidth / 2} y=${yLeft(p.distance)} width=${barWidth}
+                      height=${Math.max(0, MARGIN.top + plotHeight - yLeft(p.distance))}></rect>
+              `)
+            : svg`<path class="odometer-line" d=${odometerPath}></path>`}
+
+          ${data.totalCost > 0 ? svg`<path class="cost-line" d=${costPath}></path>` : ''}
+
+          ${this.hover?.type === 'point' ? svg`
+            <line class="crosshair" x1=${this.hover.x} x2=${this.hover.x} y1=${MARGIN.top} y2=${MARGIN.top + plotHeight}></line>
+            ${showDistance ? '' : svg`<circle class="point" cx=${this.hover.x} cy=${yLeft(this.hover.point.miles)} r="4"></circle>`}
+          ` : ''}
+
+          <rect class="overlay" x=${MARGIN.left} y=${MARGIN.top} width=${plotWidth} height=${plotHeight}
+                @mousemove=${e => this.onPointerMove(e, data, x)}></rect>
+
+          ${data.services.map(s => svg`
+            <line class="service-tick" x1=${x(s.t)} x2=${x(s.t)} y1=${MARGIN.top + plotHeight} y2=${MARGIN.top + plotHeight + 6}></line>
+            <circle class="service-marker" cx=${x(s.t)} cy=${yRight(s.cumulative)} r="5"
+                    @mouseenter=${() => { this.hover = { type: 'service', service: s, x: x(s.t) } }}></circle>
+          `)}
+        </svg>
+        ${this.renderTooltip()}
+      </div>
+    `
+  }
+
+  static get styles() {
+    return css`
+      :host {
+        display: block;
+        width: 100%;
+      }
+
+      .chart-toolbar {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        flex-wrap: wrap;
+        gap: 0.75rem;
+        margin-bottom: 0.5rem;
+      }
+
+      .segmented {
+        display: inline-flex;
+        border: 1px solid #ced4da;
+        border-radius: 6px;
+        overflow: hidden;
+      }
+
+      .segmented button {
+        background: white;
+        color: #495057;
+        border: none;
+        border-right: 1px solid #ced4da;
+        padding: 0.35rem 0.75rem;
+        font-size: 0.8rem;
+        cursor: pointer;
+      }
+
+      .segmented button:last-child {
+        border-right: none;
+      }
+
+      .segmented button.active {
+        background: #667eea;
+        color: white;
+      }
+
+      .legend {
+        display: flex;
+        gap: 1rem;
+        font-size: 0.8rem;
+        color: #495057;
+      }
+
+      .swatch {
+        display: inline-block;
+        width: 12px;
+        height: 12px;
+        margin-right: 0.35rem;
+        vertical-align: -1px;
+        border-radius: 2px;
+      }
+
+      .swatch.primary {
+        background: #667eea;
+      }
+
+      .swatch.cost {
+        background: #28a745;
+      }
+
+      .swatch.marker {
+        border: 2px solid #28a745;
+        border-radius: 50%;
+        background: white;
+        width: 8px;
+        height: 8px;
+      }
+
+      .chart {
+        position: relative;
+      }
+
+      svg {
+        display: block;
+        font-family: inherit;
+      }
+
+      .grid {
+        stroke: #eef0f3;
+      }
+
+      .axis {
+        stroke: #ced4da;
+      }
+
+      .axis-label {
+        fill: #6c757d;
+        font-size: 11px;
+      }
+
+      .cost-label {
+        fill: #28a745;
+      }
+
+      .odometer-line {
+        fill: none;
+        stroke: #667eea;
+        stroke-width: 2;
+      }
+
+      .bar {
+        fill: #667eea;
+        opacity: 0.8;
+      }
+
+      .cost-line {
+        fill: none;
+        stroke: #28a745;
+        stroke-width: 2;
+      }
+
+      .service-marker {
+        fill: white;
+        stroke: #28a745;
+        stroke-width: 2;
+        cursor: pointer;
+      }
+
+      .service-marker:hover {
+        fill: #28a745;
+      }
+
+      .service-tick {
+        stroke: #28a745;
+      }
+
+      .crosshair {
+        stroke: #adb5bd;
+        stroke-dasharray: 3 3;
+      }
+
+      .point {
+        fill: #667eea;
+      }
+
+      .overlay {
+        fill: transparent;
+      }
+
+      .tooltip {
+        position: absolute;
+        top: 8px;
+        transform: translateX(-50%);
+        background: rgba(44, 62, 80, 0.95);
+        color: white;
+        padding: 0.5rem 0.75rem;
+        border-radius: 6px;
+        font-size: 0.8rem;
+        line-height: 1.4;
+        pointer-events: none;
+        white-space: nowrap;
+      }
+
+      .empty {
+        padding: 2rem;
+        text-align: center;
+        color: #6c757d;
+      }
+    `
+  }
+}
+
+window.customElements.define('vehicle-history-chart', VehicleHistoryChart)
@@ -1,7 +1,7 @@
 import { LitElement, css, html } from 'lit'
 import { graphqlService } from './graphql-service.js'
-import { storageService } from './storage-service.js'
 import { dimoApiService } from './dimo-api-service.js'
+import { jwtManager } from './jwt-manager.js'
 import { ConfigUtils } from './config-utils.js'
 
 /**
@@ -17,6 +17,13 @@ export class VehiclesPage extends LitElement {
       hasNextPage: { type: Boolean },
       endCursor: { type: String },
       loadingMore: { type: Boolean },
+      selectedTokenIds: { type: Array },
+      reportStartDate: { type: String },
+      reportEndDate: { type: String },
+      isGeneratingReport: { type: Boolean },
+      reportError: { type: String },
+      reportNotice: { type: String },
+      reports: { type: Array },
     }
   }
 
@@ -29,11 +36,20 @@ export class VehiclesPage extends LitElement {
     this.hasNextPage = false
     this.endCursor = null
     this.loadingMore = false
+    this.selectedTokenIds = []
+    const today = new Date()
+    this.reportEndDate = today.toISOString().slice(0, 10)
+    this.reportStartDate = new Date(today.getFullYear() - 1, today.getMonth(), today.getDate()).toISOString().slice(0, 10)
+    this.isGeneratingReport = false
+    this.reportError = ''
+    this.reportNotice = ''
+    this.reports = []
   }
 
   connectedCallback() {
     super.connectedCallback()
     this.loadVehicles()
+    this.loadReports()
   }
 
   async loadVehicles(after = null) {
@@ -80,6 +96,110 @@ export class VehiclesPage extends LitElement {
 
 
 
+  async loadReports() {
+    try {
+      const { reports } = await dimoApiService.listReports(jwtManager.getValidJWT())
+      this.reports = reports || []
+    } catch (error) {
+      console.error('Failed to load reports:', error)
+    }
+  }
+
+  toggleVehicleSelection(tokenId, checked) {
+    this.selectedTokenIds = checked
+      ? [...this.selectedTokenIds, tokenId]
+      : this.selectedTokenIds.filter(id => id !== tokenId)
+  }
+
+  async generateReport(event) {
+    event.preventDefault()
+    if (this.selectedTokenIds.length === 0) {
+      this.reportError = 'Select at least one vehicle'
+      return
+    }
+
+    this.isGeneratingReport = true
+    this.reportError = ''
+    this.reportNotice = ''
+
+    try {
+      const { report, errors } = await dimoApiService.generateReport({
+        vehicleTokenIds: this.selectedTokenIds,
+        startDate: this.reportStartDate,
+        endDate: this.reportEndDate,
+      }, jwtManager.getValidJWT())
+      this.reports = [report, ...this.reports]
+      if (errors?.length > 0) {
+        this.reportNotice = `No odometer data for ${errors.map(e => e.tokenId).join(', ')}`
+      }
+    } catch (error) {
+      console.error('Failed to generate report:', error)
+      this.reportError = error.message
+    } finally {
+      this.isGeneratingReport = false
+    }
+  }
+
+  async downloadReport(report) {
+    try {
+      const blob = await dimoApiService.downloadReport(report.filename, jwtManager.getValidJWT())
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = report.filename
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Failed to download report:', error)
+      this.reportError = error.message
+    }
+  }
+
+  renderReportForm() {
+    return html`
+      <div class="report-form-container">
+        <form class="report-form" @submit=${this.generateReport}>
+          <h2>Odometer &amp; Maintenance Report</h2>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="report-start">Start date</label>
+              <input id="report-start" class="form-input" type="date" required
+                .value=${this.reportStartDate}
+                @change=${e => { this.reportStartDate = e.target.value }}>
+            </div>
+            <div class="form-group">
+              <label for="report-end">End date</label>
+              <input id="report-end" class="form-input" type="date" required
+                .value=${this.reportEndDate}
+                @change=${e => { this.reportEndDate = e.target.value }}>
+            </div>
+            <div class="form-group">
+              <button type="submit" class="generate-btn" ?disabled=${this.isGeneratingReport || this.selectedTokenIds.length === 0}>
+                ${this.isGeneratingReport ? 'Generating...' : `Generate CSV (${this.selectedTokenIds.length} selected)`}
+              </button>
+            </div>
+          </div>
+          ${this.reportError ? html`<p class="report-error">${this.reportError}</p>` : ''}
+          ${this.reportNotice ? html`<p class="report-notice">${this.reportNotice}</p>` : ''}
+        </form>
+        ${this.reports.length > 0 ? html`
+          <ul class="reports-list">
+            ${this.reports.map(report => html`
+              <li>
+                <span>
+                  ${report.startDate} – ${report.endDate}
+                  · ${report.vehicleTokenIds.length} vehicle${report.vehicleTokenIds.length === 1 ? '' : 's'}
+                  <span class="report-created">${new Date(report.createdAt).toLocaleString()}</span>
+                </span>
+                <button class="select-btn" @click=${() => this.downloadReport(report)}>Download</button>
+              </li>
+            `)}
+          </ul>
+        ` : ''}
+      </div>
+    `
+  }
+
   onVehicleSelect(tokenId) {
     console.log('onVehicleSelect called with tokenId:', tokenId)
     // Navigate to vehicle details page using the router
@@ -111,6 +231,8 @@ export class VehiclesPage extends LitElement {
           ` : ''}
 
 
+          ${this.renderReportForm()}
+
           ${this.isLoading ? html`
             <div class="loading-state">
               <div class="spinner"></div>
@@ -143,6 +265,12 @@ export class VehiclesPage extends LitElement {
                   ` : this.vehicles.map(vehicle => html`
                     <tr>
                       <td class="actions-column">
+                        <input
+                          type="checkbox"
+                          title="Include in report"
+                          .checked=${this.selectedTokenIds.includes(vehicle.tokenId)}
+                          @change=${e => this.toggleVehicleSelection(vehicle.tokenId, e.target.checked)}
+                        >
                         <button 
                           @click=${() => this.onVehicleSelect(vehicle.tokenId)}
                           class="select-btn"
@@ -327,12 +455,58 @@ export class VehiclesPage extends LitElement {
         transform: none;
       }
 
+      .report-error,
+      .report-notice {
+        margin: 1rem 0 0 0;
+        font-size: 0.9rem;
+      }
+
+      .report-error {
+        color: #dc3545;
+      }
+
+      .report-notice {
+        color: #856404;
+      }
+
+      .reports-list {
+        list-style: none;
+        margin: 0;
+        padding: 0;
+      }
+
+      .reports-list li {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 0.75rem 1.5rem;
+        border-bottom: 1px solid #f1f3f4;
+        font-size: 0.9rem;
+        color: #495057;
+      }
+
+      .reports-list li:last-child {
+        border-bottom: none;
+      }
+
+      .report-created {
+        margin-left: 0.5rem;
+        color: #6c757d;
+        font-size: 0.8rem;
+      }
+
       .actions-column {
-        width: 100px;
+        width: 140px;
         text-align: center;
         padding: 0.5rem !important;
       }
 
+      .actions-column input[type="checkbox"] {
+        margin-right: 0.5rem;
+        vertical-align: middle;
+        cursor: pointer;
+      }
+
       .select-btn {
         background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
         color: white;